@@ -34,14 +34,14 @@ const CONTRACTS = {
   },
   ChessMediaLibrary: {
     abi: [{"inputs":[],"name":"BISHOP","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"EMPTY","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"KING","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"KNIGHT","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"PAWN","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"QUEEN","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"ROOK","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"int8[8][8]","name":"board","type":"int8[8][8]"}],"name":"getCurrentBoard","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"pure","type":"function"}],
-    bytecode: "0x6080806040523461001a576114a1908161001f823930815050f35b5f80fdfe6080806040526004361015610012575f80fd5b5f3560e01c9081630239912514610d145750806328412d7014610cfe578063417267d014610ce857806364ca7f5014610cd2578063776986ea14610cbc578063941c5cfc14610ca65780639ef3eb871461008e5763f8e1dd4014610074575f80fd5b5f36600319011261008a57602060405160028152f35b5f80fd5b61080036600319011261008a57366023121561008a576040516100b081610d27565b8061080436811161008a576004915b818310610c4a57604051846100d382610d43565b603e825260208201917f3c73766720786d6c6e733d27687474703a2f2f7777772e77332e6f72672f323083527f30302f737667272076696577426f783d273020302034303020343030273e0000604082015261012d610f97565b92610173610139610f97565b610141610fb4565b610149610fb4565b906040519261015784610d5e565b60079860078552660233830383038360cc1b6020860152611263565b6101b3602a6040518093691e339034b21e93b9939f60b11b60208301526101a38151809260208686019101610dd2565b810103600a810184520182610daf565b905f935b60ff85169360028510156102c6575f5b61ffff600481831610156102b4575f905b89886004838516106101f4575050505060010161ffff166101c7565b976102ab60206102726001948761023d88809a9f61022c816102278f8561023161022c6102319761022761023795610e0e565b610e78565b610e39565b1661108f565b96610e0e565b610245610fd3565b9061024e610fd3565b926040519461025c86610d5e565b8552660468870887088760cb1b87860152611263565b92604051938161028b8693518092868087019101610dd2565b820161029f82518093868085019101610dd2565b01038084520182610daf565b970116906101d8565b5050600190950160ff169493506101b7565b602061033b91856103209561032f6040519161030e602484886102f28183019889815193849201610dd2565b8101631e17b39f60e11b8a820152036004810186520184610daf565b60405198899551809288880190610dd2565b84019151809386840190610dd2565b01038085520183610daf565b6040519061034882610d79565b606082527f3c672069643d276270272066696c6c3d27233030302720666f6e742d66616d6960208301527f6c793d27617269616c20756e69636f6465206d732c48656c7665746963612c418060408401527f7269616c2c73616e732d73657269662720666f6e742d73697a653d273430273e9283606082015292604051916103cf83610d79565b606083527f3c672069643d277770272066696c6c3d27236666662720666f6e742d66616d696020840152604083015260608201529060405161018080820182811060018060401b03821117610c36576040969496523682375f915b600861ffff841610156109a1575f955b600861ffff881610156109905761045e61ffff6102316104598a610e4f565b610e65565b61047061ffff61023161045988610e4f565b61048c61ffff8a1661048661ffff891687610e8e565b51610e8e565b515f0b6060805f83135f14610715576001948861ffff979561054195602095610272956006918284145f1461054b575050505090506104c9610f74565b906104e58b6104dc60ff80925116610ed6565b16808d5261108f565b61051d6024604051809363776b6e6760e01b8a83015261050d815180928c8686019101610dd2565b8101036004810184520182610daf565b925b6040519261052c84610d5e565b600484526311b3333360e11b87850152611142565b975b01169561043a565b6005938085036105c05750505050509050610564610f51565b90610582858c0160ff61057981835116610ed6565b1680915261108f565b6105b960236040518093623bb8b760e91b8a8301526105a9815180928c8686019101610dd2565b8101036003810184520182610daf565b925b61051f565b6004810361061457505050505090506105d7610f2e565b906105ed60408c0160ff61057981835116610ed6565b6105b9602360405180936277726b60e81b8a8301526105a9815180928c8686019101610dd2565b6003810361067657505050506105b96106406060610630610f0b565b950160ff61057981835116610ed6565b6040519264077627368760dc1b8985015283602592610667815180928d8786019101610dd2565b81010390810184520182610daf565b9293509091600281036106be575050506105b96106966080610630610ee8565b60405192651ddadb99da1d60d21b8985015283602692610667815180928d8786019101610dd2565b9094508a91959250036105bb57925090506106d7610eb3565b906106ed60a08c0160ff61057981835116610ed6565b6105b960246040518093633bb83bb760e11b8a83015261050d815180928c8686019101610dd2565b915f819c969c12610731575b5050505050600161ffff91610543565b60019461ffff969b946107bd946020946102729460051981145f146107c75750505061075b610f74565b9061077160c08c0160ff61057981835116610ed6565b6107996024604051809363626b6e6760e01b8a83015261050d815180928c8686019101610dd2565b925b604051926107a884610d5e565b60048452630233030360e41b87850152611142565b9691898080610721565b600419810361081f575050506107db610f51565b906107f160e08c0160ff61057981835116610ed6565b61081860236040518093623138b760e91b8a8301526105a9815180928c8686019101610dd2565b925b61079b565b600319810361087157505050610833610f2e565b9061084a6101008c0160ff61057981835116610ed6565b610818602360405180936262726b60e81b8a8301526105a9815180928c8686019101610dd2565b60021981036108d657505050610885610f0b565b9061089c6101208c0160ff61057981835116610ed6565b6108186040519164062627368760dc1b88840152826025916108c6815180928c8686019101610dd2565b8101036005810184520182610daf565b8919810361093b575050506108e9610ee8565b906109006101408c0160ff61057981835116610ed6565b6108186040519165189adb99da1d60d21b888401528260269161092b815180928c8686019101610dd2565b8101036006810184520182610daf565b91939092911961081a5792509050610951610eb3565b906109686101608c0160ff61057981835116610ed6565b610818602460405180936331383bb760e11b8a83015261050d815180928c8686019101610dd2565b9550600190920161ffff169161042a565b610c286040610bb988610a2b602e898b865194826109c9879451809260208088019101610dd2565b83016109de8251809360208085019101610dd2565b01631e17b39f60e11b6020820152610a00825180936020602485019101610dd2565b01631e17b39f60e11b6024820152651e17b9bb339f60d11b602882015203600e810184520182610daf565b610a33610f97565b835191610a3f83610d43565b848352610b9c608c610a9e7f4142434445464748494a4b4c4d4e4f505152535455565758595a616263646566958660208201527f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f94858a83015261134b565b938751610aaa81610d94565b5f81528851958692707b226e616d65223a20224d61746368202360781b6020850152610ae0815180926020603188019101610dd2565b83017f222c20226465736372697074696f6e223a2022546869732069732061206d617460318201527f6368222c2022696d616765223a2022646174613a696d6167652f7376672b786d6051820152681b0ed8985cd94d8d0b60ba1b6071820152610b54825180936020607a85019101610dd2565b016f222c2261747472696275746573223a5b60801b607a820152610b82825180936020608a85019101610dd2565b01615d7d60f01b608a82015203606c810185520183610daf565b845192610ba884610d43565b85845260208401528483015261134b565b815190610c0d603d8360208101937f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c0000008552610bfd8151809260208686019101610dd2565b810103601d810185520183610daf565b82519384926020845251809281602086015285850190610dd2565b601f01601f19168101030190f35b634e487b7160e01b5f52604160045260245ffd5b36601f8401121561008a57604051610c6181610d27565b80610100850136811161008a5785915b818310610c8d57505050816020916101009352019201916100bf565b8235805f0b810361008a57815260209283019201610c71565b5f36600319011261008a57602060405160038152f35b5f36600319011261008a57602060405160048152f35b5f36600319011261008a57602060405160058152f35b5f36600319011261008a57602060405160018152f35b5f36600319011261008a57602060405160068152f35b5f36600319011261008a57805f60209252f35b61010081019081106001600160401b03821117610c3657604052565b606081019081106001600160401b03821117610c3657604052565b604081019081106001600160401b03821117610c3657604052565b608081019081106001600160401b03821117610c3657604052565b602081019081106001600160401b03821117610c3657604052565b601f909101601f19168101906001600160401b03821190821017610c3657604052565b5f5b838110610de35750505f910152565b8181015183820152602001610dd4565b6001600160401b038111610c3657601f01601f191660200190565b60011b906201fffe61fffe831692168203610e2557565b634e487b7160e01b5f52601160045260245ffd5b9061ffff809216603202918216918203610e2557565b90603261ffff80931602918216918203610e2557565b90601961ffff80931601918211610e2557565b91909161ffff80809416911601918211610e2557565b906008811015610e9f5760051b0190565b634e487b7160e01b5f52603260045260245ffd5b60405190610ec082610d5e565b60078252662623393831373b60c81b6020830152565b60ff60019116019060ff8211610e2557565b60405190610ef582610d5e565b60078252662623393831363b60c81b6020830152565b60405190610f1882610d5e565b60078252662623393831353b60c81b6020830152565b60405190610f3b82610d5e565b60078252662623393831343b60c81b6020830152565b60405190610f5e82610d5e565b60078252662623393831333b60c81b6020830152565b60405190610f8182610d5e565b60078252662623393831323b60c81b6020830152565b60405190610fa482610d5e565b60018252600360fc1b6020830152565b60405190610fc182610d5e565b600382526203430360ec1b6020830152565b60329081905f9082805b6110785750610feb82610df3565b91610ff96040519384610daf565b808352601f1961100882610df3565b013660208501375b8093801561106f575f198201918211610e25578194600a926030908484068201809211610e25578651111561105c5760f81b6001600160f81b0319165f1a908501601f01530492611010565b87634e487b7160e01b5f5260045260245ffd5b50509250905090565b915f198114610e25576001600a9101920480610fdd565b8015611136575f81805b61111f57506110a781610df3565b906110b56040519283610daf565b808252601f196110c482610df3565b013660208401375b80928015611118575f198201918211610e25578193600a926030908484068201809211610e255785511115610e9f5760f81b6001600160f81b0319165f1a908401601f015304916110cc565b5050905090565b905f198114610e25576001600a9101910480611099565b5061113f610f97565b90565b6081929461124461113f95604051978895602094693c746578742069643d2760b01b8689015261117b8151809288602a8c019101610dd2565b87016e2720636c6173733d27702720783d2760881b602a8201526111a88251809388603985019101610dd2565b01642720793d2760d81b60398201526111ca8251809387603e85019101610dd2565b017f2720746578742d616e63686f723d276d6964646c65272064793d272e33656d27603e82015268207374726f6b653d2760b81b605e8201526112168251809386606785019101610dd2565b019172139039ba3937b5b296bbb4b23a341e9398939f60691b60678401528351938491607a85019101610dd2565b01661e17ba32bc3a1f60c91b607a820152036061810184520182610daf565b93604d929461132f61113f95604051978895602094683c7265637420783d2760b81b8689015261129c815180928860298c019101610dd2565b8701642720793d2760d81b60298201526112bf8251809388602e85019101610dd2565b0168272077696474683d2760b81b602e8201526112e58251809387603785019101610dd2565b016927206865696768743d2760b01b603782015261130c8251809386604185019101610dd2565b019167272066696c6c3d2760c01b60418401528351938491604985019101610dd2565b01631390179f60e11b604982015203602d810184520182610daf565b9190918051156114565780519260029160028501809511610e2557600394859004600281901b93906001600160fe1b03811603610e2557946113a561138f85610df3565b9461139d6040519687610daf565b808652610df3565b6020850190601f1901368237928291835184019760208901928351945f85525b8a8110611409575050505060039394959650525106806001146113f7576002146113ed575090565b603d905f19015390565b50603d90815f19820153600119015390565b836004919b989b019a8b51600190603f9082828260121c16870101518453828282600c1c16870101518385015382828260061c1687010151878501531684010151858201530196996113c5565b50905060405161146581610d94565b5f81529056fea2646970667358221220fa690d00293c1e442d80b330716ff5bdee542f559bfbf35add3d9f889b9e70ee64736f6c63430008180033"
+    bytecode: "0x6080806040523461001a57611430908161001f823930815050f35b5f80fdfe6080806040526004361015610012575f80fd5b5f3560e01c9081630239912514610c4e5750806328412d7014610c38578063417267d014610c2257806364ca7f5014610c0c578063776986ea14610bf6578063941c5cfc14610be05780639ef3eb871461008e5763f8e1dd4014610074575f80fd5b5f36600319011261008a57602060405160028152f35b5f80fd5b61080036600319011261008a57366023121561008a576040516100b081610c61565b8061080436811161008a576004915b818310610b8457604051846100d382610c7d565b603e825260208201917f3c73766720786d6c6e733d27687474703a2f2f7777772e77332e6f72672f323083527f30302f737667272076696577426f783d273020302034303020343030273e0000604082015261012d610f15565b92610173610139610f15565b610141610f32565b610149610f32565b906040519261015784610c98565b60079860078552660233830383038360cc1b6020860152611312565b6101b3602a6040518093691e339034b21e93b9939f60b11b60208301526101a38151809260208686019101610cf1565b810103600a810184520182610cce565b905f935b60ff85169360028510156102c6575f5b61ffff600481831610156102b4575f905b89886004838516106101f4575050505060010161ffff166101c7565b976102ab60206102726001948761023d88809a9f61022c816102278f8561023161022c6102319761022761023795610d2d565b610d97565b610d58565b1661100d565b96610d2d565b610245610f51565b9061024e610f51565b926040519461025c86610c98565b8552660468870887088760cb1b87860152611312565b92604051938161028b8693518092868087019101610cf1565b820161029f82518093868085019101610cf1565b01038084520182610cce565b970116906101d8565b5050600190950160ff169493506101b7565b602061033b91856103209561032f6040519161030e602484886102f28183019889815193849201610cf1565b8101631e17b39f60e11b8a820152036004810186520184610cce565b60405198899551809288880190610cf1565b84019151809386840190610cf1565b01038085520183610cce565b6040519061034882610cb3565b606082527f3c672069643d276270272066696c6c3d27233030302720666f6e742d66616d6960208301527f6c793d27617269616c20756e69636f6465206d732c48656c7665746963612c418060408401527f7269616c2c73616e732d73657269662720666f6e742d73697a653d273430273e9283606082015292604051916103cf83610cb3565b606083527f3c672069643d277770272066696c6c3d27236666662720666f6e742d66616d696020840152604083015260608201529060405161018080820182811060018060401b03821117610b70576040969496523682375f915b600861ffff841610156109a1575f955b600861ffff881610156109905761045e61ffff6102316104598a610d6e565b610d84565b61047061ffff61023161045988610d6e565b61048c61ffff8a1661048661ffff891687610dad565b51610dad565b515f0b6060805f83135f14610715576001948861ffff979561054195602095610272956006918284145f1461054b575050505090506104c9610e93565b906104e58b6104dc60ff80925116610df5565b16808d5261100d565b61051d6024604051809363776b6e6760e01b8a83015261050d815180928c8686019101610cf1565b8101036004810184520182610cce565b925b6040519261052c84610c98565b600484526311b3333360e11b878501526110c0565b975b01169561043a565b6005938085036105c05750505050509050610564610e70565b90610582858c0160ff61057981835116610df5565b1680915261100d565b6105b960236040518093623bb8b760e91b8a8301526105a9815180928c8686019101610cf1565b8101036003810184520182610cce565b925b61051f565b6004810361061457505050505090506105d7610e4d565b906105ed60408c0160ff61057981835116610df5565b6105b9602360405180936277726b60e81b8a8301526105a9815180928c8686019101610cf1565b6003810361067657505050506105b96106406060610630610e2a565b950160ff61057981835116610df5565b6040519264077627368760dc1b8985015283602592610667815180928d8786019101610cf1565b81010390810184520182610cce565b9293509091600281036106be575050506105b96106966080610630610e07565b60405192651ddadb99da1d60d21b8985015283602692610667815180928d8786019101610cf1565b9094508a91959250036105bb57925090506106d7610dd2565b906106ed60a08c0160ff61057981835116610df5565b6105b960246040518093633bb83bb760e11b8a83015261050d815180928c8686019101610cf1565b915f819c969c12610731575b5050505050600161ffff91610543565b60019461ffff969b946107bd946020946102729460051981145f146107c75750505061075b610e93565b9061077160c08c0160ff61057981835116610df5565b6107996024604051809363626b6e6760e01b8a83015261050d815180928c8686019101610cf1565b925b604051926107a884610c98565b60048452630233030360e41b878501526110c0565b9691898080610721565b600419810361081f575050506107db610e70565b906107f160e08c0160ff61057981835116610df5565b61081860236040518093623138b760e91b8a8301526105a9815180928c8686019101610cf1565b925b61079b565b600319810361087157505050610833610e4d565b9061084a6101008c0160ff61057981835116610df5565b610818602360405180936262726b60e81b8a8301526105a9815180928c8686019101610cf1565b60021981036108d657505050610885610e2a565b9061089c6101208c0160ff61057981835116610df5565b6108186040519164062627368760dc1b88840152826025916108c6815180928c8686019101610cf1565b8101036005810184520182610cce565b8919810361093b575050506108e9610e07565b906109006101408c0160ff61057981835116610df5565b6108186040519165189adb99da1d60d21b888401528260269161092b815180928c8686019101610cf1565b8101036006810184520182610cce565b91939092911961081a5792509050610951610dd2565b906109686101608c0160ff61057981835116610df5565b610818602460405180936331383bb760e11b8a83015261050d815180928c8686019101610cf1565b9550600190920161ffff169161042a565b610b626040610af3610a3c89610a2e602e8a8c875194826109cc879451809260208088019101610cf1565b83016109e18251809360208085019101610cf1565b01631e17b39f60e11b6020820152610a03825180936020602485019101610cf1565b01631e17b39f60e11b6024820152651e17b9bb339f60d11b602882015203600e810184520182610cce565b610a36610eb6565b906111e1565b610a2e608d845180937f7b226e616d65223a20224d61746368202330222c20226465736372697074696f60208301527f6e223a2022546869732069732061206d61746368222c2022696d616765223a20878301527a0899185d184e9a5b5859d94bdcdd99cade1b5b0ed8985cd94d8d0b602a1b6060830152610ac8815180926020607b86019101610cf1565b810171222c2261747472696275746573223a5b5d7d60701b607b82015203606d810184520182610cce565b815190610b47603d8360208101937f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c0000008552610b378151809260208686019101610cf1565b810103601d810185520183610cce565b82519384926020845251809281602086015285850190610cf1565b601f01601f19168101030190f35b634e487b7160e01b5f52604160045260245ffd5b36601f8401121561008a57604051610b9b81610c61565b80610100850136811161008a5785915b818310610bc757505050816020916101009352019201916100bf565b8235805f0b810361008a57815260209283019201610bab565b5f36600319011261008a57602060405160038152f35b5f36600319011261008a57602060405160048152f35b5f36600319011261008a57602060405160058152f35b5f36600319011261008a57602060405160018152f35b5f36600319011261008a57602060405160068152f35b5f36600319011261008a57805f60209252f35b61010081019081106001600160401b03821117610b7057604052565b606081019081106001600160401b03821117610b7057604052565b604081019081106001600160401b03821117610b7057604052565b608081019081106001600160401b03821117610b7057604052565b601f909101601f19168101906001600160401b03821190821017610b7057604052565b5f5b838110610d025750505f910152565b8181015183820152602001610cf3565b6001600160401b038111610b7057601f01601f191660200190565b60011b906201fffe61fffe831692168203610d4457565b634e487b7160e01b5f52601160045260245ffd5b9061ffff809216603202918216918203610d4457565b90603261ffff80931602918216918203610d4457565b90601961ffff80931601918211610d4457565b91909161ffff80809416911601918211610d4457565b906008811015610dbe5760051b0190565b634e487b7160e01b5f52603260045260245ffd5b60405190610ddf82610c98565b60078252662623393831373b60c81b6020830152565b60ff60019116019060ff8211610d4457565b60405190610e1482610c98565b60078252662623393831363b60c81b6020830152565b60405190610e3782610c98565b60078252662623393831353b60c81b6020830152565b60405190610e5a82610c98565b60078252662623393831343b60c81b6020830152565b60405190610e7d82610c98565b60078252662623393831333b60c81b6020830152565b60405190610ea082610c98565b60078252662623393831323b60c81b6020830152565b60405190610ec382610c7d565b604082527f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f6040837f4142434445464748494a4b4c4d4e4f505152535455565758595a61626364656660208201520152565b60405190610f2282610c98565b60018252600360fc1b6020830152565b60405190610f3f82610c98565b600382526203430360ec1b6020830152565b60329081905f9082805b610ff65750610f6982610d12565b91610f776040519384610cce565b808352601f19610f8682610d12565b013660208501375b80938015610fed575f198201918211610d44578194600a926030908484068201809211610d445786511115610fda5760f81b6001600160f81b0319165f1a908501601f01530492610f8e565b87634e487b7160e01b5f5260045260245ffd5b50509250905090565b915f198114610d44576001600a9101920480610f5b565b80156110b4575f81805b61109d575061102581610d12565b906110336040519283610cce565b808252601f1961104282610d12565b013660208401375b80928015611096575f198201918211610d44578193600a926030908484068201809211610d445785511115610dbe5760f81b6001600160f81b0319165f1a908401601f0153049161104a565b5050905090565b905f198114610d44576001600a9101910480611017565b506110bd610f15565b90565b608192946111c26110bd95604051978895602094693c746578742069643d2760b01b868901526110f98151809288602a8c019101610cf1565b87016e2720636c6173733d27702720783d2760881b602a8201526111268251809388603985019101610cf1565b01642720793d2760d81b60398201526111488251809387603e85019101610cf1565b017f2720746578742d616e63686f723d276d6964646c65272064793d272e33656d27603e82015268207374726f6b653d2760b81b605e8201526111948251809386606785019101610cf1565b019172139039ba3937b5b296bbb4b23a341e9398939f60691b60678401528351938491607a85019101610cf1565b01661e17ba32bc3a1f60c91b607a820152036061810184520182610cce565b9190918051156112ec5780519260029160028501809511610d4457600394859004600281901b93906001600160fe1b03811603610d44579461123b61122585610d12565b946112336040519687610cce565b808652610d12565b6020850190601f1901368237928291835184019760208901928351945f85525b8a811061129f5750505050600393949596505251068060011461128d57600214611283575090565b603d905f19015390565b50603d90815f19820153600119015390565b836004919b989b019a8b51600190603f9082828260121c16870101518453828282600c1c16870101518385015382828260061c16870101518785015316840101518582015301969961125b565b50604051909150602081016001600160401b03811182821017610b70576040525f815290565b93604d92946113de6110bd95604051978895602094683c7265637420783d2760b81b8689015261134b815180928860298c019101610cf1565b8701642720793d2760d81b602982015261136e8251809388602e85019101610cf1565b0168272077696474683d2760b81b602e8201526113948251809387603785019101610cf1565b016927206865696768743d2760b01b60378201526113bb8251809386604185019101610cf1565b019167272066696c6c3d2760c01b60418401528351938491604985019101610cf1565b01631390179f60e11b604982015203602d810184520182610cce56fea26469706673582212202caafb3f8271da7ab9c419f834e4205fec77611579e1c1164ee9c9932a72ca0c64736f6c63430008180033"
   },
   ChessCore: {
-    abi: [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"AlreadyInitialized","type":"error"},{"inputs":[],"name":"CannotClaimYet","type":"error"},{"inputs":[],"name":"CannotResign","type":"error"},{"inputs":[],"name":"GameAlreadyStarted","type":"error"},{"inputs":[],"name":"GameNotInProgress","type":"error"},{"inputs":[],"name":"GameNotStarted","type":"error"},{"inputs":[],"name":"InvalidMove","type":"error"},{"inputs":[],"name":"NoDrawOffer","type":"error"},{"inputs":[],"name":"NoPrizeToDistribute","type":"error"},{"inputs":[],"name":"NotAPlayer","type":"error"},{"inputs":[],"name":"NotTimedOut","type":"error"},{"inputs":[],"name":"NotYourTurn","type":"error"},{"inputs":[],"name":"PrizeAlreadyClaimed","type":"error"},{"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"int8","name":"player","type":"int8"},{"indexed":false,"internalType":"uint8","name":"startX","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"startY","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"endX","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"endY","type":"uint8"},{"indexed":false,"internalType":"string","name":"comment","type":"string"}],"name":"Debug","type":"event"},{"anonymous":false,"inputs":[],"name":"DrawAccepted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"claimant","type":"address"}],"name":"DrawByFiftyMoveRule","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"claimant","type":"address"}],"name":"DrawByRepetition","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"}],"name":"DrawOfferDeclined","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"}],"name":"DrawOffered","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"whitePlayer","type":"address"},{"indexed":true,"internalType":"address","name":"blackPlayer","type":"address"},{"indexed":false,"internalType":"uint256","name":"betAmount","type":"uint256"}],"name":"GameStarted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"enum ChessCore.GameState","name":"newState","type":"uint8"}],"name":"GameStateChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"winner","type":"address"},{"indexed":false,"internalType":"address","name":"loser","type":"address"}],"name":"GameTimeout","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"uint8","name":"fromRow","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"fromCol","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"toRow","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"toCol","type":"uint8"},{"indexed":false,"internalType":"int8","name":"piece","type":"int8"},{"indexed":false,"internalType":"int8","name":"capturedPiece","type":"int8"},{"indexed":false,"internalType":"int8","name":"promotionPiece","type":"int8"},{"indexed":false,"internalType":"bool","name":"isCheck","type":"bool"},{"indexed":false,"internalType":"bool","name":"isMate","type":"bool"},{"indexed":false,"internalType":"bool","name":"isCastling","type":"bool"},{"indexed":false,"internalType":"bool","name":"isEnPassant","type":"bool"}],"name":"MoveMade","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"address","name":"winner","type":"address"}],"name":"PlayerResigned","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"winner","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"PrizeClaimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"white","type":"address"},{"indexed":false,"internalType":"address","name":"black","type":"address"},{"indexed":false,"internalType":"uint8","name":"result","type":"uint8"}],"name":"RatingReportFailed","type":"event"},{"inputs":[],"name":"BUTERIN_BLOCKS","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"FINNEY_BLOCKS","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"NAKAMOTO_BLOCKS","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"betting","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"blackLastMoveBlock","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"board","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"bondingManager","outputs":[{"internalType":"contract BondingManager","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"bondsLocked","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"currentPlayer","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"disputeDAO","outputs":[{"internalType":"contract DisputeDAO","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"drawOfferedBy","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"gameId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"gameMode","outputs":[{"internalType":"enum ChessCore.GameMode","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"gameRegisteredForDispute","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getBoardState","outputs":[{"internalType":"int8[8][8]","name":"","type":"int8[8][8]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getDrawRuleStatus","outputs":[{"internalType":"uint16","name":"halfMoves","type":"uint16"},{"internalType":"uint8","name":"maxRepetitions","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"pendingPrize","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"playerRating","outputs":[{"internalType":"contract PlayerRating","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"printBoard","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"pure","type":"function"},{"inputs":[],"name":"printChessBoardLayoutSVG","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"ratingReported","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"rewardPool","outputs":[{"internalType":"contract RewardPool","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"timeoutBlocks","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"whiteLastMoveBlock","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"stateMutability":"payable","type":"receive"},{"inputs":[{"internalType":"address","name":"_whitePlayer","type":"address"},{"internalType":"uint256","name":"_value","type":"uint256"},{"internalType":"enum ChessCore.TimeoutPreset","name":"_preset","type":"uint8"},{"internalType":"enum ChessCore.GameMode","name":"_mode","type":"uint8"},{"internalType":"uint256","name":"_gameId","type":"uint256"},{"internalType":"address","name":"_bondingManager","type":"address"},{"internalType":"address","name":"_disputeDAO","type":"address"},{"internalType":"address","name":"_playerRating","type":"address"},{"internalType":"address","name":"_rewardPool","type":"address"}],"name":"initialize","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"joinGameAsBlack","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"canClaimPrize","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"finalizePrizes","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"withdrawPrize","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"claimPrize","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"resign","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"offerDraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"acceptDraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"declineDraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"cancelDrawOffer","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getDrawOfferStatus","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"claimDrawByRepetition","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"claimDrawByFiftyMoveRule","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"claimVictoryByTimeout","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint8","name":"startX","type":"uint8"},{"internalType":"uint8","name":"startY","type":"uint8"},{"internalType":"uint8","name":"endX","type":"uint8"},{"internalType":"uint8","name":"endY","type":"uint8"}],"name":"makeMove","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint8","name":"startX","type":"uint8"},{"internalType":"uint8","name":"startY","type":"uint8"},{"internalType":"uint8","name":"endX","type":"uint8"},{"internalType":"uint8","name":"endY","type":"uint8"},{"internalType":"int8","name":"promotionPiece","type":"int8"}],"name":"makeMoveWithPromotion","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getPlayers","outputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint8","name":"x","type":"uint8"},{"internalType":"uint8","name":"y","type":"uint8"},{"internalType":"int8","name":"piece","type":"int8"}],"name":"debugCreative","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getGameState","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getTimeoutStatus","outputs":[{"internalType":"uint256","name":"whiteBlocksRemaining","type":"uint256"},{"internalType":"uint256","name":"blackBlocksRemaining","type":"uint256"},{"internalType":"bool","name":"currentPlayerIsWhite","type":"bool"}],"stateMutability":"view","type":"function"}],
-    bytecode: "0x608080604052346100535766ff000000000000801960085416176008556001600c556c010000000000000000000000006cff000000000000000000000000196013541617601355615f3b9081620000588239f35b5f80fdfe6040608081526004908136101561004d575b50361561001c575f80fd5b60ff60135460301c1690600582101561003a575061003657005b5f80fd5b602190634e487b7160e01b5f525260245ffd5b5f905f3560e01c8063085791b614611b4a5780630eeae9b614611b265780632420f7f014611a8457806324df1aa0146116db5780632ebe14b0146116b55780633229202e146115bc57806338b572ef146111a557806339b4b0d61461159e57806339e98ab114611582578063426eae451461155a5780634404a4381461153257806346c1d9b41461150157806348d37a581461149357806348df41af1461139a578063538a93ed1461122457806358090c4a146111f557806366666aa9146111cd5780636873d984146111a557806369652fcf1461109e57806369ccbf30146110735780636ca883261461104e5780636d30c70514610e0e57806370740ac914610bf45780637bed3d1c14610b4c5780637c22c12a14610b305780638086a92a14610aea57806384f5294114610aa05780638b5b9ccc14610a685780638d85c9451461098f578063945498651461095d57806399146186146109375780639bf55dab146107735780639c2a094f146106ae578063b31542b514610685578063b7d0628b1461065f578063d7a8e60e1461063e578063d7c81b5514610620578063e2031126146105fa578063e52f3917146105de578063e91401d414610547578063ee545d4f146103af578063f1c2d0d914610387578063f21b5db514610350578063f4d6fa4d146102735763f91acfe7146102485750610011565b3461026f578160031936011261026f5760115490516001600160a01b039091168152602090f35b5080fd5b5082903461034c578260031936011261034c576014546001600160a01b039081163314158061033e575b6103305760ff60135460301c16600581101561031d576001149081159161030f575b5061030257601780546001600160a01b0319163390811790915583907f1f98adb5ace3488254376a3b468650078ab6c1f367638863cb967310df8a0a998280a280f35b5163067fe19560e41b8152fd5b9050601754161515846102bf565b634e487b7160e01b855260218452602485fd5b505163abca351760e01b8152fd5b50806015541633141561029d565b8280fd5b503461026f57602036600319011261026f5760209181906001600160a01b03610377611cce565b1681526018845220549051908152f35b503461026f578160031936011261026f5760105490516001600160a01b039091168152602090f35b50828260031936011261034c5760ff60135460301c1660058110156105345761034c576014546001600160a01b03918491831633811461034c57600d54918234036105305784601554166105305784600f5416806104a5575b601580546001600160a01b031916339081179091556013805460ff60301b1916600160301b1790556012805465ffffffffffff60a01b19164360a01b65ffffffffffff60a01b16179055601454600d54895190815287925f80516020615e86833981519152926020928c92918c16907fee0dca10a9957dad74da3fe318a3ccc561c46d96be0ab0b66e7aff32aab94cf3908590a35160018152a180f35b600e5492813b1561052c578580946104d28a519788968795869463595cd9cf60e01b8652339286016135f0565b03925af180156105225761050e575b50506013805460ff60401b1916600160401b1790558260205f80516020615e868339815191528680610408565b61051790611d6b565b61034c5782846104e1565b84513d84823e3d90fd5b8580fd5b8380fd5b634e487b7160e01b845260218252602484fd5b50823461034c578260031936011261034c576014546001600160a01b0391908216331415806105d0575b6105c25760175491821692831580156105b9575b6105ac5750506001600160a01b0319166017555f80516020615e668339815191528280a280f35b5163039ad16960e01b8152fd5b50338414610585565b825163abca351760e01b8152fd5b508160155416331415610571565b503461026f578160031936011261026f576020905161012c8152f35b503461026f578160031936011261026f5760209060ff60135460481c1690519015158152f35b503461026f578160031936011261026f57602090600e549051908152f35b503461026f578160031936011261026f5760209060125460d01c9051908152f35b503461026f578160031936011261026f5760209060ff61067d61359e565b915191168152f35b503461026f578160031936011261026f5760209065ffffffffffff60125460a01c169051908152f35b82843461026f5760a036600319011261026f576106c9611ce4565b906106d2611cf4565b6106da611d04565b6106e2611d14565b916084359384870b850361076f576016546001600160a01b03919082163381900361076b576001926015541614610762575b600887101561074f575061073b879161072d8489611d24565b90549060031b1c830b612290565b810b131561052c5761074c94612da3565b80f35b634e487b7160e01b885260329052602487fd5b5f199150610714565b8880fd5b8680fd5b50823461034c578260031936011261034c576014546001600160a01b0390811690338214801580610929575b6109195760139384549260ff8460301c166005811015610906576001036108f75760165416938433146108e85784036108dd5765ffffffffffff60125460a01c165b65ffffffffffff80911690841681018091116108ca5743106108bc575060ff60801b198216600160801b1784555f80516020615e868339815191529461089694909360ff9391927f5d90ddefa858c7e60b58274a3fca3108b94bb3cc1f596e26d0c69db70abef4b09261088392911561089c57508354603086901b1916600360301b1784555b61086f6136e2565b6108776137eb565b85519182913383611d51565b0390a15460301c16905191829182611f46565b0390a180f35b608086901b603087901b011916600160321b600160801b01178455610867565b855163828630fb60e01b8152fd5b634e487b7160e01b885260118252602488fd5b60125460d01c6107e1565b508551631cc191eb60e31b8152fd5b50855163067fe19560e41b8152fd5b634e487b7160e01b895260218352602489fd5b845163abca351760e01b81528490fd5b50816015541633141561079f565b503461026f578160031936011261026f5760209060ff60135460501c1690519015158152f35b503461026f578160031936011261026f57908161098b92519161097f83611dca565b82525191829182611ca2565b0390f35b50823461034c578260031936011261034c576014546001600160a01b039190821633141580610a5a575b6105c2576017549182168015908115610a50575b50610a4257506013805460ff60301b1916600160311b1790556001600160a01b0319166017555f80516020615e8683398151915290602090610a0d6136e2565b610a156137eb565b517fa98b7e4cecce3d6b2e0f80801552dd1350aec19a1cc2bbf0aa4806308cd87bb78480a160028152a180f35b825163039ad16960e01b8152fd5b90503314856109cd565b5081601554163314156109b9565b509034610a9d5780600319360112610a9d5750601454601554915191829161098b916001600160a01b03908116911683611d51565b80fd5b50823461034c578260031936011261034c5760175491336001600160a01b038416036105ac5750506001600160a01b031916601755335f80516020615e668339815191528280a280f35b50823461034c578160031936011261034c57356024359060088110156105305760088210156105305760209391610b2091611d24565b92905490519260031b1c900b8152f35b503461026f578160031936011261026f57602090516108348152f35b82843461026f57608036600319011261026f57610b67611ce4565b90610b70611cf4565b610b78611d04565b90610b81611d14565b60165490936001600160a01b0391821633819003610bf0576001926015541614610be7575b6008861015610bd45750610bbf869161072d8488611d24565b810b1315610bd05761074c936122bc565b8480fd5b634e487b7160e01b875260329052602486fd5b5f199150610ba6565b8780fd5b50823461034c578260031936011261034c57610c0e6139f7565b60135460ff8160581c166105305760ff9060301c1660058110159081610dcd576003811491828015610e03575b818115610de0575b501561052c57610dcd579060028593921461034c5715610db7576014546001600160a01b0316330361026f575b610c786136e2565b6010546001600160a01b03169081610cf1575b505050610c96613a33565b610c9e613b1b565b6013805460ff60581b1916600160581b17905547908280808085335af1610cc3612027565b501561034c57515f80516020615ea6833981519152918190610ce6903383612056565b0390a16001600c5580f35b610cf96120dc565b1561034c57600e548451638110502f60e01b8152828101829052602081602481875afa908115610dad578591610d78575b50610d36575b50610c8b565b823b1561053057602484928387519586948593639d213f0760e01b85528401525af1610d64575b8080610d30565b610d6d90611d6b565b61026f578183610d5d565b9450506020843d602011610da5575b81610d9460209383611de5565b810103126100365785935187610d2a565b3d9150610d87565b86513d87823e3d90fd5b6015546001600160a01b03163314610c70575080fd5b634e487b7160e01b855260218352602485fd5b9050610df0576002821481610c43565b634e487b7160e01b865260218452602486fd5b50505f838214610c3b565b50829034610036575f36600319011261003657610e296139f7565b60135460ff8160581c166100365760ff9060301c166005811015908161103b576003811491821561102f575b821561100b575b50501561003657610e6b6136e2565b6010546001600160a01b0390811680610f48575b50610e88613a33565b610e90613b1b565b6013805460ff60581b1916600160581b1790819055479360309190911c60ff16906005821015610f355760038203610edb57505060145416835260186020528220555b6001600c5580f35b8103610ef557506015541683526018602052822055610ed3565b600214610f05575b505050610ed3565b610f138360011c8094611f59565b9281601454168552601860205282852055601554168352822055818080610efd565b634e487b7160e01b865260219052602485fd5b610f506120dc565b1561003657600e548351638110502f60e01b8152858101829052602081602481865afa908115611001575f91610fcf575b50610f8d575b50610e7f565b813b15610036575f916024839286519485938492639d213f0760e01b84528a8401525af1610fbc575b80610f87565b610fc7919450611d6b565b5f9284610fb6565b90506020813d602011610ff9575b81610fea60209383611de5565b81010312610036575187610f81565b3d9150610fdd565b85513d5f823e3d90fd5b90915061101c576002148480610e5c565b602183634e487b7160e01b5f525260245ffd5b5083811491505f610e55565b602184634e487b7160e01b5f525260245ffd5b5034610036575f3660031901126100365760209061106a6120dc565b90519015158152f35b5034610036575f36600319011261003657600b5460ff82519161ffff8160081c168352166020820152f35b838234610036575f3660031901126100365760018060a01b0390816014541680331493848015611198575b156100365760139081549060ff8260301c1690600582101561003a57506001811490811561118f575b50156100365760ff60781b198116600160781b1782555f80516020615e86833981519152956111689560ff947fc42bb29411173bbda4c2ff27b35fb6dc57e2cbdb1bac3fcb7c51b87dc0beb78a93610883931561116d5750508354603086901b1916600160321b1784556015541661086f6136e2565b0390a1005b607887901b603088901b011916600360301b600160781b011785559050610867565b905015876110f2565b50836015541633146110c9565b5034610036575f3660031901126100365760175490516001600160a01b039091168152602090f35b5034610036575f3660031901126100365760125490516001600160a01b039091168152602090f35b838234610036575f3660031901126100365760ff60135460381c16905190600281101561101c57602092508152f35b8382346100365760603660031901126100365761123f611ce4565b91611248611cf4565b9260443593845f0b8086036100365760135460ff8160381c16600281101561138757600103610036576014546001600160a01b031633036100365760301c60ff16600581101561137457610036576008938460ff85161080611368575b15610036578484101561135557506112ca61098b966112c48486611d24565b906120a0565b600681036113135750825461ffff60401b191691841b60ff60401b169190911760489190911b60ff60481b161790555b80519061130682611dca565b5f82525191829182611ca2565b60051914611324575b5050506112fa565b825461ffff60501b191660509290921b60ff60501b169190911760589190911b60ff60581b1617905582808061131c565b603290634e487b7160e01b5f525260245ffd5b508460ff8416106112a5565b602185634e487b7160e01b5f525260245ffd5b602186634e487b7160e01b5f525260245ffd5b508234610036575f36600319011261003657601454336001600160a01b0391821614159081611484575b50611476576013549060ff8260301c166005811015611463576001036114555750606461ffff600b5460081c16106100365760ff60301b1916600160311b176013555f80516020615e86833981519152906020906114206136e2565b6114286137eb565b51337faaa10238f5aee7c565b8eb5261a53255b61e54b54b0818fe5c3e8f281adb2bb65f80a260028152a1005b825163067fe19560e41b8152fd5b602182634e487b7160e01b5f525260245ffd5b905163abca351760e01b8152fd5b905060155416331415836113c4565b5034610036575f366003190112610036576114ac6139f7565b335f526018602052805f20908154918215610036575f90555f80808085335af16114d4612027565b501561003657515f80516020615ea68339815191529181906114f7903383612056565b0390a16001600c55005b5034610036575f3660031901126100365760609061151d611f7a565b90839293519384526020840152151590820152f35b5034610036575f3660031901126100365760165490516001600160a01b039091168152602090f35b5034610036575f36600319011261003657600f5490516001600160a01b039091168152602090f35b5034610036575f366003190112610036576020905161c4e08152f35b5034610036575f36600319011261003657602090600d549051908152f35b838234610036575f366003190112610036576014546001600160a01b0390811633811415806116a7575b611698576013549160ff8360301c166005811015611387576001036116885790611614916016541614613618565b5f526009602052600360ff835f205416106100365760ff60301b1916600160311b176013555f80516020615e86833981519152906020906116536136e2565b61165b6137eb565b51337fd0f4810f2b48eb69de0cbc8c361bea8bb4b4cbf14c8da5fdac4cdd95d3896ac55f80a260028152a1005b5050505163067fe19560e41b8152fd5b50505163abca351760e01b8152fd5b5081601554163314156115e6565b5034610036575f3660031901126100365760209065ffffffffffff601354169051908152f35b8382610120366003190112610036576116f2611cce565b9060249260443590600391600381101561003657606435946002861015610036576001600160a01b0360a435818116939192908490036100365760c435968388168098036100365760e43594848616809603610036576101043599858b16809b036100365760139182549560ff9c8d8860601c166100365760ff60601b19909716600160601b1784555f80546001600160401b031990811667fcfefdfafbfdfefc1782558f9d8f9d919c919b919a99929091908e5b60089081818416101561180b57508110156117f957918e9a99979593918b60018f95829c9a98968160051c8301908460f8848454931b161b90811916179055011691939597995091939597999a6117a7565b8f60328d634e487b7160e01b5f52525ffd5b9e905067040203060503020491509c9b9a9c60075416176007555f9d8e5b600891829116101561187d578e101561186b57600660058f901c0180548f8d1b60f8168f811b1990911660019182901b179091559d909d018c169c8c8e611829565b8e60328b634e487b7160e01b5f52525ffd5b5060019a508c979899508b60089a630400040760401b6bffffffff0000ffffffffffff19600854161760085516918b8060a01b03199280846014541617601455836016541617601655602435600d5587549660ff60381b9060381b16958660ff60381b198916178955608435600e5580611a75575b5080611a66575b5080611a57575b5081611a48575b505080611a125750505061012c65ffffffffffff198254161790555b6008548251906020820192835f80915b8883106119f6575050506119ea9495508660f81b61082084015260f8908083161515821b610821850152808360081c161515821b610822850152808360101c161515821b610823850152808360181c161515821b610824850152808360281c161515821b6108258501528260201c161515901b61082683015260ff60f81b9060c81b1661082782015261080881526119ca81611dae565b51902091825f5260096020525f209160ff19928484825416179055611ec3565b600b541617600b555f80f35b8961010082611a06839486611e08565b01920192019190611933565b8703611a30575050805465ffffffffffff1916610834179055611923565b61c4e09167ff00ffffffffffff191617179055611923565b60125416176012558880611907565b8160115416176011558a611900565b8260105416176010558b6118f9565b83600f541617600f558c6118f2565b5034610036575f366003190112610036578051611aa081611d92565b5f5b6101009081811015611ac9578351602092611abc82611d92565b3682378184015201611aa2565b83611ad2611e5d565b9051905f825b600880831015611b205783515f90835b838310611b075750505050602061010060019201930191019091611ad8565b60019082515f0b81526020809101920192019190611ae8565b61080085f35b5034610036575f366003190112610036576013548151911c60ff1615158152602090f35b838234610036575f36600319011261003657611b64611e5d565b8151639ef3eb8760e01b8152925f919084015b600880841015611bbf5782515f90835b838310611ba65750505050602061010060019201920192019190611b77565b60019082515f0b81526020809101920192019190611b87565b85855f826108048173__ChessMediaLibrary_____________________5af4908115611c78575f91611bfb575b61098b92505191829182611ca2565b90503d805f843e611c0c8184611de5565b820191602081840312610036578051906001600160401b03821161003657019180601f8401121561003657825192611c4384611ea8565b91611c5084519384611de5565b848352602085830101116100365761098b93611c729160208085019101611c81565b90611bec565b513d5f823e3d90fd5b5f5b838110611c925750505f910152565b8181015183820152602001611c83565b60409160208252611cc28151809281602086015260208686019101611c81565b601f01601f1916010190565b600435906001600160a01b038216820361003657565b6004359060ff8216820361003657565b6024359060ff8216820361003657565b6044359060ff8216820361003657565b6064359060ff8216820361003657565b9190916008831015611d3d57601f908360051c01921690565b634e487b7160e01b5f52603260045260245ffd5b6001600160a01b0391821681529116602082015260400190565b6001600160401b038111611d7e57604052565b634e487b7160e01b5f52604160045260245ffd5b61010081019081106001600160401b03821117611d7e57604052565b61084081019081106001600160401b03821117611d7e57604052565b602081019081106001600160401b03821117611d7e57604052565b601f909101601f19168101906001600160401b03821190821017611d7e57604052565b60e09054805f0b83528060081c5f0b60208401528060101c5f0b60408401528060181c5f0b60608401528060201c5f0b60808401528060281c5f0b60a08401528060301c5f0b60c084015260381c5f0b910152565b60409060405191611e6d83611d92565b5f80845b60088310611e7f5750505050565b6001602081928651611e918187611e08565b611e9a81611d92565b815201920192019190611e71565b6001600160401b038111611d7e57601f01601f191660200190565b600a54600160401b811015611d7e576001810180600a55811015611d3d57600a5f527fc65a7bb8d6351c1cf70c95a316cc6a92839c986682d98bc35f958f4883f9d2a80155565b6005811015611f32576013805460ff60301b191660309290921b60ff60301b16919091179055565b634e487b7160e01b5f52602160045260245ffd5b919060208301926005821015611f325752565b91908203918211611f6657565b634e487b7160e01b5f52601160045260245ffd5b60018060a01b0380601654169060145416149060135460ff8160301c166005811015611f3257600103612020578215611fe65765ffffffffffff611fc58160125460a01c1643611f59565b911690818110611fd85750505f5b915f91565b611fe191611f59565b611fd3565b65ffffffffffff611fff60129493945460d01c43611f59565b9116908181106120125750505f5b905f92565b61201b91611f59565b61200d565b505f918291565b3d15612051573d9061203882611ea8565b916120466040519384611de5565b82523d5f602084013e565b606090565b6001600160a01b039091168152602081019190915260400190565b9063ff00000080198354169160181b16179055565b9060ff60281b198254169060ff60281b9060281b16179055565b919060ff83549160031b928116831b921b1916179055565b5f0b607f198114611f66575f0390565b51906001600160a01b038216820361003657565b6010546001600160a01b0316801561228a57600e5460408051638110502f60e01b81526004808201849052919392602092918381602481885afa908115612280575f91612253575b5080156121de5785519063e3a96cbd60e01b825283820152610100908181602481895afa918215612249575f926121e9575b5050600681101561101c578281146121de576001146121785750505050505f90565b60248392865195869384926306b4e4e760e21b84528301525afa928315611c7857505f926121a7575b50501590565b90809250813d83116121d7575b6121be8183611de5565b8101031261003657518015158103610036575f806121a1565b503d6121b4565b505050505050600190565b90809250813d8311612242575b6122008183611de5565b81010312610036576122138482016120c8565b5061221f8682016120c8565b5060608101519060068210156100365760c0849101511015610036575f80612156565b503d6121f6565b87513d5f823e3d90fd5b90508381813d8311612279575b61226a8183611de5565b8101031261003657515f612124565b503d612260565b86513d5f823e3d90fd5b50600190565b905f0b905f0b0290815f0b918203611f6657565b5f91820b910b0390607f198212607f831317611f6657565b92909192600860ff82161080612d96575b80612d89575b80612d7c575b156100365760ff60135460301c166005811015611f325760018114908115612d73575b5015610036576017546001600160a01b038116612d60575b5061232182858584613c40565b156100365761233282858584613db5565b60ff60135460381c166002811015611f3257600114612d56575b6008821015611d3d5761235f8483611d24565b9054915f966008811015611d3d57808761237a888094611d24565b90549060031b1c5f0b9661239f6123918585611d24565b898960031b1c5f0b916120a0565b5f6123bc6123ad8484611d24565b60ff82549160031b1b19169055565b600660ff6123d08a8a60031b1c5f0b613f5f565b1614612cef575b5f600160ff6123ec8b8b60031b1c5f0b613f5f565b1614612a99575b15612a81575b60ff61240b898960031b1c5f0b613f5f565b1660061461298c575b508a600660ff61242a8a8a60031b1c5f0b613f5f565b16148061296b575b600160ff6124468b8b60031b1c5f0b613f5f565b16149182612944575b508161293b575b8115612930578c898960031b1c5f0b135f14612925578c61247c5f195b985b88886146cd565b9990928361249260ff60135460301c169c611f0a565b61290d575b86600160a01b60019003601654169a600160a01b60019003601454168c145f145f80516020615ee68339815191529b60ff6101609c5f80516020615ec683398151915260e08397849661290457846001915b604051928c0b835216602082015284841660408201528486166060820152848816608082015260c060a08201528960c0820152a1816040519d168d521660208c01521660408a01521660608801528c8c60031b1c5f0b60808801520b60a0860152600560c0860152151560e0850152151561010084015215156101208301521515610140820152a260ff60135460301c169060058110156128f05760058210156128f057810361285b575b5060165460145460019360ff936125e293919290916001600160a01b0391821691160361283457601254858060d01b03194360d01b1690868060d01b0316176012555b60031b1c5f0b613f5f565b16149290158015928492826127e3575b50505091156127db575b50156127985762ffff0019600b5416600b555b609661ffff600b5460081c161015612741576016546014546001600160a01b03908116908216810361273b576015546001600160a01b03165b6001600160a01b03166001600160a01b03198316811760165560135460ff60309190911c16600581101561272757600114612684575b50505050565b8361269193161714613618565b808252600960205260ff60408320541615612719575b808252600960205260408220805460ff811660ff811461270557926040926001959260ff95868019988992011691161790558152600960205220541690600b5460ff811683116126f8575b8061267e565b1617600b555f80806126f2565b634e487b7160e01b85526011600452602485fd5b61272281611ec3565b6126a7565b634e487b7160e01b85526021600452602485fd5b80612648565b506013805460ff60301b1916600160311b17905561275d6136e2565b6127656137eb565b61276d613b1b565b5f80516020615e8683398151915261279360ff60135460301c1660405191829182611f46565b0390a1565b600b5461ffff808260081c169081146127c757600162ffff00910160081b169062ffff00191617600b5561260f565b634e487b7160e01b83526011600452602483fd5b90505f6125fc565b929350909183612808575b505081612800575b50815f80806125f2565b90505f6127f6565b600192935061282560ff92838061282a9416890b9116880b6122a4565b613f5f565b1614905f806127ee565b6012805465ffffffffffff60a01b19164360a01b65ffffffffffff60a01b161790556125d7565b5f80516020615e86833981519152604051806128778482611f46565b0390a160038114908782156128e3575b82156128bd575b505060019260ff926125e2926128a8575b92509250612594565b6128b06136e2565b6128b86137eb565b61289f565b9091506128cf576002148260ff61288e565b634e487b7160e01b87526021600452602487fd5b5060048114915087612887565b634e487b7160e01b88526021600452602488fd5b845f19916124e9565b6013805460ff60701b1916600160701b179055612497565b8c61247c6001612473565b8c61247c8b98612475565b89159150612456565b600191925061296261282560ff92838816810b90848b16900b6122a4565b1614908c61244f565b50600260ff612985612825828716850b838a16860b6122a4565b1614612432565b6016546014546001600160a01b03908116911603612a6957600160ff1960085416176008555b8b600260ff6129ce612825828a169485848a16820b910b6122a4565b16146129db575b50612414565b9394919390929060068103612a2c57505050612a1857908782612a0589945460381c8c0b82612086565b805460ff60381b191681555b5f806129d5565b634e487b7160e01b89526032600452602489fd5b91949390929091600214612a41575b50612a11565b9150919250612a1857908782612a5b8994548c0b82612071565b805460ff191681555f612a3b565b630100000063ff0000001960085416176008556129b2565b6008805460ff60301b191660ff60301b1790556123f9565b919394612ab761282560ff92838060019698165f0b91165f0b6122a4565b161480612ce7575b612c43575b6001878760031b1c5f0b1490818092612c36575b80612c29575b15612bc357506008805461ffff60301b191660308b901b60ff60301b1617603886901b60ff60381b161790556001905b80612bb8575b5f19888860031b1c5f0b1480612bab575b81908215612ba3575b50612b40575b509189918994936123f3565b909a9015612b79575087929189915f9b612b5a8686611d24565b81549060031b9060ff6005831b921b19161790555b9193945091612b34565b999189918493612b8a8b8097611d24565b81549060031b9060ff60fb831b921b1916179055612b6f565b90505f612b2e565b50600760ff861614612b25565b5060ff841615612b14565b905f19888860031b1c5f0b1480612c1c575b80612c0f575b15612b0e576008805461ffff60301b191660308c901b60ff60301b1617603887901b60ff60381b1617905560019150612b0e565b50600360ff861614612bdb565b50600160ff851614612bd5565b50600460ff861614612ade565b50600660ff851614612ad8565b816001888860031b1c5f0b1480612cd2575b80612cc5575b15612c7657611d3d57612c716123ad8a85611d24565b612ac4565b505f19878760031b1c5f0b1480612cb0575b80612ca3575b15612ac4575f9150612c716123ad8a85611d24565b50600460ff841614612c8e565b5060ff89165f0b60085460301c5f0b14612c88565b50600360ff851614612c5b565b5060ff8a165f0b60085460301c5f0b14612c55565b508715612abf565b6006888860031b1c5f0b145f14612d2b576008805461ffff60401b1916604086901b60ff60401b1617604887901b60ff60481b161790556123d7565b6008805461ffff60501b1916605086901b60ff60501b1617605887901b60ff60581b161790556123d7565b801561234c575f80fd5b6001600160a01b0319166017555f612314565b9050155f6122fc565b50600860ff8316106122d9565b50600860ff8516106122d3565b50600860ff8416106122cd565b9390929193600860ff82161080613591575b80613584575b80613577575b156100365760ff60135460301c166005811015611f32576001811490811561356e575b5015610036576017546001600160a01b03811661355b575b50612e0983868684613c40565b1561003657612e1a83868684613db5565b9160ff60135460381c166002811015611f3257600114613551575b6008821015611d3d57612e488583611d24565b919054925f976008811015611d3d5780888a612e658a8095611d24565b90549060031b1c5f0b98612e8a612e7c8686611d24565b8b8b60031b1c5f0b916120a0565b5f612e986123ad8589611d24565b600660ff612eac8c8c60031b1c5f0b613f5f565b16146134ea575b5f600160ff612ec88d8d60031b1c5f0b613f5f565b1614613262575b1561324a575b60ff612ee78b8b60031b1c5f0b613f5f565b16600614613158575b50600660ff612f058b8b60031b1c5f0b613f5f565b16149081613135575b600160ff612f228c8c60031b1c5f0b613f5f565b1614928361310e575b5082613105575b82156130fa578d8a8a60031b1c5f0b135f146130ef578d612f575f195b9288886146cd565b9a9192909384612f6f60ff60135460301c169d611f0a565b6130d7575b600160a01b60019003601654169a600160a01b60019003601454168c145f149a60ff6101609b81809c5f80516020615ee68339815191529f9582966130c0575f80516020615ec683398151915260e060015b604051908c0b8152858416602082015285851660408201528587166060820152858916608082015260c060a08201528b60c0820152a16040519e8f911690521660208d01521660408b01521660608901528d8d60031b1c5f0b6080890152810b60a08801520b60c0860152151560e0850152151561010084015215156101208301521515610140820152a260ff60135460301c169060058110156128f05760058210156128f057810361285b575060165460145460019360ff936125e293919290916001600160a01b0391821691160361283457601254858060d01b03194360d01b1690868060d01b03161760125560031b1c5f0b613f5f565b5f80516020615ec683398151915260e05f19612fc6565b6013805460ff60701b1916600160701b179055612f74565b8d612f576001612f4f565b8d612f578c92612475565b8a159250612f32565b600191935061312c61282560ff92838816810b90848b16900b6122a4565b1614918d612f2b565b9050600260ff613150612825828716860b838a16870b6122a4565b161490612f0e565b6016546014546001600160a01b0390811691160361323257600160ff1960085416176008555b600260ff613197612825828816870b838b16880b6122a4565b1603612ef0579290939491600660ff8416145f146131f1575050506131dd5790888a89936131cb865460381c830b87612086565b855460ff60381b191686555b5f612ef0565b634e487b7160e01b8a52603260045260248afd5b9194939092600260ff871614613208575b506131d7565b9250929350506131dd5790888a89936132248654830b87612071565b855460ff191686555f613202565b630100000063ff00000019600854161760085561317e565b6008805460ff60301b191660ff60301b179055612ed5565b925092613281612825600193969760ff808095165f0b91165f0b6122a4565b1614806134e2575b61343e575b6001888860031b1c5f0b1490818092613431575b80613424575b156133be57506008805461ffff60301b191660308c901b60ff60301b1617603886901b60ff60381b161790556001905b806133b3575b5f19898960031b1c5f0b14806133a6575b8190821561339e575b5061330b575b508993928b928d92612ecf565b865f9d9294939d0b60058114908115613393575b8115613388575b811561337d575b5015610036571561335b57508892918a915f9c8d92613350896112c48989611d24565b9250925092936132fe565b8a91819c8b959461337861336e8a6120b8565b6112c48989611d24565b613350565b60029150145f61332d565b600381149150613326565b60048114915061331f565b90505f6132f8565b50600760ff8616146132ef565b5060ff8416156132de565b905f19898960031b1c5f0b1480613417575b8061340a575b156132d8576008805461ffff60301b191660308d901b60ff60301b1617603887901b60ff60381b16179055600191506132d8565b50600360ff8616146133d6565b50600160ff8716146133d0565b50600460ff8616146132a8565b50600660ff8716146132a2565b816001898960031b1c5f0b14806134cd575b806134c0575b1561347157611d3d5761346c6123ad8b87611d24565b61328e565b505f19888860031b1c5f0b14806134ab575b8061349e575b1561328e575f915061346c6123ad8b87611d24565b50600460ff861614613489565b5060ff8a165f0b60085460301c5f0b14613483565b50600360ff871614613456565b5060ff8b165f0b60085460301c5f0b14613450565b508815613289565b60068a8a60031b1c5f0b145f14613526576008805461ffff60401b1916604087901b60ff60401b1617604888901b60ff60481b16179055612eb3565b6008805461ffff60501b1916605087901b60ff60501b1617605888901b60ff60581b16179055612eb3565b8215612e35575f80fd5b6001600160a01b0319166017555f612dfc565b9050155f612de4565b50600860ff841610612dc1565b50600860ff861610612dbb565b50600860ff851610612db5565b60ff60135460301c166005811015611f3257801561228a57600181146135ea57600281146135e457600381146135de576004146135d9575f90565b600590565b50600490565b50600390565b50600290565b9081526001600160a01b03918216602082015291166040820152606081019190915260800190565b600880546040516020810193909260ff905f80875b8383106136c5575050505060f8911515821b6108208501528083161515821b610821850152808360081c161515821b610822850152808360101c161515821b610823850152808360181c161515821b610824850152808360281c161515821b6108258501528260201c161515901b61082683015260ff60f81b9060c81b1661082782015261080881526136bf81611dae565b51902090565b6001610100826136d6839486611e08565b0192019201919061362d565b6010546001600160a01b0390811680151580613790575b80613783575b613707575050565b600e54908260145416926015541690600d5493813b15610036575f80946137446040519788968795869463b619984360e01b8652600486016135f0565b03925af1801561377857613769575b506013805460ff60481b1916600160481b179055565b61377290611d6b565b5f613753565b6040513d5f823e3d90fd5b50816015541615156136ff565b5060ff60135460481c16156136f9565b6001600160a01b0391821681529116602082015290151560408201529015156060820152901515608082015260a081019190915290151560c082015290151560e08201526101000190565b6012546001600160a01b0391905f908316801580156139e8575b80156139dc575b6139d657600160681b60ff60681b1960135416179384601355600a549060ff90818760301c16936005851015611f3257600360028614951497826014541691836015541692858360701c1692836139ce575b86808260781c1691826139c5575b826139bc575b60801c1691826139b3575b826139aa575b833b156100365789928d928a604051978896879663145c79e760e21b9b8c895260048901976138b1986137a0565b03815a5f948591f1801561377857613997575b508160125416928260155416926014541694891580978161398e575b60135493808560701c169283613986575b508261397d575b808560781c169485613975575b60801c169b8c61396d575b50863b15613969579261393b928a9b9c928b9a9b96956040519c8d9b8c9a8b998a5260048a016137a0565b03925af1801561395e5761394d575050565b6139578291611d6b565b610a9d5750565b6040513d84823e3d90fd5b8980fd5b9b505f613910565b8d9550613905565b811592506138f8565b92505f6138f1565b801598506138e0565b6139a2919650611d6b565b5f945f6138c4565b89159250613883565b8c15925061387d565b8a159250613872565b8d15925061386c565b8b935061385e565b50509050565b5083601554161561380c565b5060ff60135460681c16613805565b6002600c5414613a08576002600c55565b604051633ee5aeb560e01b8152600490fd5b9081526001600160a01b03909116602082015260400190565b600f545f906001600160a01b039081169081151580613ae8575b613a5657505050565b600e5491816014541690803b1561003657613a8d5f92918392604051948580948193630bbaa9c160e31b9a8b845260048401613a1a565b03925af1801561377857613ad5575b5080600f541690600e54906015541692823b15610bd0579161393b939185809460405196879586948593845260048401613a1a565b5050565b613ae0919350611d6b565b5f915f613a9c565b5060ff60135460401c16613a4d565b6001600160a01b0391821681529116602082015260ff909116604082015260600190565b6011546001600160a01b0390811680151580613c30575b80613c23575b613b40575050565b6013805460ff60501b1916600160501b179081905560301c60ff166005811015611f325760028103613c0357505f905b8260145416836015541690823b1561003657613ba8925f9283869360405196879586948593634ff08ec160e11b855260048501613af7565b03925af19081613bf4575b50613ad157816127937f9b0f262a0414bc4002cc2e79d18d262c942e58d27d74e2fae9fcfb54618a2d1e936014541691601554169260405193849384613af7565b613bfd90611d6b565b5f613bb3565b60038103613c145750600190613b70565b600403613ad157600290613b70565b5081601554161515613b38565b5060ff60135460501c1615613b32565b92613c4d91928385613f7d565b15613daf5760089182811015611d3d5780613c6a83600493611d24565b9290613c8160ff948592549060031b1c5f0b613f5f565b1614613c91575b50505050600190565b8116600781148080613da5575b80613d98575b15613cc4575050505061010061ff00198254161790555b5f808080613c88565b80613d8c575b80613d7e575b15613cec575050506201000062ff000019825416179055613cbb565b15918280613d72575b80613d64575b15613d1a575050815460ff60201b1916600160201b1790915550613cbb565b82613d59575b5081613d4a575b50613d33575b50613cbb565b805460ff60281b1916600160281b1790555f613d2d565b9050815460281c16155f613d27565b81161591505f613d20565b5081845460201c1615613cfb565b50600782821614613cf5565b5081845460101c1615613cd0565b50600782841614613cca565b50828554861c1615613ca4565b5082841615613c9e565b50505f90565b93909260089283861015611d3d57613dcd8587611d24565b95905460039660031b1c5f0b965f88135f14613f585760015b60ff9860068a613df583613f5f565b1603613f265760068a613e088793613f5f565b1603613f005785915b5f995b8b8b1699808b1015613eef575f5b8d80821683811015613edd578d828c16149081613ed1575b50613ec55750818d1015611d3d57808a8f8f938a8a8a8f948f94905f613e748d8f94613e66908e611d24565b9054911b1c820b9384612290565b810b1215613eb0575087613e88989961429a565b613e9d578d6001819201169b5b9b9050613e22565b5050505050505050505092505050600190565b9850505050505050506001829101169b613e95565b6001819201169b613e95565b9050818c16145f613e3a565b50929c90506001919b50011699613e14565b505050505050505050925050505f90565b6001825f0b145f14613f1a5789885460481c165b91613e11565b89885460581c16613f14565b6001825f0b145f14613f465760068a613e08818b5460401c165b93613f5f565b60068a613e08818b5460501c16613f40565b5f19613de6565b5f81810b12613f6e5760ff1690565b613f77906120b8565b60ff1690565b9260089283851015611d3d57613f938386611d24565b90549060031b1c5f0b9284821015611d3d57613faf8383611d24565b90549060031b1c5f0b9460ff9081851690828416600284613fd7612825845f0b875f0b6122a4565b16148061426e575b6140cf57505050851580156140bb575b613fff575b505050505050505f90565b60018161400b87613f5f565b160361401e575061401b95614ac9565b90565b60028161402a87613f5f565b160361403a575061401b95614a1a565b60038161404687613f5f565b1603614056575061401b956149d4565b60048161406287613f5f565b1603614072575061401b956149a1565b60058161407e87613f5f565b160361408e575061401b956148fc565b60069061409a86613f5f565b16146140b2575050505050505f808080808080613ff4565b61401b9561487f565b505f6140c78787612290565b810b12613fef565b9294509295600691959750145f146141b35760078388161490816141a8575b508061419d575b614104575b5050505050505f90565b8554826141158260381c5f0b613f5f565b1660041480614193575b80614185575b6141785761413583915f0b613f5f565b16600414928361416d575b508261415e575b5050614155578080806140fa565b61401b926147bb565b8054901c161590505f80614147565b60021492505f614140565b5050505061401b926147bb565b5082825460101c1615614125565b506006841461411f565b5081815416156140f5565b60049150145f6140ee565b828716159081614263575b5080614255575b6141d3575050505050505f90565b8554826141e48260381c5f0b613f5f565b166004148061424b575b8061423d575b6141785761420483915f0b613f5f565b166004149283614232575b5082614223575050614155578080806140fa565b5460281c161590505f80614147565b60021492505f61420f565b5082825460201c16156141f4565b50600684146141ee565b5081815460181c16156141c5565b60049150145f6141be565b5060068461427b8a613f5f565b1614613fdf565b905f0b905f0b0190607f198212607f831317611f6657565b91979096959392949660ff96876142b08b613f5f565b169660019a8b89146146625750600288146145e15760068814614587578880911694165f0b9688806142e48a885f0b6122a4565b971693165f0b916142f783855f0b6122a4565b9761430188613f5f565b948b8061430d8c613f5f565b16961698868a14908161457d575b5f0b90811597889b8915614571575b89614550575b50506003976003871480614548575b61453357600496600481148061452b575b61451557600514918261450c575b5081614503575b506144f0578e99156144d2575061439c5f9b8c9b5b5f0b806144ac57508d6143955f9d908e92918e9a9594614282565b1692614282565b8d16955b6143b6575b505050505050505050505050505090565b8c81168d838b83149182159261449f575b505015614499578c8f918f9293838f951682148061448c575b1561440c575b506144039392916143f8915f0b614282565b811697165f0b614282565b8c1694896143a0565b93509b505084168a14908161447e575b8115614446575b5061443457898c8f9a8d905f6143e6565b50505050505050505050505050505f90565b9050600881101561446b578561445b91611d24565b905490871b1c5f0b15155f614423565b603285634e487b7160e01b5f525260245ffd5b868e16898f1614915061441c565b50838716848b16146143e0565b506143a5565b891614159050838f6143c7565b5f12156144c7578d6143958c5b9d908e92918e9a9594614282565b8d6143955f196144b9565b5f12156144e65761439c895b9b8c9b61437a565b61439c5f196144de565b5050505050505050505050505050505f90565b9050155f614365565b1591505f61435e565b5050505050505050505050505050505050505f90565b508115614350565b50505050505050505050505050505050505f90565b50811561433f565b909198501590811591614567575b50965f80614330565b905015155f61455e565b98508c5f0b159861432a565b8a1515915061431b565b919998505086808095975089965061282593506145aa94165f0b91165f0b6122a4565b16111593846145bb575b5050505090565b82806145d5949596506128259392165f0b91165f0b6122a4565b1611155f8080806145b4565b88975087935083929950614619965061460c91506128259083806128259897165f0b91165f0b6122a4565b97165f0b91165f0b6122a4565b921692600284149384614656575b8415614634575050505090565b1492509082614649575b50505f8080806145b4565b6002925016145f8061463e565b83831682149450614627565b929a995094965093945086935061468c9291505f90810b13156146c557825f19915b165f0b614282565b5f0b91165f0b1493846146a0575050505090565b82806146ba949596506128259392165f0b91165f0b6122a4565b16145f8080806145b4565b828791614684565b9160ff60135460381c166002811015611f325715908161478d575b50614761576146f5614d63565b61474857614701614e0b565b61472557505061470f614ede565b1561471e5760025b5f915f9190565b6001614717565b61472e91614ec7565b908115614740576004905b8215929190565b600190614739565b61475191614e9a565b9081156147405781159190600390565b50506016546014546001600160a01b039081169116036147865760045b5f9160019190565b600361477e565b90505f6146e8565b60ff60019116019060ff8211611f6657565b9060ff8091169116019060ff8211611f6657565b919060ff808316918160ff8216918483105f14614877578481935b111561486a57916147e79150614795565b8282168382161061484057505050600214614825575b6008821015611d3d5761480f91611d24565b90549060031b1c5f0b61482157600190565b5f90565b6008821015611d3d57815460081c5f0b156147fd5750505f90565b6008861015611d3d576148538187611d24565b90549060031b1c5f0b6140fa5760010182166147e7565b5084916147e79150614795565b8486936147d6565b6148b8612825600193956148ab956128259499989960ff978896879384808095165f0b91165f0b6122a4565b98165f0b91165f0b6122a4565b9316111591826148ee575b50506148cf5750505f90565b5f916148da91612290565b810b13156148e9575f80613daf565b600190565b600192501611155f806148c3565b92919094939460ff8083168186169161491c612825845f0b845f0b6122a4565b91818716928286169280614937612825865f0b885f0b6122a4565b16911614938415614997575b5050821561498d575b505061495c575050505050505f90565b61496593615017565b614973575b808080806140fa565b5f9161497e91612290565b810b13156148e9575f8061496a565b1490505f8061494c565b1492505f80614943565b92919094939460ff821660ff85161480156149c5575b61495c575050505050505f90565b5060ff831660ff8216146149b7565b92919094939460ff6149f16128258287165f0b8386165f0b6122a4565b9080614a086128258286165f0b8389165f0b6122a4565b1691161461495c575050505050505f90565b612825614a44946128259394614a519398979860ff978896879384808095165f0b91165f0b6122a4565b96165f0b91165f0b6122a4565b911691600183149283614a96575b8315614a73575b5050506148cf5750505f90565b60021492509082614a89575b50505f8080614a66565b6001925016145f80614a7f565b8282166002149350614a5f565b60ff5f199116019060ff8211611f6657565b9060ff8091169116039060ff8211611f6657565b909291939460ff8080941694169380851480614d59575b614cbc575b5f0b935f0b936001968785614afd61282589866122a4565b1614614c3c575b600854958660301c5f0b9389875f8712159384614c1f575b50505081614c14575b50614b37575b50505050505050505f90565b5f0b87811480614bff575b80614bf3575b80614bea575b80614bda575b15614b63575050505050505090565b5f19149586614bc1575b5085614bb4575b85614baa575b505083614b97575b50505061401b57505f80808080808080614b2b565b81929350169160381c16145f8080614b82565b1493505f80614b7a565b8284166004149550614b74565b9095508380614bcf85614795565b16911614945f614b6d565b50848416858760381c1614614b54565b50828214614b4e565b50600385851614614b48565b5084614c0a85614aa3565b1685881614614b42565b90505f0b155f614b25565b614c31919293945061282590876122a4565b16149089875f614b1c565b805f0b88811480614ca7575b80614c9c575b15614c5e57505050505050505090565b5f191480614c87575b80614c7c575b15614b04575050505050505090565b505f83810b13614c6d565b5084614c9285614795565b1685881614614c67565b505f84810b12614c4e565b5085614cb286614aa3565b1686891614614c48565b5f87900b19614d105783614ccf84614795565b16848716908114908115614cf0575b5015614ae55750505050505050600190565b848616600114915081614d05575b505f614cde565b60039150145f614cfe565b83614d1a84614aa3565b16848716908114908115614d3a575015614ae55750505050505050600190565b848616600614915081614d4e57505f614cde565b60049150145f614cfe565b50815f0b15614ae0565b600880549060ff9182808260501c169160581c165f5b8385821610614d8b5750505050505f90565b5f5b8486821610614da157506001018416614d79565b848295969794921015611d3d57614db88186611d24565b90549060031b1c5f0b5f0390815f0b918203611f66575f889212614de6575b60010116949390929594614d8d565b9050614df483838388613f7d565b614dff578690614dd7565b50505092505050600190565b600880549060ff9182808260401c169160481c165f5b8385821610614e335750505050505f90565b5f5b8486821610614e4957506001018416614e21565b848295969794921015611d3d57805f614e63899388611d24565b90549060031b1c810b12614e81575b60010116949390929594614e35565b9050614e8f83838388613f7d565b614dff578690614e72565b90614ea361520a565b613daf57614eb1818361534f565b613daf57614ebe91615515565b61482157600190565b90614ed06152b1565b613daf57614eb18183615446565b6016546014546001600160a01b0390811691160361500f576001905b5f5b60089060ff91808383161015615006575f5b8184821610614f2257505060010116614efc565b8183949692959310159081611d3d578691835f614f52614f42858a611d24565b939054600394851b1c830b612290565b810b13614f6b575b505060010116919390949291614f0e565b5f5b8885821610614f7c5750614f5a565b5f5b8986821610614f9257506001018416614f6d565b90919293945088821015611d3d5783614fab8284611d24565b905490851b1c5f0b90611d3d57614fc2868a611d24565b905490851b1c5f0b141580614ff4575b614fe6579089600181969594930116614f7e565b505050505050925050505f90565b506150018183878b613f7d565b614fd2565b50600193505050565b5f1990614efa565b909260ff93848316928585168481119582875f146151ea5761503891614ab5565b905b87841688861691898083851198888a5f146151db5761505891614ab5565b169416978489145f146150ec57505050505060019460015b8588821610615086575050505050505050600190565b81156150dd5761509681846147a7565b85156150ce576150a682866147a7565b6008821015611d3d576150b891611d24565b90549060031b1c5f0b614b2b5786018716615070565b6150d88286614ab5565b6150a6565b6150e78184614ab5565b615096565b98949698979397145f14615161575050505060019360015b84878216106151195750505050505050600190565b81156151525761512981846147a7565b6008851015611d3d5761513c9085611d24565b90549060031b1c5f0b613ff45785018616615104565b61515c8184614ab5565b615129565b929650909450919291036151d25760019360015b848782161061518a5750505050505050600190565b81156151c35761519a81846147a7565b6008811015611d3d57846151ad91611d24565b90549060031b1c5f0b613ff45785018616615175565b6151cd8184614ab5565b61519a565b50505050505f90565b906151e591614ab5565b615058565b906151f491614ab5565b9061503a565b5f0b607f8114611f665760010190565b60085460ff808260501c169160581c165f195b805f0b60018082136151d2575f199115815b615245575b505050615240906151fa565b61521d565b825f9692949593960b8481136152a45781908161529b575b506152905761526e8686858561579d565b6152875761527d8495966151fa565b929491959361522f565b50505091505090565b61527d8495966151fa565b9050155f61525d565b5081955082949350615234565b60085460ff808260401c169160481c165f195b805f0b60018082136151d2575f199115815b6152ec575b5050506152e7906151fa565b6152c4565b825f9692949593960b84811361534257819081615339575b5061532e576153158686858561587e565b615287576153248495966151fa565b92949195936152d6565b6153248495966151fa565b9050155f615304565b50819550829493506152db565b915f915b60ff936008938086168581101561543b575f5b878116878110156154295787841015611d3d5788906153858386611d24565b919054600392831b1c5f0b159182156153fc575b5081156153dc575b506153d157506153b385858386613f7d565b6153c4576001018716955b95615366565b5050505050915050600190565b9060010116956153be565b86831685149150816153f0575b505f6153a1565b9050818716145f6153e9565b9150915061540a8386611d24565b9054911b1c5f0b5f0390815f0b918203611f66575f8a9212905f615399565b50505060019195929450011691615353565b505050509150505f90565b915f915b60ff936008938086168581101561543b575f5b878116878110156155035787841015611d3d57889061547c8386611d24565b919054600392831b1c5f0b159182156154e6575b5081156154c6575b506154bb57506154aa85858386613f7d565b6153c4576001018716955b9561545d565b9060010116956154b5565b86831685149150816154da575b505f615498565b9050818716145f6154d3565b5f9192506154f48588611d24565b9054911b1c810b12905f615490565b5050506001919592945001169161544a565b60089182821015611d3d578161552e8261557d94611d24565b94905460039560031b1c5f0b915f83135f14615795575f19915b60019283815f0b1491825f146157875760ff815460401c16925b1561577757600260ff825460481c16965b60ff998a91613f5f565b161461576a57878086941694165f0b96888061559b8a885f0b6122a4565b981691165f0b906155ae82825f0b6122a4565b975f0b8061574c57506155e25f998a995b5f0b8061572757506155da5f9a8b9298969798959495614282565b8c1692614282565b8a16925b6155fa575b50505050505050505050505f90565b8981169086821480159061571b575b15615715578a8a8997969594938b935f5b888582161061564e575050615641939291615636915f0b614282565b811694165f0b614282565b8a169293949190916155e6565b919596979899925093505f5b8884821610615676575001168a8997969594938b938e9361561a565b9150915086821015611d3d578c8a8f61568f8486611d24565b9054911b1c5f0b8281159182156156fe575b82156156e8575b50506156df5750506156bc86848385613f7d565b6156ce5789018c165b8c918a9161565a565b505050505050505050935050505090565b909101166156c5565b600692506156f590613f5f565b1614825f6156a8565b91505f61570b8d84612290565b810b1315916156a1565b506155eb565b50828b85161415615609565b5f1215615742576155da875b9a8b9298969798959495614282565b6155da5f19615733565b5f1215615760576155e2855b998a996155bf565b6155e25f19615758565b5050505050505050505f90565b600260ff825460581c1696615573565b60ff815460501c1692615562565b600191615548565b90916157b16157bd9160ff84165f0b614282565b9360ff84165f0b614282565b92805f0b5f8112908115615872575b508015615867575b801561585a575b61583b5760ff169260ff166008841015611d3d576157f98185611d24565b90549060031b1c5f0b6008831015611d3d576158158484611d24565b90549060031b1c5f0b8115159182615843575b505061583b5761583793615947565b1590565b505050505f90565b5f92509061585091612290565b810b135f80615828565b506008845f0b12156157db565b505f84810b126157d4565b6008915012155f6157cc565b90916157b16158929160ff84165f0b614282565b92805f0b5f811290811561593b575b508015615930575b8015615923575b61583b5760ff169260ff166008841015611d3d576158ce8185611d24565b90549060031b1c5f0b6008831015611d3d576158ea8484611d24565b90549060031b1c5f0b811515918261590c575b505061583b5761583793615a51565b5f92509061591991612290565b810b135f806158fd565b506008845f0b12156158b0565b505f84810b126158a9565b6008915012155f6158a1565b91929390935f935b60ff9586861694600880871015615a44575f5b89811682811015615a32578a908187168a149081615a26575b8115615a06575b506159fb575081891015611d3d5761599a818a611d24565b90549060031b1c5f0b5f0390815f0b918203611f6657868686868d8f965f136159cf575b505050505060010116965b96615962565b859650946159dc95615b32565b6159ec578990868686868d6159be565b50505050505092505050600190565b9060010116966159c9565b8583168b14915081615a1a575b505f615982565b9050818616145f615a13565b8883168114915061597b565b5050509450959094600101169361594f565b5050505050925050505f90565b91929390935f935b60ff9586861694600880871015615a44575f5b89811682811015615b20578a908187168a149081615b14575b8115615af4575b50615ae9575081891015611d3d578990868686868d5f615aac8783611d24565b90549060031b1c810b12615acc575b505050505060010116965b96615a6c565b85965094615ad995615b32565b6159ec578990868686868d615abb565b906001011696615ac6565b8583168b14915081615b08575b505f615a8c565b9050818616145f615b01565b88831681149150615a85565b50505094509590946001011693615a59565b9391949290946008851015611d3d57615b4b8686611d24565b90549060031b1c5f0b94615b5e86613f5f565b9560ff808816600192838214615bd2575060028114615ba957600614615b8a5750509561401b96615bf9565b9550955085929350612825859283806145aa94165f0b91165f0b6122a4565b50809650809550809198975061460c6128256128259583806146199997165f0b91165f0b6122a4565b905061468c939298508197505f80929596975050135f146146c5575f199083165f0b614282565b919596909294939660ff8080981693165f0b958780615c1a89875f0b6122a4565b921695165f0b90615c2d82875f0b6122a4565b96615c3782613f5f565b938a80615c438b613f5f565b1695168b8682149485615e5b575b5f0b9283159788938915615e4f575b89615e2e575b505016936003966003861480615e26575b615e13576004956004811480615e0b575b615df7576005149182615dee575b5081615de5575b50615dd45715615db55750615ccc5f998a995b5f0b80615d965750615cc45f9a8b92614282565b8c1694614282565b8a16925b8a811690878214801590615d8a575b15615d78578b8b8b928f8316851480615d6b575b15615d1c575b50615d0990615d14945f0b614282565b811695165f0b614282565b8a1692615cd0565b925050506008811015615d585784615d3391611d24565b905490861b1c5f0b615d4857888b8b5f615cf9565b5050505050955050505050505f90565b603284634e487b7160e01b5f525260245ffd5b5082861683891614615cf3565b50505050505095505050505050600190565b50888c86161415615cdf565b5f1215615dab57615cc460015b9a8b92614282565b615cc45f19615da3565b5f1215615dca57615ccc60015b998a99615cb0565b615ccc5f19615dc2565b505050505050955050505050505f90565b9050155f615c9d565b1591505f615c96565b505050505050505050955050505050505f90565b508115615c88565b5050505050505050955050505050505f90565b508115615c77565b909198501590811591615e45575b50965f80615c66565b905015155f615e3c565b98508c5f0b1598615c60565b8215159550615c5156fedcde4d5f323b6ae67236b395481f3b50ffa4fe7f1886ad479738a833734f568100a8b06dd72552dea96e97c9a96acf39a1908ada44765cefe367620485b2c7e195681e512bc0fe659e195e06c283eada494316f3d801213e48e7101af92bf7707de434f9168186fcb0e74da7dead1bc82322202f75330ba72b80d27dd4926218335c82276d0b79a1d1920709e66ffd09ec3f814451cbf8001d5d6965416233b8a264697066735822122089903658bb9496ee5156909a878aef4586a651385f44ac73c6a59510ccf9853764736f6c63430008180033"
+    abi: [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"AlreadyInitialized","type":"error"},{"inputs":[],"name":"AlreadyWhitePlayer","type":"error"},{"inputs":[],"name":"BlackPlayerTaken","type":"error"},{"inputs":[],"name":"CancelTimeoutNotReached","type":"error"},{"inputs":[],"name":"CancelledGame","type":"error"},{"inputs":[],"name":"CannotClaimYet","type":"error"},{"inputs":[],"name":"CannotResign","type":"error"},{"inputs":[],"name":"ColorNotAvailable","type":"error"},{"inputs":[],"name":"ColorsNotAssigned","type":"error"},{"inputs":[],"name":"FiftyMoveRuleNotReached","type":"error"},{"inputs":[],"name":"FriendlyOnly","type":"error"},{"inputs":[],"name":"GameAlreadyStarted","type":"error"},{"inputs":[],"name":"GameNotFinished","type":"error"},{"inputs":[],"name":"GameNotInProgress","type":"error"},{"inputs":[],"name":"GameNotStarted","type":"error"},{"inputs":[],"name":"InvalidCoordinates","type":"error"},{"inputs":[],"name":"InvalidMove","type":"error"},{"inputs":[],"name":"InvalidPromotionPiece","type":"error"},{"inputs":[],"name":"NoDrawOffer","type":"error"},{"inputs":[],"name":"NoPrizeToDistribute","type":"error"},{"inputs":[],"name":"NotAPlayer","type":"error"},{"inputs":[],"name":"NotInvited","type":"error"},{"inputs":[],"name":"NotPrizeRecipient","type":"error"},{"inputs":[],"name":"NotTimedOut","type":"error"},{"inputs":[],"name":"NotYourTurn","type":"error"},{"inputs":[],"name":"OnlyWhitePlayer","type":"error"},{"inputs":[],"name":"PositionNotRepeated","type":"error"},{"inputs":[],"name":"PrizeAlreadyClaimed","type":"error"},{"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},{"inputs":[],"name":"TransferFailed","type":"error"},{"inputs":[],"name":"WrongBetAmount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"whitePlayer","type":"address"},{"indexed":true,"internalType":"address","name":"blackPlayer","type":"address"}],"name":"ColorsAssigned","type":"event"},{"anonymous":false,"inputs":[],"name":"DrawAccepted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"claimant","type":"address"}],"name":"DrawByFiftyMoveRule","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"claimant","type":"address"}],"name":"DrawByRepetition","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"}],"name":"DrawOfferDeclined","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"}],"name":"DrawOffered","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"uint256","name":"refundAmount","type":"uint256"}],"name":"GameCancelled","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"whitePlayer","type":"address"},{"indexed":true,"internalType":"address","name":"blackPlayer","type":"address"},{"indexed":false,"internalType":"uint256","name":"betAmount","type":"uint256"}],"name":"GameStarted","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"enum ChessCore.GameState","name":"newState","type":"uint8"}],"name":"GameStateChanged","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"winner","type":"address"},{"indexed":false,"internalType":"address","name":"loser","type":"address"}],"name":"GameTimeout","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"uint8","name":"fromRow","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"fromCol","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"toRow","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"toCol","type":"uint8"},{"indexed":false,"internalType":"int8","name":"piece","type":"int8"},{"indexed":false,"internalType":"int8","name":"capturedPiece","type":"int8"},{"indexed":false,"internalType":"int8","name":"promotionPiece","type":"int8"},{"indexed":false,"internalType":"bool","name":"isCheck","type":"bool"},{"indexed":false,"internalType":"bool","name":"isMate","type":"bool"},{"indexed":false,"internalType":"bool","name":"isCastling","type":"bool"},{"indexed":false,"internalType":"bool","name":"isEnPassant","type":"bool"}],"name":"MoveMade","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"player","type":"address"},{"indexed":false,"internalType":"address","name":"winner","type":"address"}],"name":"PlayerResigned","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"winner","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"PrizeClaimed","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"address","name":"white","type":"address"},{"indexed":false,"internalType":"address","name":"black","type":"address"},{"indexed":false,"internalType":"uint8","name":"result","type":"uint8"}],"name":"RatingReportFailed","type":"event"},{"inputs":[],"name":"BUTERIN_BLOCKS","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"CANCEL_UNJOINED_TIMEOUT","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"FINNEY_BLOCKS","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"NAKAMOTO_BLOCKS","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"betting","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"blackLastMoveBlock","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"board","outputs":[{"internalType":"int8","name":"","type":"int8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"bondingManager","outputs":[{"internalType":"contract BondingManager","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"bondsLocked","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"cancelled","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"colorSeedBlock","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"createdAt","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"creatorColor","outputs":[{"internalType":"enum ChessCore.ColorChoice","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"currentPlayer","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"disputeDAO","outputs":[{"internalType":"contract DisputeDAO","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"drawOfferedBy","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"gameId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"gameMode","outputs":[{"internalType":"enum ChessCore.GameMode","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"gameRegisteredForDispute","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getBoardState","outputs":[{"internalType":"int8[8][8]","name":"","type":"int8[8][8]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getDrawRuleStatus","outputs":[{"internalType":"uint16","name":"halfMoves","type":"uint16"},{"internalType":"uint8","name":"maxRepetitions","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"invitedOpponent","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"pendingPrize","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"playerRating","outputs":[{"internalType":"contract PlayerRating","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"plyCount","outputs":[{"internalType":"uint16","name":"","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"printBoard","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"pure","type":"function"},{"inputs":[],"name":"printChessBoardLayoutSVG","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"ratingReported","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"rewardPool","outputs":[{"internalType":"contract RewardPool","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"timeoutBlocks","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"whiteLastMoveBlock","outputs":[{"internalType":"uint48","name":"","type":"uint48"}],"stateMutability":"view","type":"function"},{"stateMutability":"payable","type":"receive"},{"inputs":[{"internalType":"address","name":"_whitePlayer","type":"address"},{"internalType":"uint256","name":"_value","type":"uint256"},{"internalType":"enum ChessCore.TimeoutPreset","name":"_preset","type":"uint8"},{"internalType":"enum ChessCore.GameMode","name":"_mode","type":"uint8"},{"internalType":"uint256","name":"_gameId","type":"uint256"},{"internalType":"address","name":"_bondingManager","type":"address"},{"internalType":"address","name":"_disputeDAO","type":"address"},{"internalType":"address","name":"_playerRating","type":"address"},{"internalType":"address","name":"_rewardPool","type":"address"},{"internalType":"address","name":"_invitedOpponent","type":"address"},{"internalType":"enum ChessCore.ColorChoice","name":"_creatorColor","type":"uint8"}],"name":"initialize","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"joinGame","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"joinGameAsBlack","outputs":[],"stateMutability":"payable","type":"function"},{"inputs":[],"name":"resolveColors","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"canClaimPrize","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"finalizePrizes","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"withdrawPrize","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"claimPrize","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"resign","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"offerDraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"acceptDraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"declineDraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"cancelDrawOffer","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getDrawOfferStatus","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"claimDrawByRepetition","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"claimDrawByFiftyMoveRule","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"claimVictoryByTimeout","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint8","name":"startX","type":"uint8"},{"internalType":"uint8","name":"startY","type":"uint8"},{"internalType":"uint8","name":"endX","type":"uint8"},{"internalType":"uint8","name":"endY","type":"uint8"}],"name":"makeMove","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint8","name":"startX","type":"uint8"},{"internalType":"uint8","name":"startY","type":"uint8"},{"internalType":"uint8","name":"endX","type":"uint8"},{"internalType":"uint8","name":"endY","type":"uint8"},{"internalType":"int8","name":"promotionPiece","type":"int8"}],"name":"makeMoveWithPromotion","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getPlayers","outputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint8","name":"x","type":"uint8"},{"internalType":"uint8","name":"y","type":"uint8"},{"internalType":"int8","name":"piece","type":"int8"}],"name":"debugCreative","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"caller","type":"address"}],"name":"canCancelUnjoinedGame","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getCancelUnjoinedRemaining","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"cancelUnjoinedGame","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"getGameState","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getTimeoutStatus","outputs":[{"internalType":"uint256","name":"whiteBlocksRemaining","type":"uint256"},{"internalType":"uint256","name":"blackBlocksRemaining","type":"uint256"},{"internalType":"bool","name":"currentPlayerIsWhite","type":"bool"}],"stateMutability":"view","type":"function"}],
+    bytecode: "0x60a08060405234620000ce576008805460ff60301b191666ff0000000000001790556001600c556125178181016001600160401b03811183821017620000ba578291620051fa833903905ff08015620000af576080526c010000000000000000000000006cff0000000000000000000000001960135416176013556040516151279081620000d382396080518181816129d101528181612c3a015281816136c6015281816139290152614db80152f35b6040513d5f823e3d90fd5b634e487b7160e01b5f52604160045260245ffd5b5f80fdfe60806040526004361015610073575b3615610018575f80fd5b60135460ff8160881c166100615760301c60ff16600581101561004d5761003b57005b60405163ba26162b60e01b8152600490fd5b634e487b7160e01b5f52602160045260245ffd5b604051631fc7953160e11b8152600490fd5b5f803560e01c8063085791b614611ff05780630eeae9b614611fcb578063182db67214611fa95780632420f7f014611f065780632ebe14b014611ee15780633229202e14611dde5780633522d24e14611dc457806338b572ef1461195c57806339b4b0d614611da757806339e98ab114611d8b578063426eae4514611d635780634404a43814611d3b57806346c1d9b414611d0c57806348d37a5814611c8257806348df41af14611b945780634d2bf82d14611b70578063538a93ed146119f557806358090c4a146119c95780636516fed6146119ac57806366666aa9146119845780636873d9841461195c57806369652fcf1461184f57806369ccbf30146118235780636ca88326146117ff5780636d30c705146115e457806370740ac9146113135780637bed3d1c1461125b5780637c22c12a1461123e5780638086a92a146111f657806381e44a1b14610d5957806384f5294114610d135780638b5b9ccc14610cea5780638d85c94514610c295780639454986514610bf65780639914618614610bd05780639a82a09a14610baa5780639bf55dab14610a085780639c2a094f1461090d5780639ec0943a146108e7578063b31542b5146108be578063b7d0628b14610898578063bff138f91461086f578063c5ef3c7114610842578063cf09e0d014610819578063d4f77b1c14610805578063d7a8e60e146107e4578063d7c81b55146107c6578063e2031126146107a0578063e52f391714610783578063e91401d4146106f8578063ee545d4f146106b9578063f033d8b7146105ec578063f1c2d0d9146105c3578063f21b5db51461058a578063f4d6fa4d1461048d578063f91acfe7146104645763fa6aefc9146102f1575061000e565b34610461578060031936011261046157610309614608565b60145460301c6001600160a01b03908116903382900361044f5760135460ff8160881c1661006157816015541615801590610423575b61003b5765ffffffffffff610358818360a01c16612353565b1642106104115766ff0000000000ff60581b1916660100000000000160581b17601355601680546001600160a01b03199081169091556017805490911690554791839083806103d8575b90506040519081527fecf51bb2698f4bba616fb07332e1d861a5430f472e11538556f2823d33ecb15d60203392a26001600c5580f35b8280929181925af16103e861253d565b50156103f7575b8281836103a2565b60145460301c16825260196020528060408320555f6103ef565b60405163ee2fab9760e01b8152600490fd5b5060ff8160301c16600581101561043b57151561033f565b634e487b7160e01b85526021600452602485fd5b60405163cd13e19560e01b8152600490fd5b80fd5b50346104615780600319360112610461576011546040516001600160a01b039091168152602090f35b503461046157806003193601126104615765ffffffffffff6014541661057d575b60018060a01b038060145460301c163314158061056f575b61055d5760ff60135460301c166005811015610549576001149081159161053b575b5061052957601780546001600160a01b031916339081179091557f1f98adb5ace3488254376a3b468650078ab6c1f367638863cb967310df8a0a998280a280f35b60405163067fe19560e41b8152600490fd5b90506017541615155f6104e8565b634e487b7160e01b83526021600452602483fd5b60405163abca351760e01b8152600490fd5b5080601554163314156104c6565b610585614348565b6104ae565b5034610461576020366003190112610461576020906040906001600160a01b036105b26121c1565b168152601983522054604051908152f35b50346104615780600319360112610461576010546040516001600160a01b039091168152602090f35b5034610461576020366003190112610461576106066121c1565b6014546001600160a01b0391821660309190911c8216149190826106a8575b8261069b575b508161066b575b5080610646575b6020906040519015158152f35b50602065ffffffffffff6106608160135460a01c16612353565b164210159050610639565b60135460301c60ff16915060058210156106875750155f610632565b634e487b7160e01b81526021600452602490fd5b601554161591505f61062b565b60135460881c60ff16159250610625565b50806003193601126104615760ff60135460d01c166106d7816121f1565b6106e6576106e36140b0565b80f35b604051631fb8baa160e21b8152600490fd5b503461046157806003193601126104615760018060a01b038060145460301c1633141580610775575b61055d57601754908116908115801561076c575b61075a576001600160a01b0319166017555f805160206150728339815191528280a280f35b60405163039ad16960e01b8152600490fd5b50338214610735565b508060155416331415610721565b5034610461578060031936011261046157602060405161012c8152f35b5034610461578060031936011261046157602060ff60135460481c166040519015158152f35b50346104615780600319360112610461576020600e54604051908152f35b5034610461578060031936011261046157602060125460d01c604051908152f35b5080600319360112610461576106e36140b0565b5034610461578060031936011261046157602065ffffffffffff60135460a01c16604051908152f35b5034610461578060031936011261046157602060ff60135460d01c166040519061086b816121f1565b8152f35b50346104615780600319360112610461576018546040516001600160a01b039091168152602090f35b503461046157806003193601126104615760206108b3614025565b60ff60405191168152f35b5034610461578060031936011261046157602065ffffffffffff60125460a01c16604051908152f35b5034610461578060031936011261046157602065ffffffffffff60145416604051908152f35b50346104615760a036600319011261046157610927612168565b61092f612178565b610937612188565b61093f612198565b906084359283860b8403610a045765ffffffffffff601454166109f7575b6016546001600160a01b03908116338190036109e55760019160155416146109dd575b60088610156109c9576109a6879161099884896121a8565b90549060031b1c830b612882565b810b13156109b7576106e3946135e3565b6040516321e08b4d60e21b8152600490fd5b634e487b7160e01b87526032600452602487fd5b505f19610980565b604051631cc191eb60e31b8152600490fd5b6109ff614348565b61095d565b8580fd5b503461046157806003193601126104615765ffffffffffff8060145416610b9d575b60018060a01b03908160145460301c1680331491821580610b8f575b61055d5760139081549460ff8660301c166005811015610b7b576001036105295760165416928333146109e5578303610b6f57808060125460a01c165b169085168101809111610b5b574310610b495760ff60801b198416600160801b1781555f8051602061509283398151915293610b239360ff937f5d90ddefa858c7e60b58274a3fca3108b94bb3cc1f596e26d0c69db70abef4b092610b0f9215610b2957508354603086901b1916600360301b1784555b610b02614552565b60405191829133836121d7565b0390a15460301c166040519182918261241a565b0390a180f35b608086901b603087901b011916600160321b600160801b01178455610afa565b60405163828630fb60e01b8152600490fd5b634e487b7160e01b5f52601160045260245ffd5b8060125460d01c610a83565b634e487b7160e01b88526021600452602488fd5b508360155416331415610a46565b610ba5614348565b610a2a565b5034610461578060031936011261046157602060ff60135460881c166040519015158152f35b5034610461578060031936011261046157602060ff60135460501c166040519015158152f35b5034610461578060031936011261046157604051610c2591610c178261223e565b81526040519182918261213c565b0390f35b503461046157806003193601126104615760018060a01b038060145460301c1633141580610cdc575b61055d576017549081168015908115610cd2575b5061075a576013805460ff60301b1916600160311b1790556001600160a01b031916601755610c93614552565b5f8051602061509283398151915260206040517fa98b7e4cecce3d6b2e0f80801552dd1350aec19a1cc2bbf0aa4806308cd87bb78480a160028152a180f35b905033145f610c66565b508060155416331415610c52565b5034610461578060031936011261046157610d03612832565b90610c25604051928392836121d7565b5034610461578060031936011261046157601754336001600160a01b0382160361075a576001600160a01b031916601755335f805160206150728339815191528280a280f35b5061016036600319011261046157610d6f6121c1565b602490600360443510156111f257600260643510156111f25760a435926001600160a01b03841684036111ee5760c435916001600160a01b03831683036111ee5760e435916001600160a01b03831683036111ee5761010435906001600160a01b03821682036111ee5761012435936001600160a01b03851685036111ee5760036101443510156111ea5760135460ff8160601c166111d95760ff60601b1916600160601b176013555f80546001600160401b03191667fcfefdfafbfdfefc179055815b60088060ff83161015610e7e57811015610e6b5760018160ff9260051c820180548460f88460031b161b908119161790550116610e33565b87634e487b7160e01b5f5260326004525ffd5b5050600780546001600160401b03191667040203060503020417905593948694908890835b60088060ff83161015610edf57811015610e6b5760018160ff9260051c600601805460f88360031b16908585831b921b19161790550116610ea3565b5050600880546bffffffff0000ffffffffffff1916630400040760401b17815560148054600160301b600160d01b031916603089901b600160301b600160d01b0316179055601680546001600160a01b03199081166001600160a01b03808b1691909117909255602435600d55601354608435600e55601880548316938d16939093179092559196909460643560381b60ff60381b16929190610f84610144356121f1565b65ffffffffffff60a01b4260a01b1660ff60d01b6101443560d01b1660ff60381b66ffffffffffffff60a01b0119891686178117821760135590969095906001600160a01b0381166111c2575b506001600160a01b0381166111ab575b506001600160a01b038116611194575b506001600160a01b03811661117c575b505061100e6044356121f1565b604435611124575050505061012c65ffffffffffff1960135416176013555b6008546040515f9360208201929085845b828210611107578660018787878360f81b61082083015260f860ff82161515811b61082184015260ff8260081c161515811b61082284015260ff8260101c161515811b61082384015260ff8260181c161515811b61082484015260ff8260281c161515811b61082584015260ff8260201c161515901b61082683015260ff60f81b9060c81b1661082782015261080881526110d881612259565b51902080835260096020526110fc604084209160ff199284848254161790556127eb565b600b541617600b5580f35b60016101008261111883948c612298565b0198019101909661103e565b61112f6044356121f1565b604435600103611155575050505061083465ffffffffffff19601354161760135561102d565b61c4e09367ff00ffffffffffff66ffffffffffffff60a01b0119161717171760135561102d565b60018060a01b03169060125416176012558680611001565b60018060a01b031682601154161760115588610ff1565b60018060a01b031683601054161760105589610fe1565b60018060a01b031684600f541617600f558a610fd1565b60405162dc149f60e41b8152600490fd5b5080fd5b5f80fd5b8280fd5b50346104615760403660031901126104615760243560043560088110156111f25760088210156111f2576020929161122d916121a8565b9190546040519260031b1c900b8152f35b503461046157806003193601126104615760206040516108348152f35b503461046157608036600319011261046157611275612168565b61127d612178565b611285612188565b61128d612198565b9165ffffffffffff60145416611306575b6016546001600160a01b03908116338190036109e55760019160155416146112fe575b60088510156112ea576112d9869161099884886121a8565b810b13156109b7576106e3936128f0565b634e487b7160e01b86526032600452602486fd5b505f196112c1565b61130e614348565b61129e565b503461046157806003193601126104615761132c614608565b60135460ff8160581c166115d25760301c60ff166005811015806105495760038214918215806115c4575b828161159f575b5061158d5761136b614b8b565b9060018060a01b0393848060145460301c16931691838314908195821561157f575b610b7b576002149081611576575b5061152057849380611569575b156115445750505080601554165b163303611532576113c5614552565b601054168061144e575b506113d8614644565b6113e0614797565b6113e8614a5e565b6013805460ff60581b1916600160581b179055478180808084335af161140c61253d565b501561143c576114315f805160206150b283398151915291604051918291338361256c565b0390a16001600c5580f35b6040516312171d8360e31b8152600490fd5b61145661265b565b15611520578190600e54604051638110502f60e01b8152816004820152602081602481865afa9081156115155784916114e0575b50611497575b50506113cf565b813b156114dc578291602483926040519485938492639d213f0760e01b845260048401525af16114c8575b80611490565b6114d1906121fb565b61046157805f6114c2565b5050fd5b9350506020833d60201161150d575b816114fc60209383612275565b810103126111ee578392515f61148a565b3d91506114ef565b6040513d86823e3d90fd5b60405163064d0b2b60e31b8152600490fd5b604051636db580af60e11b8152600490fd5b60155484169182036115575750506113b6565b1561156257506113b6565b90506113b6565b50836015541615156113a8565b9050155f61139b565b60155488168514925061138d565b60405163b7c3a5b360e01b8152600490fd5b90506115b05760028114158261135e565b634e487b7160e01b84526021600452602484fd5b505f91506004811415611357565b60405163611ab18960e11b8152600490fd5b50346111ee575f3660031901126111ee576115fd614608565b60135460ff8160581c166115d25760ff9060301c166005811015908161004d57600381141591826117f1575b826117df575b505061158d5761163d614552565b6010546001600160a01b0390811680611717575b5061165a614644565b611662614797565b61166a614a5e565b6013805460ff60581b1916600160581b1790554790611687614f9c565b60058110156115b057600381036116b5575060145460301c168252601960205260408220555b6001600c5580f35b600481036116d35750601554168252601960205260408220556116ad565b6002146116e2575b50506116ad565b6116f08260011c809361236c565b918160145460301c1684526019602052604084205560155416825260408220555f806116db565b61171f61265b565b1561152057600e54604051638110502f60e01b815260048101829052602081602481865afa9081156117d4575f916117a2575b5061175e575b50611651565b813b156111ee575f91602483926040519485938492639d213f0760e01b845260048401525af161178f575b80611758565b61179a9192506121fb565b5f905f611789565b90506020813d6020116117cc575b816117bd60209383612275565b810103126111ee57515f611752565b3d91506117b0565b6040513d5f823e3d90fd5b90915061004d57600214155f8061162f565b50600481141591505f611629565b346111ee575f3660031901126111ee57602061181961265b565b6040519015158152f35b346111ee575f3660031901126111ee576040600b5460ff82519161ffff8160081c168352166020820152f35b346111ee575f3660031901126111ee5765ffffffffffff6014541661194f575b60018060a01b038060145460301c169081331491821580611941575b61055d576013805460ff8160301c16600581101561004d576001036105295760ff60781b198116600160781b1782555f805160206150928339815191529461191a9460ff947fc42bb29411173bbda4c2ff27b35fb6dc57e2cbdb1bac3fcb7c51b87dc0beb78a93610b0f931561191f5750508354603086901b1916600160321b17845560155416610b02614552565b0390a1005b607887901b603088901b011916600360301b600160781b011785559050610afa565b50816015541633141561188b565b611957614348565b61186f565b346111ee575f3660031901126111ee576017546040516001600160a01b039091168152602090f35b346111ee575f3660031901126111ee576012546040516001600160a01b039091168152602090f35b346111ee575f3660031901126111ee576020604051620151808152f35b346111ee575f3660031901126111ee5760ff60135460381c16604051600282101561004d576020918152f35b346111ee5760603660031901126111ee57611a0e612168565b611a16612178565b9060443591825f0b8084036111ee5760135460ff8160381c16600281101561004d57600103611b5e5760145460301c6001600160a01b0316330361044f5760301c60ff16600581101561004d5761003b576008938460ff851610801590611b51575b611b3f5784841015611b2b57611a9890611a9284866121a8565b906125b6565b60068103611ae95750825461ffff60401b191660409290921b60ff60401b169190911760489190911b60ff60481b161790555b610c25604051611ada8161223e565b5f81526040519182918261213c565b60051914611afa575b505050611acb565b825461ffff60501b191660509290921b60ff60501b169190911760589190911b60ff60581b16179055808080611af2565b634e487b7160e01b5f52603260045260245ffd5b60405163179a054560e01b8152600490fd5b508460ff84161015611a78565b604051632d35b88f60e11b8152600490fd5b346111ee575f3660031901126111ee57602061ffff60135460901c16604051908152f35b346111ee575f3660031901126111ee5765ffffffffffff60145416611c75575b60018060a01b038060145460301c163314159081611c66575b5061055d5760135460ff8160301c16600581101561004d5760010361052957606461ffff600b5460081c1610611c545760ff60301b1916600160311b17601355611c15614552565b5f805160206150928339815191526020604051337faaa10238f5aee7c565b8eb5261a53255b61e54b54b0818fe5c3e8f281adb2bb65f80a260028152a1005b60405163dc644e5d60e01b8152600490fd5b90506015541633141581611bcd565b611c7d614348565b611bb4565b346111ee575f3660031901126111ee57611c9a614608565b335f52601960205260405f20548015611cfa57335f5260196020525f60408120555f80808084335af1611ccb61253d565b501561143c57611cf05f805160206150b283398151915291604051918291338361256c565b0390a16001600c55005b6040516301ba780160e01b8152600490fd5b346111ee575f3660031901126111ee576060611d26612460565b90604051928352602083015215156040820152f35b346111ee575f3660031901126111ee576016546040516001600160a01b039091168152602090f35b346111ee575f3660031901126111ee57600f546040516001600160a01b039091168152602090f35b346111ee575f3660031901126111ee57602060405161c4e08152f35b346111ee575f3660031901126111ee576020600d54604051908152f35b346111ee575f3660031901126111ee57611ddc61242d565b005b346111ee575f3660031901126111ee5765ffffffffffff60145416611ed4575b60145460301c6001600160a01b03908116903382141580611ec6575b61055d576013549160ff8360301c16600581101561004d5760010361052957611e47916016541614614488565b5f526009602052600360ff60405f20541610611eb45760ff60301b1916600160311b17601355611e75614552565b5f805160206150928339815191526020604051337fd0f4810f2b48eb69de0cbc8c361bea8bb4b4cbf14c8da5fdac4cdd95d3896ac55f80a260028152a1005b604051632f9a3dd960e01b8152600490fd5b508060155416331415611e1a565b611edc614348565b611dfe565b346111ee575f3660031901126111ee57602065ffffffffffff60135416604051908152f35b346111ee575f3660031901126111ee57604051611f2281612222565b5f5b6101009081811015611f4c57604051602092611f3f82612222565b3682378184015201611f24565b611f546122ed565b604051905f825b600880831015611fa35783515f90835b838310611f8a5750505050602061010060019201930191019091611f5b565b60019082515f0b81526020809101920192019190611f6b565b61080085f35b346111ee575f3660031901126111ee576020611fc3612379565b604051908152f35b346111ee575f3660031901126111ee57602060ff60135460401c166040519015158152f35b346111ee575f3660031901126111ee576120086122ed565b604051639ef3eb8760e01b8152905f600483015b6008808310156120645783515f90835b83831061204b575050505060206101006001920193019101909161201c565b60019082515f0b8152602080910192019201919061202c565b845f816108048173__ChessMediaLibrary_____________________5af480156117d4575f9061209f575b610c25906040519182918261213c565b503d805f833e6120af8183612275565b8101906020818303126111ee578051906001600160401b0382116111ee57019080601f830112156111ee578151916120e683612338565b916120f46040519384612275565b838352602084830101116111ee57610c2592612116916020808501910161211b565b61208f565b5f5b83811061212c5750505f910152565b818101518382015260200161211d565b6040916020825261215c815180928160208601526020868601910161211b565b601f01601f1916010190565b6004359060ff821682036111ee57565b6024359060ff821682036111ee57565b6044359060ff821682036111ee57565b6064359060ff821682036111ee57565b9190916008831015611b2b57601f908360051c01921690565b600435906001600160a01b03821682036111ee57565b6001600160a01b0391821681529116602082015260400190565b6003111561004d57565b6001600160401b03811161220e57604052565b634e487b7160e01b5f52604160045260245ffd5b61010081019081106001600160401b0382111761220e57604052565b602081019081106001600160401b0382111761220e57604052565b61084081019081106001600160401b0382111761220e57604052565b601f909101601f19168101906001600160401b0382119082101761220e57604052565b60e09054805f0b83528060081c5f0b60208401528060101c5f0b60408401528060181c5f0b60608401528060201c5f0b60808401528060281c5f0b60a08401528060301c5f0b60c084015260381c5f0b910152565b604090604051916122fd83612222565b5f80845b6008831061230f5750505050565b60016020819286516123218187612298565b61232a81612222565b815201920192019190612301565b6001600160401b03811161220e57601f01601f191660200190565b906201518065ffffffffffff80931601918211610b5b57565b91908203918211610b5b57565b60135460ff8160881c1680156123de575b80156123c6575b6123c1576123aa65ffffffffffff809260a01c16612353565b16804210156123c1576123be90429061236c565b90565b505f90565b5060ff8160301c16600581101561004d571515612391565b506015546001600160a01b0316151561238a565b600581101561004d576013805460ff60301b191660309290921b60ff60301b16919091179055565b91906020830192600582101561004d5752565b60ff60135460301c16600581101561004d576001036105295765ffffffffffff601454161561245e5761245e614348565b565b60018060a01b03908160165416601454928360301c1614916013549060ff8260301c16600581101561004d576001036125335783156124f85765ffffffffffff908190811680156124ea575b168043115f146124e2576124c0904361236c565b915b16908181106124d45750505f5b915f91565b6124dd9161236c565b6124cf565b505f916124c2565b508060125460a01c166124ac565b5065ffffffffffff61251260129493945460d01c4361236c565b9116908181106125255750505f5b905f92565b61252e9161236c565b612520565b5050905f915f9190565b3d15612567573d9061254e82612338565b9161255c6040519384612275565b82523d5f602084013e565b606090565b6001600160a01b039091168152602081019190915260400190565b9063ff00000080198354169160181b16179055565b9060ff60281b198254169060ff60281b9060281b16179055565b919060ff83549160031b928116831b921b1916179055565b5f0b607f198114610b5b575f0390565b51906001600160a01b03821682036111ee57565b9190826101009103126111ee5781519161260e602082016125de565b9161261b604083016125de565b91606081015160068110156111ee579160808201519160a08101519160c082015160048110156111ee5760e09092015190565b519081151582036111ee57565b6010546001600160a01b031680156127e557600e5460408051638110502f60e01b8152600481018390529092916020918281602481875afa9081156127db575f916127ae575b5080156127655784519063e3a96cbd60e01b82526004820152610100908181602481885afa9182156127a4575f9261276f575b5050600681101561004d5760048114612765576001146126f657505050505f90565b819060248551809581936306b4e4e760e21b835260048301525afa92831561275c57505f92612726575b50501590565b90809250813d8311612755575b61273d8183612275565b810103126111ee5761274e9061264e565b5f80612720565b503d612733565b513d5f823e3d90fd5b5050505050600190565b61278e9250803d1061279d575b6127868183612275565b8101906125f2565b50505050925050505f806126d4565b503d61277c565b86513d5f823e3d90fd5b90508281813d83116127d4575b6127c58183612275565b810103126111ee57515f6126a1565b503d6127bb565b85513d5f823e3d90fd5b50600190565b600a54600160401b81101561220e576001810180600a55811015611b2b57600a5f527fc65a7bb8d6351c1cf70c95a316cc6a92839c986682d98bc35f958f4883f9d2a80155565b6014549065ffffffffffff821661285c575b6015546001600160a01b0360309390931c8316921690565b612864614cc2565b91505015612844576015546001600160a01b039081169260301c1690565b905f0b905f0b0290815f0b918203610b5b57565b5f905f905b600882106128a857505050565b6001610100826128b9839487612298565b0193019101909161289b565b5f91820b910b0390607f198212607f831317610b5b57565b61ffff809116908114610b5b5760010190565b929091600860ff8516108015906135d5575b80156135c7575b80156135b9575b611b3f5760ff60135460301c16600581101561004d57600103610529576017546001600160a01b0381166135a6575b5061294c82828587614d33565b156109b75760085460405163d5f3741360e01b8152949060ff9061297260048801612896565b604081901c8216610804880152604881901c8216610824880152605081901c821661084488015260581c1661086486015260ff8181166108848701528481166108a48701528281166108c487015283166108e4860152602085610904817f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03165afa80156117d4575f955f9161356c575b50601354600260ff8260381c16101561004d57600160ff839260381c1614613562575b506008821015611b2b57612a4185836121a8565b919054926008851015611b2b578688612a5a88886121a8565b90549060031b1c5f0b96612a7f612a718a836121a8565b898960031b1c5f0b916125b6565b5f612a9c612a8d85876121a8565b60ff82549160031b1b19169055565b600660ff612ab08a8a60031b1c5f0b614f7e565b16146134fb575b5f8a600160ff612acd8c8c60031b1c5f0b614f7e565b16146132a4575b501561328c575b60ff612aed898960031b1c5f0b614f7e565b166006146131a2575b5088600660ff612b0c8a8a60031b1c5f0b614f7e565b1614928361317a575b600160ff612b298b8b60031b1c5f0b614f7e565b16149485613151575b50505082613148575b8215613142578a878760031b1c5f0b135f1461313b575f195b60018060a01b036016541660018060a01b0360145460301c16149160135496600260ff8960381c1610156131275760ff90818f60085490612b93614ff3565b936040519863270cbc9b60e01b8a52612bae60048b01612896565b6108048a0152838d60381c16156108248a01521515610844890152828260401c16610864890152828260481c16610884890152828260501c166108a4890152828260581c166108c48901528160301c900b6108e488015260381c166109048601521661092484015260ff811661094484015260ff8b166109648401526060836109848160018060a01b037f0000000000000000000000000000000000000000000000000000000000000000165afa801561311c57908d939291849385916130b8575b50600560ff821610156130a4579261016095928f8f9996938f60ff809287612ca8835f805160206150d28339815191529f9c166123f2565b61308d575b8160018060a01b03601654169e816040519d168d521660208c01521660408a01521660608801528c8c60031b1c5f0b60808801520b60a0860152600560c0860152151560e0850152151561010084015215156101208301521515610140820152a260ff60135460301c1690600560ff8260301c161015610b7b576005821015610b7b5760301c60ff168103613000575b50612d8c60019260ff92848060a01b0360165416858060a01b0360145460301c16145f14612fd957601254858060d01b03194360d01b1690868060d01b0316176012555b60031b1c5f0b614f7e565b1614929015801592849282612f88575b5050509115612f80575b5015612f555762ffff0019600b5416600b555b60135461ffff609661ffff60901b612dd6609085901c84166128dd565b60901b16918261ffff60901b19851617601355600b5460081c161015612f0757505060165460145460301c6001600160a01b039081169082168103612f01576015546001600160a01b03165b6001600160a01b03166001600160a01b03198316811760165560135460ff60309190911c16600581101561043b57600114612e5e575b50505050565b83612e6b93161714614488565b808252600960205260ff60408320541615612ef3575b808252600960205260408220805460ff811660ff8114612edf57926040926001959260ff95868019988992011691161790558152600960205220541690600b5460ff81168311612ed2575b80612e58565b1617600b555f8080612ecc565b634e487b7160e01b85526011600452602485fd5b612efc816127eb565b612e81565b80612e22565b60ff60301b61ffff60901b011990911617600160311b1760135550612f2a614552565b5f80516020615092833981519152612f5060ff60135460301c166040519182918261241a565b0390a1565b600b5462ffff00612f6c61ffff8360081c166128dd565b60081b169062ffff00191617600b55612db9565b90505f612da6565b929350909183612fad575b505081612fa5575b50815f8080612d9c565b90505f612f9b565b6001929350612fca60ff928380612fcf9416890b9116880b6128c5565b614f7e565b1614905f80612f93565b6012805465ffffffffffff60a01b19164360a01b65ffffffffffff60a01b16179055612d81565b5f805160206150928339815191526040518061301c848261241a565b0390a16003811490878215613080575b821561305a575b505060019260ff92612d8c9261304d575b92509250612d3d565b613055614552565b613044565b90915061306c576002148260ff613033565b634e487b7160e01b87526021600452602487fd5b506004811491508761302c565b600160701b8260701b196013541617601355612cad565b634e487b7160e01b8f52602160045260248ffd5b93505092506060823d606011613114575b816130d660609383612275565b81010312613110576130e78261264e565b9260406130f66020850161264e565b9301519360ff8516850361310c5792935f612c70565b8e80fd5b8c80fd5b3d91506130c9565b6040513d8f823e3d90fd5b634e487b7160e01b8e52602160045260248efd5b6001612b54565b87612b54565b87159250612b3b565b600193955060ff9261316f928480612fca9416820b9216900b6128c5565b161491888b8b612b32565b6002929350612fca60ff926131989284808916820b9216900b6128c5565b161490888b612b15565b60165460145460301c6001600160a01b0390811691160361327457600160ff1960085416176008555b600260ff6131e4612fca878316870b8e8416880b6128c5565b1603612af6579092909160ff8a1660060361323857505061322457888891613212845460381c830b8561259c565b835460ff60381b191684555b5f612af6565b634e487b7160e01b89526032600452602489fd5b91600260ff8b959395161461324e575b5061321e565b91509150613224578888916132668454830b85612587565b835460ff191684555f613248565b630100000063ff0000001960085416176008556131cb565b6008805460ff60301b191660ff60301b179055612adb565b6001929450612fca6132c39160ff8080959799165f0b91165f0b6128c5565b1614806134f3575b61344f575b6001878760031b1c5f0b1490818092613442575b80613435575b156133cf57506008805461ffff60301b191660308b901b60ff60301b1617603885901b60ff60381b161790556001905b806133c4575b5f19888860031b1c5f0b14806133b7575b819082156133af575b5061334c575b50918a918a938a612ad4565b919a9092911561338657509088915f9a8b926133688b846121a8565b81549060031b9060ff6005831b921b19161790555b91935091613340565b99908a918a936133968b846121a8565b81549060031b9060ff60fb831b921b191617905561337d565b90505f61333a565b50600760ff851614613331565b5060ff831615613320565b905f19888860031b1c5f0b1480613428575b8061341b575b1561331a576008805461ffff60301b191660308c901b60ff60301b1617603886901b60ff60381b161790556001915061331a565b50600360ff8516146133e7565b50600160ff8616146133e1565b50600460ff8516146132ea565b50600660ff8616146132e4565b816001888860031b1c5f0b14806134de575b806134d1575b1561348257611b2b5761347d612a8d8a866121a8565b6132d0565b505f19878760031b1c5f0b14806134bc575b806134af575b156132d0575f915061347d612a8d8a866121a8565b50600460ff85161461349a565b5060ff89165f0b60085460301c5f0b14613494565b50600360ff861614613467565b5060ff8a165f0b60085460301c5f0b14613461565b5087156132cb565b6006888860031b1c5f0b145f14613537576008805461ffff60401b1916604084901b60ff60401b161760488c901b60ff60481b16179055612ab7565b6008805461ffff60501b1916605084901b60ff60501b161760588c901b60ff60581b16179055612ab7565b6109b75780612a2d565b90506020813d60201161359e575b8161358760209383612275565b810103126111ee576135989061264e565b5f612a0a565b3d915061357a565b6001600160a01b0319166017555f61293f565b50600860ff83161015612910565b50600860ff82161015612909565b50600860ff84161015612902565b9392919092600860ff861610801590614017575b8015614009575b8015613ffb575b611b3f5760ff60135460301c16600581101561004d57600103610529576017546001600160a01b038116613fe8575b5061364183838688614d33565b156109b75760085460405163d5f3741360e01b8152959060ff9061366760048901612896565b604081901c8216610804890152604881901c8216610824890152605081901c821661084489015260581c1661086487015260ff8181166108848801528581166108a48801528381166108c488015284166108e4870152602086610904817f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03165afa80156117d4575f965f91613fae575b50601354600260ff8260381c16101561004d57600160ff839260381c1614613fa4575b506008821015611b2b5761373686836121a8565b929054936008861015611b2b5788889161375089896121a8565b90549060031b1c5f0b976137756137678b836121a8565b8a8a60031b1c5f0b916125b6565b5f613783612a8d86886121a8565b600660ff6137978b8b60031b1c5f0b614f7e565b1614613f3d575b5f8b600160ff6137b48d8d60031b1c5f0b614f7e565b1614613c9a575b5015613c82575b8a60ff6137d58b8b60031b1c5f0b614f7e565b16600614613b89575b9050600660ff6137f48b8b60031b1c5f0b614f7e565b16149384613b61575b600160ff6138118c8c60031b1c5f0b614f7e565b16149586613b38575b50505083613b2f575b8315613b28578b888860031b1c5f0b135f14613b21575f195b905b60018060a01b036016541660018060a01b0360145460301c161460135497600260ff8a60381c1610156130a4576004949392918f8a60ff939184928360085493613886614ff3565b9661389f6040519d8e63270cbc9b60e01b815201612896565b6108048d015260381c16156108248b015215156108448a0152828260401c166108648a0152828260481c166108848a0152828260501c166108a48a0152828260581c166108c48a01528160301c900b6108e489015260381c166109048701521661092485015260ff811661094485015260ff8c166109648501526060846109848160018060a01b037f0000000000000000000000000000000000000000000000000000000000000000165afa8015613b1457908e9493929185948691613ab0575b50600560ff82161015613a9b578f908f99989796959493928f9161398760ff8992166123f2565b613a83575b600160a01b60019003601654169a6040519a60ff168b5260ff1660208b015260ff1660408a015260ff1660608901528b8b60031b1c5f0b60808901520b60a08701528d0b60c0860152151560e08501521515610100840152151561012083015215156101408201526101605f805160206150d283398151915291a260135460301c60ff16908060301c60ff1660051115610b7b576005821015610b7b5760301c60ff1681036130005750612d8c60019260ff92848060a01b0360165416858060a01b0360145460301c16145f14612fd957601254858060d01b03194360d01b1690868060d01b03161760125560031b1c5f0b614f7e565b6013805460ff60701b1916600160701b17905561398c565b50634e487b7160e01b8f52602160045260248ffd5b94505093506060833d606011613b0c575b81613ace60609383612275565b81010312613b0857613adf8361264e565b936040613aee6020860161264e565b9401519460ff86168603613b045793945f613960565b8f80fd5b8d80fd5b3d9150613ac1565b8e604051903d90823e3d90fd5b600161383c565b889061383e565b88159350613823565b600193965060ff92613b56928480612fca9416820b9216900b6128c5565b161492898c8c61381a565b6002929450612fca60ff92613b7f9284808a16820b9216900b6128c5565b161491898c6137fd565b60ff613bd0612fca60029360018060a01b036016541660018060a01b0360145460301c16145f14613c6a576001841960085416176008555b83808b168a0b9116890b6128c5565b1614613bdd575b8a6137de565b9193909260ff8b16600603613c2c575050613c185788918a91613c06855460381c840b8661259c565b845460ff60381b191685555b5f613bd7565b634e487b7160e01b8a52603260045260248afd5b92909391600260ff8c1614613c42575b50613c12565b9193509150613c185788918a91613c5c8554840b86612587565b845460ff191685555f613c3c565b630100000063ff000000196008541617600855613bc1565b6008805460ff60301b191660ff60301b1790556137c2565b60ff91939550612fca613cba918380600196989a165f0b91165f0b6128c5565b161480613f35575b613e91575b6001888860031b1c5f0b1490818092613e84575b80613e77575b15613e1157506008805461ffff60301b191660308c901b60ff60301b1617603885901b60ff60381b161790556001905b80613e06575b5f19898960031b1c5f0b1480613df9575b81908215613df1575b50613d44575b50918a93918c938b6137bb565b6005855f9e939695949e0b141580613de4575b80613dd7575b80613dca575b613db85715613d945750908992915f9b8c9383613d808d856121a8565b613d8a92916125b6565b9193509193613d37565b9a9082918b94613db38c8f96613dac611a92916125ce565b91866121a8565b613d8a565b604051631c6d606160e21b8152600490fd5b506002845f0b1415613d63565b506003845f0b1415613d5d565b506004845f0b1415613d57565b90505f613d31565b50600760ff851614613d28565b5060ff831615613d17565b905f19898960031b1c5f0b1480613e6a575b80613e5d575b15613d11576008805461ffff60301b191660308d901b60ff60301b1617603886901b60ff60381b1617905560019150613d11565b50600360ff851614613e29565b50600160ff871614613e23565b50600460ff851614613ce1565b50600660ff871614613cdb565b816001898960031b1c5f0b1480613f20575b80613f13575b15613ec457611b2b57613ebf612a8d8b876121a8565b613cc7565b505f19888860031b1c5f0b1480613efe575b80613ef1575b15613cc7575f9150613ebf612a8d8b876121a8565b50600460ff861614613edc565b5060ff8a165f0b60085460301c5f0b14613ed6565b50600360ff871614613ea9565b5060ff8b165f0b60085460301c5f0b14613ea3565b508815613cc2565b6006898960031b1c5f0b145f14613f79576008805461ffff60401b1916604084901b60ff60401b161760488d901b60ff60481b1617905561379e565b6008805461ffff60501b1916605084901b60ff60501b161760588d901b60ff60581b1617905561379e565b6109b75780613722565b90506020813d602011613fe0575b81613fc960209383612275565b810103126111ee57613fda9061264e565b5f6136ff565b3d9150613fbc565b6001600160a01b0319166017555f613634565b50600860ff84161015613605565b50600860ff831610156135fe565b50600860ff851610156135f7565b60135460ff8160881c166140825760301c60ff16600581101561004d5780156127e5576001811461407c576002811461407657600381146140705760041461406b575f90565b600590565b50600490565b50600390565b50600290565b50600690565b9081526001600160a01b03918216602082015291166040820152606081019190915260800190565b6013908154915f9260ff8160881c166100615760ff603091821c16600581101561004d5761003b5760018060a01b03906014828154831c169384331461433657600d5480340361432457601595858754166143125785601854168015159081614307575b506142f55785600f54169182614288575b505050600160ff825460d01c1661413b816121f1565b0361427357815485546001600160a01b03191681851c8616178655600160301b600160d01b03191633841b600160301b600160d01b03161782555b8154601680546001600160a01b03191682861c8716179055815460ff60301b1916600160301b17918290556012805465ffffffffffff60a01b19164360a01b65ffffffffffff60a01b161790559060029060d01c60ff166141d6816121f1565b14614231575b50829394955054901c16915416907fee0dca10a9957dad74da3fe318a3ccc561c46d96be0ab0b66e7aff32aab94cf36020600d54604051908152a35f80516020615092833981519152602060405160018152a1565b600143019687431161425f575065ffffffffffff84959697169065ffffffffffff19161781558594936141dc565b634e487b7160e01b81526011600452602490fd5b84546001600160a01b03191633178555614176565b600e5492803b156111ee576142b9935f80946040519687958694859363595cd9cf60e01b8552339160048601614088565b03925af180156117d4576142e2575b50805460ff60401b1916600160401b1781555f8080614125565b6142ed9197506121fb565b5f955f6142c8565b60405163779a6f4160e01b8152600490fd5b90503314155f614114565b6040516376b4fccd60e11b8152600490fd5b6040516348f65bb760e01b8152600490fd5b60405163b6ade22960e01b8152600490fd5b614350614cc2565b911561447657614433575b6143e6575b60148054601680546001600160a01b031916603083901c6001600160a01b039081169182179092556012805465ffffffffffff60a01b191660a085901b65ffffffffffff60a01b1617905565ffffffffffff19909216909255601554909116907f0ac353d30983124f3b8945404064851820b5f11e5c1d661f0e58a78b592702565f80a3565b60158054601480546001600160a01b03198316603082811c6001600160a01b031691909117909455600160301b600160d01b0319169190921b600160301b600160d01b0316179055614360565b5060018060a01b038060145460301c1633149081159081614467575b501561435b5760405163abca351760e01b8152600490fd5b9050601554163314155f61444f565b6040516347a21cb760e01b8152600490fd5b600880546040516020810193909260ff905f80875b838310614535575050505060f8911515821b6108208501528083161515821b610821850152808360081c161515821b610822850152808360101c161515821b610823850152808360181c161515821b610824850152808360281c161515821b6108258501528260201c161515901b61082683015260ff60f81b9060c81b16610827820152610808815261452f81612259565b51902090565b600161010082614546839486612298565b0192019201919061449d565b6010546001600160a01b03908116801515806145f8575b806145eb575b614577575050565b600e54908260145460301c16926015541690600d5493813b156111ee575f80946145b76040519788968795869463b619984360e01b865260048601614088565b03925af180156117d4576145dc575b506013805460ff60481b1916600160481b179055565b6145e5906121fb565b5f6145c6565b508160155416151561456f565b5060ff60135460481c1615614569565b6002600c5414614619576002600c55565b604051633ee5aeb560e01b8152600490fd5b9081526001600160a01b03909116602082015260400190565b600f545f906001600160a01b039081168015158061473d575b61466657505050565b8160145460301c16806146ed575b505080601554169081614694575b50506013805460ff60401b1916905550565b600f5416600e54813b156146e9579183916146c69383604051809681958294630bbaa9c160e31b84526004840161462b565b03925af16146d5575b80614682565b6146df82916121fb565b61046157806146cf565b8380fd5b600e5490823b156111ee5761471b925f9283604051809681958294630bbaa9c160e31b84526004840161462b565b03925af161472a575b80614674565b6147359192506121fb565b5f905f614724565b5060ff60135460401c1661465d565b6001600160a01b0391821681529116602082015290151560408201529015156060820152901515608082015260a081019190915290151560c082015290151560e08201526101000190565b6012546001600160a01b0390811691905f9083158015614a2b575b8015614a1f575b614a19576147c5614f9c565b6005811015908161004d5760028114928315918280614a0b575b84816149fa575b506149f057600160681b60ff60681b196013541617908160135561ffff8260901c169461004d57600314938261481a614b8b565b16159081809a8b9384926149e3575b806149db575b806149d4575b82946149c5575b846149bd575b826149ae575b826149a5575b8261499d575b8c61498e575b8c614985575b6014549560ff88601554169160701c16908161497d575b833b156111ee578b948b93878b94604051988997889763145c79e760e21b9e8f8a5260301c169660048901976148ac9861474c565b03815a5f948591f180156117d45761496a575b5083601254169484601554169460145460301c16961597889182614962575b60ff60135460701c16928361495a575b5082614952575b50863b1561494e5792614920928a9b9c928b9a9b96956040519c8d9b8c9a8b998a5260048a0161474c565b03925af1801561494357614932575050565b61493c82916121fb565b6104615750565b6040513d84823e3d90fd5b8980fd5b91505f6148f5565b92505f6148ee565b9850886148de565b6149759198506121fb565b5f965f6148bf565b8a9150614877565b9b50879b614860565b9b5060ff8560801c169b61485a565b879250614854565b8815925061484e565b915060ff8560801c1691614848565b889450614842565b935060ff8560781c169361483c565b5086614835565b50871561482f565b5060ff8560781c16614829565b5050505050509050565b905061004d576004811415846147e6565b505f935060038114156147df565b50509050565b508060155416156147b9565b5060ff60135460681c166147b2565b6001600160a01b0391821681529116602082015260ff909116604082015260600190565b6011546001600160a01b0390811680151580614b7b575b80614b6e575b614a83575050565b614a8b614f9c565b600581101561004d5760028103614b4e57505f905b6013805460ff60501b1916600160501b1790556014546015548416823b156111ee578392855f8094614aec60405197889687958694634ff08ec160e11b865260301c1660048501614a3a565b03925af19081614b3f575b50614b3b5781612f507f9b0f262a0414bc4002cc2e79d18d262c942e58d27d74e2fae9fcfb54618a2d1e9360145460301c1691601554169260405193849384614a3a565b5050565b614b48906121fb565b5f614af7565b60038103614b5f5750600190614aa0565b600403614b3b57600290614aa0565b5081601554161515614a7b565b5060ff60135460501c1615614a75565b6010546001600160a01b031680156123c157600e54604051638110502f60e01b815260049182820152602081602481865afa9081156117d4575f91614c90575b508015614c895760405192839163e3a96cbd60e01b8352838301528160246101009384935afa9081156117d4575f935f915f93614c5e575b50506006811015614c4b5782149182614c22575b50506123be57505f90565b81819293501015614c3857506002145f80614c17565b602190634e487b7160e01b5f525260245ffd5b602183634e487b7160e01b5f525260245ffd5b91509150614c79929350803d1061279d576127868183612275565b5094505050939250925f80614c03565b5050505f90565b90506020813d602011614cba575b81614cab60209383612275565b810103126111ee57515f614bcb565b3d9150614c9e565b65ffffffffffff6014541680431115614d2a57408015614d1f5760405190602082019081523060601b604083015260348252606082019082821060018060401b0383111761220e57600192839260405251902016146001915f9190565b506001906001905f90565b505f905f905f90565b91909160089384549360ff92614d47614ff3565b604051633f62fc2760e01b8152908590614d6360048401612896565b8860301c5f0b610804840152818960381c1661082484015216610844820152848083169485610864840152818086169889610884860152166108a4840152166108c48201526020816108e48160018060a01b037f0000000000000000000000000000000000000000000000000000000000000000165afa9081156117d4575f91614f44575b5015614f395786811015611b2b57614e14614e0660049386936121a8565b90549060031b1c5f0b614f7e565b1614614e24575050505050600190565b600781148080614f31575b80614f25575b15614e5757505050505061010061ff00198254161790555b5f80808080612765565b80614f1b575b80614f0e575b15614e8057505050506201000062ff000019825416179055614e4d565b15918280614f04575b80614ef7575b15614eb0575050825460ff60201b1916600160201b1790925550614e4d9050565b82614eee575b5081614ee0575b50614eca575b5050614e4d565b60ff60281b1916600160281b1790555f80614ec3565b90508160281c16155f614ebd565b1591505f614eb6565b50818460201c1615614e8f565b5060078114614e89565b50818460101c1615614e63565b5060078314614e5d565b508285871c1615614e35565b508315614e2f565b505050505050505f90565b90506020813d602011614f76575b81614f5f60209383612275565b810103126111ee57614f709061264e565b5f614de8565b3d9150614f52565b5f81810b12614f8d5760ff1690565b614f96906125ce565b60ff1690565b614fa4614b8b565b6014546001600160a01b03918216919060301c8116821480614fe6575b614fdf576015541614614fda5760ff60135460301c1690565b600390565b5050600490565b5080601554161515614fc1565b5f9060085460ff90818116615068575b818160081c1661505e575b818160101c16615054575b818160181c1661504a575b818160201c16615040575b60281c1661503957565b9060201790565b926010179261502f565b9260081792615024565b9260041792615019565b926002179261500e565b6001935061500356fedcde4d5f323b6ae67236b395481f3b50ffa4fe7f1886ad479738a833734f568100a8b06dd72552dea96e97c9a96acf39a1908ada44765cefe367620485b2c7e195681e512bc0fe659e195e06c283eada494316f3d801213e48e7101af92bf770335c82276d0b79a1d1920709e66ffd09ec3f814451cbf8001d5d6965416233b8a2646970667358221220efe985fe41e5ea368421e9d9f3ed74c56c013723ab343503595e3680db77dd3c64736f6c6343000818003360808060405234610016576124fc908161001b8239f35b5f80fdfe60806040526004361015610011575f80fd5b5f3560e01c8063270cbc9b146101275780633f62fc27146100bf5763d5f374131461003a575f80fd5b346100bb576109003660031901126100bb5761005536610232565b610804359060ff821682036100bb5761006c6102fe565b61007461030f565b61007c6102ba565b6100846102cb565b61008c6102dc565b916100956102ed565b936108e4359560ff871687036100bb576020986100b198610ca9565b6040519015158152f35b5f80fd5b346100bb576108e03660031901126100bb576100da36610232565b61080435805f0b81036100bb576020916100b1916100f66102fe565b6100fe61030f565b6101066102ba565b9061010f6102cb565b926101186102dc565b946101216102ed565b966107eb565b346100bb576109803660031901126100bb5761014236610232565b6108043580151581036100bb57610824359182151583036100bb576108443580151581036100bb576101726102ba565b61017a6102cb565b6101826102dc565b61018a6102ed565b6108e43590815f0b82036100bb57610904359260ff841684036100bb57610924359460ff861686036100bb57610944359660ff881688036100bb57610964359860ff8a168a036100bb5760609c60ff9c6101e39c610320565b90604093929351931515845215156020840152166040820152f35b6040519061010082016001600160401b0381118382101761021e57604052565b634e487b7160e01b5f52604160045260245ffd5b80602312156100bb576102436101fe565b8091610804908082116100bb576004925b828410610262575050505090565b81601f850112156100bb576102756101fe565b8061010086018481116100bb5786915b8183106102a15750505081602091610100935201930192610254565b8235805f0b81036100bb57815260209283019201610285565b610864359060ff821682036100bb57565b610884359060ff821682036100bb57565b6108a4359060ff821682036100bb57565b6108c4359060ff821682036100bb57565b610824359060ff821682036100bb57565b610844359060ff821682036100bb57565b9b929a9190939495969798999a81610402575b506103df576103478a8a8a8a8f8b90610457565b6103bd5761035a8a8a8a888f8990610507565b61039157505097610373985f14610389575f19906105f8565b156103825760025b5f915f9190565b600161037b565b6001906105f8565b9795939150979593916103a3996105d2565b9081156103b5576004905b8215929190565b6001906103ae565b9795939150979593916103cf99610584565b9081156103b55781159190600390565b50509750505050505050505f146103fb5760045b5f9160019190565b60036103f3565b90505f610333565b90600881101561041b5760051b0190565b634e487b7160e01b5f52603260045260245ffd5b905f0b905f0b0290815f0b91820361044357565b634e487b7160e01b5f52601160045260245ffd5b949593909192955f915b60ff97888416976008808a10156104f8575f5b8b8116828110156104e3576104939061048d8d8661040a565b5161040a565b515f0b5f0390815f0b918203610443575f8d92126104b5575b60010116610474565b90506104c78989838a8a8a8a8a6107eb565b6104d2578b906104ac565b505050505050505050915050600190565b5050509750975091600160ff91011691610461565b50505050505050509150505f90565b949593909192955f915b60ff97888416976008808a10156104f8575f5b8b81168281101561056f57905f6105408e9361048d8f8861040a565b51810b12610552575b60010116610524565b90506105648989838a8a8a8a8a6107eb565b6104d2578b90610549565b5050509750975091600160ff91011691610511565b98979695949392919061059884848c610e49565b6105c4576105aa89898989898f610f85565b6105c4576105b799611129565b6105c057600190565b5f90565b505050505050505050505f90565b9897969594939291906105e682828c610ef1565b6105c4576105aa89898989898f611053565b9598969491929793909761062660018a5f0b14805f146107cc5785905b156107c55782905b81818d8c611548565b6107b7575f935b600860ff861610156107a7575f955b600860ff88161015610797575f61066b8c6106638c61048d60ff8d169160ff8d169061040a565b51830b61042f565b810b131561078c575f975b600860ff8a16101561077b575f9c600860ff8f5b16101561076b5760ff8a8116908916148061075c575b61074d576106b58e8b8b8b8f87878a926107eb565b6106cf575b600860ff809e9f6001905b01169e9d8f61068a565b8a8e8b8f8b8b8b8f938b8d91600660ff6106fe6106f68d61048d848d1691858d169061040a565b515f0b611628565b1614610725575061070e98610ca9565b6106ba575b50505050505050505050509150505f90565b935050505061073995949294939193611548565b1561071357600860ff809e9f6001906106c5565b600860ff809e9f6001906106c5565b508d60ff808b169116146106a0565b9c5097600160ff91011697610676565b975095600160ff915b01169561063c565b95600160ff91610784565b955093600160ff9101169361062d565b5050505050505050915050600190565b505050505050509150505f90565b849061061d565b8390610615565b5f91820b910b0390607f198212607f83131761044357565b859793969261080b61080060ff88168461040a565b5160ff89169061040a565b515f0b97600260ff61084961084482610833610829828c168a61040a565b51828d169061040a565b515f0b9c165f0b838b165f0b6107d3565b611628565b161480610c94575b610ae1575086151580610acc575b610abf5760ff61086e89611628565b169260018414610aa857505060028214610a2457600382146109d657600482146109ac576005821461091757506006146108ac575050505050505f90565b61084460ff9283806108cf6108446108dc96838060019b165f0b91165f0b6107d3565b99165f0b91165f0b6107d3565b941611159283610906575b50826108f257505090565b5f9250906108ff9161042f565b810b131590565b600191935060ff161115915f6108e7565b96919293905061093461084460ff83165f0b60ff86165f0b6107d3565b60ff8061094c6108448287165f0b838a165f0b6107d3565b1691161496871561099b575b871561098a575b87610974575b5050505050826108f257505090565b61097f9597506120a3565b915f80808080610965565b965060ff841660ff8316149661095f565b965060ff831660ff82161496610958565b96919293905060ff831660ff82161496871561098a5787610974575050505050826108f257505090565b9691929390506109f361084460ff83165f0b60ff86165f0b6107d3565b60ff80610a0b6108448287165f0b838a165f0b6107d3565b169116149687610974575050505050826108f257505090565b5050610a549160ff80610a47610844610844958380809a165f0b91165f0b6107d3565b98165f0b91165f0b6107d3565b931692600184149384610a9a575b8415610a75575b5050826108f257505090565b600291929450149081610a8c575b50915f80610a69565b6001915060ff16145f610a83565b60ff82166002149450610a62565b909150610abc98939495925096959661175d565b90565b5050505050505050505f90565b505f610ad8888a61042f565b810b121561085f565b949792505096945060069150145f14610bd957600760ff83161480610bcc575b80610bc1575b610b15575b50505050505f90565b600460ff610b3460e0610b2a8387168a61040a565b5101515f0b611628565b161480610bb4575b80610ba9575b610b9f57600460ff610b62610b598286168961040a565b51515f0b611628565b16149081610b91575b81610b85575b50610b7c5780610b0c565b610abc93611673565b6002915016155f610b71565b60ff85166002149150610b6b565b50610abc93611673565b506004811615610b42565b50600660ff851614610b3c565b506001811615610b07565b50600460ff841614610b01565b60ff82161580610c87575b80610c7c575b610bf75750505050505f90565b600460ff610c0c60e0610b2a8387168a61040a565b161480610c6f575b80610c64575b610b9f57600460ff610c31610b598286168961040a565b16149081610c56575b81610c4a5750610b7c5780610b0c565b6020915016155f610b71565b60ff85166002149150610c3a565b506010811615610c1a565b50600660ff851614610c14565b506008811615610bea565b50600460ff841614610be4565b50600660ff610ca28b611628565b1614610851565b96939895929097949160ff99610cce610cc48c86168b61040a565b518c87169061040a565b515f0b925f84135f14610e2f578b6001809c5b600683610ced89611628565b1603610e1057505060069150610d038895611628565b1603610df557505084905b5f985b8a8a16986008808b1015610de4575f5b8d80821683811015610dd1578a8f93928f8a8f948a8f948f94928e938d838a16821480610dc6575b610db2575f9261048d610d6993610d5f9361040a565b51820b938461042f565b810b1215610da1575087610d7e98998c6119ee565b610d8e5760018e915b0116610d21565b5050505050505050505092505050600190565b985050505050505050600190610d87565b505050985050505050505050600190610d87565b50838b168314610d49565b50939c9150506001919a50011698610d11565b505050505050505050925050505f90565b60018a5f0b145f14610e0957505b90610d0e565b9050610e03565b600693610d03925f0b600103610e2857505b95611628565b9050610e22565b8b5f19809c610ce1565b5f0b607f81146104435760010190565b5f195b805f0b6001808213610ee7575f199115815b610e74575b505050610e6f90610e39565b610e4c565b825f97949693979592950b858113610ed957819081610ed0575b50610ec557610ea08787868686611dd9565b610ebb57610eaf859697610e39565b92959194969396610e5e565b5050505091505090565b610eaf859697610e39565b9050155f610e8e565b508295939650819450610e63565b5050505050505f90565b5f195b805f0b6001808213610ee7575f199115815b610f1c575b505050610f1790610e39565b610ef4565b825f97949693979592950b858113610f7757819081610f6e575b50610f6357610f488787868686611eab565b610ebb57610f57859697610e39565b92959194969396610f06565b610f57859697610e39565b9050155f610f36565b508295939650819450610f0b565b949295939190955f915b60ff97600897848a16898110156104f8575f5b8b81168b81101561103e5780610fbd8e9261048d868861040a565b515f0b908115918215611022575b508115611002575b50610ff95750610fe98989838a8a8a8a8a6107eb565b6104d25760018c915b0116610fa2565b90600190610ff2565b8a83168514915081611016575b505f610fd3565b9050818b16145f61100f565b915091505f0390815f0b918203610443575f8e9212905f610fcb565b5050509750975091600160ff91011691610f8f565b949295939190955f915b60ff97600897848a16898110156104f8575f5b8b81168b8110156110fc578061108b8e9261048d868861040a565b515f0b9081159182156110f0575b5081156110d0575b506110c757506110b78989838a8a8a8a8a6107eb565b6104d25760018c915b0116611070565b906001906110c0565b8a831685149150816110e4575b505f6110a1565b9050818b16145f6110dd565b5f91925012905f611099565b5050509750975091600160ff9101169161105d565b905f0b905f0b0190607f198212607f83131761044357565b9195939099989694929760ff169561115060ff611146898661040a565b519916809961040a565b515f0b915f83135f14611384575f199b60029260ff92611188928f6001905b5f0b149d8e1561137c57509c5b15611374575093611628565b16146113675761119f865f0b60ff8a165f0b6107d3565b906111b1885f0b60ff83165f0b6107d3565b915f0b80611344575060ff6111eb5f9889945b5f0b8061132057506111e05f949a9091859394505b5f0b611111565b60ff16995f0b611111565b60ff16985b60ff811660ff8a1614801590611310575b1561130157965f975b600860ff8a1610156112cf575f5b8d60ff821660088110156112be576112379061048d60ff8e168a61040a565b515f0b80159182156112a5575b50811561128e575b50611284576112618c8c838d8d8d8d8d6107eb565b61127257600160ff915b0116611218565b5060019c505050505050505050505050565b600160ff9161126b565b6006915061129d60ff91611628565b16145f61124c565b8192506112b3905f9261042f565b810b1315908f611244565b505050600190980160ff169761120a565b99988398508260ff6112eb81949596826112f695165f0b611111565b81169b165f0b611111565b1698909691906111f0565b505f9a50505050505050505050565b5060ff881660ff8b161415611201565b5f121561133a576111e060015b949a9091859394506111d9565b6111e05f1961132d565b5f121561135b5760ff6111eb60015b9889946111c4565b60ff6111eb5f19611353565b505f985050505050505050565b905093611628565b90509c61117c565b60019b60029260ff92611188928f8061116f565b91939094925f945b60ff96878716966008808910156107b7575f5b8a81168281101561145b578b8088168c1480611450575b8015611439575b61142f57506113e49061048d8c8b61040a565b515f0b5f03805f0b908103610443575f138787878785888e87611419575b505050505050506107a75760018b915b01166113b3565b6114239750611f65565b8787878785888e611402565b9160019150611412565b508086168c1480156113d1575080871682146113d1565b5080891682146113ca565b509299505060010160ff1696506113a09050565b91939094925f945b60ff96878716966008808910156107b7575f5b8a81168281101561153457878787878f8f958e96828b938716821480611529575b8015611512575b61150057506114c889939261048d5f938b61040a565b51810b1296876114ea575b505050505050506107a75760018b915b011661148a565b6114f49750611f65565b8787878785888e6114d3565b989650505050505050600191506114e3565b50808516821480156114b2575080861683146114b2565b5080881683146114ab565b509299505060010160ff1696506114779050565b929593909491955f965b60ff97888116976008808a10156104f8575f5b8b811682811015611614578888888f8f888f968b92848e958816821480611609575b80156115f2575b6115df57508993926106635f9361048d6115a8948d61040a565b810b1296876115c9575b505050505050506104d25760018c915b0116611565565b6115d39750611f65565b8888888885898f6115b2565b99975050505050505050600191506115c2565b508086168214801561158e5750808716831461158e565b508089168314611587565b505050975060ff9198506001011696611552565b5f81810b90811261163a575060ff1690565b9050607f198114610443575f0360ff1690565b60ff60019116019060ff821161044357565b9060ff8091169116019060ff821161044357565b60ff94858516949093868116939161169f91908786101561172f578782965b111561172757509361164d565b8681168785168110156116d8576116bc9061048d8985168661040a565b515f0b6116cd57600101861661169f565b505050509150505f90565b5050915093929193600283148061170c575b611704576116fd9361048d92169061040a565b515f0b1590565b505050505f90565b50602061171b8584168361040a565b5101515f0b15156116ea565b90509361164d565b878196611692565b60ff5f199116019060ff821161044357565b9060ff8091169116039060ff821161044357565b9691929094939560ff80809616921691808314806119e4575b611943575b5f0b915f0b600198898761179261084485886107d3565b16146118c0575b5f0b9389875f87121593846118a3575b50505081611898575b506117c4575b50505050505050505f90565b5f0b87811480611883575b80611877575b8061186e575b80611861575b611857575f1914958661183e575b5085611831575b85611827575b505083611817575b505050610abc57808080808080806117b8565b81929350169116145f8080611804565b1493505f806117fc565b82841660041495506117f6565b909550838061184c8561164d565b16911614945f6117ef565b5050505050505090565b50848416858716146117e1565b508282146117db565b506003858516146117d5565b508461188e85611737565b16858816146117cf565b90505f0b155f6117b2565b6118b5919293945061084490876107d3565b16149089875f6117a9565b825f0b8a81148061192e575b80611923575b611916575f191480611901575b806118f6575b156117995750505050505050505090565b505f85810b136118e5565b508661190c8761164d565b16878a16146118df565b5050505050505050505090565b505f86810b126118d2565b508761193988611737565b16888b16146118cc565b5f82900b1961199957856119568661164d565b16868916908114908115611979575b501561177b57505050505050505050600190565b86881660011491508161198e575b505f611965565b60039150145f611987565b856119a386611737565b168689169081149081156119c557501561177b57505050505050505050600190565b8688166006149150816119d957505f611965565b60049150145f611987565b50835f0b15611776565b90959798919493929860ff9788611a048c611628565b169460019b8c8714611d6c575060028614611cea5760068614611c8e578980911698165f0b968980611a388a8c5f0b6107d3565b981691165f0b611a4a81835f0b6107d3565b96611a5489611628565b988c80611a608b611628565b169a1699808b149182611c84575b5f0b92831591829c8315611c78575b83611c57575b50506003811480611c4f575b611c32576004811480611c47575b611c32576005149182611c29575b5081611c20575b50611c0e578d9815611bf05750611ae85f998a985b5f0b80611bcc5750611ae15f9b8c918f918d969594611111565b1692611111565b8c16915b611b01575b5050505050505050505050505090565b8b168a8114801590611bc0575b15611bbb578b8a91818f16811480611bae575b15611b4c575b90611b388a611b4394935f0b611111565b811693165f0b611111565b8b169088611aec565b995090508416881480611ba1575b8015611b7f575b611b6e57888b8e99611b27565b505050505050505050505050505f90565b50611b97611b8d898761040a565b518c83169061040a565b515f0b1515611b61565b508a86168b821614611b5a565b5081861682851614611b21565b611af1565b50828c83161415611b0e565b5f1215611be657611ae18a5b9b8c918f918d969594611111565b611ae15f19611bd8565b5f1215611c0457611ae8885b998a98611ac7565b611ae85f19611bfc565b50505050505050505050505050505f90565b9050155f611ab2565b1591505f611aab565b50505050505050505050505050505050505f90565b508115611a9d565b508215611a8f565b909192501590811591611c6e575b50905f80611a83565b905015155f611c65565b92508b5f0b1592611a7d565b8b15159250611a6e565b92505050889750611cb39250610844915086808095979a969a165f0b91165f0b6107d3565b1611159384611cc4575b5050505090565b8280611cde949596506108449392165f0b91165f0b6107d3565b1611155f808080611cbd565b611d23979a506108449695508980809a819750819650611d1695506108449450165f0b91165f0b6107d3565b97165f0b91165f0b6107d3565b921692600284149384611d60575b8415611d3e575050505090565b1492509082611d53575b50505f808080611cbd565b6002925016145f80611d48565b83831682149450611d31565b9250969a995050611d98935087949692505f80925050810b135f14611dd157825f19915b165f0b611111565b5f0b91165f0b149384611dac575050505090565b8280611dc6949596506108449392165f0b91165f0b6107d3565b16145f808080611cbd565b828791611d90565b9290919260ff91611def83851691825f0b611111565b90611dff84871697885f0b611111565b96825f0b5f8112908115611e9f575b508015611e94575b8015611e87575b6117b857611e4b9061048d611e41611e378887168861040a565b51888c169061040a565b515f0b938661040a565b515f0b8115159182611e70575b5050610ee757611e6c958316921690611398565b1590565b5f925090611e7d9161042f565b810b135f80611e58565b506008885f0b1215611e1d565b505f88810b12611e16565b6008915012155f611e0e565b9290919260ff91611ec183851691825f0b611111565b90611ed184871697885f0b611111565b96825f0b5f8112908115611f59575b508015611f4e575b8015611f41575b6117b857611f099061048d611e41611e378887168861040a565b515f0b8115159182611f2a575b5050610ee757611e6c95831692169061146f565b5f925090611f379161042f565b810b135f80611f16565b506008885f0b1215611eef565b505f88810b12611ee8565b6008915012155f611ee0565b94929095939160ff9687811696611f7c888261040a565b5198611f8b818516809b61040a565b515f0b90611f9882611628565b99818b1660019384821461204857506002811461200f57600614611fc357505050610abc985061229c565b909850819950889592508591969750611fe7945061084493505f0b91165f0b6107d3565b1611159384611ff7575050505090565b82611cde9394955061084492915f0b91165f0b6107d3565b50610844929b9a50819950819850611d2397955081945061203c93509061084496915f0b91165f0b6107d3565b965f0b91165f0b6107d3565b939b505093509750879495965061207093505f80925050135f1461209c575f19905f0b611111565b5f0b91165f0b149384612084575050505090565b82611dc69394955061084492915f0b91165f0b6107d3565b86906111d9565b949360ff938085169392918583168086119284841561228c576120c591611749565b905b878616958884169389808987119284845f1461227d576120e691611749565b16941698848a146121ee5783146121755750505050831461210b57505f955050505050565b60015b84868216106121235750600196505050505050565b811561215e576121428461048d8861213b858861165f565b168b61040a565b515f0b61215357600101851661210e565b505f96505050505050565b6121428461048d886121708588611749565b61213b565b94509450945095969794505060015b85878216106121995750505050505050600190565b81156121dc576121c06121ac828561165f565b886121b7878961040a565b5191169061040a565b515f0b6121d1576001018616612184565b505050505050505f90565b6121c06121e98285611749565b6121ac565b509798999a965094939250505060015b8688821610612214575050505050505050600190565b811561226b57612245612227828561165f565b871561225657896121b78161223c868a61165f565b935b168961040a565b515f0b6117b85760010187166121fe565b896121b781612265868a611749565b9361223e565b6122456122788285611749565b612227565b9061228791611749565b6120e6565b9061229691611749565b906120c7565b91969590939497929760ff80809a1695165f0b9789806122be8b895f0b6107d3565b981691165f0b976122d189835f0b6107d3565b976122db81611628565b908c806122e78c611628565b169216918d81841492836124bc575b5f0b94851592839584156124b0575b8461248f575b5050166003811480612487575b61246c57600481148061247f575b61246c576005149182612463575b508161245a575b5061244a571561242957508961236b5f9a8b995b5f0b8061240a57506123635f9c8d92611111565b83169a611111565b8116985b168681148015906123fe575b156123ee578a83168114806123e1575b15806123bf575b6123b0576123a88a8c6112eb8b82955f0b611111565b81169861236f565b50505050509450505050505f90565b506123d76123cd828761040a565b518c8b169061040a565b515f0b1515612392565b508a84168b8a161461238b565b5050505050945050505050600190565b50818b8a16141561237b565b5f121561241f5761236360015b9c8d92611111565b6123635f19612417565b5f121561243f578961236b60015b9a8b9961234f565b8961236b5f19612437565b5050505050509450505050505f90565b9050155f61233b565b1591505f612334565b5050505050505050509450505050505f90565b508115612326565b508215612318565b9091935015908115916124a6575b50915f8061230b565b905015155f61249d565b93508d5f0b1593612305565b84151593506122f656fea2646970667358221220b2d10e08798159841218535d531dc6496746d01c6d0408de76a06e9ada512fd864736f6c63430008180033"
   },
   ChessFactory: {
-    abi: [{"inputs":[{"internalType":"address","name":"_chessCoreImplementation","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"FailedDeployment","type":"error"},{"inputs":[{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"InsufficientBalance","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"BondingManagerUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"DisputeDAOUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"gameId","type":"uint256"},{"indexed":true,"internalType":"address","name":"gameAddress","type":"address"},{"indexed":true,"internalType":"address","name":"whitePlayer","type":"address"},{"indexed":false,"internalType":"uint256","name":"betAmount","type":"uint256"},{"indexed":false,"internalType":"enum ChessCore.TimeoutPreset","name":"timeoutPreset","type":"uint8"},{"indexed":false,"internalType":"enum ChessCore.GameMode","name":"gameMode","type":"uint8"}],"name":"GameCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldImplementation","type":"address"},{"indexed":true,"internalType":"address","name":"newImplementation","type":"address"}],"name":"ImplementationUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"PlayerRatingUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"RewardPoolUpdated","type":"event"},{"inputs":[],"name":"MAX_BET","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MIN_BET","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"addressNFT","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"bondingManager","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"chessCoreImplementation","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"deployedChessGames","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"disputeDAO","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"playerRating","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"rewardPool","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalChessGames","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_newImplementation","type":"address"}],"name":"setImplementation","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_bondingManager","type":"address"}],"name":"setBondingManager","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_disputeDAO","type":"address"}],"name":"setDisputeDAO","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_playerRating","type":"address"}],"name":"setPlayerRating","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_rewardPool","type":"address"}],"name":"setRewardPool","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"enum ChessCore.TimeoutPreset","name":"_timeoutPreset","type":"uint8"},{"internalType":"enum ChessCore.GameMode","name":"_gameMode","type":"uint8"}],"name":"createChessGame","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"betAmount","type":"uint256"}],"name":"hasSufficientBond","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"betAmount","type":"uint256"}],"name":"getRequiredBond","outputs":[{"internalType":"uint256","name":"chessRequired","type":"uint256"},{"internalType":"uint256","name":"ethRequired","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getDeployedChessGames","outputs":[{"internalType":"address[]","name":"","type":"address[]"}],"stateMutability":"view","type":"function"}],
-    bytecode: "0x6080346100de576001600160401b0390601f61231938819003918201601f1916830191848311848410176100ca578084926020946040528339810103126100de57516001600160a01b038082169290918390036100de5782156100de5760018060a01b03199233846008541617600855836003541617600355604051906115f280830191838310908311176100ca576020918391610d2783393381520301905ff080156100bf5716906001541617600155604051610c4490816100e38239f35b6040513d5f823e3d90fd5b634e487b7160e01b5f52604160045260245ffd5b5f80fdfe6080604081815260049182361015610015575f80fd5b5f925f3560e01c9182632cf1becd14610677575081632e4ccf721461064e578163366b734014610623578163426eae45146105fb57816364fffe69146105565781636540742f1461053457816366666aa91461050b57816375e8eca81461049d57816378238c371461042f5781637e95b5231461040b5781638da5cb5b146103e2578163a116e486146103b0578163a4b7bbde14610370578163bde8401d1461030357508063c35c274214610295578063c6b68eef14610277578063d784d426146101ff578063da47504f146101d7578063f1c2d0d9146101af578063f2fde38b146101345763f91acfe714610109575f80fd5b3461013057816003193601126101305760065490516001600160a01b039091168152602090f35b5080fd5b82346101ac5760203660031901126101ac5761014e610a19565b6008546001600160a01b0380821692338490036101a857169182156101a45782907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e08580a36001600160a01b0319161760085580f35b8380fd5b8480fd5b80fd5b503461013057816003193601126101305760055490516001600160a01b039091168152602090f35b503461013057816003193601126101305760035490516001600160a01b039091168152602090f35b82346101ac5760203660031901126101ac57610219610a19565b6008546001600160a01b0391908216330361027357811690811561027357816003549182167faa3f731066a578e5f39b4215468d826cdd15373cbc0dfc9cb9bdc649718ef7da8580a36001600160a01b0319161760035580f35b8280fd5b50346101305781600319360112610130576020906002549051908152f35b82346101ac5760203660031901126101ac576102af610a19565b6008546001600160a01b0391908216330361027357816006549116809282167f979df7c22e8dbc32891655cdb7ff4b81f08d6d3d3c362a72902518e597af59618580a36001600160a01b0319161760065580f35b8390346101305760203660031901126101305761031e610a19565b6008546001600160a01b039190821633036101a4578183549116809282167f83c0d8d6c82c6c0107d69f5a19bf95b607854a54447d649af035f8c685f7f0a28680a36001600160a01b03191617905580f35b90503461027357602036600319011261027357359180548310156101ac575061039a602092610a2f565b905491519160018060a01b039160031b1c168152f35b5050346101305780600319360112610130576020906103d96103d0610a19565b60243590610b93565b90519015158152f35b50503461013057816003193601126101305760085490516001600160a01b039091168152602090f35b5050346101305781600319360112610130576020905168056bc75e2d631000008152f35b83346101ac5760203660031901126101ac57610449610a19565b6008546001600160a01b0391908216330361027357816007549116809282167f172da71f1c616b61d83038d9d8679e9f8592d8405647a400b24bf1852cecaed78580a36001600160a01b0319161760075580f35b83346101ac5760203660031901126101ac576104b7610a19565b6008546001600160a01b0391908216330361027357816005549116809282167f8ac6240380ab538dfe0af342c54df94c867207309384f9ac35c4714caaeb0b358580a36001600160a01b0319161760055580f35b50503461013057816003193601126101305760075490516001600160a01b039091168152602090f35b5050346101305781600319360112610130576020905166038d7ea4c680008152f35b8284346101ac57806003193601126101ac579080519182908054918285526020809501809383805286842090845b8181106105de575050508161059a910382610a80565b83519485948186019282875251809352850193925b8281106105be57505050500390f35b83516001600160a01b0316855286955093810193928101926001016105af565b82546001600160a01b031684529288019260019283019201610584565b9050346102735782600319360112610273575490516001600160a01b03909116815260209150f35b905082346101ac5760203660031901126101ac57506106429035610b04565b82519182526020820152f35b50503461013057816003193601126101305760015490516001600160a01b039091168152602090f35b8385816003193601126109905783359060038210156109905760249081359160028310156109905766038d7ea4c6800034106109905768056bc75e2d6310000034116109905786546001600160a01b0396908716806109a3575b5050600254966e5af43d82803e903d91602b57fd5bf3600354763d602d80600a3d3981f3363d3d373d3d3d363d7300000062ffffff8260881c16175f5260018060781b03199060781b161760205286603760095ff0169687156109945780825416816005541682600654168360075416918b3b15610990578a51630126f8d560e51b8152338782015234888201529361076d604486018c610ad6565b61077a606486018b610af7565b8d608486015260a485015260c484015260e48301526101048201525f8161012481348d5af1801561098657610973575b508354600160401b811015610961578060016107c892018655610a2f565b81549060031b90838b831b921b19161790556002545f19811461094f57600101600255806007541680610904575b508060065416806108af575b5060015416803b156101a45760648492838b938b8b5197889687956346676cd360e11b87528601528401523360448401525af180156108a557610891575b5050602094610865859261085c86519534875289870190610ad6565b85850190610af7565b7f9c8d7736756ff0354a8d44bbc2cd052aca0b2ebfa014ee3ecb3c3a1b8b5cc22c60603394a451908152f35b61089b8291610a59565b6101ac5780610840565b85513d84823e3d90fd5b803b156101a857848091858b8b5194859384926373032edf60e11b8452898401525af180156108fa579085916108e6575b50610802565b6108ef90610a59565b6101a457838a6108e0565b88513d87823e3d90fd5b803b156101a857848091858b8b5194859384926373032edf60e11b8452898401525af180156108fa5790859161093b575b506107f6565b61094490610a59565b6101a457838a610935565b634e487b7160e01b8552601183528385fd5b634e487b7160e01b8552604183528385fd5b61097e919450610a59565b5f92896107aa565b88513d5f823e3d90fd5b5f80fd5b50855163b06ebf3d60e01b8152fd5b63508b724360e11b8252602090829081806109c134338f8401610abb565b03915afa908115610a0f575f916109e0575b50156109905787806106d1565b610a02915060203d602011610a08575b6109fa8183610a80565b810190610aa3565b886109d3565b503d6109f0565b86513d5f823e3d90fd5b600435906001600160a01b038216820361099057565b5f54811015610a45575f805260205f2001905f90565b634e487b7160e01b5f52603260045260245ffd5b6001600160401b038111610a6c57604052565b634e487b7160e01b5f52604160045260245ffd5b601f909101601f19168101906001600160401b03821190821017610a6c57604052565b90816020910312610990575180151581036109905790565b6001600160a01b039091168152602081019190915260400190565b906003821015610ae35752565b634e487b7160e01b5f52602160045260245ffd5b906002821015610ae35752565b6004546001600160a01b031691908215610b8b576040809160248251809681936383f0feb960e01b835260048301525afa928315610b81575f915f94610b4b575b50509190565b8194508092503d8311610b7a575b610b638183610a80565b810103126109905760208251920151915f80610b45565b503d610b59565b50513d5f823e3d90fd5b505f91508190565b6004546001600160a01b0316918215610c065760405163508b724360e11b815292602092849283918291610bca9160048401610abb565b03915afa908115610bfb575f91610bdf575090565b610bf8915060203d602011610a08576109fa8183610a80565b90565b6040513d5f823e3d90fd5b50505060019056fea26469706673582212206fc2c260916d972707abe32a466343698827b5ea10dc64bcddc50630cb3aa4de64736f6c6343000818003360a0346200038257601f1990601f906001600160401b0390620015f2388190038481018616830184811184821017620002a4578392829160405283396020928391810103126200038257516001600160a01b0393848216939184900362000382576200006a62000386565b92600884526710da195cdcd3919560c21b818501526200008962000386565b966005885264436865737360d81b828901528451848111620002a4575f546001968782811c9216801562000377575b858310146200028557818684931162000324575b508490868311600114620002c4575f92620002b8575b50505f19600383901b1c191690861b175f555b8751938411620002a45784548581811c9116801562000299575b8382101462000285578381116200023d575b5081928411600114620001d957505081929394955f92620001cd575b50505f19600383901b1c191690821b1790555b8015620001b557600a80546001600160a01b03198116831790915560405192167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e05f80a33360805261124b9081620003a7823960805181818161031901526105bd0152f35b604051631e4fbdf760e01b81525f6004820152602490fd5b015190505f806200013d565b5f858152828120918516989193925b898210620002255750508385969798106200020c575b505050811b01905562000150565b01515f1960f88460031b161c191690555f8080620001fe565b808785968294968601518155019501930190620001e8565b855f52825f208480870160051c8201928588106200027b575b0160051c019086905b8281106200026f57505062000121565b5f81550186906200025f565b9250819262000256565b634e487b7160e01b5f52602260045260245ffd5b90607f16906200010f565b634e487b7160e01b5f52604160045260245ffd5b015190505f80620000e2565b9084899416915f8052865f20925f5b888282106200030d5750508411620002f4575b505050811b015f55620000f5565b01515f1960f88460031b161c191690555f8080620002e6565b8385015186558c97909501949384019301620002d3565b9091505f8052845f208680850160051c8201928786106200036d575b918a91869594930160051c01915b8281106200035e575050620000cc565b5f81558594508a91016200034e565b9250819262000340565b91607f1691620000b8565b5f80fd5b60408051919082016001600160401b03811183821017620002a45760405256fe608060409080825260049081361015610016575f80fd5b5f3560e01c90816301ffc9a714610ba15750806306fdde0314610af7578063081812fc14610abe578063095ea7b3146109e157806318160ddd146109c357806323b872dd146109ac5780632f745c591461093857806342842e0e146108fd5780634f6ccce7146108a9578063562d60b7146101e35780636352211e1461087957806370a082311461084d578063715018a6146108055780638cced9a6146105845780638da5cb5b1461055c57806395d89b411461046a578063a22cb465146103ce578063b88d4fde14610348578063c45a015514610305578063c87b56dd14610213578063dcaa7948146101e3578063e985e9c5146101955763f2fde38b1461011d575f80fd5b3461019157602036600319011261019157610136610c6b565b9061013f61118c565b6001600160a01b0391821692831561017b575050600a80546001600160a01b031981168417909155165f805160206111d68339815191525f80a3005b905f6024925191631e4fbdf760e01b8352820152fd5b5f80fd5b82346101915780600319360112610191576020906101b1610c6b565b6101b9610c81565b9060018060a01b038091165f5260058452825f2091165f52825260ff815f20541690519015158152f35b50903461019157602036600319011261019157602091355f52600b825260018060a01b03815f2054169051908152f35b50903461019157602090816003193601126101915782355f908152600b8352819020546001600160a01b03168015610191575f9082519485809263042bc8db60e11b82525afa9283156102fb575f9361027f575b5061027b9051928284938452830190610c46565b0390f35b9092503d805f833e6102918183610ccc565b8101908281830312610191578051906001600160401b03821161019157019080601f83011215610191578151916102c783610d03565b916102d486519384610ccc565b8383528484830101116101915761027b926102f491858085019101610c25565b9290610267565b50513d5f823e3d90fd5b8234610191575f36600319011261019157517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b50903461019157608036600319011261019157610363610c6b565b61036b610c81565b606435936001600160401b0385116101915736602386011215610191578401356103a061039782610d03565b94519485610ccc565b8084523660248287010111610191576020815f9260246103cc9801838801378501015260443591611004565b005b5090346101915780600319360112610191576103e8610c6b565b9060243591821515809303610191576001600160a01b03169283156104555750335f526005602052805f20835f52602052805f2060ff1981541660ff8416179055519081527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c3160203392a3005b836024925191630b61174360e31b8352820152fd5b509034610191575f366003190112610191578051905f90600191600154928360011c9060018516948515610552575b602095868410811461053f5783885287949392918790821561051d5750506001146104e0575b505061027b92916104d1910385610ccc565b51928284938452830190610c46565b9085925060015f52825f20915f925b82841061050557505050820101816104d16104bf565b8054848a0186015288955087949093019281016104ef565b60ff19168682015292151560051b850190920192508391506104d190506104bf565b602289634e487b7160e01b5f525260245ffd5b91607f1691610499565b8234610191575f36600319011261019157600a5490516001600160a01b039091168152602090f35b50346101915760603660031901126101915780356105a0610c81565b6001600160a01b03604435818116959194929086810361019157857f000000000000000000000000000000000000000000000000000000000000000016330361019157845f52602090600b8252835f2096875493818516610191578116978815610191576001600160a01b03199485168917905588156107ef57865f5260028352845f205416888115801595866107d0575b825f5260038652875f2060018154019055895f526002865282885f20918254161790558882845f805160206111f68339815191525f80a4156107635750600854875f526009845280865f2055600160401b81101561075057906106b8886106a08460018e9601600855610fa2565b90919082549060031b91821b915f19901b1916179055565b03610702575b50506106ec5750507f63fc45c3210bc32e394e286b28957dafa3cd70f2486986798b8edde60d21e9975f80a4005b905f60249251916339e3563760e11b8352820152fd5b61070b90610fce565b5f1981019190821161073d57600790885f5260068152845f20835f52815286855f2055865f5252825f20555f806106be565b601185634e487b7160e01b5f525260245ffd5b604187634e487b7160e01b5f525260245ffd5b908082146106b85761077481610fce565b885f5260078552865f205490825f5260068652875f20918181036107ae575b50895f52600786525f888120555f5284525f868120556106b8565b815f52828752885f2054815f52808a5f20555f5260078752885f20555f610793565b6107d98a6111b8565b835f5260038652875f205f198154019055610632565b8451633250574960e11b81525f81880152602490fd5b34610191575f3660031901126101915761081d61118c565b600a80546001600160a01b031981169091555f906001600160a01b03165f805160206111d68339815191528280a3005b82346101915760203660031901126101915760209061087261086d610c6b565b610fce565b9051908152f35b5090346101915760203660031901126101915761089860209235611152565b90516001600160a01b039091168152f35b5034610191576020366003190112610191578035906008548210156108e2576020836108d484610fa2565b91905490519160031b1c8152f35b905f604493519263295f44f760e21b84528301526024820152fd5b5090346101915761090d36610c97565b83519390929060208501906001600160401b03821186831017610750576103cc9650525f8452611004565b509034610191578060031936011261019157610952610c6b565b916024359061096084610fce565b82101561098c575060209260018060a01b03165f5260068352815f20905f528252805f20549051908152f35b915163295f44f760e21b81529283926109a89291908401610f87565b0390fd5b34610191576103cc6109bd36610c97565b91610d1e565b8234610191575f366003190112610191576020906008549051908152f35b5090346101915780600319360112610191576109fb610c6b565b91602435610a0881611152565b33151580610aab575b80610a84575b610a6e576001600160a01b039485169482918691167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b9255f80a45f9081526020919091522080546001600160a01b0319169091179055005b835163a9fbf51f60e01b81523381850152602490fd5b5060018060a01b0381165f526005602052835f20335f5260205260ff845f20541615610a17565b506001600160a01b038116331415610a11565b509034610191576020366003190112610191578160209235610adf81611152565b505f52825260018060a01b03815f2054169051908152f35b509034610191575f366003190112610191578051905f905f549160018360011c9060018516948515610b97575b602095868410811461053f5783885287949392918790821561051d575050600114610b5b57505061027b92916104d1910385610ccc565b908592505f8052825f20915f925b828410610b7f57505050820101816104d16104bf565b8054848a018601528895508794909301928101610b69565b91607f1691610b24565b823461019157602036600319011261019157359063ffffffff60e01b82168092036101915760209163780e9d6360e01b8114908115610be2575b5015158152f35b6380ac58cd60e01b811491508115610c14575b8115610c03575b5083610bdb565b6301ffc9a760e01b14905083610bfc565b635b5e139f60e01b81149150610bf5565b5f5b838110610c365750505f910152565b8181015183820152602001610c27565b90602091610c5f81518092818552858086019101610c25565b601f01601f1916010190565b600435906001600160a01b038216820361019157565b602435906001600160a01b038216820361019157565b6060906003190112610191576001600160a01b0390600435828116810361019157916024359081168103610191579060443590565b601f909101601f19168101906001600160401b03821190821017610cef57604052565b634e487b7160e01b5f52604160045260245ffd5b6001600160401b038111610cef57601f01601f191660200190565b6001600160a01b0382811693918415610f6f57825f5260206002815260409583875f2054169533151580610ee3575b5086158015610ec4575b5f83815260038552898120805460010190558781526002855289812080546001600160a01b03191685179055879084908a905f805160206111f68339815191529080a415610e5857600854865f526009845280895f2055600160401b811015610cef57866106a0826001610dce9401600855610fa2565b818703610e09575b5050501692838303610de85750505050565b6064945051926364283d7b60e01b8452600484015260248301526044820152fd5b610e1290610fce565b5f19810192908311610e44576007915f5260068152875f20835f52815285885f2055855f5252855f20555f8080610dd6565b634e487b7160e01b5f52601160045260245ffd5b868214610dce57610e6887610fce565b865f5260078452885f205490885f5260068552895f2091818103610ea2575b50875f52600785525f8a8120555f5283525f88812055610dce565b815f528286528a5f2054815f52808c5f20555f52600786528a5f20555f610e87565b610ecd876111b8565b875f5260038452885f205f198154019055610d57565b80610f2e575b15610ef4575f610d4d565b878688610f11576024915190637e27328960e01b82526004820152fd5b905163177e802f60e01b81529081906109a8903360048401610f87565b503387148015610f53575b80610ee95750855f52600483523385895f20541614610ee9565b50865f5260058352875f20335f52835260ff885f205416610f39565b604051633250574960e11b81525f6004820152602490fd5b6001600160a01b039091168152602081019190915260400190565b600854811015610fba5760085f5260205f2001905f90565b634e487b7160e01b5f52603260045260245ffd5b6001600160a01b03168015610fec575f52600360205260405f205490565b6040516322718ad960e21b81525f6004820152602490fd5b9192611011848385610d1e565b813b61101e575b50505050565b604051630a85bd0160e11b8082523360048301526001600160a01b0394851660248301526044820195909552608060648201526020959390921693919085908290819061106f906084830190610c46565b03815f885af15f9181611112575b506110dc575050503d5f146110d4573d9161109783610d03565b926110a56040519485610ccc565b83523d5f8285013e5b825192836110cf57604051633250574960e11b815260048101849052602490fd5b019050fd5b6060916110ae565b9193506001600160e01b0319909116036110fa57505f808080611018565b60249060405190633250574960e11b82526004820152fd5b9091508581813d831161114b575b61112a8183610ccc565b8101031261019157516001600160e01b03198116810361019157905f61107d565b503d611120565b5f818152600260205260409020546001600160a01b0316908115611174575090565b60249060405190637e27328960e01b82526004820152fd5b600a546001600160a01b031633036111a057565b60405163118cdaa760e01b8152336004820152602490fd5b5f90815260046020526040902080546001600160a01b031916905556fe8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3efa2646970667358221220e1a60c2a04d701e15fa0c757569b1b32d51497957077406f94b7247c851bb95364736f6c63430008180033"
+    abi: [{"inputs":[{"internalType":"address","name":"_chessCoreImplementation","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"FailedDeployment","type":"error"},{"inputs":[{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"InsufficientBalance","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"BondingManagerUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"DisputeDAOUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"gameId","type":"uint256"},{"indexed":true,"internalType":"address","name":"gameAddress","type":"address"},{"indexed":false,"internalType":"enum ChessCore.ColorChoice","name":"creatorColor","type":"uint8"}],"name":"GameColorChoice","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"gameId","type":"uint256"},{"indexed":true,"internalType":"address","name":"gameAddress","type":"address"},{"indexed":true,"internalType":"address","name":"whitePlayer","type":"address"},{"indexed":false,"internalType":"uint256","name":"betAmount","type":"uint256"},{"indexed":false,"internalType":"enum ChessCore.TimeoutPreset","name":"timeoutPreset","type":"uint8"},{"indexed":false,"internalType":"enum ChessCore.GameMode","name":"gameMode","type":"uint8"}],"name":"GameCreated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"gameId","type":"uint256"},{"indexed":true,"internalType":"address","name":"gameAddress","type":"address"},{"indexed":true,"internalType":"address","name":"invitedOpponent","type":"address"}],"name":"GameInvitation","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldImplementation","type":"address"},{"indexed":true,"internalType":"address","name":"newImplementation","type":"address"}],"name":"ImplementationUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"PlayerRatingUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldAddress","type":"address"},{"indexed":true,"internalType":"address","name":"newAddress","type":"address"}],"name":"RewardPoolUpdated","type":"event"},{"inputs":[],"name":"MAX_BET","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MIN_BET","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"addressNFT","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"bondingManager","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"chessCoreImplementation","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"deployedChessGames","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"disputeDAO","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"playerRating","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"rewardPool","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalChessGames","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_newImplementation","type":"address"}],"name":"setImplementation","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_bondingManager","type":"address"}],"name":"setBondingManager","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_disputeDAO","type":"address"}],"name":"setDisputeDAO","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_playerRating","type":"address"}],"name":"setPlayerRating","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_rewardPool","type":"address"}],"name":"setRewardPool","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"enum ChessCore.TimeoutPreset","name":"_timeoutPreset","type":"uint8"},{"internalType":"enum ChessCore.GameMode","name":"_gameMode","type":"uint8"}],"name":"createChessGame","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"enum ChessCore.TimeoutPreset","name":"_timeoutPreset","type":"uint8"},{"internalType":"enum ChessCore.GameMode","name":"_gameMode","type":"uint8"},{"internalType":"address","name":"_invitedOpponent","type":"address"}],"name":"createInvitedChessGame","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"enum ChessCore.TimeoutPreset","name":"_timeoutPreset","type":"uint8"},{"internalType":"enum ChessCore.GameMode","name":"_gameMode","type":"uint8"},{"internalType":"enum ChessCore.ColorChoice","name":"_creatorColor","type":"uint8"},{"internalType":"address","name":"_invitedOpponent","type":"address"}],"name":"createChessGameWithColor","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"payable","type":"function"},{"inputs":[{"internalType":"address","name":"player","type":"address"},{"internalType":"uint256","name":"betAmount","type":"uint256"}],"name":"hasSufficientBond","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"betAmount","type":"uint256"}],"name":"getRequiredBond","outputs":[{"internalType":"uint256","name":"chessRequired","type":"uint256"},{"internalType":"uint256","name":"ethRequired","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getDeployedChessGames","outputs":[{"internalType":"address[]","name":"","type":"address[]"}],"stateMutability":"view","type":"function"}],
+    bytecode: "0x6080346100e1576001600160401b0390601f62004c9d38819003918201601f1916830191848311848410176100cd578084926020946040528339810103126100e157516001600160a01b038082169290918390036100e15782156100e15760018060a01b03199233846008541617600855836003541617600355604051906134b780830191838310908311176100cd576020918391620017e683393381520301905ff080156100c257169060015416176001556040516117009081620000e68239f35b6040513d5f823e3d90fd5b634e487b7160e01b5f52604160045260245ffd5b5f80fdfe6080604090808252600480361015610015575f80fd5b5f3560e01c9182631b1b33cf14610fd7575081631b639cb514610b245781632cf1becd146106625781632e4ccf721461063a578163366b734014610611578163426eae45146105ea57816364fffe69146105485781636540742f1461052757816366666aa9146104ff57816375e8eca81461049357816378238c37146104275781637e95b523146104045781638da5cb5b146103dc578163a116e486146103ab578163a4b7bbde1461036c578163bde8401d1461030257508063c35c274214610296578063c6b68eef14610278578063d784d42614610206578063da47504f146101de578063f1c2d0d9146101b6578063f2fde38b146101485763f91acfe71461011d575f80fd5b34610144575f3660031901126101445760065490516001600160a01b039091168152602090f35b5f80fd5b3461014457602036600319011261014457610161611478565b6008546001600160a01b03808216923384900361014457169182156101445782907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e05f80a36001600160a01b03191617600855005b5034610144575f3660031901126101445760055490516001600160a01b039091168152602090f35b5034610144575f3660031901126101445760035490516001600160a01b039091168152602090f35b346101445760203660031901126101445761021f611478565b6008546001600160a01b0391908216330361014457811690811561014457816003549182167faa3f731066a578e5f39b4215468d826cdd15373cbc0dfc9cb9bdc649718ef7da5f80a36001600160a01b03191617600355005b5034610144575f366003190112610144576020906002549051908152f35b34610144576020366003190112610144576102af611478565b6008546001600160a01b0391908216330361014457816006549116809282167f979df7c22e8dbc32891655cdb7ff4b81f08d6d3d3c362a72902518e597af59615f80a36001600160a01b03191617600655005b346101445760203660031901126101445761031b611478565b6008546001600160a01b03919082163303610144578183549116809282167f83c0d8d6c82c6c0107d69f5a19bf95b607854a54447d649af035f8c685f7f0a25f80a36001600160a01b031916179055005b9050346101445760203660031901126101445735905f548210156101445761039560209261148e565b905491519160018060a01b039160031b1c168152f35b82346101445780600319360112610144576020906103d36103ca611478565b602435906115c4565b90519015158152f35b8234610144575f3660031901126101445760085490516001600160a01b039091168152602090f35b8234610144575f366003190112610144576020905168056bc75e2d631000008152f35b3461014457602036600319011261014457610440611478565b6008546001600160a01b0391908216330361014457816007549116809282167f172da71f1c616b61d83038d9d8679e9f8592d8405647a400b24bf1852cecaed75f80a36001600160a01b03191617600755005b34610144576020366003190112610144576104ac611478565b6008546001600160a01b0391908216330361014457816005549116809282167f8ac6240380ab538dfe0af342c54df94c867207309384f9ac35c4714caaeb0b355f80a36001600160a01b03191617600555005b8234610144575f3660031901126101445760075490516001600160a01b039091168152602090f35b8234610144575f366003190112610144576020905166038d7ea4c680008152f35b8234610144575f36600319011261014457805190815f5490818152602080910180925f8052825f20905f5b8181106105cd57505050846105899103856114df565b825181815293518185018190528493840192915f5b8281106105ad57505050500390f35b83516001600160a01b03168552869550938101939281019260010161059e565b82546001600160a01b031684529284019260019283019201610573565b8234610144575f36600319011261014457905490516001600160a01b039091168152602090f35b9050346101445760203660031901126101445761062e9035611502565b82519182526020820152f35b8234610144575f3660031901126101445760015490516001600160a01b039091168152602090f35b905081600319360112610144578035916003831015610144576024918235936002851015610144575f9466038d7ea4c6800034106101445768056bc75e2d6310000034116101445782546001600160a01b039590861680610aae575b50600254936e5af43d82803e903d91602b57fd5bf3600354763d602d80600a3d3981f3363d3d373d3d3d363d7300000062ffffff8260881c16175f5260018060781b03199060781b161760205286603760095ff016968715610a9f578082541680610a54575b5088816005541680610a0e575b5081835416826005541683600654168460075416918c3b15610a0a578b516381e44a1b60e01b8152338882015234898201529361076d8b61163f565b8a6044860152610780606486018b61165d565b8b608486015260a485015260c484015260e4830152610104820152816101248201526107ab8261163f565b816101448201528181610164818d34905af18015610a00576109e8575b5054600160401b8110156109d6578060016107e592018b5561148e565b81549060031b90838b831b921b19161790556002545f1981146109c4579060018a939201600255806007541680610979575b50806006541680610920575b5060015416803b1561091c578691836064928b8b5197889687956346676cd360e11b87528601528401523360448401525af18015610912576108fa575b50948085939261088860209887519234845261087b8161163f565b8a8401528783019061165d565b84845f8051602061168b83398151915260603394a46108e1575b806108ac8161163f565b6108ba575b50505051908152f35b855f805160206116ab833981519152918551906108d68161163f565b8152a3815f806108b1565b8083835f8051602061166b8339815191528380a46108a2565b61090487916114b8565b61090e575f610860565b8580fd5b85513d89823e3d90fd5b8280fd5b803b1561097557838091868c8c5194859384926373032edf60e11b8452898401525af1801561096b57908491610957575b50610823565b610960906114b8565b61091c57825f610951565b89513d86823e3d90fd5b8380fd5b803b1561097557838091868c8c5194859384926373032edf60e11b8452898401525af1801561096b579084916109b0575b50610817565b6109b9906114b8565b61091c57825f6109aa565b634e487b7160e01b8a5260118352838afd5b634e487b7160e01b8a5260418352838afd5b6109f1906114b8565b6109fc57885f6107c8565b8880fd5b89513d84823e3d90fd5b8480fd5b803b15610a5057818091868c8c51948593849263125d014760e11b84528a8401525af18015610a00571561073157610a45906114b8565b6109fc57885f610731565b5080fd5b803b15610144575f8091858b8b51948593849263125d014760e11b8452898401525af18015610a95571561072457610a8d9199506114b8565b5f975f610724565b88513d5f823e3d90fd5b50855163b06ebf3d60e01b8152fd5b60208651809263508b724360e11b82528180610acd34338c84016115a9565b03915afa908115610b1a575f91610aeb575b5015610144575f6106be565b610b0d915060203d602011610b13575b610b0581836114df565b810190611591565b5f610adf565b503d610afb565b86513d5f823e3d90fd5b826060366003190112610144578135906003821015610144576024928335926002841015610144576001600160a01b039360443585811692919083900361014457821561014457338314610144575f9666038d7ea4c6800034106101445768056bc75e2d631000003411610144578685541680610f71575b50600254946e5af43d82803e903d91602b57fd5bf3600354763d602d80600a3d3981f3363d3d373d3d3d363d7300000062ffffff8260881c16175f5260018060781b03199060781b161760205287603760095ff016978815610f62578082541680610f17575b5089816005541680610ed5575b50818354168260055416908360065416908460075416908d3b15610a0a57868e89938f958f97610164958f998f610c74908d9b519c8d9b8c9a6381e44a1b60e01b8c5233908c015234908b0152610c658161163f565b60448a0152606489019061165d565b608487015260a486015260c485015260e48401526101048301528c610124830152610c9e8561163f565b8461014483015234905af18015610ecb57610eb3575b5054600160401b811015610ea157806001610cd192018c5561148e565b81549060031b90838c831b921b19161790556002545f198114610e8f579060018b939201600255806007541680610e44575b50806006541680610def575b5060015416803b1561091c578791836064928c8c5197889687956346676cd360e11b87528601528401523360448401525af18015610de557610dcd575b509160209691610d6787959487519234845261087b8161163f565b84845f8051602061168b83398151915260603394a483835f8051602061166b8339815191528480a480610d998161163f565b610da65750505051908152f35b855f805160206116ab83398151915291855190610dc28161163f565b8152a38184806108b1565b610dd788916114b8565b610de15787610d4c565b8680fd5b86513d8a823e3d90fd5b803b1561097557838091868d8d5194859384926373032edf60e11b8452898401525af18015610e3a57908491610e26575b50610d0f565b610e2f906114b8565b61091c57828c610e20565b8a513d86823e3d90fd5b803b1561097557838091868d8d5194859384926373032edf60e11b8452898401525af18015610e3a57908491610e7b575b50610d03565b610e84906114b8565b61091c57828c610e75565b634e487b7160e01b8b5260118352838bfd5b634e487b7160e01b8b5260418352838bfd5b610ebc906114b8565b610ec757898b610cb4565b8980fd5b8a513d84823e3d90fd5b803b15610a5057818091868d8d51948593849263125d014760e11b84528a8401525af18015610ecb5715610c0f57610f0c906114b8565b610ec757898b610c0f565b803b15610144575f8091858c8c51948593849263125d014760e11b8452898401525af18015610f585715610c0257610f50919a506114b8565b5f988a610c02565b89513d5f823e3d90fd5b50865163b06ebf3d60e01b8152fd5b60208751809263508b724360e11b82528180610f9034338d84016115a9565b03915afa908115610fcd575f91610fae575b50156101445788610b9c565b610fc7915060203d602011610b1357610b0581836114df565b89610fa2565b87513d5f823e3d90fd5b90836080366003190112610144578135916003831015610144576024928335600281101561014457604435916003831015610144576001600160a01b0395606435878116939190849003610144573384146101445766038d7ea4c6800034106101445768056bc75e2d63100000341161014457855498885f9a168061141c575b5050600254956e5af43d82803e903d91602b57fd5bf3600354763d602d80600a3d3981f3363d3d373d3d3d363d7300000062ffffff8260881c16175f5260018060781b03199060781b161760205288603760095ff01698891561140d5780825416806113c2575b508a816005541680611380575b50818354168b83600554168460065416908560075416923b15610a0a578d516381e44a1b60e01b815233888201523489820152936111088b61163f565b8a60448601526064850161111c908b61165d565b8d608486015260a485015260c484015260e4830152610104820152876101248201526111478961163f565b8861014482015281818d81345a9261016493f180156113765761135e575b5054600160401b81101561134c5780600161118292018d5561148e565b81549060031b90838d831b921b19161790556002545f19811461133a579060018c9392016002558060075416806112ef575b5080600654168061129a575b5060015416803b1561091c578891836064928d8d5197889687956346676cd360e11b87528601528401523360448401525af1801561129057611278575b5084602098889695949361122888948a519234845261121b8161163f565b8d8401528a83019061165d565b83835f8051602061168b83398151915260603394a48361125e575b505050506112508161163f565b80610da65750505051908152f35b805f8051602061166b83398151915291a486838382611243565b61128289916114b8565b61128c57886111fd565b8780fd5b87513d8b823e3d90fd5b803b1561097557838091868e8e5194859384926373032edf60e11b8452898401525af180156112e5579084916112d1575b506111c0565b6112da906114b8565b61091c57828d6112cb565b8b513d86823e3d90fd5b803b1561097557838091868e8e5194859384926373032edf60e11b8452898401525af180156112e557908491611326575b506111b4565b61132f906114b8565b61091c57828d611320565b634e487b7160e01b8c5260118352838cfd5b634e487b7160e01b8c5260418352838cfd5b611367906114b8565b611372578a8c611165565b8a80fd5b8b513d84823e3d90fd5b803b15610a5057818091868e8e51948593849263125d014760e11b84528a8401525af1801561137657156110cb576113b7906114b8565b611372578a8c6110cb565b803b15610144575f8091858d8d51948593849263125d014760e11b8452898401525af1801561140357156110be576113fb919b506114b8565b5f998b6110be565b8a513d5f823e3d90fd5b50875163b06ebf3d60e01b8152fd5b63508b724360e11b82526020908290818061143a34338e84016115a9565b03915afa908115610a95575f91611459575b5015610144578980611057565b611472915060203d602011610b1357610b0581836114df565b8a61144c565b600435906001600160a01b038216820361014457565b5f548110156114a4575f805260205f2001905f90565b634e487b7160e01b5f52603260045260245ffd5b6001600160401b0381116114cb57604052565b634e487b7160e01b5f52604160045260245ffd5b601f909101601f19168101906001600160401b038211908210176114cb57604052565b6004546001600160a01b031691908215611589576040809160248251809681936383f0feb960e01b835260048301525afa92831561157f575f915f94611549575b50509190565b8194508092503d8311611578575b61156181836114df565b810103126101445760208251920151915f80611543565b503d611557565b50513d5f823e3d90fd5b505f91508190565b90816020910312610144575180151581036101445790565b6001600160a01b039091168152602081019190915260400190565b6004546001600160a01b03169182156116375760405163508b724360e11b8152926020928492839182916115fb91600484016115a9565b03915afa90811561162c575f91611610575090565b611629915060203d602011610b1357610b0581836114df565b90565b6040513d5f823e3d90fd5b505050600190565b6003111561164957565b634e487b7160e01b5f52602160045260245ffd5b906002821015611649575256feb95d0aed0c72da941c0b50bb28b1c86fbaffcb7b5823fc0a78fce0a8f1ea3cad9c8d7736756ff0354a8d44bbc2cd052aca0b2ebfa014ee3ecb3c3a1b8b5cc22c1dbcf82a290e6540fcf6a99e7b8798ecc03fc9577e31594de99214815e7d0bfda2646970667358221220d6cf585903a2ad7baecfa51c66eaf562bf8ff1839a925769ea2338d23d263d1564736f6c6343000818003360a0346200038257601f1990601f906001600160401b0390620034b7388190038481018616830184811184821017620002a4578392829160405283396020928391810103126200038257516001600160a01b0393848216939184900362000382576200006a62000386565b92600884526710da195cdcd3919560c21b818501526200008962000386565b966005885264436865737360d81b828901528451848111620002a4575f546001968782811c9216801562000377575b858310146200028557818684931162000324575b508490868311600114620002c4575f92620002b8575b50505f19600383901b1c191690861b175f555b8751938411620002a45784548581811c9116801562000299575b8382101462000285578381116200023d575b5081928411600114620001d957505081929394955f92620001cd575b50505f19600383901b1c191690821b1790555b8015620001b557600a80546001600160a01b03198116831790915560405192167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e05f80a3336080526131109081620003a7823960805181818161151601526117bb0152f35b604051631e4fbdf760e01b81525f6004820152602490fd5b015190505f806200013d565b5f858152828120918516989193925b898210620002255750508385969798106200020c575b505050811b01905562000150565b01515f1960f88460031b161c191690555f8080620001fe565b808785968294968601518155019501930190620001e8565b855f52825f208480870160051c8201928588106200027b575b0160051c019086905b8281106200026f57505062000121565b5f81550186906200025f565b9250819262000256565b634e487b7160e01b5f52602260045260245ffd5b90607f16906200010f565b634e487b7160e01b5f52604160045260245ffd5b015190505f80620000e2565b9084899416915f8052865f20925f5b888282106200030d5750508411620002f4575b505050811b015f55620000f5565b01515f1960f88460031b161c191690555f8080620002e6565b8385015186558c97909501949384019301620002d3565b9091505f8052845f208680850160051c8201928786106200036d575b918a91869594930160051c01915b8281106200035e575050620000cc565b5f81558594508a91016200034e565b9250819262000340565b91607f1691620000b8565b5f80fd5b60408051919082016001600160401b03811183821017620002a45760405256fe6080806040526004361015610012575f80fd5b5f3560e01c90816301ffc9a714611d885750806306fdde0314611ce8578063081812fc14611cac578063095ea7b314611bcb57806318160ddd14611bae57806323b872dd14611b975780632f745c5914611b2257806342842e0e14611afb5780634f6ccce714611aa6578063562d60b7146101e25780636352211e14611a7657806370a0823114611a4b578063715018a614611a035780638cced9a6146117835780638da5cb5b1461175b57806395d89b411461166f578063a22cb465146115ce578063b88d4fde14611545578063c45a015514611501578063c87b56dd14610214578063dcaa7948146101e2578063e985e9c5146101905763f2fde38b14610119575f80fd5b3461018c57602036600319011261018c57610132611e53565b61013a6123de565b6001600160a01b0390811690811561017457600a80546001600160a01b031981168417909155165f8051602061307b8339815191525f80a3005b604051631e4fbdf760e01b81525f6004820152602490fd5b5f80fd5b3461018c57604036600319011261018c576101a9611e53565b6101b1611e69565b9060018060a01b038091165f52600560205260405f2091165f52602052602060ff60405f2054166040519015158152f35b3461018c57602036600319011261018c576004355f52600b602052602060018060a01b0360405f205416604051908152f35b3461018c57602036600319011261018c576004355f818152600b60205260409020546001600160a01b031690811561018c57604080516322d6e73360e21b81529081600481865afa928315611383575f915f946114b8575b5060405163b7d0628b60e01b815291602083600481855afa928315611383575f9361147c575b50604051634d2bf82d60e01b8152602081600481865afa908115611383575f9161143f575b50604051632c04862560e11b815291602083600481875afa928315611383575f93611403575b506040516302ebe14b60e41b8152602081600481885afa908115611383575f916113c2575b50604051631cda586b60e11b815292602084600481895afa938415611383575f9461138e575b50610333888761240a565b94604051996101208b01928b841060018060401b0385111761129f5760ff6108009a8d604061ffff9560049f9a65ffffffffffff9b869a8452845260018060a01b0316602084015260018060a01b03169101521660608d01521660808b01521660a08901521660c087015260e08601521515610100850152604051928380926302420f7f60e41b82525afa908115611383575f916112b3575b506103d78251612696565b90604051926103e584611eeb565b603e84527f3c73766720786d6c6e733d27687474703a2f2f7777772e77332e6f72672f323060208501527f30302f737667272076696577426f783d273020302034303020343030273e0000604085015261047f6104406125ba565b6104486125ba565b6104506128e2565b6104586128e2565b916040519361046685611f06565b60078552660233830383038360cc1b6020860152612f72565b6104bf602a6040518093691e339034b21e93b9939f60b11b60208301526104af8151809260208686019101611e0d565b810103600a810184520182611f3c565b925f5b600260ff821610156105cb575f5b600461ffff8216106104e8575060010160ff166104c2565b5f5b600461ffff821610610503575060010161ffff166104d0565b95600161ffff916105c3602061058a87610554876105468f6105419061053c60ff61054c8f610546610541899261053c868e1691612722565b612778565b612739565b16612696565b971691612722565b61055c61261a565b61056461261a565b916040519361057285611f06565b60078552660468870887088760cb1b87860152612f72565b9260405193816105a38693518092868087019101611e0d565b82016105b782518093868085019101611e0d565b01038084520182611f3c565b9701166104ea565b50839061064a6020876106126024604051876105f08299518092888086019101611e0d565b631e17b39f60e11b868284010152600482828101030182528101030186611f3c565b604051948161062a8793518092868087019101611e0d565b820161063e82518093868085019101611e0d565b01038085520183611f3c565b60405161065681611f21565b606081527f3c672069643d276270272066696c6c3d27233030302720666f6e742d66616d6960208201525f8051602061305b83398151915260408201525f805160206130bb8339815191526060820152936040516106b381611f21565b606081527f3c672069643d277770272066696c6c3d27236666662720666f6e742d66616d6960208201525f8051602061305b83398151915260408201525f805160206130bb833981519152606082015293604051928361018081011060018060401b036101808601111761129f5794909361018084016040526101803685375f945b600861ffff87161015610c38575f925b600861ffff85161015610c275761076961ffff6105466107648761274f565b612765565b8661077c61ffff6105466107648c61274f565b61079861ffff881661079261ffff8d168b61278e565b5161278e565b515f0b6060805f83135f146109fc579461ffff969461084a9460209461058a946001996006918284145f1461085457505050506107ee6107d6612860565b9260ff6107e5818351166127c2565b16809152612696565b6108266024604051809363776b6e6760e01b8a830152610816815180928c8686019101611e0d565b8101036004810184520182611f3c565b925b6040519261083584611f06565b600484526311b3333360e11b87850152612901565b945b011692610745565b6005938085036108bd57505050505061087f8561086f61283d565b930160ff6107e5818351166127c2565b6108b760405191623bb8b760e91b88840152826023916108a7815180928c8686019101611e0d565b8101036003810184520182611f3c565b92610828565b600481036108ff5750505050506108d7604061086f61281a565b6108b7604051916277726b60e81b88840152826023916108a7815180928c8686019101611e0d565b6003810361096157505050506108b761092b606061091b6127f7565b950160ff6107e5818351166127c2565b6040519264077627368760dc1b8985015283602592610952815180928d8786019101611e0d565b81010390810184520182611f3c565b9293509091600281036109a9575050506108b7610981608061091b6127d4565b60405192651ddadb99da1d60d21b8985015283602692610952815180928d8786019101611e0d565b8b919592969350146109bc575b50610828565b925092506109cd60a061086f61279f565b6109f560246040518093633bb83bb760e11b8a830152610816815180928c8686019101611e0d565b928e6109b6565b929350905f8199969912610a1b575b5050505050600161ffff9161084c565b6001948b61ffff979f95610a979560209561058a9560051981145f14610aa157505050610a4b60c061086f612860565b610a736024604051809363626b6e6760e01b8a830152610816815180928c8686019101611e0d565b925b60405192610a8284611f06565b60048452630233030360e41b87850152612901565b99918b8080610a0b565b6004198103610ae857505050610aba60e061086f61283d565b610ae260405191623138b760e91b88840152826023916108a7815180928c8686019101611e0d565b92610a75565b6003198103610b2a57505050610b0261010061086f61281a565b610ae2604051916262726b60e81b88840152826023916108a7815180928c8686019101611e0d565b6002198103610b7e57505050610b4461012061086f6127f7565b610ae26040519164062627368760dc1b8884015282602591610b6e815180928c8686019101611e0d565b8101036005810184520182611f3c565b8a198103610bd257505050610b9761014061086f6127d4565b610ae26040519165189adb99da1d60d21b8884015282602691610bc2815180928c8686019101611e0d565b8101036006810184520182611f3c565b9194909390915f1914610be6575b50610a75565b92509250610bf861016061086f61279f565b610c20602460405180936331383bb760e11b8a830152610816815180928c8686019101611e0d565b928e610be0565b600190960161ffff16959250610735565b610cca60be88610cd861123996610cca602e6111d2988f6040519482610c68879451809260208088019101611e0d565b8301610c7d8251809360208085019101611e0d565b01631e17b39f60e11b6020820152610c9f825180936020602485019101611e0d565b01631e17b39f60e11b6024820152651e17b9bb339f60d11b602882015203600e810184520182611f3c565b610cd2612883565b90612a22565b93610d14610cf160018060a01b03602084015116612b42565b604051610cfd81611f06565b6005815264576869746560d81b6020820152612bfd565b60408201519091906001600160a01b0316806112895750610dc06021610d74604051610d3f81611f06565b60048152634e6f6e6560e01b60208201525b604051610d5d81611f06565b6005815264426c61636b60d81b6020820152612bfd565b936040519481610d8e879351809260208087019101611e0d565b600b60fa1b60208285010152610daf82518093602087858801019101611e0d565b820101036001810185520183611f3c565b6110ad6060610dfb610dd760ff8386015116612c79565b604051610de381611f06565b600681526514995cdd5b1d60d21b6020820152612bfd565b92610e0d61ffff608083015116612696565b9060ff60a082015116155f1461126057610e6b604051610e2c81611f06565b600a815269151bdd5c9b985b595b9d60b21b60208201525b604051610e5081611f06565b600981526847616d65204d6f646560b81b6020820152612bfd565b610f83605a610eb2610e8865ffffffffffff60c087015116612db2565b604051610e9481611f06565b600c81526b151a5b594810dbdb9d1c9bdb60a21b6020820152612bfd565b946040519586916020610ece8185019c8d815193849201611e0d565b8301600b60fa1b60208201527f7b2274726169745f74797065223a22506c696573222c22646973706c61795f746021820152753cb832911d11373ab6b132b91116113b30b63ab2911d60511b6041820152610f33825180936020605785019101611e0d565b0194611f4b60f21b95866057820152610f56825180936020605985019101611e0d565b01600b60fa1b6059820152610f748251809360208785019101611e0d565b0103603a810186520184611f3c565b610100610f9360e0840151612e6d565b9201511561123d57610fe1604051610faa81611f06565b600381526259657360e81b60208201525b604051610fc781611f06565b6008815267111a5cdc1d5d195960c21b6020820152612bfd565b9160405196879461101a60206110008189019c8d815193849201611e0d565b870191600b60fa1b60208401525180936021840190611e0d565b01600b60fa1b60218201527f7b2274726169745f74797065223a225374616b65202845544829222c2264697360228201527b383630bcafba3cb832911d11373ab6b132b91116113b30b63ab2911d60211b6042820152611084825180936020605e85019101611e0d565b0190605e82015261109e8251809360208785019101611e0d565b01036040810184520182611f3c565b6111b86040519687946f7b226e616d65223a202247616d65202360801b60208701526110e381518092602060308a019101611e0d565b85017f222c20226465736372697074696f6e223a2022412066756c6c79206f6e2d636860308201527f61696e2063686573732067616d652e2054686520696d6167652073686f77732060508201527f6974732063757272656e7420706f736974696f6e2e222c2022696d616765223a60708201527b080899185d184e9a5b5859d94bdcdd99cade1b5b0ed8985cd94d8d0b60221b609082015261119082518093602060ac85019101611e0d565b01916f222c2261747472696275746573223a5b60801b60ac84015251809360bc840190611e0d565b01615d7d60f01b60bc82015203609e810184520182611f3c565b611225603d60405180937f646174613a6170706c69636174696f6e2f6a736f6e3b6261736536342c00000060208301526112158151809260208686019101611e0d565b810103601d810184520182611f3c565b604051918291602083526020830190611e2e565b0390f35b610fe160405161124c81611f06565b60028152614e6f60f01b6020820152610fbb565b610e6b60405161126f81611f06565b6008815267467269656e646c7960c01b6020820152610e44565b6021610d7461129a610dc093612b42565b610d51565b634e487b7160e01b5f52604160045260245ffd5b90506108003d6108001161137c575b6112cc8183611f3c565b61080082828101031261018c57808201601f8301121561018c57604051916112f383611ecf565b829180820161080083011161018c5781925b6108008301841061131a5750505050826103cc565b818301601f8501121561018c5760405161133381611ecf565b8083850161010087011161018c5785905b6101008701821061136357505081602091610100935201930192611305565b8151805f0b810361018c57815260209182019101611344565b503d6112c2565b6040513d5f823e3d90fd5b9093506020813d6020116113ba575b816113aa60209383611f3c565b8101031261018c57519289610328565b3d915061139d565b90506020813d6020116113fb575b816113dd60209383611f3c565b8101031261018c575165ffffffffffff8116810361018c5788610302565b3d91506113d0565b9092506020813d602011611437575b8161141f60209383611f3c565b8101031261018c5761143090612396565b91876102dd565b3d9150611412565b90506020813d602011611474575b8161145a60209383611f3c565b8101031261018c575161ffff8116810361018c57866102b7565b3d915061144d565b9092506020813d6020116114b0575b8161149860209383611f3c565b8101031261018c576114a990612396565b9185610292565b3d915061148b565b915092506040813d6040116114f9575b816114d560409383611f3c565b8101031261018c576114f260206114eb83612382565b9201612382565b928461026c565b3d91506114c8565b3461018c575f36600319011261018c576040517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b3461018c57608036600319011261018c5761155e611e53565b611566611e69565b606435916001600160401b03831161018c573660238401121561018c5782600401359161159283611f5f565b926115a06040519485611f3c565b808452366024828701011161018c576020815f9260246115cc9801838801378501015260443591612234565b005b3461018c57604036600319011261018c576115e7611e53565b6024359081151580920361018c576001600160a01b031690811561165657335f52600560205260405f20825f5260205260405f2060ff1981541660ff83161790556040519081527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c3160203392a3005b604051630b61174360e31b815260048101839052602490fd5b3461018c575f36600319011261018c576040515f600190600154918260011c9160018416918215611751575b602094858510841461173d5785879486865291825f1461171d5750506001146116e0575b506116cc92500383611f3c565b611239604051928284938452830190611e2e565b84915060015f52815f20905f915b8583106117055750506116cc9350820101856116bf565b805483890185015287945086939092019181016116ee565b60ff1916858201526116cc95151560051b85010192508791506116bf9050565b634e487b7160e01b5f52602260045260245ffd5b92607f169261169b565b3461018c575f36600319011261018c57600a546040516001600160a01b039091168152602090f35b3461018c57606036600319011261018c5760043561179f611e69565b6001600160a01b036044358181169391929084810361018c57837f000000000000000000000000000000000000000000000000000000000000000016330361018c57825f52602090600b825260405f209485549381851661018c57811695861561018c576001600160a01b03199485168717905586156119eb57845f526002835260405f205416868115801595866119cb575b825f526003865260405f2060018154019055875f52600286528260405f20918254161790558682845f8051602061309b8339815191525f80a415611957575060085490855f52600984528160405f2055600160401b82101561129f576118bb866118a38460018c96016008556121d2565b90919082549060031b91821b915f19901b1916179055565b03611905575b50506118ed577f63fc45c3210bc32e394e286b28957dafa3cd70f2486986798b8edde60d21e9975f80a4005b6040516339e3563760e11b81525f6004820152602490fd5b61190e906121fe565b5f1981019190821161194357600790865f526006815260405f20835f5281528460405f2055845f525260405f205584806118c1565b634e487b7160e01b5f52601160045260245ffd5b908082146118bb57611968816121fe565b865f526007855260405f205490825f526006865260405f20918181036119a6575b50875f52600786525f60408120555f5284525f60408120556118bb565b815f5282875260405f2054815f528060405f20555f526007875260405f20558a611989565b6119d488612590565b835f526003865260405f205f198154019055611832565b604051633250574960e11b81525f6004820152602490fd5b3461018c575f36600319011261018c57611a1b6123de565b600a80546001600160a01b031981169091555f906001600160a01b03165f8051602061307b8339815191528280a3005b3461018c57602036600319011261018c576020611a6e611a69611e53565b6121fe565b604051908152f35b3461018c57602036600319011261018c576020611a946004356123a4565b6040516001600160a01b039091168152f35b3461018c57602036600319011261018c57600435600854811015611add57611acf6020916121d2565b90546040519160031b1c8152f35b6044906040519063295f44f760e21b82525f60048301526024820152fd5b3461018c576115cc611b0c36611e7f565b9060405192611b1a84611eb4565b5f8452612234565b3461018c57604036600319011261018c57611b3b611e53565b60243590611b48816121fe565b821015611b775760018060a01b03165f52600660205260405f20905f52602052602060405f2054604051908152f35b611b9360405192839263295f44f760e21b8452600484016121b7565b0390fd5b3461018c576115cc611ba836611e7f565b91611f7a565b3461018c575f36600319011261018c576020600854604051908152f35b3461018c57604036600319011261018c57611be4611e53565b602435611bf0816123a4565b33151580611c99575b80611c70575b611c58576001600160a01b039283169282918491167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b9255f80a45f90815260046020526040902080546001600160a01b0319169091179055005b60405163a9fbf51f60e01b8152336004820152602490fd5b5060018060a01b0381165f52600560205260405f20335f5260205260ff60405f20541615611bff565b506001600160a01b038116331415611bf9565b3461018c57602036600319011261018c57600435611cc9816123a4565b505f526004602052602060018060a01b0360405f205416604051908152f35b3461018c575f36600319011261018c576040515f80549060018260011c9160018416918215611d7e575b602094858510841461173d5785879486865291825f1461171d575050600114611d4257506116cc92500383611f3c565b8491505f8052815f20905f915b858310611d665750506116cc9350820101856116bf565b80548389018501528794508693909201918101611d4f565b92607f1692611d12565b3461018c57602036600319011261018c576004359063ffffffff60e01b821680920361018c5760209163780e9d6360e01b8114908115611dca575b5015158152f35b6380ac58cd60e01b811491508115611dfc575b8115611deb575b5083611dc3565b6301ffc9a760e01b14905083611de4565b635b5e139f60e01b81149150611ddd565b5f5b838110611e1e5750505f910152565b8181015183820152602001611e0f565b90602091611e4781518092818552858086019101611e0d565b601f01601f1916010190565b600435906001600160a01b038216820361018c57565b602435906001600160a01b038216820361018c57565b606090600319011261018c576001600160a01b0390600435828116810361018c5791602435908116810361018c579060443590565b602081019081106001600160401b0382111761129f57604052565b61010081019081106001600160401b0382111761129f57604052565b606081019081106001600160401b0382111761129f57604052565b604081019081106001600160401b0382111761129f57604052565b608081019081106001600160401b0382111761129f57604052565b601f909101601f19168101906001600160401b0382119082101761129f57604052565b6001600160401b03811161129f57601f01601f191660200190565b6001600160a01b03828116939184156119eb57825f5260206002815260409583875f205416953315158061212b575b508615801561210c575b5f83815260038552898120805460010190558781526002855289812080546001600160a01b03191685179055879084908a905f8051602061309b8339815191529080a4156120a057600854865f526009845280895f2055600160401b81101561129f57866118a382600161202a94016008556121d2565b818703612065575b50505016928383036120445750505050565b6064945051926364283d7b60e01b8452600484015260248301526044820152fd5b61206e906121fe565b5f19810192908311611943576007915f5260068152875f20835f52815285885f2055855f5252855f20555f8080612032565b86821461202a576120b0876121fe565b865f5260078452885f205490885f5260068552895f20918181036120ea575b50875f52600785525f8a8120555f5283525f8881205561202a565b815f528286528a5f2054815f52808c5f20555f52600786528a5f20555f6120cf565b61211587612590565b875f5260038452885f205f198154019055611fb3565b80612176575b1561213c575f611fa9565b878688612159576024915190637e27328960e01b82526004820152fd5b905163177e802f60e01b8152908190611b939033600484016121b7565b50338714801561219b575b806121315750855f52600483523385895f20541614612131565b50865f5260058352875f20335f52835260ff885f205416612181565b6001600160a01b039091168152602081019190915260400190565b6008548110156121ea5760085f5260205f2001905f90565b634e487b7160e01b5f52603260045260245ffd5b6001600160a01b0316801561221c575f52600360205260405f205490565b6040516322718ad960e21b81525f6004820152602490fd5b9192612241848385611f7a565b813b61224e575b50505050565b604051630a85bd0160e11b8082523360048301526001600160a01b0394851660248301526044820195909552608060648201526020959390921693919085908290819061229f906084830190611e2e565b03815f885af15f9181612342575b5061230c575050503d5f14612304573d916122c783611f5f565b926122d56040519485611f3c565b83523d5f8285013e5b825192836122ff57604051633250574960e11b815260048101849052602490fd5b019050fd5b6060916122de565b9193506001600160e01b03199091160361232a57505f808080612248565b60249060405190633250574960e11b82526004820152fd5b9091508581813d831161237b575b61235a8183611f3c565b8101031261018c57516001600160e01b03198116810361018c57905f6122ad565b503d612350565b51906001600160a01b038216820361018c57565b519060ff8216820361018c57565b5f818152600260205260409020546001600160a01b03169081156123c6575090565b60249060405190637e27328960e01b82526004820152fd5b600a546001600160a01b031633036123f257565b60405163118cdaa760e01b8152336004820152602490fd5b6040805163f1c2d0d960e01b81526001600160a01b039360209390919084908290600490829089165afa908115612516579085915f91612558575b501692831561252057825191638110502f60e01b835260048301528082602481875afa918215612516575f92612529575b50811561252057825193849263e3a96cbd60e01b845260048401528260246101009687935afa938415612516575f946124b4575b5050505016151590565b909180939450813d831161250f575b6124cd8183611f3c565b8101031261018c57816124f16124e960c0936125059501612382565b948201612382565b506124fe60608201612396565b5001612396565b505f8080806124aa565b503d6124c3565b83513d5f823e3d90fd5b50505050505f90565b9080925081813d8311612551575b6125418183611f3c565b8101031261018c5751905f612476565b503d612537565b809250858092503d8311612589575b6125718183611f3c565b8101031261018c576125838591612382565b5f612445565b503d612567565b5f90815260046020526040902080546001600160a01b0319169055565b9190820391821161194357565b604051906125c782611f06565b60018252600360fc1b6020830152565b906125e182611f5f565b6125ee6040519182611f3c565b82815280926125ff601f1991611f5f565b0190602036910137565b9081518110156121ea570160200190565b6032805f81805b61267b575061262f816125d7565b925b61263a57505090565b5f198101908111611943578091600a91603083830681018091116119435760f81b6001600160f81b0319165f1a906126729086612609565b53049081612631565b91505f198114611943576001600a9101910480839291612621565b801561271657805f81805b6126fb57506126af816125d7565b925b6126ba57505090565b5f198101908111611943578091600a91603083830681018091116119435760f81b6001600160f81b0319165f1a906126f29086612609565b530490816126b1565b91505f198114611943576001600a91019104808392916126a1565b5061271f6125ba565b90565b60011b906201fffe61fffe83169216820361194357565b9061ffff80921660320291821691820361194357565b90603261ffff8093160291821691820361194357565b90601961ffff8093160191821161194357565b91909161ffff8080941691160191821161194357565b9060088110156121ea5760051b0190565b604051906127ac82611f06565b60078252662623393831373b60c81b6020830152565b60ff60019116019060ff821161194357565b604051906127e182611f06565b60078252662623393831363b60c81b6020830152565b6040519061280482611f06565b60078252662623393831353b60c81b6020830152565b6040519061282782611f06565b60078252662623393831343b60c81b6020830152565b6040519061284a82611f06565b60078252662623393831333b60c81b6020830152565b6040519061286d82611f06565b60078252662623393831323b60c81b6020830152565b6040519061289082611eeb565b604082527f6768696a6b6c6d6e6f707172737475767778797a303132333435363738392b2f6040837f4142434445464748494a4b4c4d4e4f505152535455565758595a61626364656660208201520152565b604051906128ef82611f06565b600382526203430360ec1b6020830152565b60819294612a0361271f95604051978895602094693c746578742069643d2760b01b8689015261293a8151809288602a8c019101611e0d565b87016e2720636c6173733d27702720783d2760881b602a8201526129678251809388603985019101611e0d565b01642720793d2760d81b60398201526129898251809387603e85019101611e0d565b017f2720746578742d616e63686f723d276d6964646c65272064793d272e33656d27603e82015268207374726f6b653d2760b81b605e8201526129d58251809386606785019101611e0d565b019172139039ba3937b5b296bbb4b23a341e9398939f60691b60678401528351938491607a85019101611e0d565b01661e17ba32bc3a1f60c91b607a820152036061810184520182611f3c565b919091805115612b2d578051926002916002850180951161194357600394859004600281901b93906001600160fe1b038116036119435794612a7c612a6685611f5f565b94612a746040519687611f3c565b808652611f5f565b6020850190601f1901368237928291835184019760208901928351945f85525b8a8110612ae057505050506003939495965052510680600114612ace57600214612ac4575090565b603d905f19015390565b50603d90815f19820153600119015390565b836004919b989b019a8b51600190603f9082828260121c16870101518453828282600c1c16870101518385015382828260061c168701015187850153168401015185820153019699612a9c565b509050604051612b3c81611eb4565b5f815290565b604051906001600160a01b031680612b5983611eeb565b602a83526020830160403682378351156121ea57603090538251600190600110156121ea57607860218501536029905b808211612bb9575050612b9a575090565b6044906040519063e22e27eb60e01b8252600482015260146024820152fd5b9091600f81169060108210156121ea57612bf7916f181899199a1a9b1b9c1cb0b131b232b360811b901a612bed8588612609565b5360041c92612e61565b90612b89565b603c61271f916040519384916e3d913a3930b4ba2fba3cb832911d1160891b6020840152612c35815180926020602f87019101611e0d565b82016a1116113b30b63ab2911d1160a91b602f820152612c5f825180936020603a85019101611e0d565b0161227d60f01b603a82015203601c810184520182611f3c565b60ff1660018114612d8a5760028114612d625760038114612d415760048114612d1a5760058114612cf357600614612cce57604051612cb781611f06565b60078152662ab735b737bbb760c91b602082015290565b604051612cda81611f06565b600981526810d85b98d95b1b195960ba1b602082015290565b50604051612d0081611f06565b600a815269426c61636b2057696e7360b01b602082015290565b50604051612d2781611f06565b600a81526957686974652057696e7360b01b602082015290565b50604051612d4e81611f06565b60048152634472617760e01b602082015290565b50604051612d6f81611f06565b600b81526a496e2050726f677265737360a81b602082015290565b50604051612d9781611f06565b600b81526a139bdd0814dd185c9d195960aa1b602082015290565b65ffffffffffff1661012c8114612e3e576108348114612e1a5761c4e014612df657604051612de081611f06565b6006815265437573746f6d60d01b602082015290565b604051612e0281611f06565b60088152674e616b616d6f746f60c01b602082015290565b50604051612e2781611f06565b6007815266213aba32b934b760c91b602082015290565b50604051612e4b81611f06565b600681526546696e6e657960d01b602082015290565b8015611943575f190190565b670de0b6b3a764000080820691048115612f68576012915b600a808206612e9f57612e99910492612e61565b91612e85565b50612ea990612696565b91612eb3816125d7565b92612ebf8151836125ad565b5f5b838110612f2157505050506021612eda61271f92612696565b6040519381612ef3869351809260208087019101611e0d565b8201601760f91b6020820152612f128251809360208785019101611e0d565b01036001810184520182611f3c565b60019082811015612f4557600360fc1b5b5f1a612f3e8289612609565b5301612ec1565b6001600160f81b0319612f61612f5b85846125ad565b86612609565b5116612f32565b61271f9150612696565b93604d929461303e61271f95604051978895602094683c7265637420783d2760b81b86890152612fab815180928860298c019101611e0d565b8701642720793d2760d81b6029820152612fce8251809388602e85019101611e0d565b0168272077696474683d2760b81b602e820152612ff48251809387603785019101611e0d565b016927206865696768743d2760b01b603782015261301b8251809386604185019101611e0d565b019167272066696c6c3d2760c01b60418401528351938491604985019101611e0d565b01631390179f60e11b604982015203602d810184520182611f3c56fe6c793d27617269616c20756e69636f6465206d732c48656c7665746963612c418be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef7269616c2c73616e732d73657269662720666f6e742d73697a653d273430273ea26469706673582212201172bad16ff9dcff8a44bc0ac4229075fb7725d73ea07d62aae7fca55875fbd964736f6c63430008180033"
   },
 };
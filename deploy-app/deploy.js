@@ -3,6 +3,7 @@ let provider = null;
 let signer = null;
 let userAddress = null;
 let deployedContracts = {};
+let deployedBlocks = {}; // contract name -> block it was deployed in
 let currentStep = 0;
 let isDeploying = false;
 
@@ -16,6 +17,9 @@ const BASE_SEPOLIA_CONFIG = {
     blockExplorerUrls: ['https://sepolia.basescan.org']
 };
 
+// Multicall3 is deployed at the same address on every public EVM chain
+const CANONICAL_MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
 // Role hashes
 const ROLES = {
     GAME_MANAGER_ROLE: '0x3b5d03f6ca43c0d188593da92c9c5dffa6c02bf4fe4d07d4e993d3951682da61',
@@ -24,25 +28,91 @@ const ROLES = {
     CANCELLER_ROLE: '0xfd643c72710c63c0180259aba6b2d05451e3591a24e58b62239378085726f783'
 };
 
+// Injected wallets announced through EIP-6963, keyed by rdns
+const injectedWallets = new Map();
+let walletProvider = null; // EIP-1193 provider of the chosen wallet
+
+window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider: announced } = event.detail || {};
+    if (!info || !announced) return;
+    injectedWallets.set(info.rdns || info.uuid, { name: info.name, icon: info.icon, provider: announced });
+});
+window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+// Wallets to offer: announced ones, or the legacy window.ethereum if none announced
+function getWallets() {
+    if (injectedWallets.size > 0) return injectedWallets;
+    const legacy = new Map();
+    if (window.ethereum) {
+        legacy.set('injected', { name: 'Browser wallet', icon: null, provider: window.ethereum });
+    }
+    return legacy;
+}
+
 // Connect wallet
 async function connectWallet() {
-    if (!window.ethereum) {
-        alert('Please install MetaMask!');
+    const wallets = getWallets();
+    const walletAddress = document.getElementById('walletAddress');
+
+    if (wallets.size === 0) {
+        walletAddress.textContent = 'No wallet found - install a browser wallet such as MetaMask.';
         return;
     }
 
+    const remembered = localStorage.getItem('deployWallet');
+    if (wallets.size === 1) {
+        await connectWith(wallets.keys().next().value);
+    } else if (wallets.has(remembered)) {
+        await connectWith(remembered);
+    } else {
+        renderWalletOptions(wallets);
+    }
+}
+
+function renderWalletOptions(wallets) {
+    const options = document.getElementById('walletOptions');
+    options.innerHTML = '';
+    for (const [id, wallet] of wallets) {
+        const button = document.createElement('button');
+        button.className = 'secondary';
+        if (wallet.icon) {
+            const icon = document.createElement('img');
+            icon.src = wallet.icon;
+            icon.alt = '';
+            icon.className = 'wallet-icon';
+            button.appendChild(icon);
+        }
+        button.appendChild(document.createTextNode(wallet.name));
+        button.onclick = () => connectWith(id);
+        options.appendChild(button);
+    }
+    options.classList.remove('hidden');
+}
+
+async function connectWith(id) {
+    const wallet = getWallets().get(id);
+    if (!wallet) return;
+    document.getElementById('walletOptions').classList.add('hidden');
+
     try {
-        provider = new ethers.providers.Web3Provider(window.ethereum);
+        if (walletProvider && walletProvider.removeListener) {
+            walletProvider.removeListener('accountsChanged', handleAccountChange);
+            walletProvider.removeListener('chainChanged', handleChainChange);
+        }
+        walletProvider = wallet.provider;
+
+        provider = new ethers.providers.Web3Provider(walletProvider);
         await provider.send('eth_requestAccounts', []);
         signer = provider.getSigner();
         userAddress = await signer.getAddress();
+        localStorage.setItem('deployWallet', id);
 
         const network = await provider.getNetwork();
         updateWalletUI(network.chainId);
 
         // Listen for changes
-        window.ethereum.on('accountsChanged', handleAccountChange);
-        window.ethereum.on('chainChanged', () => window.location.reload());
+        walletProvider.on('accountsChanged', handleAccountChange);
+        walletProvider.on('chainChanged', handleChainChange);
 
         // Enable deploy button if on correct network
         if (network.chainId === BASE_SEPOLIA_CHAIN_ID) {
@@ -53,7 +123,7 @@ async function connectWallet() {
         loadState();
     } catch (err) {
         console.error('Connection error:', err);
-        alert('Failed to connect: ' + err.message);
+        document.getElementById('walletAddress').textContent = 'Failed to connect: ' + err.message;
     }
 }
 
@@ -82,13 +152,13 @@ function updateWalletUI(chainId) {
 
 async function switchToBaseSepolia() {
     try {
-        await window.ethereum.request({
+        await walletProvider.request({
             method: 'wallet_switchEthereumChain',
             params: [{ chainId: BASE_SEPOLIA_CONFIG.chainId }]
         });
     } catch (err) {
         if (err.code === 4902) {
-            await window.ethereum.request({
+            await walletProvider.request({
                 method: 'wallet_addEthereumChain',
                 params: [BASE_SEPOLIA_CONFIG]
             });
@@ -96,6 +166,10 @@ async function switchToBaseSepolia() {
     }
 }
 
+function handleChainChange() {
+    window.location.reload();
+}
+
 function handleAccountChange(accounts) {
     if (accounts.length === 0) {
         window.location.reload();
@@ -260,9 +334,10 @@ async function deployAllContracts() {
         const contract = await deployContract('ChessFactory', [deployedContracts.ChessCore]);
         deployedContracts.ChessFactory = contract.address;
 
-        // Get ChessNFT address
+        // Get ChessNFT address (created in the same transaction)
         const nftAddress = await contract.addressNFT();
         deployedContracts.ChessNFT = nftAddress;
+        deployedBlocks.ChessNFT = deployedBlocks.ChessFactory;
 
         setStepDone(10, contract.address);
         currentStep = 11;
@@ -299,7 +374,8 @@ async function deployContract(name, args) {
     const contract = await factory.deploy(...args);
 
     log(`  Transaction: ${contract.deployTransaction.hash}`);
-    await contract.deployed();
+    const receipt = await contract.deployTransaction.wait();
+    deployedBlocks[name] = receipt.blockNumber;
 
     log(`  Deployed at: ${contract.address}`);
     return contract;
@@ -343,7 +419,8 @@ async function deployContractWithLibrary(name, args, libraryAddress) {
     const contract = await factory.deploy(...args);
 
     log(`  Transaction: ${contract.deployTransaction.hash}`);
-    await contract.deployed();
+    const receipt = await contract.deployTransaction.wait();
+    deployedBlocks[name] = receipt.blockNumber;
 
     log(`  Deployed at: ${contract.address}`);
     return contract;
@@ -471,32 +548,37 @@ function log(message) {
     console.log(message);
 }
 
-function updateOutput() {
-    const output = document.getElementById('output');
-    let text = `# MyChess.onchain - Deployed Contracts
-# Network: Base Sepolia (${BASE_SEPOLIA_CHAIN_ID})
-# Date: ${new Date().toISOString()}
-# ====================================
-
-`;
-
-    if (deployedContracts.ChessToken) {
-        text += `# For frontend/.env:\n\n`;
-        text += `VITE_CONTRACT_ADDRESS_BASE_SEPOLIA=${deployedContracts.ChessFactory || ''}\n`;
-        text += `VITE_BONDING_MANAGER_BASE_SEPOLIA=${deployedContracts.BondingManager || ''}\n`;
-        text += `VITE_CHESS_TOKEN_BASE_SEPOLIA=${deployedContracts.ChessToken || ''}\n`;
-        text += `VITE_DISPUTE_DAO_BASE_SEPOLIA=${deployedContracts.DisputeDAO || ''}\n`;
-        text += `VITE_ARBITRATOR_REGISTRY_BASE_SEPOLIA=${deployedContracts.ArbitratorRegistry || ''}\n`;
-        text += `VITE_GOVERNOR_BASE_SEPOLIA=${deployedContracts.ChessGovernor || ''}\n`;
-        text += `VITE_TIMELOCK_BASE_SEPOLIA=${deployedContracts.ChessTimelock || ''}\n`;
-        text += `VITE_PLAYER_RATING_BASE_SEPOLIA=${deployedContracts.PlayerRating || ''}\n`;
-        text += `\n# Additional addresses:\n`;
-        text += `# ChessCore (impl): ${deployedContracts.ChessCore || ''}\n`;
-        text += `# ChessNFT: ${deployedContracts.ChessNFT || ''}\n`;
-        text += `# RewardPool: ${deployedContracts.RewardPool || ''}\n`;
+// Deployment manifest read by the frontend (see frontend/src/lib/contracts/registry.js)
+function buildManifest() {
+    const contracts = {};
+    for (const [name, address] of Object.entries(deployedContracts)) {
+        // ChessNFT is not in contracts.js; its hash stays unknown
+        const abi = CONTRACTS[name] ? CONTRACTS[name].abi : null;
+        contracts[name] = {
+            address,
+            blockNumber: deployedBlocks[name] ?? null,
+            abiHash: abi ? ethers.utils.id(JSON.stringify(abi)) : null
+        };
     }
+    contracts.Multicall3 = { address: CANONICAL_MULTICALL3, blockNumber: null, abiHash: null };
+
+    return {
+        version: 1,
+        chains: {
+            [BASE_SEPOLIA_CHAIN_ID]: {
+                chainId: BASE_SEPOLIA_CHAIN_ID,
+                network: 'base-sepolia',
+                deployedAt: new Date().toISOString(),
+                contracts
+            }
+        }
+    };
+}
 
-    output.textContent = text;
+function updateOutput() {
+    const output = document.getElementById('output');
+    if (!deployedContracts.ChessToken) return;
+    output.textContent = JSON.stringify(buildManifest(), null, 2);
 }
 
 function copyOutput() {
@@ -505,13 +587,12 @@ function copyOutput() {
     alert('Copied to clipboard!');
 }
 
-function downloadEnv() {
-    const output = document.getElementById('output').textContent;
-    const blob = new Blob([output], { type: 'text/plain' });
+function downloadManifest() {
+    const blob = new Blob([JSON.stringify(buildManifest(), null, 2) + '\n'], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'deployment-base-sepolia.env';
+    a.download = 'deployments.json';
     a.click();
     URL.revokeObjectURL(url);
 }
@@ -521,6 +602,7 @@ function saveState() {
     const state = {
         currentStep,
         deployedContracts,
+        deployedBlocks,
         config: {
             teamWallet: document.getElementById('teamWallet').value,
             treasuryWallet: document.getElementById('treasuryWallet').value,
@@ -536,6 +618,7 @@ function loadState() {
         const state = JSON.parse(saved);
         currentStep = state.currentStep || 0;
         deployedContracts = state.deployedContracts || {};
+        deployedBlocks = state.deployedBlocks || {};
 
         if (state.config) {
             document.getElementById('teamWallet').value = state.config.teamWallet || '';
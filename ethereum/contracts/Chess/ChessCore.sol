@@ -40,11 +40,15 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     error FriendlyOnly();
     error CancelTimeoutNotReached();
     error InvalidPromotionPiece();
+    error NotInvited();
+    error ColorNotAvailable();
+    error ColorsNotAssigned();
 
     // ========== ENUMS (must be declared before state variables) ==========
     enum TimeoutPreset { Finney, Buterin, Nakamoto }
     enum GameMode { Tournament, Friendly }
     enum GameState { NotStarted, InProgress, Draw, WhiteWins, BlackWins }
+    enum ColorChoice { White, Black, Random }
 
     // ========== CONSTANTS ==========
     // Timeout presets (based on ~12 sec/block on Ethereum)
@@ -96,6 +100,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     // Slot 8: creation metadata
     uint48 public createdAt;
+    ColorChoice public creatorColor;       // 1 byte
+    // Block whose hash settles a Random colour draw (0 = colours assigned)
+    uint48 public colorSeedBlock;
 
     // Structured events for frontend
     event MoveMade(
@@ -124,8 +131,10 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     event DrawByFiftyMoveRule(address indexed claimant);
     event GameCancelled(address indexed player, uint256 refundAmount);
     event RatingReportFailed(address white, address black, uint8 result);
+    event ColorsAssigned(address indexed whitePlayer, address indexed blackPlayer);
 
     // Slot 7: Player addresses
+    // Until someone joins, whitePlayer holds the creator whatever colour they chose
     address whitePlayer;
     address blackPlayer;
     address public currentPlayer;
@@ -133,6 +142,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     // Slot 8: Draw offer tracking
     address public drawOfferedBy;
 
+    // Invited opponent: only this address may join (address(0) = open to anyone)
+    address public invitedOpponent;
+
     // Prize claim tracking for pull pattern (prevents locked funds)
     mapping(address => uint256) public pendingPrize;
 
@@ -154,7 +166,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     }
 
     /// @notice Initialize the game (called by factory on clones)
-    /// @param _whitePlayer Address of white player
+    /// @param _whitePlayer Address of the game creator
     /// @param _value Bet amount in wei
     /// @param _preset Timeout preset (Finney/Buterin/Nakamoto)
     /// @param _mode Game mode (Tournament/Friendly)
@@ -163,6 +175,8 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     /// @param _disputeDAO DisputeDAO contract address
     /// @param _playerRating PlayerRating contract address
     /// @param _rewardPool RewardPool contract address
+    /// @param _invitedOpponent Only address allowed to join (address(0) = anyone)
+    /// @param _creatorColor Colour the creator plays (White/Black/Random)
     function initialize(
         address _whitePlayer,
         uint _value,
@@ -172,7 +186,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         address _bondingManager,
         address _disputeDAO,
         address _playerRating,
-        address _rewardPool
+        address _rewardPool,
+        address _invitedOpponent,
+        ColorChoice _creatorColor
     ) external payable initializer {
         // Initialize the board
         initializeBoard();
@@ -182,6 +198,8 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         betting = _value;
         gameMode = _mode;
         gameId = _gameId;
+        invitedOpponent = _invitedOpponent;
+        creatorColor = _creatorColor;
         createdAt = uint48(block.timestamp);
 
         // Set anti-cheating contracts (can be address(0) if not using bonding)
@@ -223,12 +241,16 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         currentPlayer = (currentPlayer == whitePlayer) ? blackPlayer : whitePlayer;
     }
 
-   function joinGameAsBlack() public payable {
+    /// @notice Join the game as the creator's opponent
+    /// @dev A Random colour choice is settled by the hash of the block after this one,
+    ///      which neither player knows when the join is sent
+    function joinGame() public payable {
         if (cancelled) revert CancelledGame();
         if (gameState != GameState.NotStarted) revert GameAlreadyStarted();
         if (msg.sender == whitePlayer) revert AlreadyWhitePlayer();
         if (msg.value != betting) revert WrongBetAmount();
         if (blackPlayer != address(0)) revert BlackPlayerTaken();
+        if (invitedOpponent != address(0) && msg.sender != invitedOpponent) revert NotInvited();
 
         // If bonding is enabled, lock bonds for both players (single external call)
         if (address(bondingManager) != address(0)) {
@@ -236,12 +258,22 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             bondsLocked = true;
         }
 
-        blackPlayer = msg.sender;
+        if (creatorColor == ColorChoice.Black) {
+            blackPlayer = whitePlayer;
+            whitePlayer = msg.sender;
+        } else {
+            blackPlayer = msg.sender;
+        }
+        currentPlayer = whitePlayer;
         gameState = GameState.InProgress;
 
         // Start white's clock (white moves first)
         whiteLastMoveBlock = uint48(block.number);
 
+        if (creatorColor == ColorChoice.Random) {
+            colorSeedBlock = uint48(block.number + 1);
+        }
+
         // NOTE: Initial position already recorded in initialize()
         // No need to record again here - was causing duplicate entries
 
@@ -249,6 +281,60 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         emit GameStateChanged(GameState.InProgress);
     }
 
+    /// @notice Join as black; only available when the creator chose to play white
+    function joinGameAsBlack() external payable {
+        if (creatorColor != ColorChoice.White) revert ColorNotAvailable();
+        joinGame();
+    }
+
+    /// @notice Settle a pending Random colour draw. Anyone may record the outcome while
+    ///         the seed block hash is readable; once it has expired only a player may
+    ///         settle, and takes black
+    function resolveColors() external {
+        if (gameState != GameState.InProgress) revert GameNotInProgress();
+        if (colorSeedBlock == 0) return;
+        _settleColors();
+    }
+
+    /// @dev Outcome of the Random draw; not ready until the seed block is mined, and
+    ///      expired once the seed block leaves the 256-block blockhash window
+    function _drawColors() internal view returns (bool ready, bool expired, bool swap) {
+        if (block.number <= colorSeedBlock) return (false, false, false);
+        bytes32 seed = blockhash(colorSeedBlock);
+        if (seed == bytes32(0)) return (true, true, false);
+        return (true, false, uint256(keccak256(abi.encodePacked(seed, address(this)))) & 1 == 1);
+    }
+
+    /// @dev Records the draw at the first transaction after the seed block. An expired
+    ///      draw was left unsettled by whoever won it and had to move, so the player who
+    ///      settles it plays black and the opponent is the one on the clock: stalling
+    ///      until the hash is gone never buys the first move
+    function _settleColors() internal {
+        (bool ready, bool expired, bool swap) = _drawColors();
+        if (!ready) revert ColorsNotAssigned();
+        if (expired) {
+            if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
+            swap = msg.sender == whitePlayer;
+        }
+
+        if (swap) {
+            (whitePlayer, blackPlayer) = (blackPlayer, whitePlayer);
+        }
+        currentPlayer = whitePlayer;
+        // White has been on the clock since the seed block, however late the draw is settled
+        whiteLastMoveBlock = colorSeedBlock;
+        colorSeedBlock = 0;
+        emit ColorsAssigned(whitePlayer, blackPlayer);
+    }
+
+    /// @notice Settles a pending Random colour draw before the action runs
+    modifier colorsAssigned() {
+        if (colorSeedBlock != 0) {
+            _settleColors();
+        }
+        _;
+    }
+
     /// @notice Register game completion in DisputeDAO for challenge window
     /// @dev Called automatically when game ends, starts the 48h challenge window
     function _registerGameForDispute() internal {
@@ -549,7 +635,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         emit PrizeClaimed(msg.sender, totalPrize);
     }
 
-    function resign() external {
+    function resign() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
 
@@ -572,7 +658,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     }
 
     /// @notice Offer a draw to the opponent
-    function offerDraw() external {
+    function offerDraw() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress || drawOfferedBy != address(0)) revert GameNotInProgress();
         drawOfferedBy = msg.sender;
@@ -616,7 +702,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     /// @notice Claim draw by threefold repetition
     /// @dev Can be called by either player when position has occurred 3+ times
-    function claimDrawByRepetition() external {
+    function claimDrawByRepetition() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
 
@@ -634,7 +720,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     /// @notice Claim draw by 50-move rule
     /// @dev Can be called by either player when 50 moves have passed without pawn move or capture
-    function claimDrawByFiftyMoveRule() external {
+    function claimDrawByFiftyMoveRule() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
         if (halfMoveClock < 100) revert FiftyMoveRuleNotReached(); // 100 half-moves = 50 full moves
@@ -647,7 +733,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     }
 
     /// @notice Claim victory when opponent has not moved within timeout period
-    function claimVictoryByTimeout() external {
+    function claimVictoryByTimeout() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
         if (msg.sender == currentPlayer) revert NotYourTurn();
@@ -734,7 +820,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         uint8 endX,
         uint8 endY,
         int8 promotionPiece
-    ) public onlyCurrentPlayer onlyOwnPieces(startX, startY) {
+    ) public colorsAssigned onlyCurrentPlayer onlyOwnPieces(startX, startY) {
         // Bounds checking for coordinates
         if (startX >= BOARD_SIZE || startY >= BOARD_SIZE || endX >= BOARD_SIZE || endY >= BOARD_SIZE) {
             revert InvalidCoordinates();
@@ -980,12 +1066,19 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         newState = GameState(stateValue);
     }
 
+    /// @notice White and black players; a Random draw whose seed block is mined is
+    ///         reported with its outcome even before a transaction settles it. An expired
+    ///         draw has no outcome until a player settles it and is reported in seat order
     function getPlayers() external view returns (address, address) {
+        if (colorSeedBlock != 0) {
+            (, , bool swap) = _drawColors();
+            if (swap) return (blackPlayer, whitePlayer);
+        }
         return (whitePlayer, blackPlayer);
     }
 
     /// @notice Setup function for custom board positions (Friendly mode only)
-    /// @dev Only callable in Friendly mode, by white player, before game starts
+    /// @dev Only callable in Friendly mode, by the creator, before game starts
     /// @dev This allows creative chess variants but is disabled in Tournament mode
     function debugCreative(uint8 x, uint8 y, int8 piece) external returns (string memory) {
         if (gameMode != GameMode.Friendly) revert FriendlyOnly();
@@ -1077,7 +1170,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         }
 
         if (currentPlayerIsWhite) {
-            uint256 elapsed = block.number - whiteLastMoveBlock;
+            // A pending Random draw has white on the clock from its seed block
+            uint256 lastMove = colorSeedBlock != 0 ? colorSeedBlock : whiteLastMoveBlock;
+            uint256 elapsed = block.number > lastMove ? block.number - lastMove : 0;
             whiteBlocksRemaining = elapsed >= timeoutBlocks ? 0 : timeoutBlocks - elapsed;
             blackBlocksRemaining = 0;
         } else {
@@ -38,6 +38,8 @@ contract ChessFactory {
         ChessCore.TimeoutPreset timeoutPreset,
         ChessCore.GameMode gameMode
     );
+    event GameInvitation(uint256 indexed gameId, address indexed gameAddress, address indexed invitedOpponent);
+    event GameColorChoice(uint256 indexed gameId, address indexed gameAddress, ChessCore.ColorChoice creatorColor);
     event BondingManagerUpdated(address indexed oldAddress, address indexed newAddress);
     event DisputeDAOUpdated(address indexed oldAddress, address indexed newAddress);
     event PlayerRatingUpdated(address indexed oldAddress, address indexed newAddress);
@@ -102,10 +104,42 @@ contract ChessFactory {
     }
 
     function createChessGame(ChessCore.TimeoutPreset _timeoutPreset, ChessCore.GameMode _gameMode) public payable returns (address) {
+        return _createChessGame(_timeoutPreset, _gameMode, address(0), ChessCore.ColorChoice.White);
+    }
+
+    /// @notice Create a game that only `_invitedOpponent` can join as black
+    function createInvitedChessGame(
+        ChessCore.TimeoutPreset _timeoutPreset,
+        ChessCore.GameMode _gameMode,
+        address _invitedOpponent
+    ) public payable returns (address) {
+        require(_invitedOpponent != address(0), "Invalid opponent");
+        require(_invitedOpponent != msg.sender, "Cannot invite yourself");
+        return _createChessGame(_timeoutPreset, _gameMode, _invitedOpponent, ChessCore.ColorChoice.White);
+    }
+
+    /// @notice Create a game where the creator plays `_creatorColor`
+    /// @param _invitedOpponent Only address allowed to join (address(0) = anyone)
+    function createChessGameWithColor(
+        ChessCore.TimeoutPreset _timeoutPreset,
+        ChessCore.GameMode _gameMode,
+        ChessCore.ColorChoice _creatorColor,
+        address _invitedOpponent
+    ) public payable returns (address) {
+        require(_invitedOpponent != msg.sender, "Cannot invite yourself");
+        return _createChessGame(_timeoutPreset, _gameMode, _invitedOpponent, _creatorColor);
+    }
+
+    function _createChessGame(
+        ChessCore.TimeoutPreset _timeoutPreset,
+        ChessCore.GameMode _gameMode,
+        address _invitedOpponent,
+        ChessCore.ColorChoice _creatorColor
+    ) internal returns (address) {
         require(msg.value >= MIN_BET, "Bet amount too low");
         require(msg.value <= MAX_BET, "Bet amount too high");
 
-        // If bonding is enabled, verify white player has sufficient bond
+        // If bonding is enabled, verify the creator has sufficient bond
         if (bondingManager != address(0)) {
             require(
                 BondingManager(payable(bondingManager)).hasSufficientBond(msg.sender, msg.value),
@@ -135,7 +169,9 @@ contract ChessFactory {
             bondingManager,
             disputeDAO,
             playerRating,
-            rewardPool
+            rewardPool,
+            _invitedOpponent,
+            _creatorColor
         );
 
         deployedChessGames.push(clone);
@@ -152,6 +188,12 @@ contract ChessFactory {
         ChessNFT(addressNFT).createGameNFT(gameId, clone, msg.sender);
 
         emit GameCreated(gameId, clone, msg.sender, msg.value, _timeoutPreset, _gameMode);
+        if (_invitedOpponent != address(0)) {
+            emit GameInvitation(gameId, clone, _invitedOpponent);
+        }
+        if (_creatorColor != ChessCore.ColorChoice.White) {
+            emit GameColorChoice(gameId, clone, _creatorColor);
+        }
         return clone;
     }
 
@@ -1,6 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 
 library ChessMediaLibrary {
     int8 public constant EMPTY = 0;
@@ -11,6 +12,19 @@ library ChessMediaLibrary {
     int8 public constant QUEEN = 5;
     int8 public constant KING = 6;
 
+    /// @notice What a game NFT's metadata describes, read from the game contract
+    struct GameMetadata {
+        uint256 tokenId;
+        address whitePlayer;
+        address blackPlayer;
+        uint8 gameState;        // ChessCore.getGameState() code
+        uint16 plyCount;
+        uint8 gameMode;         // ChessCore.GameMode
+        uint48 timeoutBlocks;
+        uint256 stake;          // Bet per player, in wei
+        bool disputed;
+    }
+
     function toString(uint value) internal pure returns (string memory) {
         if (value == 0) {
             return "0";
@@ -35,15 +49,85 @@ library ChessMediaLibrary {
         return string(buffer);
     }
     
-    function metadata(uint256 tokenId) internal pure returns (string memory){
-        //TODO
-        tokenId = 1;
-        string memory toRet = "";
-        return toRet;
+    /// @notice Token URI of a game NFT: base64 JSON with the board as image and OpenSea-style attributes
+    function tokenURI(GameMetadata memory game, int8[8][8] memory board) internal pure returns (string memory) {
+        string memory json = Base64.encode(bytes(string(abi.encodePacked(
+            '{"name": "Game #', toString(game.tokenId),
+            '", "description": "A fully on-chain chess game. The image shows its current position.", "image": "data:image/svg+xml;base64,',
+            Base64.encode(bytes(boardSVG(board))),
+            '","attributes":[', metadata(game), ']}'
+        ))));
+        return string(abi.encodePacked('data:application/json;base64,', json));
+    }
+
+    /// @notice Attributes of a game NFT, as the comma-separated body of a JSON array
+    function metadata(GameMetadata memory game) internal pure returns (string memory) {
+        string memory players = string(abi.encodePacked(
+            textAttribute("White", Strings.toHexString(game.whitePlayer)), ",",
+            textAttribute("Black", game.blackPlayer == address(0) ? "None" : Strings.toHexString(game.blackPlayer))
+        ));
+        string memory rules = string(abi.encodePacked(
+            textAttribute("Result", resultName(game.gameState)), ",",
+            '{"trait_type":"Plies","display_type":"number","value":', toString(game.plyCount), '},',
+            textAttribute("Game Mode", game.gameMode == 0 ? "Tournament" : "Friendly"), ",",
+            textAttribute("Time Control", timeControlName(game.timeoutBlocks))
+        ));
+        return string(abi.encodePacked(
+            players, ",", rules, ",",
+            '{"trait_type":"Stake (ETH)","display_type":"number","value":', formatEther(game.stake), '},',
+            textAttribute("Disputed", game.disputed ? "Yes" : "No")
+        ));
+    }
+
+    function textAttribute(string memory traitType, string memory value) internal pure returns (string memory) {
+        return string(abi.encodePacked('{"trait_type":"', traitType, '","value":"', value, '"}'));
+    }
+
+    function resultName(uint8 gameState) internal pure returns (string memory) {
+        if (gameState == 1) return "Not Started";
+        if (gameState == 2) return "In Progress";
+        if (gameState == 3) return "Draw";
+        if (gameState == 4) return "White Wins";
+        if (gameState == 5) return "Black Wins";
+        if (gameState == 6) return "Cancelled";
+        return "Unknown";
+    }
+
+    /// @dev Block counts of ChessCore's TimeoutPreset values
+    function timeControlName(uint48 timeoutBlocks) internal pure returns (string memory) {
+        if (timeoutBlocks == 300) return "Finney";
+        if (timeoutBlocks == 2100) return "Buterin";
+        if (timeoutBlocks == 50400) return "Nakamoto";
+        return "Custom";
+    }
+
+    /// @notice Wei as a decimal ETH amount without trailing zeros, e.g. "0.05"
+    function formatEther(uint256 value) internal pure returns (string memory) {
+        uint256 whole = value / 1 ether;
+        uint256 fraction = value % 1 ether;
+        if (fraction == 0) return toString(whole);
+
+        uint256 decimals = 18;
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            decimals--;
+        }
+        bytes memory digits = bytes(toString(fraction));
+        bytes memory padded = new bytes(decimals);
+        uint256 zeros = decimals - digits.length;
+        for (uint256 i = 0; i < decimals; i++) {
+            padded[i] = i < zeros ? bytes1("0") : digits[i - zeros];
+        }
+        return string(abi.encodePacked(toString(whole), ".", padded));
     }
 
     function getCurrentBoard(int8[8][8] memory board) external pure returns (string memory) {
-        uint tokenId = 0;
+        string memory json = Base64.encode(bytes(string(abi.encodePacked('{"name": "Match #0", "description": "This is a match", "image": "data:image/svg+xml;base64,', Base64.encode(bytes(boardSVG(board))), '","attributes":[]}'))));
+        return string(abi.encodePacked('data:application/json;base64,', json));
+    }
+
+    /// @notice SVG image of a board position
+    function boardSVG(int8[8][8] memory board) internal pure returns (string memory) {
         string memory result = "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 400 400'>";
         result = string(abi.encodePacked(result, getBoardSquares()));   
         string memory black = "<g id='bp' fill='#000' font-family='arial unicode ms,Helvetica,Arial,sans-serif' font-size='40'>";
@@ -144,11 +228,7 @@ library ChessMediaLibrary {
             }
         }
 
-        result = string(abi.encodePacked(result, white, "</g>", black, "</g>", "</svg>"));
-        
-        string memory json = Base64.encode(bytes(string(abi.encodePacked('{"name": "Match #', toString(tokenId), '", "description": "This is a match", "image": "data:image/svg+xml;base64,', Base64.encode(bytes(result)), '","attributes":[',metadata(tokenId),']}'))));
-        return string(abi.encodePacked('data:application/json;base64,', json));
-        
+        return string(abi.encodePacked(result, white, "</g>", black, "</g>", "</svg>"));
     }
 
     function generatePiece(string memory s, string memory x, string memory y, string memory c, string memory piece) internal pure returns (string memory) {
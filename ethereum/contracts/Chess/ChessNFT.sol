@@ -6,7 +6,28 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "./ChessMediaLibrary.sol";
 
 interface IChessCore {
-    function printChessBoardLayoutSVG() external view returns (string memory);
+    function getPlayers() external view returns (address, address);
+    function getGameState() external view returns (uint8);
+    function getBoardState() external view returns (int8[8][8] memory);
+    function plyCount() external view returns (uint16);
+    function gameMode() external view returns (uint8);
+    function timeoutBlocks() external view returns (uint48);
+    function betting() external view returns (uint256);
+    function disputeDAO() external view returns (address);
+}
+
+interface IDisputeRegistry {
+    function gameToDispute(uint256 gameId) external view returns (uint256);
+    function getDispute(uint256 disputeId) external view returns (
+        uint256 gameId,
+        address challenger,
+        address accusedPlayer,
+        uint8 state,
+        uint256 legitVotes,
+        uint256 cheatVotes,
+        uint8 finalDecision,
+        uint256 escalationLevel
+    );
 }
     
 contract ChessNFT is ERC721Enumerable, Ownable {
@@ -28,13 +49,37 @@ contract ChessNFT is ERC721Enumerable, Ownable {
         factory = msg.sender; // ChessFactory is the deployer
     }
 
-    /// @notice Get the SVG representation of the game board
+    /// @notice Metadata of the game: its current board as SVG plus players, result and settings as attributes
     /// @param _tokenId The game/token ID
     function tokenURI(uint256 _tokenId) public view virtual override returns (string memory) {
         address gameAddress = gameNFTs[_tokenId];
         require(gameAddress != address(0), "Token does not exist");
         IChessCore c = IChessCore(gameAddress);
-        return c.printChessBoardLayoutSVG();
+
+        (address white, address black) = c.getPlayers();
+        ChessMediaLibrary.GameMetadata memory game = ChessMediaLibrary.GameMetadata({
+            tokenId: _tokenId,
+            whitePlayer: white,
+            blackPlayer: black,
+            gameState: c.getGameState(),
+            plyCount: c.plyCount(),
+            gameMode: c.gameMode(),
+            timeoutBlocks: c.timeoutBlocks(),
+            stake: c.betting(),
+            disputed: _isDisputed(c, _tokenId)
+        });
+        return ChessMediaLibrary.tokenURI(game, c.getBoardState());
+    }
+
+    /// @dev Every finished game is registered with DisputeDAO; it only counts as disputed once challenged.
+    ///      Token IDs are game IDs, which is what DisputeDAO indexes disputes by.
+    function _isDisputed(IChessCore c, uint256 gameId) internal view returns (bool) {
+        address dao = c.disputeDAO();
+        if (dao == address(0)) return false;
+        uint256 disputeId = IDisputeRegistry(dao).gameToDispute(gameId);
+        if (disputeId == 0) return false;
+        (, address challenger, , , , , , ) = IDisputeRegistry(dao).getDispute(disputeId);
+        return challenger != address(0);
     }
 
     /// @notice Create an NFT for a new game
@@ -1,6 +1,16 @@
+// SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/introspection/IERC165.sol)
+/**
+ * @dev Interface of the ERC-165 standard, as defined in the
+ * https://eips.ethereum.org/EIPS/eip-165[ERC].
+ *
+ * Implementers can declare support of contract interfaces, which can then be
+ * queried by others ({ERC165Checker}).
+ *
+ * For an implementation, see {ERC165}.
+ */
 interface IERC165 {
     /**
      * @dev Returns true if this contract implements the interface defined by
@@ -13,6 +23,10 @@ interface IERC165 {
     function supportsInterface(bytes4 interfaceId) external view returns (bool);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/IERC721.sol)
+/**
+ * @dev Required interface of an ERC-721 compliant contract.
+ */
 interface IERC721 is IERC165 {
     /**
      * @dev Emitted when `tokenId` token is transferred from `from` to `to`.
@@ -139,6 +153,11 @@ interface IERC721 is IERC165 {
     function isApprovedForAll(address owner, address operator) external view returns (bool);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/extensions/IERC721Metadata.sol)
+/**
+ * @title ERC-721 Non-Fungible Token Standard, optional metadata extension
+ * @dev See https://eips.ethereum.org/EIPS/eip-721
+ */
 interface IERC721Metadata is IERC721 {
     /**
      * @dev Returns the token collection name.
@@ -156,6 +175,12 @@ interface IERC721Metadata is IERC721 {
     function tokenURI(uint256 tokenId) external view returns (string memory);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/IERC721Receiver.sol)
+/**
+ * @title ERC-721 token receiver interface
+ * @dev Interface for any contract that wants to support safeTransfers
+ * from ERC-721 asset contracts.
+ */
 interface IERC721Receiver {
     /**
      * @dev Whenever an {IERC721} `tokenId` token is transferred to this contract via {IERC721-safeTransferFrom}
@@ -175,6 +200,57 @@ interface IERC721Receiver {
     ) external returns (bytes4);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/draft-IERC6093.sol)
+/**
+ * @dev Standard ERC-20 Errors
+ * Interface of the https://eips.ethereum.org/EIPS/eip-6093[ERC-6093] custom errors for ERC-20 tokens.
+ */
+interface IERC20Errors {
+    /**
+     * @dev Indicates an error related to the current `balance` of a `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     * @param balance Current balance for the interacting account.
+     * @param needed Minimum amount required to perform a transfer.
+     */
+    error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed);
+
+    /**
+     * @dev Indicates a failure with the token `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     */
+    error ERC20InvalidSender(address sender);
+
+    /**
+     * @dev Indicates a failure with the token `receiver`. Used in transfers.
+     * @param receiver Address to which tokens are being transferred.
+     */
+    error ERC20InvalidReceiver(address receiver);
+
+    /**
+     * @dev Indicates a failure with the `spender`’s `allowance`. Used in transfers.
+     * @param spender Address that may be allowed to operate on tokens without being their owner.
+     * @param allowance Amount of tokens a `spender` is allowed to operate with.
+     * @param needed Minimum amount required to perform a transfer.
+     */
+    error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed);
+
+    /**
+     * @dev Indicates a failure with the `approver` of a token to be approved. Used in approvals.
+     * @param approver Address initiating an approval operation.
+     */
+    error ERC20InvalidApprover(address approver);
+
+    /**
+     * @dev Indicates a failure with the `spender` to be approved. Used in approvals.
+     * @param spender Address that may be allowed to operate on tokens without being their owner.
+     */
+    error ERC20InvalidSpender(address spender);
+}
+
+/**
+ * @dev Standard ERC-721 Errors
+ * Interface of the https://eips.ethereum.org/EIPS/eip-6093[ERC-6093] custom errors for ERC-721 tokens.
+ */
 interface IERC721Errors {
     /**
      * @dev Indicates that an address can't be an owner. For example, `address(0)` is a forbidden owner in ERC-20.
@@ -229,6 +305,68 @@ interface IERC721Errors {
     error ERC721InvalidOperator(address operator);
 }
 
+/**
+ * @dev Standard ERC-1155 Errors
+ * Interface of the https://eips.ethereum.org/EIPS/eip-6093[ERC-6093] custom errors for ERC-1155 tokens.
+ */
+interface IERC1155Errors {
+    /**
+     * @dev Indicates an error related to the current `balance` of a `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     * @param balance Current balance for the interacting account.
+     * @param needed Minimum amount required to perform a transfer.
+     * @param tokenId Identifier number of a token.
+     */
+    error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId);
+
+    /**
+     * @dev Indicates a failure with the token `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     */
+    error ERC1155InvalidSender(address sender);
+
+    /**
+     * @dev Indicates a failure with the token `receiver`. Used in transfers.
+     * @param receiver Address to which tokens are being transferred.
+     */
+    error ERC1155InvalidReceiver(address receiver);
+
+    /**
+     * @dev Indicates a failure with the `operator`’s approval. Used in transfers.
+     * @param operator Address that may be allowed to operate on tokens without being their owner.
+     * @param owner Address of the current owner of a token.
+     */
+    error ERC1155MissingApprovalForAll(address operator, address owner);
+
+    /**
+     * @dev Indicates a failure with the `approver` of a token to be approved. Used in approvals.
+     * @param approver Address initiating an approval operation.
+     */
+    error ERC1155InvalidApprover(address approver);
+
+    /**
+     * @dev Indicates a failure with the `operator` to be approved. Used in approvals.
+     * @param operator Address that may be allowed to operate on tokens without being their owner.
+     */
+    error ERC1155InvalidOperator(address operator);
+
+    /**
+     * @dev Indicates an array length mismatch between ids and values in a safeBatchTransferFrom operation.
+     * Used in batch transfers.
+     * @param idsLength Length of the array of token identifiers
+     * @param valuesLength Length of the array of token amounts
+     */
+    error ERC1155InvalidArrayLength(uint256 idsLength, uint256 valuesLength);
+}
+
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/utils/ERC721Utils.sol)
+/**
+ * @dev Library that provide common ERC-721 utility functions.
+ *
+ * See https://eips.ethereum.org/EIPS/eip-721[ERC-721].
+ *
+ * _Available since v5.1._
+ */
 library ERC721Utils {
     /**
      * @dev Performs an acceptance check for the provided `operator` by calling {IERC721Receiver-onERC721Received}
@@ -265,6 +403,17 @@ library ERC721Utils {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.0.1) (utils/Context.sol)
+/**
+ * @dev Provides information about the current execution context, including the
+ * sender of the transaction and its data. While these are generally available
+ * via msg.sender and msg.data, they should not be accessed in such a direct
+ * manner, since when dealing with meta-transactions the account sending and
+ * paying for execution may not be the actual sender (as far as an application
+ * is concerned).
+ *
+ * This contract is only required for intermediate, library-like contracts.
+ */
 abstract contract Context {
     function _msgSender() internal view virtual returns (address) {
         return msg.sender;
@@ -279,6 +428,27 @@ abstract contract Context {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/Panic.sol)
+/**
+ * @dev Helper library for emitting standardized panic codes.
+ *
+ * ```solidity
+ * contract Example {
+ *      using Panic for uint256;
+ *
+ *      // Use any of the declared internal constants
+ *      function foo() { Panic.GENERIC.panic(); }
+ *
+ *      // Alternatively
+ *      function foo() { Panic.panic(Panic.GENERIC); }
+ * }
+ * ```
+ *
+ * Follows the list from https://github.com/ethereum/solidity/blob/v0.8.24/libsolutil/ErrorCodes.h[libsolutil].
+ *
+ * _Available since v5.1._
+ */
+// slither-disable-next-line unused-state
 library Panic {
     /// @dev generic / unspecified error
     uint256 internal constant GENERIC = 0x00;
@@ -312,6 +482,20 @@ library Panic {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/math/SafeCast.sol)
+// This file was procedurally generated from scripts/generate/templates/SafeCast.js.
+/**
+ * @dev Wrappers over Solidity's uintXX/intXX/bool casting operators with added overflow
+ * checks.
+ *
+ * Downcasting from uint256/int256 in Solidity does not revert on overflow. This can
+ * easily result in undesired exploitation or bugs, since developers usually
+ * assume that overflows raise errors. `SafeCast` restores this intuition by
+ * reverting the transaction when such an operation overflows.
+ *
+ * Using this library instead of the unchecked operations eliminates an entire
+ * class of bugs, so it's recommended to use it always.
+ */
 library SafeCast {
     /**
      * @dev Value doesn't fit in an uint of `bits` size.
@@ -1457,6 +1641,10 @@ library SafeCast {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.3.0) (utils/math/Math.sol)
+/**
+ * @dev Standard math utilities missing in the Solidity language.
+ */
 library Math {
     enum Rounding {
         Floor, // Toward negative infinity
@@ -2196,6 +2384,10 @@ library Math {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/math/SignedMath.sol)
+/**
+ * @dev Standard signed math utilities missing in the Solidity language.
+ */
 library SignedMath {
     /**
      * @dev Branchless ternary evaluation for `a ? b : c`. Gas costs are constant.
@@ -2255,6 +2447,10 @@ library SignedMath {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/Strings.sol)
+/**
+ * @dev String operations.
+ */
 library Strings {
     using SafeCast for *;
 
@@ -2734,6 +2930,19 @@ library Strings {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/introspection/ERC165.sol)
+/**
+ * @dev Implementation of the {IERC165} interface.
+ *
+ * Contracts that want to implement ERC-165 should inherit from this contract and override {supportsInterface} to check
+ * for the additional interface id that will be supported. For example:
+ *
+ * ```solidity
+ * function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+ *     return interfaceId == type(MyInterface).interfaceId || super.supportsInterface(interfaceId);
+ * }
+ * ```
+ */
 abstract contract ERC165 is IERC165 {
     /// @inheritdoc IERC165
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
@@ -2741,6 +2950,12 @@ abstract contract ERC165 is IERC165 {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/ERC721.sol)
+/**
+ * @dev Implementation of https://eips.ethereum.org/EIPS/eip-721[ERC-721] Non-Fungible Token Standard, including
+ * the Metadata extension, but not including the Enumerable extension, which is available separately as
+ * {ERC721Enumerable}.
+ */
 abstract contract ERC721 is Context, ERC165, IERC721, IERC721Metadata, IERC721Errors {
     using Strings for uint256;
 
@@ -3154,6 +3369,11 @@ abstract contract ERC721 is Context, ERC165, IERC721, IERC721Metadata, IERC721Er
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/extensions/IERC721Enumerable.sol)
+/**
+ * @title ERC-721 Non-Fungible Token Standard, optional enumeration extension
+ * @dev See https://eips.ethereum.org/EIPS/eip-721
+ */
 interface IERC721Enumerable is IERC721 {
     /**
      * @dev Returns the total amount of tokens stored by the contract.
@@ -3173,7 +3393,6 @@ interface IERC721Enumerable is IERC721 {
     function tokenByIndex(uint256 index) external view returns (uint256);
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.4.0) (token/ERC721/extensions/ERC721Enumerable.sol)
 /**
  * @dev This implements an optional extension of {ERC721} defined in the ERC that adds enumerability
@@ -3331,7 +3550,6 @@ abstract contract ERC721Enumerable is ERC721, IERC721Enumerable {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.0.0) (access/Ownable.sol)
 /**
  * @dev Contract module which provides a basic access control mechanism, where
@@ -3427,7 +3645,6 @@ abstract contract Ownable is Context {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.4.0) (utils/Base64.sol)
 /**
  * @dev Provides a set of functions to operate with Base64 strings.
@@ -3544,7 +3761,6 @@ library Base64 {
     }
 }
 
-// SPDX-License-Identifier: MIT
 library ChessMediaLibrary {
     int8 public constant EMPTY = 0;
     int8 public constant PAWN = 1;
@@ -3554,6 +3770,19 @@ library ChessMediaLibrary {
     int8 public constant QUEEN = 5;
     int8 public constant KING = 6;
 
+    /// @notice What a game NFT's metadata describes, read from the game contract
+    struct GameMetadata {
+        uint256 tokenId;
+        address whitePlayer;
+        address blackPlayer;
+        uint8 gameState;        // ChessCore.getGameState() code
+        uint16 plyCount;
+        uint8 gameMode;         // ChessCore.GameMode
+        uint48 timeoutBlocks;
+        uint256 stake;          // Bet per player, in wei
+        bool disputed;
+    }
+
     function toString(uint value) internal pure returns (string memory) {
         if (value == 0) {
             return "0";
@@ -3578,15 +3807,85 @@ library ChessMediaLibrary {
         return string(buffer);
     }
     
-    function metadata(uint256 tokenId) internal pure returns (string memory){
-        //TODO
-        tokenId = 1;
-        string memory toRet = "";
-        return toRet;
+    /// @notice Token URI of a game NFT: base64 JSON with the board as image and OpenSea-style attributes
+    function tokenURI(GameMetadata memory game, int8[8][8] memory board) internal pure returns (string memory) {
+        string memory json = Base64.encode(bytes(string(abi.encodePacked(
+            '{"name": "Game #', toString(game.tokenId),
+            '", "description": "A fully on-chain chess game. The image shows its current position.", "image": "data:image/svg+xml;base64,',
+            Base64.encode(bytes(boardSVG(board))),
+            '","attributes":[', metadata(game), ']}'
+        ))));
+        return string(abi.encodePacked('data:application/json;base64,', json));
+    }
+
+    /// @notice Attributes of a game NFT, as the comma-separated body of a JSON array
+    function metadata(GameMetadata memory game) internal pure returns (string memory) {
+        string memory players = string(abi.encodePacked(
+            textAttribute("White", Strings.toHexString(game.whitePlayer)), ",",
+            textAttribute("Black", game.blackPlayer == address(0) ? "None" : Strings.toHexString(game.blackPlayer))
+        ));
+        string memory rules = string(abi.encodePacked(
+            textAttribute("Result", resultName(game.gameState)), ",",
+            '{"trait_type":"Plies","display_type":"number","value":', toString(game.plyCount), '},',
+            textAttribute("Game Mode", game.gameMode == 0 ? "Tournament" : "Friendly"), ",",
+            textAttribute("Time Control", timeControlName(game.timeoutBlocks))
+        ));
+        return string(abi.encodePacked(
+            players, ",", rules, ",",
+            '{"trait_type":"Stake (ETH)","display_type":"number","value":', formatEther(game.stake), '},',
+            textAttribute("Disputed", game.disputed ? "Yes" : "No")
+        ));
+    }
+
+    function textAttribute(string memory traitType, string memory value) internal pure returns (string memory) {
+        return string(abi.encodePacked('{"trait_type":"', traitType, '","value":"', value, '"}'));
+    }
+
+    function resultName(uint8 gameState) internal pure returns (string memory) {
+        if (gameState == 1) return "Not Started";
+        if (gameState == 2) return "In Progress";
+        if (gameState == 3) return "Draw";
+        if (gameState == 4) return "White Wins";
+        if (gameState == 5) return "Black Wins";
+        if (gameState == 6) return "Cancelled";
+        return "Unknown";
+    }
+
+    /// @dev Block counts of ChessCore's TimeoutPreset values
+    function timeControlName(uint48 timeoutBlocks) internal pure returns (string memory) {
+        if (timeoutBlocks == 300) return "Finney";
+        if (timeoutBlocks == 2100) return "Buterin";
+        if (timeoutBlocks == 50400) return "Nakamoto";
+        return "Custom";
+    }
+
+    /// @notice Wei as a decimal ETH amount without trailing zeros, e.g. "0.05"
+    function formatEther(uint256 value) internal pure returns (string memory) {
+        uint256 whole = value / 1 ether;
+        uint256 fraction = value % 1 ether;
+        if (fraction == 0) return toString(whole);
+
+        uint256 decimals = 18;
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            decimals--;
+        }
+        bytes memory digits = bytes(toString(fraction));
+        bytes memory padded = new bytes(decimals);
+        uint256 zeros = decimals - digits.length;
+        for (uint256 i = 0; i < decimals; i++) {
+            padded[i] = i < zeros ? bytes1("0") : digits[i - zeros];
+        }
+        return string(abi.encodePacked(toString(whole), ".", padded));
     }
 
     function getCurrentBoard(int8[8][8] memory board) external pure returns (string memory) {
-        uint tokenId = 0;
+        string memory json = Base64.encode(bytes(string(abi.encodePacked('{"name": "Match #0", "description": "This is a match", "image": "data:image/svg+xml;base64,', Base64.encode(bytes(boardSVG(board))), '","attributes":[]}'))));
+        return string(abi.encodePacked('data:application/json;base64,', json));
+    }
+
+    /// @notice SVG image of a board position
+    function boardSVG(int8[8][8] memory board) internal pure returns (string memory) {
         string memory result = "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 400 400'>";
         result = string(abi.encodePacked(result, getBoardSquares()));   
         string memory black = "<g id='bp' fill='#000' font-family='arial unicode ms,Helvetica,Arial,sans-serif' font-size='40'>";
@@ -3687,11 +3986,7 @@ library ChessMediaLibrary {
             }
         }
 
-        result = string(abi.encodePacked(result, white, "</g>", black, "</g>", "</svg>"));
-        
-        string memory json = Base64.encode(bytes(string(abi.encodePacked('{"name": "Match #', toString(tokenId), '", "description": "This is a match", "image": "data:image/svg+xml;base64,', Base64.encode(bytes(result)), '","attributes":[',metadata(tokenId),']}'))));
-        return string(abi.encodePacked('data:application/json;base64,', json));
-        
+        return string(abi.encodePacked(result, white, "</g>", black, "</g>", "</svg>"));
     }
 
     function generatePiece(string memory s, string memory x, string memory y, string memory c, string memory piece) internal pure returns (string memory) {
@@ -3738,11 +4033,31 @@ library ChessMediaLibrary {
 
 }
 
-// SPDX-License-Identifier: MIT
 interface IChessCore {
-    function printChessBoardLayoutSVG() external view returns (string memory);
+    function getPlayers() external view returns (address, address);
+    function getGameState() external view returns (uint8);
+    function getBoardState() external view returns (int8[8][8] memory);
+    function plyCount() external view returns (uint16);
+    function gameMode() external view returns (uint8);
+    function timeoutBlocks() external view returns (uint48);
+    function betting() external view returns (uint256);
+    function disputeDAO() external view returns (address);
 }
 
+interface IDisputeRegistry {
+    function gameToDispute(uint256 gameId) external view returns (uint256);
+    function getDispute(uint256 disputeId) external view returns (
+        uint256 gameId,
+        address challenger,
+        address accusedPlayer,
+        uint8 state,
+        uint256 legitVotes,
+        uint256 cheatVotes,
+        uint8 finalDecision,
+        uint256 escalationLevel
+    );
+}
+    
 contract ChessNFT is ERC721Enumerable, Ownable {
     using ChessMediaLibrary for uint8[8][8];
 
@@ -3762,13 +4077,37 @@ contract ChessNFT is ERC721Enumerable, Ownable {
         factory = msg.sender; // ChessFactory is the deployer
     }
 
-    /// @notice Get the SVG representation of the game board
+    /// @notice Metadata of the game: its current board as SVG plus players, result and settings as attributes
     /// @param _tokenId The game/token ID
     function tokenURI(uint256 _tokenId) public view virtual override returns (string memory) {
         address gameAddress = gameNFTs[_tokenId];
         require(gameAddress != address(0), "Token does not exist");
         IChessCore c = IChessCore(gameAddress);
-        return c.printChessBoardLayoutSVG();
+
+        (address white, address black) = c.getPlayers();
+        ChessMediaLibrary.GameMetadata memory game = ChessMediaLibrary.GameMetadata({
+            tokenId: _tokenId,
+            whitePlayer: white,
+            blackPlayer: black,
+            gameState: c.getGameState(),
+            plyCount: c.plyCount(),
+            gameMode: c.gameMode(),
+            timeoutBlocks: c.timeoutBlocks(),
+            stake: c.betting(),
+            disputed: _isDisputed(c, _tokenId)
+        });
+        return ChessMediaLibrary.tokenURI(game, c.getBoardState());
+    }
+
+    /// @dev Every finished game is registered with DisputeDAO; it only counts as disputed once challenged.
+    ///      Token IDs are game IDs, which is what DisputeDAO indexes disputes by.
+    function _isDisputed(IChessCore c, uint256 gameId) internal view returns (bool) {
+        address dao = c.disputeDAO();
+        if (dao == address(0)) return false;
+        uint256 disputeId = IDisputeRegistry(dao).gameToDispute(gameId);
+        if (disputeId == 0) return false;
+        (, address challenger, , , , , , ) = IDisputeRegistry(dao).getDispute(disputeId);
+        return challenger != address(0);
     }
 
     /// @notice Create an NFT for a new game
@@ -3790,4 +4129,4 @@ contract ChessNFT is ERC721Enumerable, Ownable {
     function getGameAddress(uint256 tokenId) external view returns (address) {
         return gameNFTs[tokenId];
     }
-}
\ No newline at end of file
+}
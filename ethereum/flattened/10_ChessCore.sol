@@ -1,6 +1,27 @@
+// SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/Panic.sol)
+/**
+ * @dev Helper library for emitting standardized panic codes.
+ *
+ * ```solidity
+ * contract Example {
+ *      using Panic for uint256;
+ *
+ *      // Use any of the declared internal constants
+ *      function foo() { Panic.GENERIC.panic(); }
+ *
+ *      // Alternatively
+ *      function foo() { Panic.panic(Panic.GENERIC); }
+ * }
+ * ```
+ *
+ * Follows the list from https://github.com/ethereum/solidity/blob/v0.8.24/libsolutil/ErrorCodes.h[libsolutil].
+ *
+ * _Available since v5.1._
+ */
+// slither-disable-next-line unused-state
 library Panic {
     /// @dev generic / unspecified error
     uint256 internal constant GENERIC = 0x00;
@@ -34,6 +55,20 @@ library Panic {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/math/SafeCast.sol)
+// This file was procedurally generated from scripts/generate/templates/SafeCast.js.
+/**
+ * @dev Wrappers over Solidity's uintXX/intXX/bool casting operators with added overflow
+ * checks.
+ *
+ * Downcasting from uint256/int256 in Solidity does not revert on overflow. This can
+ * easily result in undesired exploitation or bugs, since developers usually
+ * assume that overflows raise errors. `SafeCast` restores this intuition by
+ * reverting the transaction when such an operation overflows.
+ *
+ * Using this library instead of the unchecked operations eliminates an entire
+ * class of bugs, so it's recommended to use it always.
+ */
 library SafeCast {
     /**
      * @dev Value doesn't fit in an uint of `bits` size.
@@ -1179,6 +1214,10 @@ library SafeCast {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.3.0) (utils/math/Math.sol)
+/**
+ * @dev Standard math utilities missing in the Solidity language.
+ */
 library Math {
     enum Rounding {
         Floor, // Toward negative infinity
@@ -1918,6 +1957,10 @@ library Math {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/math/SignedMath.sol)
+/**
+ * @dev Standard signed math utilities missing in the Solidity language.
+ */
 library SignedMath {
     /**
      * @dev Branchless ternary evaluation for `a ? b : c`. Gas costs are constant.
@@ -1977,7 +2020,6 @@ library SignedMath {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.4.0) (utils/Strings.sol)
 /**
  * @dev String operations.
@@ -2461,7 +2503,6 @@ library Strings {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.1.0) (utils/ReentrancyGuard.sol)
 /**
  * @dev Contract module that helps prevent reentrant calls to a function.
@@ -2546,7 +2587,6 @@ abstract contract ReentrancyGuard {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.4.0) (utils/Base64.sol)
 /**
  * @dev Provides a set of functions to operate with Base64 strings.
@@ -2663,7 +2703,6 @@ library Base64 {
     }
 }
 
-// SPDX-License-Identifier: MIT
 library ChessMediaLibrary {
     int8 public constant EMPTY = 0;
     int8 public constant PAWN = 1;
@@ -2673,6 +2712,19 @@ library ChessMediaLibrary {
     int8 public constant QUEEN = 5;
     int8 public constant KING = 6;
 
+    /// @notice What a game NFT's metadata describes, read from the game contract
+    struct GameMetadata {
+        uint256 tokenId;
+        address whitePlayer;
+        address blackPlayer;
+        uint8 gameState;        // ChessCore.getGameState() code
+        uint16 plyCount;
+        uint8 gameMode;         // ChessCore.GameMode
+        uint48 timeoutBlocks;
+        uint256 stake;          // Bet per player, in wei
+        bool disputed;
+    }
+
     function toString(uint value) internal pure returns (string memory) {
         if (value == 0) {
             return "0";
@@ -2697,15 +2749,85 @@ library ChessMediaLibrary {
         return string(buffer);
     }
     
-    function metadata(uint256 tokenId) internal pure returns (string memory){
-        //TODO
-        tokenId = 1;
-        string memory toRet = "";
-        return toRet;
+    /// @notice Token URI of a game NFT: base64 JSON with the board as image and OpenSea-style attributes
+    function tokenURI(GameMetadata memory game, int8[8][8] memory board) internal pure returns (string memory) {
+        string memory json = Base64.encode(bytes(string(abi.encodePacked(
+            '{"name": "Game #', toString(game.tokenId),
+            '", "description": "A fully on-chain chess game. The image shows its current position.", "image": "data:image/svg+xml;base64,',
+            Base64.encode(bytes(boardSVG(board))),
+            '","attributes":[', metadata(game), ']}'
+        ))));
+        return string(abi.encodePacked('data:application/json;base64,', json));
+    }
+
+    /// @notice Attributes of a game NFT, as the comma-separated body of a JSON array
+    function metadata(GameMetadata memory game) internal pure returns (string memory) {
+        string memory players = string(abi.encodePacked(
+            textAttribute("White", Strings.toHexString(game.whitePlayer)), ",",
+            textAttribute("Black", game.blackPlayer == address(0) ? "None" : Strings.toHexString(game.blackPlayer))
+        ));
+        string memory rules = string(abi.encodePacked(
+            textAttribute("Result", resultName(game.gameState)), ",",
+            '{"trait_type":"Plies","display_type":"number","value":', toString(game.plyCount), '},',
+            textAttribute("Game Mode", game.gameMode == 0 ? "Tournament" : "Friendly"), ",",
+            textAttribute("Time Control", timeControlName(game.timeoutBlocks))
+        ));
+        return string(abi.encodePacked(
+            players, ",", rules, ",",
+            '{"trait_type":"Stake (ETH)","display_type":"number","value":', formatEther(game.stake), '},',
+            textAttribute("Disputed", game.disputed ? "Yes" : "No")
+        ));
+    }
+
+    function textAttribute(string memory traitType, string memory value) internal pure returns (string memory) {
+        return string(abi.encodePacked('{"trait_type":"', traitType, '","value":"', value, '"}'));
+    }
+
+    function resultName(uint8 gameState) internal pure returns (string memory) {
+        if (gameState == 1) return "Not Started";
+        if (gameState == 2) return "In Progress";
+        if (gameState == 3) return "Draw";
+        if (gameState == 4) return "White Wins";
+        if (gameState == 5) return "Black Wins";
+        if (gameState == 6) return "Cancelled";
+        return "Unknown";
+    }
+
+    /// @dev Block counts of ChessCore's TimeoutPreset values
+    function timeControlName(uint48 timeoutBlocks) internal pure returns (string memory) {
+        if (timeoutBlocks == 300) return "Finney";
+        if (timeoutBlocks == 2100) return "Buterin";
+        if (timeoutBlocks == 50400) return "Nakamoto";
+        return "Custom";
+    }
+
+    /// @notice Wei as a decimal ETH amount without trailing zeros, e.g. "0.05"
+    function formatEther(uint256 value) internal pure returns (string memory) {
+        uint256 whole = value / 1 ether;
+        uint256 fraction = value % 1 ether;
+        if (fraction == 0) return toString(whole);
+
+        uint256 decimals = 18;
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            decimals--;
+        }
+        bytes memory digits = bytes(toString(fraction));
+        bytes memory padded = new bytes(decimals);
+        uint256 zeros = decimals - digits.length;
+        for (uint256 i = 0; i < decimals; i++) {
+            padded[i] = i < zeros ? bytes1("0") : digits[i - zeros];
+        }
+        return string(abi.encodePacked(toString(whole), ".", padded));
     }
 
     function getCurrentBoard(int8[8][8] memory board) external pure returns (string memory) {
-        uint tokenId = 0;
+        string memory json = Base64.encode(bytes(string(abi.encodePacked('{"name": "Match #0", "description": "This is a match", "image": "data:image/svg+xml;base64,', Base64.encode(bytes(boardSVG(board))), '","attributes":[]}'))));
+        return string(abi.encodePacked('data:application/json;base64,', json));
+    }
+
+    /// @notice SVG image of a board position
+    function boardSVG(int8[8][8] memory board) internal pure returns (string memory) {
         string memory result = "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 400 400'>";
         result = string(abi.encodePacked(result, getBoardSquares()));   
         string memory black = "<g id='bp' fill='#000' font-family='arial unicode ms,Helvetica,Arial,sans-serif' font-size='40'>";
@@ -2806,11 +2928,7 @@ library ChessMediaLibrary {
             }
         }
 
-        result = string(abi.encodePacked(result, white, "</g>", black, "</g>", "</svg>"));
-        
-        string memory json = Base64.encode(bytes(string(abi.encodePacked('{"name": "Match #', toString(tokenId), '", "description": "This is a match", "image": "data:image/svg+xml;base64,', Base64.encode(bytes(result)), '","attributes":[',metadata(tokenId),']}'))));
-        return string(abi.encodePacked('data:application/json;base64,', json));
-        
+        return string(abi.encodePacked(result, white, "</g>", black, "</g>", "</svg>"));
     }
 
     function generatePiece(string memory s, string memory x, string memory y, string memory c, string memory piece) internal pure returns (string memory) {
@@ -2857,7 +2975,6 @@ library ChessMediaLibrary {
 
 }
 
-// SPDX-License-Identifier: MIT
 /// @title ChessBoard - Base contract with board state and constants
 /// @notice Contains the chessboard, piece constants, and initialization logic
 contract ChessBoard {
@@ -3018,143 +3135,1015 @@ contract ChessBoard {
     }
 }
 
-interface IAccessControl {
-    /**
-     * @dev The `account` is missing a role.
-     */
-    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+contract ChessRulesEngine {
+    uint8 internal constant BOARD_SIZE = 8;
 
-    /**
-     * @dev The caller of a function is not the expected one.
-     *
-     * NOTE: Don't confuse with {AccessControlUnauthorizedAccount}.
-     */
-    error AccessControlBadConfirmation();
+    int8 internal constant EMPTY = 0;
+    int8 internal constant PAWN = 1;
+    int8 internal constant KNIGHT = 2;
+    int8 internal constant BISHOP = 3;
+    int8 internal constant ROOK = 4;
+    int8 internal constant QUEEN = 5;
+    int8 internal constant KING = 6;
 
-    /**
-     * @dev Emitted when `newAdminRole` is set as ``role``'s admin role, replacing `previousAdminRole`
-     *
-     * `DEFAULT_ADMIN_ROLE` is the starting admin for all roles, despite
-     * {RoleAdminChanged} not being emitted to signal this.
-     */
-    event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole);
+    uint8 internal constant ROW_BLACK_PIECES = 0;
+    uint8 internal constant ROW_BLACK_PAWNS = 1;
+    uint8 internal constant ROW_BLACK_PAWNS_LONG_OPENING = 3;
+    uint8 internal constant ROW_WHITE_PAWNS_LONG_OPENING = 4;
+    uint8 internal constant ROW_WHITE_PAWNS = 6;
+    uint8 internal constant ROW_WHITE_PIECES = 7;
 
-    /**
-     * @dev Emitted when `account` is granted `role`.
-     *
-     * `sender` is the account that originated the contract call. This account bears the admin role (for the granted role).
-     * Expected in cases where the role was granted using the internal {AccessControl-_grantRole}.
-     */
-    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    uint8 internal constant COL_SHORTW_LONGB_ROOK = 0;
+    uint8 internal constant COL_UNNAMED_KNIGHT = 1;
+    uint8 internal constant COL_BISHOP = 2;
+    uint8 internal constant COL_QUEEN = 3;
+    uint8 internal constant COL_KING = 4;
+    uint8 internal constant COL_UNNAMED_BISHOP = 5;
+    uint8 internal constant COL_KNIGHT = 6;
+    uint8 internal constant COL_LONGW_SHORTB_ROOK = 7;
 
-    /**
-     * @dev Emitted when `account` is revoked `role`.
-     *
-     * `sender` is the account that originated the contract call:
-     *   - if using `revokeRole`, it is the admin role bearer
-     *   - if using `renounceRole`, it is the role bearer (i.e. `account`)
-     */
-    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    int8 internal constant PLAYER_WHITE = 1;
+    int8 internal constant PLAYER_BLACK = -1;
 
-    /**
-     * @dev Returns `true` if `account` has been granted `role`.
-     */
-    function hasRole(bytes32 role, address account) external view returns (bool);
+    uint8 internal constant STATE_IN_PROGRESS = 1;
+    uint8 internal constant STATE_DRAW = 2;
+    uint8 internal constant STATE_WHITE_WINS = 3;
+    uint8 internal constant STATE_BLACK_WINS = 4;
+
+    uint8 internal constant FLAG_WHITE_KING_MOVED = 1 << 0;
+    uint8 internal constant FLAG_WHITE_SHORT_ROOK_MOVED = 1 << 1;
+    uint8 internal constant FLAG_WHITE_LONG_ROOK_MOVED = 1 << 2;
+    uint8 internal constant FLAG_BLACK_KING_MOVED = 1 << 3;
+    uint8 internal constant FLAG_BLACK_LONG_ROOK_MOVED = 1 << 4;
+    uint8 internal constant FLAG_BLACK_SHORT_ROOK_MOVED = 1 << 5;
+
+    function isValidMoveView(
+        int8[8][8] memory board,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) external pure returns (bool) {
+        return _isValidMoveView(board, enPassantCol, enPassantRow, castlingFlags, startX, startY, endX, endY);
+    }
 
-    /**
-     * @dev Returns the admin role that controls `role`. See {grantRole} and
-     * {revokeRole}.
-     *
-     * To change a role's admin, use {AccessControl-_setRoleAdmin}.
-     */
-    function getRoleAdmin(bytes32 role) external view returns (bytes32);
+    function wouldMoveLeaveKingInCheck(
+        int8[8][8] memory board,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) external pure returns (bool) {
+        return _wouldMoveLeaveKingInCheck(board, whiteKingRow, whiteKingCol, blackKingRow, blackKingCol, startX, startY, endX, endY);
+    }
 
-    /**
-     * @dev Grants `role` to `account`.
-     *
-     * If `account` had not been already granted `role`, emits a {RoleGranted}
-     * event.
-     *
-     * Requirements:
-     *
-     * - the caller must have ``role``'s admin role.
-     */
-    function grantRole(bytes32 role, address account) external;
+    function _wouldMoveLeaveKingInCheck(
+        int8[8][8] memory board,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        int8 piece = board[startX][startY];
+        int8 player = (piece > 0) ? PLAYER_WHITE : PLAYER_BLACK;
+        uint8 kingX = (_abs(piece) == uint8(KING)) ? endX : (player == PLAYER_WHITE ? whiteKingRow : blackKingRow);
+        uint8 kingY = (_abs(piece) == uint8(KING)) ? endY : (player == PLAYER_WHITE ? whiteKingCol : blackKingCol);
 
-    /**
-     * @dev Revokes `role` from `account`.
-     *
-     * If `account` had been granted `role`, emits a {RoleRevoked} event.
-     *
-     * Requirements:
-     *
-     * - the caller must have ``role``'s admin role.
-     */
-    function revokeRole(bytes32 role, address account) external;
+        for (uint8 row = 0; row < BOARD_SIZE; row++) {
+            for (uint8 col = 0; col < BOARD_SIZE; col++) {
+                if (row == endX && col == endY) {
+                    continue;
+                }
 
-    /**
-     * @dev Revokes `role` from the calling account.
-     *
-     * Roles are often managed via {grantRole} and {revokeRole}: this function's
-     * purpose is to provide a mechanism for accounts to lose their privileges
-     * if they are compromised (such as when a trusted device is misplaced).
-     *
-     * If the calling account had been granted `role`, emits a {RoleRevoked}
-     * event.
-     *
-     * Requirements:
-     *
-     * - the caller must be `callerConfirmation`.
-     */
-    function renounceRole(bytes32 role, address callerConfirmation) external;
-}
+                int8 boardPiece = board[row][col];
+                if (boardPiece * player >= 0) {
+                    continue;
+                }
 
-abstract contract Context {
-    function _msgSender() internal view virtual returns (address) {
-        return msg.sender;
+                if (_canAttack(board, row, col, boardPiece, kingX, kingY, startX, startY, endX, endY)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
     }
 
-    function _msgData() internal view virtual returns (bytes calldata) {
-        return msg.data;
+    function detectCheckState(
+        int8[8][8] memory board,
+        bool moverIsWhite,
+        bool tournamentMode,
+        bool leavesKingInCheck,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags,
+        uint8 endX,
+        uint8 endY
+    ) external pure returns (bool isCheck, bool isMate, uint8 newState) {
+        if (tournamentMode && leavesKingInCheck) {
+            return (false, true, moverIsWhite ? STATE_BLACK_WINS : STATE_WHITE_WINS);
+        }
+
+        if (_isKingInCheck(board, PLAYER_BLACK, whiteKingRow, whiteKingCol, blackKingRow, blackKingCol, enPassantCol, enPassantRow, castlingFlags)) {
+            isMate = _isCheckmate(
+                board,
+                PLAYER_BLACK,
+                whiteKingRow,
+                whiteKingCol,
+                blackKingRow,
+                blackKingCol,
+                enPassantCol,
+                enPassantRow,
+                castlingFlags,
+                endX,
+                endY
+            );
+            return (!isMate, isMate, isMate ? STATE_WHITE_WINS : STATE_IN_PROGRESS);
+        }
+
+        if (_isKingInCheck(board, PLAYER_WHITE, whiteKingRow, whiteKingCol, blackKingRow, blackKingCol, enPassantCol, enPassantRow, castlingFlags)) {
+            isMate = _isCheckmate(
+                board,
+                PLAYER_WHITE,
+                whiteKingRow,
+                whiteKingCol,
+                blackKingRow,
+                blackKingCol,
+                enPassantCol,
+                enPassantRow,
+                castlingFlags,
+                endX,
+                endY
+            );
+            return (!isMate, isMate, isMate ? STATE_BLACK_WINS : STATE_IN_PROGRESS);
+        }
+
+        int8 nextPlayer = moverIsWhite ? PLAYER_BLACK : PLAYER_WHITE;
+        return (
+            false,
+            false,
+            _isStalemate(board, nextPlayer, whiteKingRow, whiteKingCol, blackKingRow, blackKingCol, enPassantCol, enPassantRow, castlingFlags)
+                ? STATE_DRAW
+                : STATE_IN_PROGRESS
+        );
     }
 
-    function _contextSuffixLength() internal view virtual returns (uint256) {
-        return 0;
+    function _isKingInCheck(
+        int8[8][8] memory board,
+        int8 player,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags
+    ) internal pure returns (bool) {
+        uint8 kingX = (player == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
+        uint8 kingY = (player == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
+
+        for (uint8 row = 0; row < BOARD_SIZE; row++) {
+            for (uint8 col = 0; col < BOARD_SIZE; col++) {
+                if (player * board[row][col] < 0) {
+                    if (_isValidMoveView(board, enPassantCol, enPassantRow, castlingFlags, row, col, kingX, kingY)) {
+                        return true;
+                    }
+                }
+            }
+        }
+
+        return false;
     }
-}
 
-interface IERC165 {
-    /**
-     * @dev Returns true if this contract implements the interface defined by
-     * `interfaceId`. See the corresponding
-     * https://eips.ethereum.org/EIPS/eip-165#how-interfaces-are-identified[ERC section]
-     * to learn more about how these ids are created.
-     *
-     * This function call must use less than 30 000 gas.
-     */
-    function supportsInterface(bytes4 interfaceId) external view returns (bool);
-}
+    function _isValidMoveView(
+        int8[8][8] memory board,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        int8 piece = board[startX][startY];
+        int8 target = board[endX][endY];
 
-abstract contract ERC165 is IERC165 {
-    /// @inheritdoc IERC165
-    function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
-        return interfaceId == type(IERC165).interfaceId;
+        if (_abs(int8(endY) - int8(startY)) == COL_BISHOP && _abs(piece) == uint8(KING)) {
+            if (piece == KING) {
+                if (startX == ROW_WHITE_PIECES && startY == COL_KING && !_hasFlag(castlingFlags, FLAG_WHITE_KING_MOVED)) {
+                    if (_abs(board[startX][COL_LONGW_SHORTB_ROOK]) == uint8(ROOK) && endY == COL_KNIGHT && !_hasFlag(castlingFlags, FLAG_WHITE_LONG_ROOK_MOVED)) {
+                        return _isCastlingPathClear(board, startX, startY, endY);
+                    }
+                    if (_abs(board[startX][COL_SHORTW_LONGB_ROOK]) == uint8(ROOK) && endY == COL_BISHOP && !_hasFlag(castlingFlags, FLAG_WHITE_SHORT_ROOK_MOVED)) {
+                        return _isCastlingPathClear(board, startX, startY, endY);
+                    }
+                }
+            } else {
+                if (startX == ROW_BLACK_PIECES && startY == COL_KING && !_hasFlag(castlingFlags, FLAG_BLACK_KING_MOVED)) {
+                    if (_abs(board[startX][COL_LONGW_SHORTB_ROOK]) == uint8(ROOK) && endY == COL_KNIGHT && !_hasFlag(castlingFlags, FLAG_BLACK_LONG_ROOK_MOVED)) {
+                        return _isCastlingPathClear(board, startX, startY, endY);
+                    }
+                    if (_abs(board[startX][COL_SHORTW_LONGB_ROOK]) == uint8(ROOK) && endY == COL_BISHOP && !_hasFlag(castlingFlags, FLAG_BLACK_SHORT_ROOK_MOVED)) {
+                        return _isCastlingPathClear(board, startX, startY, endY);
+                    }
+                }
+            }
+            return false;
+        }
+
+        if (target != EMPTY && piece * target >= 0) {
+            return false;
+        }
+
+        uint8 absPiece = _abs(piece);
+        if (absPiece == uint8(PAWN)) {
+            return _isPawnMoveValid(enPassantCol, enPassantRow, startX, startY, endX, endY, piece, target);
+        }
+        if (absPiece == uint8(KNIGHT)) {
+            return _isKnightMoveValid(piece, target, startX, startY, endX, endY);
+        }
+        if (absPiece == uint8(BISHOP)) {
+            return _isBishopMoveValid(board, piece, target, startX, startY, endX, endY);
+        }
+        if (absPiece == uint8(ROOK)) {
+            return _isRookMoveValid(board, piece, target, startX, startY, endX, endY);
+        }
+        if (absPiece == uint8(QUEEN)) {
+            return _isQueenMoveValid(board, piece, target, startX, startY, endX, endY);
+        }
+        if (absPiece == uint8(KING)) {
+            return _isKingMoveValid(piece, target, startX, startY, endX, endY);
+        }
+
+        return false;
     }
-}
 
-// SPDX-License-Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.4.0) (access/AccessControl.sol)
-/**
- * @dev Contract module that allows children to implement role-based access
- * control mechanisms. This is a lightweight version that doesn't allow enumerating role
- * members except through off-chain means by accessing the contract event logs. Some
- * applications may benefit from on-chain enumerability, for those cases see
- * {AccessControlEnumerable}.
- *
- * Roles are referred to by their `bytes32` identifier. These should be exposed
- * in the external API and be unique. The best way to achieve this is by
- * using `public constant` hash digests:
- *
+    function _isPawnMoveValid(
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY,
+        int8 piece,
+        int8 target
+    ) internal pure returns (bool) {
+        if (startY == endY && target == EMPTY) {
+            if (piece == -PAWN) {
+                if (endX == startX + 1 || (startX == ROW_BLACK_PAWNS && endX == ROW_BLACK_PAWNS_LONG_OPENING)) {
+                    return true;
+                }
+            } else {
+                if (endX == startX - 1 || (startX == ROW_WHITE_PAWNS && endX == ROW_WHITE_PAWNS_LONG_OPENING)) {
+                    return true;
+                }
+            }
+        }
+
+        if (_abs(int8(endY) - int8(startY)) == 1) {
+            if (piece == PAWN && endX == startX - 1 && target < 0) {
+                return true;
+            }
+            if (piece == -PAWN && endX == startX + 1 && target > 0) {
+                return true;
+            }
+        }
+
+        if (enPassantCol >= 0 && _abs(int8(endY) - int8(startY)) == 1 && target == EMPTY) {
+            if (
+                piece == PAWN &&
+                endX == startX - 1 &&
+                startX == ROW_BLACK_PAWNS_LONG_OPENING &&
+                int8(endY) == enPassantCol &&
+                enPassantRow == startX
+            ) {
+                return true;
+            }
+
+            if (
+                piece == -PAWN &&
+                endX == startX + 1 &&
+                startX == ROW_WHITE_PAWNS_LONG_OPENING &&
+                int8(endY) == enPassantCol &&
+                enPassantRow == startX
+            ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    function _isKnightMoveValid(
+        int8 piece,
+        int8 target,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        uint8 deltaX = _abs(int8(endX) - int8(startX));
+        uint8 deltaY = _abs(int8(endY) - int8(startY));
+        return ((deltaX == 1 && deltaY == 2) || (deltaX == 2 && deltaY == 1)) && target * piece <= 0;
+    }
+
+    function _isBishopMoveValid(
+        int8[8][8] memory board,
+        int8 piece,
+        int8 target,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        uint8 deltaX = _abs(int8(endX) - int8(startX));
+        uint8 deltaY = _abs(int8(endY) - int8(startY));
+        return deltaX == deltaY && _isPathClear(board, startX, startY, endX, endY) && target * piece <= 0;
+    }
+
+    function _isRookMoveValid(
+        int8[8][8] memory board,
+        int8 piece,
+        int8 target,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        return (startX == endX || startY == endY) && _isPathClear(board, startX, startY, endX, endY) && target * piece <= 0;
+    }
+
+    function _isQueenMoveValid(
+        int8[8][8] memory board,
+        int8 piece,
+        int8 target,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        uint8 deltaX = _abs(int8(endX) - int8(startX));
+        uint8 deltaY = _abs(int8(endY) - int8(startY));
+        return (deltaX == deltaY || startX == endX || startY == endY) && _isPathClear(board, startX, startY, endX, endY) && target * piece <= 0;
+    }
+
+    function _isKingMoveValid(
+        int8 piece,
+        int8 target,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        uint8 deltaX = _abs(int8(endX) - int8(startX));
+        uint8 deltaY = _abs(int8(endY) - int8(startY));
+        return deltaX <= 1 && deltaY <= 1 && target * piece <= 0;
+    }
+
+    function _isCastlingPathClear(
+        int8[8][8] memory board,
+        uint8 row,
+        uint8 kingCol,
+        uint8 destCol
+    ) internal pure returns (bool) {
+        uint8 minCol = kingCol < destCol ? kingCol : destCol;
+        uint8 maxCol = kingCol > destCol ? kingCol : destCol;
+
+        for (uint8 col = minCol + 1; col < maxCol; col++) {
+            if (board[row][col] != EMPTY) {
+                return false;
+            }
+        }
+
+        if (destCol == COL_BISHOP && board[row][COL_UNNAMED_KNIGHT] != EMPTY) {
+            return false;
+        }
+
+        return board[row][destCol] == EMPTY;
+    }
+
+    function _isPathClear(
+        int8[8][8] memory board,
+        uint8 startX,
+        uint8 startY,
+        uint8 endX,
+        uint8 endY
+    ) internal pure returns (bool) {
+        uint8 deltaX = endX > startX ? endX - startX : startX - endX;
+        uint8 deltaY = endY > startY ? endY - startY : startY - endY;
+        bool stepXPositive = endX > startX;
+        bool stepYPositive = endY > startY;
+
+        if (deltaX == deltaY) {
+            for (uint8 i = 1; i < deltaX; i++) {
+                uint8 checkX = stepXPositive ? startX + i : startX - i;
+                uint8 checkY = stepYPositive ? startY + i : startY - i;
+                if (board[checkX][checkY] != EMPTY) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        if (startX == endX) {
+            for (uint8 i = 1; i < deltaY; i++) {
+                uint8 checkY = stepYPositive ? startY + i : startY - i;
+                if (board[startX][checkY] != EMPTY) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        if (startY == endY) {
+            for (uint8 i = 1; i < deltaX; i++) {
+                uint8 checkX = stepXPositive ? startX + i : startX - i;
+                if (board[checkX][startY] != EMPTY) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    function _isCheckmate(
+        int8[8][8] memory board,
+        int8 player,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags,
+        uint8 attackerI,
+        uint8 attackerJ
+    ) internal pure returns (bool) {
+        if (_canKingMove(board, player, whiteKingRow, whiteKingCol, blackKingRow, blackKingCol)) {
+            return false;
+        }
+
+        if (_canCaptureAttacker(board, player, enPassantCol, enPassantRow, castlingFlags, attackerI, attackerJ)) {
+            return false;
+        }
+
+        if (_canBlockAttack(board, whiteKingRow, whiteKingCol, blackKingRow, blackKingCol, enPassantCol, enPassantRow, castlingFlags, attackerI, attackerJ)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    function _canKingMove(
+        int8[8][8] memory board,
+        int8 player,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol
+    ) internal pure returns (bool) {
+        uint8 kingX = (player == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
+        uint8 kingY = (player == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
+
+        for (int8 i = -1; i <= 1; i++) {
+            for (int8 j = -1; j <= 1; j++) {
+                if (i == 0 && j == 0) {
+                    continue;
+                }
+
+                if (_isKingMoveEscape(board, player, kingX, kingY, i, j)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    function _isKingMoveEscape(
+        int8[8][8] memory board,
+        int8 player,
+        uint8 kingX,
+        uint8 kingY,
+        int8 di,
+        int8 dj
+    ) internal pure returns (bool) {
+        int8 x = int8(kingX) + di;
+        int8 y = int8(kingY) + dj;
+
+        if (x < 0 || x >= int8(BOARD_SIZE) || y < 0 || y >= int8(BOARD_SIZE)) {
+            return false;
+        }
+
+        uint8 newX = uint8(x);
+        uint8 newY = uint8(y);
+        int8 targetPiece = board[newX][newY];
+        int8 kingPiece = board[kingX][kingY];
+
+        if (targetPiece != EMPTY && targetPiece * kingPiece > 0) {
+            return false;
+        }
+
+        return !_isSquareUnderAttackAfterKingMove(board, player, newX, newY, kingX, kingY);
+    }
+
+    function _isSquareUnderAttackAfterKingMove(
+        int8[8][8] memory board,
+        int8 player,
+        uint8 targetX,
+        uint8 targetY,
+        uint8 fromX,
+        uint8 fromY
+    ) internal pure returns (bool) {
+        for (uint8 row = 0; row < BOARD_SIZE; row++) {
+            for (uint8 col = 0; col < BOARD_SIZE; col++) {
+                if ((row == fromX && col == fromY) || (row == targetX && col == targetY)) {
+                    continue;
+                }
+
+                int8 piece = board[row][col];
+                if (piece * player < 0 && _canPieceAttackSquare(board, row, col, targetX, targetY, fromX, fromY)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    function _canPieceAttackSquare(
+        int8[8][8] memory board,
+        uint8 pieceRow,
+        uint8 pieceCol,
+        uint8 targetRow,
+        uint8 targetCol,
+        uint8 ignoreRow,
+        uint8 ignoreCol
+    ) internal pure returns (bool) {
+        int8 piece = board[pieceRow][pieceCol];
+        uint8 absPiece = _abs(piece);
+
+        if (absPiece == uint8(PAWN)) {
+            int8 direction = (piece > 0) ? int8(-1) : int8(1);
+            return int8(targetRow) == int8(pieceRow) + direction && _abs(int8(targetCol) - int8(pieceCol)) == 1;
+        }
+
+        if (absPiece == uint8(KNIGHT)) {
+            uint8 deltaX = _abs(int8(targetRow) - int8(pieceRow));
+            uint8 deltaY = _abs(int8(targetCol) - int8(pieceCol));
+            return (deltaX == 2 && deltaY == 1) || (deltaX == 1 && deltaY == 2);
+        }
+
+        if (absPiece == uint8(KING)) {
+            return _abs(int8(targetRow) - int8(pieceRow)) <= 1 && _abs(int8(targetCol) - int8(pieceCol)) <= 1;
+        }
+
+        return _canSlidingPieceAttack(board, pieceRow, pieceCol, targetRow, targetCol, ignoreRow, ignoreCol, absPiece);
+    }
+
+    function _canSlidingPieceAttack(
+        int8[8][8] memory board,
+        uint8 pieceRow,
+        uint8 pieceCol,
+        uint8 targetRow,
+        uint8 targetCol,
+        uint8 ignoreRow,
+        uint8 ignoreCol,
+        uint8 absPiece
+    ) internal pure returns (bool) {
+        int8 deltaRow = int8(targetRow) - int8(pieceRow);
+        int8 deltaCol = int8(targetCol) - int8(pieceCol);
+        uint8 absDeltaRow = _abs(deltaRow);
+        uint8 absDeltaCol = _abs(deltaCol);
+
+        bool isDiagonal = absDeltaRow == absDeltaCol && absDeltaRow > 0;
+        bool isStraight = (deltaRow == 0 || deltaCol == 0) && (absDeltaRow > 0 || absDeltaCol > 0);
+
+        if (absPiece == uint8(BISHOP) && !isDiagonal) {
+            return false;
+        }
+        if (absPiece == uint8(ROOK) && !isStraight) {
+            return false;
+        }
+        if (absPiece == uint8(QUEEN) && !isDiagonal && !isStraight) {
+            return false;
+        }
+
+        int8 stepRow = (deltaRow == 0) ? int8(0) : (deltaRow > 0 ? int8(1) : int8(-1));
+        int8 stepCol = (deltaCol == 0) ? int8(0) : (deltaCol > 0 ? int8(1) : int8(-1));
+        uint8 checkRow = uint8(int8(pieceRow) + stepRow);
+        uint8 checkCol = uint8(int8(pieceCol) + stepCol);
+
+        while (checkRow != targetRow || checkCol != targetCol) {
+            if (!(checkRow == ignoreRow && checkCol == ignoreCol) && board[checkRow][checkCol] != EMPTY) {
+                return false;
+            }
+            checkRow = uint8(int8(checkRow) + stepRow);
+            checkCol = uint8(int8(checkCol) + stepCol);
+        }
+
+        return true;
+    }
+
+    function _isStalemate(
+        int8[8][8] memory board,
+        int8 player,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags
+    ) internal pure returns (bool) {
+        uint8 kingRow = (player == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
+        uint8 kingCol = (player == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
+
+        if (_isSquareUnderAttackAfterKingMove(board, player, kingRow, kingCol, kingRow, kingCol)) {
+            return false;
+        }
+
+        for (uint8 rowPiece = 0; rowPiece < BOARD_SIZE; rowPiece++) {
+            for (uint8 colPiece = 0; colPiece < BOARD_SIZE; colPiece++) {
+                if (board[rowPiece][colPiece] * player <= 0) {
+                    continue;
+                }
+
+                for (uint8 rowTarget = 0; rowTarget < BOARD_SIZE; rowTarget++) {
+                    for (uint8 colTarget = 0; colTarget < BOARD_SIZE; colTarget++) {
+                        if (rowTarget == rowPiece && colTarget == colPiece) {
+                            continue;
+                        }
+                        if (_isValidMoveView(board, enPassantCol, enPassantRow, castlingFlags, rowPiece, colPiece, rowTarget, colTarget)) {
+                            int8 piece = board[rowPiece][colPiece];
+                            if (_abs(piece) == uint8(KING)) {
+                                if (!_isSquareUnderAttackAfterKingMove(board, player, rowTarget, colTarget, rowPiece, colPiece)) {
+                                    return false;
+                                }
+                                continue;
+                            }
+
+                            if (
+                                !_wouldMoveLeaveKingInCheck(
+                                    board,
+                                    whiteKingRow,
+                                    whiteKingCol,
+                                    blackKingRow,
+                                    blackKingCol,
+                                    rowPiece,
+                                    colPiece,
+                                    rowTarget,
+                                    colTarget
+                                )
+                            ) {
+                                return false;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return true;
+    }
+
+    function _canCaptureAttacker(
+        int8[8][8] memory board,
+        int8 player,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags,
+        uint8 rowAttacker,
+        uint8 colAttacker
+    ) internal pure returns (bool) {
+        for (uint8 rowPiece = 0; rowPiece < BOARD_SIZE; rowPiece++) {
+            for (uint8 colPiece = 0; colPiece < BOARD_SIZE; colPiece++) {
+                int8 piece = board[rowPiece][colPiece];
+                if (piece == EMPTY || piece * player < 0 || (rowPiece == rowAttacker && colPiece == colAttacker)) {
+                    continue;
+                }
+
+                if (_isValidMoveView(board, enPassantCol, enPassantRow, castlingFlags, rowPiece, colPiece, rowAttacker, colAttacker)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    function _canBlockAttack(
+        int8[8][8] memory board,
+        uint8 whiteKingRow,
+        uint8 whiteKingCol,
+        uint8 blackKingRow,
+        uint8 blackKingCol,
+        int8 enPassantCol,
+        uint8 enPassantRow,
+        uint8 castlingFlags,
+        uint8 rowAttacker,
+        uint8 colAttacker
+    ) internal pure returns (bool) {
+        int8 attackerPiece = board[rowAttacker][colAttacker];
+        int8 defendingPlayer = (attackerPiece > 0) ? PLAYER_BLACK : PLAYER_WHITE;
+        uint8 kingRow = (defendingPlayer == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
+        uint8 kingCol = (defendingPlayer == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
+
+        if (_abs(attackerPiece) == uint8(KNIGHT)) {
+            return false;
+        }
+
+        int8 deltaRow = int8(kingRow) - int8(rowAttacker);
+        int8 deltaCol = int8(kingCol) - int8(colAttacker);
+        int8 stepRow = (deltaRow == 0) ? int8(0) : (deltaRow > 0 ? int8(1) : int8(-1));
+        int8 stepCol = (deltaCol == 0) ? int8(0) : (deltaCol > 0 ? int8(1) : int8(-1));
+        uint8 blockRow = uint8(int8(rowAttacker) + stepRow);
+        uint8 blockCol = uint8(int8(colAttacker) + stepCol);
+
+        while (blockRow != kingRow || blockCol != kingCol) {
+            for (uint8 pieceRow = 0; pieceRow < BOARD_SIZE; pieceRow++) {
+                for (uint8 pieceCol = 0; pieceCol < BOARD_SIZE; pieceCol++) {
+                    int8 piece = board[pieceRow][pieceCol];
+                    if (piece == EMPTY || piece * defendingPlayer <= 0 || _abs(piece) == uint8(KING)) {
+                        continue;
+                    }
+
+                    if (_isValidMoveView(board, enPassantCol, enPassantRow, castlingFlags, pieceRow, pieceCol, blockRow, blockCol)) {
+                        return true;
+                    }
+                }
+            }
+
+            blockRow = uint8(int8(blockRow) + stepRow);
+            blockCol = uint8(int8(blockCol) + stepCol);
+        }
+
+        return false;
+    }
+
+    function _canAttack(
+        int8[8][8] memory board,
+        uint8 attackerRow,
+        uint8 attackerCol,
+        int8 attackerPiece,
+        uint8 kingRow,
+        uint8 kingCol,
+        uint8 fromRow,
+        uint8 fromCol,
+        uint8 toRow,
+        uint8 toCol
+    ) internal pure returns (bool) {
+        uint8 absPiece = _abs(attackerPiece);
+        if (absPiece == uint8(PAWN)) {
+            int8 direction = (attackerPiece > 0) ? int8(-1) : int8(1);
+            return int8(kingRow) == int8(attackerRow) + direction && _abs(int8(kingCol) - int8(attackerCol)) == 1;
+        }
+
+        if (absPiece == uint8(KNIGHT)) {
+            uint8 deltaX = _abs(int8(kingRow) - int8(attackerRow));
+            uint8 deltaY = _abs(int8(kingCol) - int8(attackerCol));
+            return (deltaX == 2 && deltaY == 1) || (deltaX == 1 && deltaY == 2);
+        }
+
+        if (absPiece == uint8(KING)) {
+            return _abs(int8(kingRow) - int8(attackerRow)) <= 1 && _abs(int8(kingCol) - int8(attackerCol)) <= 1;
+        }
+
+        int8 deltaRow = int8(kingRow) - int8(attackerRow);
+        int8 deltaCol = int8(kingCol) - int8(attackerCol);
+        uint8 absDeltaRow = _abs(deltaRow);
+        uint8 absDeltaCol = _abs(deltaCol);
+        bool isDiagonal = absDeltaRow == absDeltaCol && absDeltaRow > 0;
+        bool isStraight = (deltaRow == 0 || deltaCol == 0) && (absDeltaRow > 0 || absDeltaCol > 0);
+
+        if (absPiece == uint8(BISHOP) && !isDiagonal) {
+            return false;
+        }
+        if (absPiece == uint8(ROOK) && !isStraight) {
+            return false;
+        }
+        if (absPiece == uint8(QUEEN) && !isDiagonal && !isStraight) {
+            return false;
+        }
+
+        int8 stepRow = (deltaRow == 0) ? int8(0) : (deltaRow > 0 ? int8(1) : int8(-1));
+        int8 stepCol = (deltaCol == 0) ? int8(0) : (deltaCol > 0 ? int8(1) : int8(-1));
+        uint8 checkRow = uint8(int8(attackerRow) + stepRow);
+        uint8 checkCol = uint8(int8(attackerCol) + stepCol);
+
+        while (checkRow != kingRow || checkCol != kingCol) {
+            if (!(checkRow == fromRow && checkCol == fromCol)) {
+                if ((checkRow == toRow && checkCol == toCol) || board[checkRow][checkCol] != EMPTY) {
+                    return false;
+                }
+            }
+            checkRow = uint8(int8(checkRow) + stepRow);
+            checkCol = uint8(int8(checkCol) + stepCol);
+        }
+
+        return true;
+    }
+
+    function _hasFlag(uint8 flags, uint8 flag) internal pure returns (bool) {
+        return flags & flag != 0;
+    }
+
+    function _abs(int8 value) internal pure returns (uint8) {
+        return value >= 0 ? uint8(value) : uint8(-value);
+    }
+}
+
+// OpenZeppelin Contracts (last updated v5.4.0) (access/IAccessControl.sol)
+/**
+ * @dev External interface of AccessControl declared to support ERC-165 detection.
+ */
+interface IAccessControl {
+    /**
+     * @dev The `account` is missing a role.
+     */
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+
+    /**
+     * @dev The caller of a function is not the expected one.
+     *
+     * NOTE: Don't confuse with {AccessControlUnauthorizedAccount}.
+     */
+    error AccessControlBadConfirmation();
+
+    /**
+     * @dev Emitted when `newAdminRole` is set as ``role``'s admin role, replacing `previousAdminRole`
+     *
+     * `DEFAULT_ADMIN_ROLE` is the starting admin for all roles, despite
+     * {RoleAdminChanged} not being emitted to signal this.
+     */
+    event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole);
+
+    /**
+     * @dev Emitted when `account` is granted `role`.
+     *
+     * `sender` is the account that originated the contract call. This account bears the admin role (for the granted role).
+     * Expected in cases where the role was granted using the internal {AccessControl-_grantRole}.
+     */
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @dev Emitted when `account` is revoked `role`.
+     *
+     * `sender` is the account that originated the contract call:
+     *   - if using `revokeRole`, it is the admin role bearer
+     *   - if using `renounceRole`, it is the role bearer (i.e. `account`)
+     */
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @dev Returns `true` if `account` has been granted `role`.
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool);
+
+    /**
+     * @dev Returns the admin role that controls `role`. See {grantRole} and
+     * {revokeRole}.
+     *
+     * To change a role's admin, use {AccessControl-_setRoleAdmin}.
+     */
+    function getRoleAdmin(bytes32 role) external view returns (bytes32);
+
+    /**
+     * @dev Grants `role` to `account`.
+     *
+     * If `account` had not been already granted `role`, emits a {RoleGranted}
+     * event.
+     *
+     * Requirements:
+     *
+     * - the caller must have ``role``'s admin role.
+     */
+    function grantRole(bytes32 role, address account) external;
+
+    /**
+     * @dev Revokes `role` from `account`.
+     *
+     * If `account` had been granted `role`, emits a {RoleRevoked} event.
+     *
+     * Requirements:
+     *
+     * - the caller must have ``role``'s admin role.
+     */
+    function revokeRole(bytes32 role, address account) external;
+
+    /**
+     * @dev Revokes `role` from the calling account.
+     *
+     * Roles are often managed via {grantRole} and {revokeRole}: this function's
+     * purpose is to provide a mechanism for accounts to lose their privileges
+     * if they are compromised (such as when a trusted device is misplaced).
+     *
+     * If the calling account had been granted `role`, emits a {RoleRevoked}
+     * event.
+     *
+     * Requirements:
+     *
+     * - the caller must be `callerConfirmation`.
+     */
+    function renounceRole(bytes32 role, address callerConfirmation) external;
+}
+
+// OpenZeppelin Contracts (last updated v5.0.1) (utils/Context.sol)
+/**
+ * @dev Provides information about the current execution context, including the
+ * sender of the transaction and its data. While these are generally available
+ * via msg.sender and msg.data, they should not be accessed in such a direct
+ * manner, since when dealing with meta-transactions the account sending and
+ * paying for execution may not be the actual sender (as far as an application
+ * is concerned).
+ *
+ * This contract is only required for intermediate, library-like contracts.
+ */
+abstract contract Context {
+    function _msgSender() internal view virtual returns (address) {
+        return msg.sender;
+    }
+
+    function _msgData() internal view virtual returns (bytes calldata) {
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal view virtual returns (uint256) {
+        return 0;
+    }
+}
+
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/introspection/IERC165.sol)
+/**
+ * @dev Interface of the ERC-165 standard, as defined in the
+ * https://eips.ethereum.org/EIPS/eip-165[ERC].
+ *
+ * Implementers can declare support of contract interfaces, which can then be
+ * queried by others ({ERC165Checker}).
+ *
+ * For an implementation, see {ERC165}.
+ */
+interface IERC165 {
+    /**
+     * @dev Returns true if this contract implements the interface defined by
+     * `interfaceId`. See the corresponding
+     * https://eips.ethereum.org/EIPS/eip-165#how-interfaces-are-identified[ERC section]
+     * to learn more about how these ids are created.
+     *
+     * This function call must use less than 30 000 gas.
+     */
+    function supportsInterface(bytes4 interfaceId) external view returns (bool);
+}
+
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/introspection/ERC165.sol)
+/**
+ * @dev Implementation of the {IERC165} interface.
+ *
+ * Contracts that want to implement ERC-165 should inherit from this contract and override {supportsInterface} to check
+ * for the additional interface id that will be supported. For example:
+ *
+ * ```solidity
+ * function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+ *     return interfaceId == type(MyInterface).interfaceId || super.supportsInterface(interfaceId);
+ * }
+ * ```
+ */
+abstract contract ERC165 is IERC165 {
+    /// @inheritdoc IERC165
+    function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
+        return interfaceId == type(IERC165).interfaceId;
+    }
+}
+
+// OpenZeppelin Contracts (last updated v5.4.0) (access/AccessControl.sol)
+/**
+ * @dev Contract module that allows children to implement role-based access
+ * control mechanisms. This is a lightweight version that doesn't allow enumerating role
+ * members except through off-chain means by accessing the contract event logs. Some
+ * applications may benefit from on-chain enumerability, for those cases see
+ * {AccessControlEnumerable}.
+ *
+ * Roles are referred to by their `bytes32` identifier. These should be exposed
+ * in the external API and be unique. The best way to achieve this is by
+ * using `public constant` hash digests:
+ *
  * ```solidity
  * bytes32 public constant MY_ROLE = keccak256("MY_ROLE");
  * ```
@@ -3343,7 +4332,6 @@ abstract contract AccessControl is Context, IAccessControl, ERC165 {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.3.0) (utils/Pausable.sol)
 /**
  * @dev Contract module which allows children to implement an emergency stop
@@ -3451,6 +4439,10 @@ abstract contract Pausable is Context {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/IERC20.sol)
+/**
+ * @dev Interface of the ERC-20 standard as defined in the ERC.
+ */
 interface IERC20 {
     /**
      * @dev Emitted when `value` tokens are moved from one account (`from`) to
@@ -3523,6 +4515,18 @@ interface IERC20 {
     function transferFrom(address from, address to, uint256 value) external returns (bool);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/IERC20.sol)
+
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/IERC165.sol)
+
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/IERC1363.sol)
+/**
+ * @title IERC1363
+ * @dev Interface of the ERC-1363 standard as defined in the https://eips.ethereum.org/EIPS/eip-1363[ERC-1363].
+ *
+ * Defines an extension interface for ERC-20 tokens that supports executing code on a recipient contract
+ * after `transfer` or `transferFrom`, or code on a spender contract after `approve`, in a single transaction.
+ */
 interface IERC1363 is IERC20, IERC165 {
     /*
      * Note: the ERC-165 identifier for this interface is 0xb0202a11.
@@ -3595,7 +4599,6 @@ interface IERC1363 is IERC20, IERC165 {
     function approveAndCall(address spender, uint256 value, bytes calldata data) external returns (bool);
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.3.0) (token/ERC20/utils/SafeERC20.sol)
 /**
  * @title SafeERC20
@@ -3802,6 +4805,10 @@ library SafeERC20 {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/extensions/IERC20Metadata.sol)
+/**
+ * @dev Interface for the optional metadata functions from the ERC-20 standard.
+ */
 interface IERC20Metadata is IERC20 {
     /**
      * @dev Returns the name of the token.
@@ -3819,6 +4826,11 @@ interface IERC20Metadata is IERC20 {
     function decimals() external view returns (uint8);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/draft-IERC6093.sol)
+/**
+ * @dev Standard ERC-20 Errors
+ * Interface of the https://eips.ethereum.org/EIPS/eip-6093[ERC-6093] custom errors for ERC-20 tokens.
+ */
 interface IERC20Errors {
     /**
      * @dev Indicates an error related to the current `balance` of a `sender`. Used in transfers.
@@ -3861,7 +4873,118 @@ interface IERC20Errors {
     error ERC20InvalidSpender(address spender);
 }
 
-// SPDX-License-Identifier: MIT
+/**
+ * @dev Standard ERC-721 Errors
+ * Interface of the https://eips.ethereum.org/EIPS/eip-6093[ERC-6093] custom errors for ERC-721 tokens.
+ */
+interface IERC721Errors {
+    /**
+     * @dev Indicates that an address can't be an owner. For example, `address(0)` is a forbidden owner in ERC-20.
+     * Used in balance queries.
+     * @param owner Address of the current owner of a token.
+     */
+    error ERC721InvalidOwner(address owner);
+
+    /**
+     * @dev Indicates a `tokenId` whose `owner` is the zero address.
+     * @param tokenId Identifier number of a token.
+     */
+    error ERC721NonexistentToken(uint256 tokenId);
+
+    /**
+     * @dev Indicates an error related to the ownership over a particular token. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     * @param tokenId Identifier number of a token.
+     * @param owner Address of the current owner of a token.
+     */
+    error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner);
+
+    /**
+     * @dev Indicates a failure with the token `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     */
+    error ERC721InvalidSender(address sender);
+
+    /**
+     * @dev Indicates a failure with the token `receiver`. Used in transfers.
+     * @param receiver Address to which tokens are being transferred.
+     */
+    error ERC721InvalidReceiver(address receiver);
+
+    /**
+     * @dev Indicates a failure with the `operator`’s approval. Used in transfers.
+     * @param operator Address that may be allowed to operate on tokens without being their owner.
+     * @param tokenId Identifier number of a token.
+     */
+    error ERC721InsufficientApproval(address operator, uint256 tokenId);
+
+    /**
+     * @dev Indicates a failure with the `approver` of a token to be approved. Used in approvals.
+     * @param approver Address initiating an approval operation.
+     */
+    error ERC721InvalidApprover(address approver);
+
+    /**
+     * @dev Indicates a failure with the `operator` to be approved. Used in approvals.
+     * @param operator Address that may be allowed to operate on tokens without being their owner.
+     */
+    error ERC721InvalidOperator(address operator);
+}
+
+/**
+ * @dev Standard ERC-1155 Errors
+ * Interface of the https://eips.ethereum.org/EIPS/eip-6093[ERC-6093] custom errors for ERC-1155 tokens.
+ */
+interface IERC1155Errors {
+    /**
+     * @dev Indicates an error related to the current `balance` of a `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     * @param balance Current balance for the interacting account.
+     * @param needed Minimum amount required to perform a transfer.
+     * @param tokenId Identifier number of a token.
+     */
+    error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId);
+
+    /**
+     * @dev Indicates a failure with the token `sender`. Used in transfers.
+     * @param sender Address whose tokens are being transferred.
+     */
+    error ERC1155InvalidSender(address sender);
+
+    /**
+     * @dev Indicates a failure with the token `receiver`. Used in transfers.
+     * @param receiver Address to which tokens are being transferred.
+     */
+    error ERC1155InvalidReceiver(address receiver);
+
+    /**
+     * @dev Indicates a failure with the `operator`’s approval. Used in transfers.
+     * @param operator Address that may be allowed to operate on tokens without being their owner.
+     * @param owner Address of the current owner of a token.
+     */
+    error ERC1155MissingApprovalForAll(address operator, address owner);
+
+    /**
+     * @dev Indicates a failure with the `approver` of a token to be approved. Used in approvals.
+     * @param approver Address initiating an approval operation.
+     */
+    error ERC1155InvalidApprover(address approver);
+
+    /**
+     * @dev Indicates a failure with the `operator` to be approved. Used in approvals.
+     * @param operator Address that may be allowed to operate on tokens without being their owner.
+     */
+    error ERC1155InvalidOperator(address operator);
+
+    /**
+     * @dev Indicates an array length mismatch between ids and values in a safeBatchTransferFrom operation.
+     * Used in batch transfers.
+     * @param idsLength Length of the array of token identifiers
+     * @param valuesLength Length of the array of token amounts
+     */
+    error ERC1155InvalidArrayLength(uint256 idsLength, uint256 valuesLength);
+}
+
 // OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/ERC20.sol)
 /**
  * @dev Implementation of the {IERC20} interface.
@@ -4159,7 +5282,6 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
     }
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.0.0) (token/ERC20/extensions/ERC20Burnable.sol)
 /**
  * @dev Extension of {ERC20} that allows token holders to destroy both their own
@@ -4193,6 +5315,10 @@ abstract contract ERC20Burnable is Context, ERC20 {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (governance/utils/IVotes.sol)
+/**
+ * @dev Common interface for {ERC20Votes}, {ERC721Votes}, and other {Votes}-enabled contracts.
+ */
 interface IVotes {
     /**
      * @dev The signature used has expired.
@@ -4246,6 +5372,7 @@ interface IVotes {
     function delegateBySig(address delegatee, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s) external;
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/IERC6372.sol)
 interface IERC6372 {
     /**
      * @dev Clock used for flagging checkpoints. Can be overridden to implement timestamp based checkpoints (and voting).
@@ -4259,8 +5386,13 @@ interface IERC6372 {
     function CLOCK_MODE() external view returns (string memory);
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/IERC5805.sol)
 interface IERC5805 is IERC6372, IVotes {}
 
+// OpenZeppelin Contracts (last updated v5.0.0) (utils/Nonces.sol)
+/**
+ * @dev Provides tracking nonces for addresses. Nonces will only increment.
+ */
 abstract contract Nonces {
     /**
      * @dev The nonce used for an `account` is not the expected current nonce.
@@ -4301,6 +5433,14 @@ abstract contract Nonces {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.3.0) (utils/cryptography/MessageHashUtils.sol)
+/**
+ * @dev Signature message hash utilities for producing digests to be consumed by {ECDSA} recovery or signing.
+ *
+ * The library provides methods for generating a hash of a message that conforms to the
+ * https://eips.ethereum.org/EIPS/eip-191[ERC-191] and https://eips.ethereum.org/EIPS/eip-712[EIP 712]
+ * specifications.
+ */
 library MessageHashUtils {
     /**
      * @dev Returns the keccak256 digest of an ERC-191 signed data with version
@@ -4387,6 +5527,35 @@ library MessageHashUtils {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/StorageSlot.sol)
+// This file was procedurally generated from scripts/generate/templates/StorageSlot.js.
+/**
+ * @dev Library for reading and writing primitive types to specific storage slots.
+ *
+ * Storage slots are often used to avoid storage conflict when dealing with upgradeable contracts.
+ * This library helps with reading and writing to such slots without the need for inline assembly.
+ *
+ * The functions in this library return Slot structs that contain a `value` member that can be used to read or write.
+ *
+ * Example usage to set ERC-1967 implementation slot:
+ * ```solidity
+ * contract ERC1967 {
+ *     // Define the slot. Alternatively, use the SlotDerivation library to derive the slot.
+ *     bytes32 internal constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+ *
+ *     function _getImplementation() internal view returns (address) {
+ *         return StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value;
+ *     }
+ *
+ *     function _setImplementation(address newImplementation) internal {
+ *         require(newImplementation.code.length > 0);
+ *         StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value = newImplementation;
+ *     }
+ * }
+ * ```
+ *
+ * TIP: Consider using this library along with {SlotDerivation}.
+ */
 library StorageSlot {
     struct AddressSlot {
         address value;
@@ -4498,8 +5667,39 @@ library StorageSlot {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.3.0) (utils/ShortStrings.sol)
+// | string  | 0xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA   |
+// | length  | 0x                                                              BB |
 type ShortString is bytes32;
 
+/**
+ * @dev This library provides functions to convert short memory strings
+ * into a `ShortString` type that can be used as an immutable variable.
+ *
+ * Strings of arbitrary length can be optimized using this library if
+ * they are short enough (up to 31 bytes) by packing them with their
+ * length (1 byte) in a single EVM word (32 bytes). Additionally, a
+ * fallback mechanism can be used for every other case.
+ *
+ * Usage example:
+ *
+ * ```solidity
+ * contract Named {
+ *     using ShortStrings for *;
+ *
+ *     ShortString private immutable _name;
+ *     string private _nameFallback;
+ *
+ *     constructor(string memory contractName) {
+ *         _name = contractName.toShortStringWithFallback(_nameFallback);
+ *     }
+ *
+ *     function name() external view returns (string memory) {
+ *         return _name.toStringWithFallback(_nameFallback);
+ *     }
+ * }
+ * ```
+ */
 library ShortStrings {
     // Used as an identifier for strings longer than 31 bytes.
     bytes32 private constant FALLBACK_SENTINEL = 0x00000000000000000000000000000000000000000000000000000000000000FF;
@@ -4584,6 +5784,7 @@ library ShortStrings {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (interfaces/IERC5267.sol)
 interface IERC5267 {
     /**
      * @dev MAY be emitted to signal that the domain could have changed.
@@ -4608,6 +5809,31 @@ interface IERC5267 {
         );
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/cryptography/EIP712.sol)
+/**
+ * @dev https://eips.ethereum.org/EIPS/eip-712[EIP-712] is a standard for hashing and signing of typed structured data.
+ *
+ * The encoding scheme specified in the EIP requires a domain separator and a hash of the typed structured data, whose
+ * encoding is very generic and therefore its implementation in Solidity is not feasible, thus this contract
+ * does not implement the encoding itself. Protocols need to implement the type-specific encoding they need in order to
+ * produce the hash of their typed data using a combination of `abi.encode` and `keccak256`.
+ *
+ * This contract implements the EIP-712 domain separator ({_domainSeparatorV4}) that is used as part of the encoding
+ * scheme, and the final step of the encoding to obtain the message digest that is then signed via ECDSA
+ * ({_hashTypedDataV4}).
+ *
+ * The implementation of the domain separator was designed to be as efficient as possible while still properly updating
+ * the chain id to protect against replay attacks on an eventual fork of the chain.
+ *
+ * NOTE: This contract implements the version of the encoding known as "v4", as implemented by the JSON RPC method
+ * https://docs.metamask.io/guide/signing-data.html[`eth_signTypedDataV4` in MetaMask].
+ *
+ * NOTE: In the upgradeable version of this contract, the cached values will correspond to the address, and the domain
+ * separator of the implementation contract. This will cause the {_domainSeparatorV4} function to always rebuild the
+ * separator from the immutable values, which is cheaper than accessing a cached version in cold storage.
+ *
+ * @custom:oz-upgrades-unsafe-allow state-variable-immutable
+ */
 abstract contract EIP712 is IERC5267 {
     using ShortStrings for *;
 
@@ -4736,6 +5962,15 @@ abstract contract EIP712 is IERC5267 {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (utils/structs/Checkpoints.sol)
+// This file was procedurally generated from scripts/generate/templates/Checkpoints.js.
+/**
+ * @dev This library defines the `Trace*` struct, for checkpointing values as they change at different points in
+ * time, and later looking up past values by block number. See {Votes} as an example.
+ *
+ * To create a history of checkpoints define a variable type `Checkpoints.Trace*` in your contract, and store a new
+ * checkpoint for the current transaction block using the {push} function.
+ */
 library Checkpoints {
     /**
      * @dev A value was attempted to be inserted on a past checkpoint.
@@ -5352,6 +6587,13 @@ library Checkpoints {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/cryptography/ECDSA.sol)
+/**
+ * @dev Elliptic Curve Digital Signature Algorithm (ECDSA) operations.
+ *
+ * These functions can be used to verify that a message was signed by the holder
+ * of the private keys of a given address.
+ */
 library ECDSA {
     enum RecoverError {
         NoError,
@@ -5522,6 +6764,18 @@ library ECDSA {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/types/Time.sol)
+/**
+ * @dev This library provides helpers for manipulating time-related objects.
+ *
+ * It uses the following types:
+ * - `uint48` for timepoints
+ * - `uint32` for durations
+ *
+ * While the library doesn't provide specific types for timepoints and duration, it does provide:
+ * - a `Delay` type to represent duration that can be programmed to change value automatically at a given point
+ * - additional helper functions
+ */
 library Time {
     using Time for *;
 
@@ -5637,6 +6891,25 @@ library Time {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.2.0) (governance/utils/Votes.sol)
+/**
+ * @dev This is a base abstract contract that tracks voting units, which are a measure of voting power that can be
+ * transferred, and provides a system of vote delegation, where an account can delegate its voting units to a sort of
+ * "representative" that will pool delegated voting units from different accounts and can then use it to vote in
+ * decisions. In fact, voting units _must_ be delegated in order to count as actual votes, and an account has to
+ * delegate those votes to itself if it wishes to participate in decisions and does not have a trusted representative.
+ *
+ * This contract is often combined with a token contract such that voting units correspond to token units. For an
+ * example, see {ERC721Votes}.
+ *
+ * The full history of delegate votes is tracked on-chain so that governance protocols can consider votes as distributed
+ * at a particular block number to protect against flash loans and double voting. The opt-in delegate system makes the
+ * cost of this history tracking optional.
+ *
+ * When using this module the derived contract must implement {_getVotingUnits} (for example, make it return
+ * {ERC721-balanceOf}), and can use {_transferVotingUnits} to track a change in the distribution of those units (in the
+ * previous example, it would be included in {ERC721-_update}).
+ */
 abstract contract Votes is Context, EIP712, Nonces, IERC5805 {
     using Checkpoints for Checkpoints.Trace208;
 
@@ -5859,7 +7132,6 @@ abstract contract Votes is Context, EIP712, Nonces, IERC5805 {
     function _getVotingUnits(address) internal view virtual returns (uint256);
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.1.0) (token/ERC20/extensions/ERC20Votes.sol)
 /**
  * @dev Extension of ERC-20 to support Compound-like voting and delegation. This version is more generic than Compound's,
@@ -5936,6 +7208,43 @@ abstract contract ERC20Votes is ERC20, Votes {
     }
 }
 
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/extensions/IERC20Permit.sol)
+/**
+ * @dev Interface of the ERC-20 Permit extension allowing approvals to be made via signatures, as defined in
+ * https://eips.ethereum.org/EIPS/eip-2612[ERC-2612].
+ *
+ * Adds the {permit} method, which can be used to change an account's ERC-20 allowance (see {IERC20-allowance}) by
+ * presenting a message signed by the account. By not relying on {IERC20-approve}, the token holder account doesn't
+ * need to send a transaction, and thus is not required to hold Ether at all.
+ *
+ * ==== Security Considerations
+ *
+ * There are two important considerations concerning the use of `permit`. The first is that a valid permit signature
+ * expresses an allowance, and it should not be assumed to convey additional meaning. In particular, it should not be
+ * considered as an intention to spend the allowance in any specific way. The second is that because permits have
+ * built-in replay protection and can be submitted by anyone, they can be frontrun. A protocol that uses permits should
+ * take this into consideration and allow a `permit` call to fail. Combining these two aspects, a pattern that may be
+ * generally recommended is:
+ *
+ * ```solidity
+ * function doThingWithPermit(..., uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public {
+ *     try token.permit(msg.sender, address(this), value, deadline, v, r, s) {} catch {}
+ *     doThing(..., value);
+ * }
+ *
+ * function doThing(..., uint256 value) public {
+ *     token.safeTransferFrom(msg.sender, address(this), value);
+ *     ...
+ * }
+ * ```
+ *
+ * Observe that: 1) `msg.sender` is used as the owner, leaving no ambiguity as to the signer intent, and 2) the use of
+ * `try/catch` allows the permit to fail and makes the code tolerant to frontrunning. (See also
+ * {SafeERC20-safeTransferFrom}).
+ *
+ * Additionally, note that smart contract wallets (such as Argent or Safe) are not able to produce permit signatures, so
+ * contracts should have entry points that don't rely on permit.
+ */
 interface IERC20Permit {
     /**
      * @dev Sets `value` as the allowance of `spender` over ``owner``'s tokens,
@@ -5986,7 +7295,6 @@ interface IERC20Permit {
     function DOMAIN_SEPARATOR() external view returns (bytes32);
 }
 
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/extensions/ERC20Permit.sol)
 /**
  * @dev Implementation of the ERC-20 Permit extension allowing approvals to be made via signatures, as defined in
@@ -6055,7 +7363,6 @@ abstract contract ERC20Permit is ERC20, IERC20Permit, EIP712, Nonces {
     }
 }
 
-// SPDX-License-Identifier: MIT
 /**
  * @title ChessToken
  * @notice ERC20 token for the Chess platform with controlled minting
@@ -6327,7 +7634,6 @@ contract ChessToken is ERC20, ERC20Burnable, ERC20Votes, ERC20Permit, AccessCont
     }
 }
 
-// SPDX-License-Identifier: MIT
 /**
  * @title BondingManager
  * @notice Manages hybrid bonds (CHESS + ETH) for chess games
@@ -6363,6 +7669,7 @@ contract BondingManager is AccessControl, ReentrancyGuard, Pausable {
 
     // Minimum bond floor in ETH terms
     uint256 public minBondEthValue = 0.01 ether;
+    address public chessFactory;
 
     // Bond tracking per user
     struct UserBond {
@@ -6399,6 +7706,8 @@ contract BondingManager is AccessControl, ReentrancyGuard, Pausable {
     event BondSlashed(uint256 indexed gameId, address indexed player, uint256 chessAmount, uint256 ethAmount);
     event PriceUpdated(uint256 oldPrice, uint256 newPrice);
     event CircuitBreakerTriggered(uint256 oldPrice, uint256 newPrice);
+    event ChessFactoryUpdated(address indexed previousFactory, address indexed newFactory);
+    event GameContractAuthorized(address indexed gameContract);
 
     constructor(address _chessToken, uint256 _initialPrice) {
         require(_chessToken != address(0), "Invalid token address");
@@ -6412,6 +7721,27 @@ contract BondingManager is AccessControl, ReentrancyGuard, Pausable {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
     }
 
+    /**
+     * @notice Set the ChessFactory allowed to authorize game clone contracts
+     * @param _chessFactory Address of the ChessFactory
+     */
+    function setChessFactory(address _chessFactory) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit ChessFactoryUpdated(chessFactory, _chessFactory);
+        chessFactory = _chessFactory;
+    }
+
+    /**
+     * @notice Authorize a ChessCore clone created by ChessFactory
+     * @param gameContract Address of the cloned ChessCore contract
+     */
+    function authorizeGameContract(address gameContract) external {
+        require(msg.sender == chessFactory, "Only factory");
+        require(gameContract != address(0), "Invalid game contract");
+
+        _grantRole(GAME_MANAGER_ROLE, gameContract);
+        emit GameContractAuthorized(gameContract);
+    }
+
     /**
      * @notice Deposit bond (CHESS + ETH)
      * @param chessAmount Amount of CHESS to deposit
@@ -6699,13 +8029,6 @@ contract BondingManager is AccessControl, ReentrancyGuard, Pausable {
     receive() external payable {}
 }
 
-// SPDX-License-Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/IERC20.sol)
-/**
- * @dev Interface of the ERC-20 standard as defined in the ERC.
- */
-
-// SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v5.0.0) (access/Ownable.sol)
 /**
  * @dev Contract module which provides a basic access control mechanism, where
@@ -6801,7 +8124,6 @@ abstract contract Ownable is Context {
     }
 }
 
-// SPDX-License-Identifier: MIT
 /// @title PlayerRating - ELO Rating System for Chess Players
 /// @notice Manages player ratings using the ELO rating system
 /// @dev Uses fixed-point math for ELO calculations (multiply by 100 for precision)
@@ -7177,7 +8499,6 @@ contract PlayerRating is AccessControl {
     }
 }
 
-// SPDX-License-Identifier: MIT
 /// @title RewardPool - Play-to-Earn reward system for Chess
 /// @notice Manages faucet and game rewards with anti-abuse mechanisms
 /// @dev Uses separate pools for faucet and rewards, with decay and behavior factors
@@ -7651,7 +8972,6 @@ contract RewardPool is Ownable, ReentrancyGuard {
     }
 }
 
-// SPDX-License-Identifier: MIT
 /**
  * @title ArbitratorRegistry
  * @notice Registry for arbitrators who vote on chess game disputes
@@ -7846,13 +9166,13 @@ contract ArbitratorRegistry is AccessControl, ReentrancyGuard {
 
         // Select from each tier
         selectedCount = _selectFromTier(
-            tier1Arbitrators, disputeId, player1, player2, count, selected, selectedCount
+            tier1Arbitrators, disputeId, player1, player2, count, selected, selectedCount, 1
         );
         selectedCount = _selectFromTier(
-            tier2Arbitrators, disputeId, player1, player2, count, selected, selectedCount
+            tier2Arbitrators, disputeId, player1, player2, count, selected, selectedCount, 2
         );
         selectedCount = _selectFromTier(
-            tier3Arbitrators, disputeId, player1, player2, count, selected, selectedCount
+            tier3Arbitrators, disputeId, player1, player2, count, selected, selectedCount, 3
         );
 
         // Resize array if we couldn't fill all slots
@@ -8034,46 +9354,65 @@ contract ArbitratorRegistry is AccessControl, ReentrancyGuard {
         address player2,
         uint256 count,
         address[] memory selected,
-        uint256 startIndex
+        uint256 startIndex,
+        uint256 salt
     ) internal returns (uint256) {
         if (pool.length == 0) return startIndex;
 
         uint256 selectedFromTier = 0;
-        uint256 attempts = 0;
-        uint256 maxAttempts = pool.length * 2;
+        uint256 scanStart = _selectionSeed(disputeId, player1, player2, salt) % pool.length;
+        uint256 scanned = 0;
 
-        while (selectedFromTier < count && attempts < maxAttempts) {
-            // Pseudo-random selection (in production use VRF)
-            uint256 randomIndex = uint256(keccak256(abi.encodePacked(
-                disputeId, block.timestamp, attempts, pool.length
-            ))) % pool.length;
+        while (selectedFromTier < count && scanned < pool.length) {
+            address candidate = pool[(scanStart + scanned) % pool.length];
+            scanned++;
 
-            address candidate = pool[randomIndex];
-            attempts++;
-
-            // Check exclusions
             if (shouldExclude(candidate, player1, player2)) continue;
             if (!canVote(candidate)) continue;
-
-            // Check not already selected
-            bool alreadySelected = false;
-            for (uint256 i = 0; i < startIndex + selectedFromTier; i++) {
-                if (selected[i] == candidate) {
-                    alreadySelected = true;
-                    break;
-                }
-            }
-            if (alreadySelected) continue;
+            if (_isAlreadySelected(selected, startIndex + selectedFromTier, candidate)) continue;
 
             selected[startIndex + selectedFromTier] = candidate;
             selectedFromTier++;
-
             emit ArbitratorSelected(disputeId, candidate);
         }
 
         return startIndex + selectedFromTier;
     }
 
+    function _isAlreadySelected(
+        address[] memory selected,
+        uint256 selectedCount,
+        address candidate
+    ) internal pure returns (bool) {
+        for (uint256 i = 0; i < selectedCount; i++) {
+            if (selected[i] == candidate) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _selectionSeed(
+        uint256 disputeId,
+        address player1,
+        address player2,
+        uint256 salt
+    ) internal view returns (uint256) {
+        return uint256(
+            keccak256(
+                abi.encodePacked(
+                    disputeId,
+                    player1,
+                    player2,
+                    salt,
+                    block.prevrandao,
+                    totalStaked,
+                    totalArbitrators
+                )
+            )
+        );
+    }
+
     // View functions
 
     function getArbitratorInfo(address arbitrator) external view returns (
@@ -8100,7 +9439,6 @@ contract ArbitratorRegistry is AccessControl, ReentrancyGuard {
     }
 }
 
-// SPDX-License-Identifier: MIT
 /**
  * @title DisputeDAO
  * @notice Decentralized dispute resolution for chess games
@@ -8157,6 +9495,7 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         uint256 challengedAt;
         uint256 commitDeadline;
         uint256 revealDeadline;
+        uint256 requiredQuorum;
 
         uint256 legitVotes;
         uint256 cheatVotes;
@@ -8179,12 +9518,16 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
     mapping(uint256 => Dispute) public disputes;      // disputeId => Dispute
     mapping(uint256 => mapping(address => VoteCommit)) public votes; // disputeId => arbitrator => vote
     mapping(uint256 => uint256) public gameToDispute; // gameId => disputeId
+    mapping(uint256 => address) public gameWhitePlayer; // gameId => white player
+    mapping(uint256 => address) public gameBlackPlayer; // gameId => black player
     mapping(address => uint256) public activeChallenges; // challenger => count
 
     uint256 public disputeCounter;
     uint256 public constant MAX_ACTIVE_CHALLENGES = 3;
     uint256 public constant MAX_DISPUTE_DURATION = 30 days;
     uint256 private constant PERCENTAGE_BASE = 100;
+    uint256 private constant MIN_EFFECTIVE_QUORUM = 2;
+    address public chessFactory;
 
     // Events
     event GameRegistered(uint256 indexed gameId, address white, address black, uint256 stake);
@@ -8195,6 +9538,8 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
     event DisputeEscalated(uint256 indexed disputeId, uint256 newLevel);
     event ChallengeWindowClosed(uint256 indexed gameId);
     event RewardDistributed(uint256 indexed disputeId, address indexed recipient, uint256 amount);
+    event ChessFactoryUpdated(address indexed previousFactory, address indexed newFactory);
+    event GameContractAuthorized(address indexed gameContract);
 
     constructor(
         address _chessToken,
@@ -8205,11 +9550,32 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         require(_bondingManager != address(0), "Invalid bonding manager");
         require(_arbitratorRegistry != address(0), "Invalid arbitrator registry");
 
-        chessToken = ChessToken(_chessToken);
-        bondingManager = BondingManager(payable(_bondingManager));
-        arbitratorRegistry = ArbitratorRegistry(_arbitratorRegistry);
+        chessToken = ChessToken(_chessToken);
+        bondingManager = BondingManager(payable(_bondingManager));
+        arbitratorRegistry = ArbitratorRegistry(_arbitratorRegistry);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Set the ChessFactory allowed to authorize game clone contracts
+     * @param _chessFactory Address of the ChessFactory
+     */
+    function setChessFactory(address _chessFactory) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit ChessFactoryUpdated(chessFactory, _chessFactory);
+        chessFactory = _chessFactory;
+    }
+
+    /**
+     * @notice Authorize a ChessCore clone created by ChessFactory
+     * @param gameContract Address of the cloned ChessCore contract
+     */
+    function authorizeGameContract(address gameContract) external {
+        require(msg.sender == chessFactory, "Only factory");
+        require(gameContract != address(0), "Invalid game contract");
 
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GAME_MANAGER_ROLE, gameContract);
+        emit GameContractAuthorized(gameContract);
     }
 
     /**
@@ -8226,6 +9592,8 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         uint256 stake
     ) external onlyRole(GAME_MANAGER_ROLE) {
         require(gameToDispute[gameId] == 0, "Game already registered");
+        require(white != address(0) && black != address(0), "Invalid players");
+        require(white != black, "Same player");
 
         disputeCounter++;
         uint256 disputeId = disputeCounter;
@@ -8241,6 +9609,7 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
             challengedAt: 0,
             commitDeadline: 0,
             revealDeadline: 0,
+            requiredQuorum: 0,
             legitVotes: 0,
             cheatVotes: 0,
             abstainVotes: 0,
@@ -8251,6 +9620,8 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         });
 
         gameToDispute[gameId] = disputeId;
+        gameWhitePlayer[gameId] = white;
+        gameBlackPlayer[gameId] = black;
 
         // Record game in arbitrator registry for exclusion tracking
         arbitratorRegistry.recordGame(white, black);
@@ -8268,8 +9639,11 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         require(disputeId != 0, "Game not registered");
 
         Dispute storage dispute = disputes[disputeId];
+        address white = gameWhitePlayer[gameId];
+        address black = gameBlackPlayer[gameId];
         require(dispute.state == DisputeState.Pending, "Not in challenge window");
         require(activeChallenges[msg.sender] < MAX_ACTIVE_CHALLENGES, "Too many active challenges");
+        require(accusedPlayer == white || accusedPlayer == black, "Accused not in game");
 
         // Enforce challenge window (48 hours from registration)
         require(
@@ -8282,6 +9656,7 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
 
         dispute.challenger = msg.sender;
         dispute.accusedPlayer = accusedPlayer;
+        dispute.otherPlayer = (accusedPlayer == white) ? black : white;
         dispute.state = DisputeState.Challenged;
         dispute.challengedAt = block.timestamp;
         dispute.commitDeadline = block.timestamp + commitPeriod;
@@ -8297,6 +9672,7 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
             5
         );
         dispute.selectedArbitrators = arbitrators;
+        dispute.requiredQuorum = _calculateRequiredQuorum(arbitrators.length);
 
         emit DisputeCreated(disputeId, gameId, msg.sender, accusedPlayer);
     }
@@ -8388,10 +9764,11 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         );
         require(block.timestamp > dispute.revealDeadline, "Reveal period not ended");
 
-        uint256 totalVotes = dispute.legitVotes + dispute.cheatVotes;
+        uint256 totalVotes = dispute.legitVotes + dispute.cheatVotes + dispute.abstainVotes;
+        uint256 requiredQuorum = dispute.requiredQuorum;
 
         // Check quorum
-        if (totalVotes < quorum) {
+        if (requiredQuorum == 0 || totalVotes < requiredQuorum) {
             // Not enough votes - escalate or return deposits
             _escalate(disputeId);
             return;
@@ -8546,10 +9923,18 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
             newCount
         );
         dispute.selectedArbitrators = newArbitrators;
+        dispute.requiredQuorum = _calculateRequiredQuorum(newArbitrators.length);
 
         emit DisputeEscalated(disputeId, dispute.escalationLevel);
     }
 
+    function _calculateRequiredQuorum(uint256 selectedCount) internal view returns (uint256) {
+        if (selectedCount < MIN_EFFECTIVE_QUORUM) {
+            return 0;
+        }
+        return selectedCount < quorum ? selectedCount : quorum;
+    }
+
     function _updateArbitratorReputations(uint256 disputeId) internal {
         Dispute storage dispute = disputes[disputeId];
 
@@ -8613,6 +9998,10 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
         return disputes[disputeId].selectedArbitrators;
     }
 
+    function getEffectiveQuorum(uint256 disputeId) external view returns (uint256) {
+        return disputes[disputeId].requiredQuorum;
+    }
+
     function getVoteStatus(uint256 disputeId, address arbitrator) external view returns (
         bool hasCommitted,
         bool hasRevealed,
@@ -8650,7 +10039,6 @@ contract DisputeDAO is AccessControl, ReentrancyGuard {
     }
 }
 
-// SPDX-License-Identifier: MIT
 /// @title ChessCore - Main chess game logic
 /// @notice Inherits from ChessBoard and implements move validation and game state
 contract ChessCore is ChessBoard, ReentrancyGuard {
@@ -8668,17 +10056,36 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     error NoDrawOffer();
     error CannotResign();
     error NotTimedOut();
+    error CancelledGame();
+    error AlreadyWhitePlayer();
+    error WrongBetAmount();
+    error BlackPlayerTaken();
+    error GameNotFinished();
+    error TransferFailed();
+    error NotPrizeRecipient();
+    error PositionNotRepeated();
+    error FiftyMoveRuleNotReached();
+    error InvalidCoordinates();
+    error OnlyWhitePlayer();
+    error FriendlyOnly();
+    error CancelTimeoutNotReached();
+    error InvalidPromotionPiece();
+    error NotInvited();
+    error ColorNotAvailable();
+    error ColorsNotAssigned();
 
     // ========== ENUMS (must be declared before state variables) ==========
     enum TimeoutPreset { Finney, Buterin, Nakamoto }
     enum GameMode { Tournament, Friendly }
     enum GameState { NotStarted, InProgress, Draw, WhiteWins, BlackWins }
+    enum ColorChoice { White, Black, Random }
 
     // ========== CONSTANTS ==========
     // Timeout presets (based on ~12 sec/block on Ethereum)
     uint48 public constant FINNEY_BLOCKS = 300;      // ~1 hour (Hal Finney - fast)
     uint48 public constant BUTERIN_BLOCKS = 2100;    // ~7 hours (Vitalik Buterin - medium)
     uint48 public constant NAKAMOTO_BLOCKS = 50400;  // ~7 days (Satoshi Nakamoto - slow)
+    uint48 public constant CANCEL_UNJOINED_TIMEOUT = 1 days;
 
     // ========== STORAGE LAYOUT OPTIMIZED FOR GAS ==========
     // Slot 1: betting (32 bytes)
@@ -8698,6 +10105,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     // Slot 6
     RewardPool public rewardPool;          // 20 bytes
+    ChessRulesEngine private immutable rulesEngine;
 
     // Slot 7: PACKED - timeout tracking + state flags (32 bytes total)
     // uint48 max = 281 trillion blocks, far exceeds any realistic blockchain lifetime
@@ -8716,10 +10124,15 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     bool private wasCheckmate;             // 1 byte
     bool private wasResign;                // 1 byte
     bool private wasTimeout;               // 1 byte
-    // Total: 6+6+6+1+1+1+1+1+1+1+1+1+1+1 = 29 bytes (fits in 1 slot with 3 bytes spare)
+    bool public cancelled;                 // 1 byte
+    uint16 public plyCount;                // 2 bytes
+    // Total: 32 bytes (fits exactly in 1 slot)
 
-    // Legacy event (kept for backward compatibility)
-    event Debug(int8 player, uint8 startX, uint8 startY, uint8 endX, uint8 endY, string comment);
+    // Slot 8: creation metadata
+    uint48 public createdAt;
+    ColorChoice public creatorColor;       // 1 byte
+    // Block whose hash settles a Random colour draw (0 = colours assigned)
+    uint48 public colorSeedBlock;
 
     // Structured events for frontend
     event MoveMade(
@@ -8746,9 +10159,12 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     event DrawAccepted();
     event DrawByRepetition(address indexed claimant);
     event DrawByFiftyMoveRule(address indexed claimant);
+    event GameCancelled(address indexed player, uint256 refundAmount);
     event RatingReportFailed(address white, address black, uint8 result);
+    event ColorsAssigned(address indexed whitePlayer, address indexed blackPlayer);
 
     // Slot 7: Player addresses
+    // Until someone joins, whitePlayer holds the creator whatever colour they chose
     address whitePlayer;
     address blackPlayer;
     address public currentPlayer;
@@ -8756,6 +10172,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     // Slot 8: Draw offer tracking
     address public drawOfferedBy;
 
+    // Invited opponent: only this address may join (address(0) = open to anyone)
+    address public invitedOpponent;
+
     // Prize claim tracking for pull pattern (prevents locked funds)
     mapping(address => uint256) public pendingPrize;
 
@@ -8763,20 +10182,21 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     /// @notice Modifier to prevent re-initialization
     modifier initializer() {
-        require(!initialized, "Already initialized");
+        if (initialized) revert AlreadyInitialized();
         initialized = true;
         _;
     }
 
     /// @notice Empty constructor for implementation contract
     constructor() {
+        rulesEngine = new ChessRulesEngine();
         // Implementation contract should not be used directly
         // Mark as initialized to prevent usage
         initialized = true;
     }
 
     /// @notice Initialize the game (called by factory on clones)
-    /// @param _whitePlayer Address of white player
+    /// @param _whitePlayer Address of the game creator
     /// @param _value Bet amount in wei
     /// @param _preset Timeout preset (Finney/Buterin/Nakamoto)
     /// @param _mode Game mode (Tournament/Friendly)
@@ -8785,6 +10205,8 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     /// @param _disputeDAO DisputeDAO contract address
     /// @param _playerRating PlayerRating contract address
     /// @param _rewardPool RewardPool contract address
+    /// @param _invitedOpponent Only address allowed to join (address(0) = anyone)
+    /// @param _creatorColor Colour the creator plays (White/Black/Random)
     function initialize(
         address _whitePlayer,
         uint _value,
@@ -8794,7 +10216,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         address _bondingManager,
         address _disputeDAO,
         address _playerRating,
-        address _rewardPool
+        address _rewardPool,
+        address _invitedOpponent,
+        ColorChoice _creatorColor
     ) external payable initializer {
         // Initialize the board
         initializeBoard();
@@ -8804,6 +10228,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         betting = _value;
         gameMode = _mode;
         gameId = _gameId;
+        invitedOpponent = _invitedOpponent;
+        creatorColor = _creatorColor;
+        createdAt = uint48(block.timestamp);
 
         // Set anti-cheating contracts (can be address(0) if not using bonding)
         if (_bondingManager != address(0)) {
@@ -8836,18 +10263,24 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     }
    
    receive() external payable {
-        require(gameState == GameState.NotStarted, "Game started");
+        if (cancelled) revert CancelledGame();
+        if (gameState != GameState.NotStarted) revert GameAlreadyStarted();
     }
 
     function switchTurn() internal {
         currentPlayer = (currentPlayer == whitePlayer) ? blackPlayer : whitePlayer;
     }
 
-   function joinGameAsBlack() public payable {
-        require(gameState == GameState.NotStarted, "Game started");
-        require(msg.sender != whitePlayer, "Already white");
-        require(msg.value == betting, "Wrong bet");
-        require(blackPlayer == address(0), "Black taken");
+    /// @notice Join the game as the creator's opponent
+    /// @dev A Random colour choice is settled by the hash of the block after this one,
+    ///      which neither player knows when the join is sent
+    function joinGame() public payable {
+        if (cancelled) revert CancelledGame();
+        if (gameState != GameState.NotStarted) revert GameAlreadyStarted();
+        if (msg.sender == whitePlayer) revert AlreadyWhitePlayer();
+        if (msg.value != betting) revert WrongBetAmount();
+        if (blackPlayer != address(0)) revert BlackPlayerTaken();
+        if (invitedOpponent != address(0) && msg.sender != invitedOpponent) revert NotInvited();
 
         // If bonding is enabled, lock bonds for both players (single external call)
         if (address(bondingManager) != address(0)) {
@@ -8855,12 +10288,22 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             bondsLocked = true;
         }
 
-        blackPlayer = msg.sender;
+        if (creatorColor == ColorChoice.Black) {
+            blackPlayer = whitePlayer;
+            whitePlayer = msg.sender;
+        } else {
+            blackPlayer = msg.sender;
+        }
+        currentPlayer = whitePlayer;
         gameState = GameState.InProgress;
 
         // Start white's clock (white moves first)
         whiteLastMoveBlock = uint48(block.number);
 
+        if (creatorColor == ColorChoice.Random) {
+            colorSeedBlock = uint48(block.number + 1);
+        }
+
         // NOTE: Initial position already recorded in initialize()
         // No need to record again here - was causing duplicate entries
 
@@ -8868,6 +10311,60 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         emit GameStateChanged(GameState.InProgress);
     }
 
+    /// @notice Join as black; only available when the creator chose to play white
+    function joinGameAsBlack() external payable {
+        if (creatorColor != ColorChoice.White) revert ColorNotAvailable();
+        joinGame();
+    }
+
+    /// @notice Settle a pending Random colour draw. Anyone may record the outcome while
+    ///         the seed block hash is readable; once it has expired only a player may
+    ///         settle, and takes black
+    function resolveColors() external {
+        if (gameState != GameState.InProgress) revert GameNotInProgress();
+        if (colorSeedBlock == 0) return;
+        _settleColors();
+    }
+
+    /// @dev Outcome of the Random draw; not ready until the seed block is mined, and
+    ///      expired once the seed block leaves the 256-block blockhash window
+    function _drawColors() internal view returns (bool ready, bool expired, bool swap) {
+        if (block.number <= colorSeedBlock) return (false, false, false);
+        bytes32 seed = blockhash(colorSeedBlock);
+        if (seed == bytes32(0)) return (true, true, false);
+        return (true, false, uint256(keccak256(abi.encodePacked(seed, address(this)))) & 1 == 1);
+    }
+
+    /// @dev Records the draw at the first transaction after the seed block. An expired
+    ///      draw was left unsettled by whoever won it and had to move, so the player who
+    ///      settles it plays black and the opponent is the one on the clock: stalling
+    ///      until the hash is gone never buys the first move
+    function _settleColors() internal {
+        (bool ready, bool expired, bool swap) = _drawColors();
+        if (!ready) revert ColorsNotAssigned();
+        if (expired) {
+            if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
+            swap = msg.sender == whitePlayer;
+        }
+
+        if (swap) {
+            (whitePlayer, blackPlayer) = (blackPlayer, whitePlayer);
+        }
+        currentPlayer = whitePlayer;
+        // White has been on the clock since the seed block, however late the draw is settled
+        whiteLastMoveBlock = colorSeedBlock;
+        colorSeedBlock = 0;
+        emit ColorsAssigned(whitePlayer, blackPlayer);
+    }
+
+    /// @notice Settles a pending Random colour draw before the action runs
+    modifier colorsAssigned() {
+        if (colorSeedBlock != 0) {
+            _settleColors();
+        }
+        _;
+    }
+
     /// @notice Register game completion in DisputeDAO for challenge window
     /// @dev Called automatically when game ends, starts the 48h challenge window
     function _registerGameForDispute() internal {
@@ -8882,11 +10379,25 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         if (address(rewardPool) == address(0) || rewardsDistributed || blackPlayer == address(0)) {
             return;
         }
+
+        GameState settledState = _getSettledOutcome();
+        if (
+            settledState != GameState.Draw &&
+            settledState != GameState.WhiteWins &&
+            settledState != GameState.BlackWins
+        ) {
+            return;
+        }
         rewardsDistributed = true;
 
-        uint256 moveCount = positionHistory.length;  // Approximation of total moves
-        bool isDraw = (gameState == GameState.Draw);
-        bool whiteWins = (gameState == GameState.WhiteWins);
+        uint256 moveCount = plyCount;
+        bool isDraw = (settledState == GameState.Draw);
+        bool whiteWins = (settledState == GameState.WhiteWins);
+        bool clearBehaviorPenalties = _getResolvedDisputeCheater() != address(0);
+        bool whiteWasResign = !clearBehaviorPenalties && wasResign && !whiteWins && !isDraw;
+        bool blackWasResign = !clearBehaviorPenalties && wasResign && whiteWins;
+        bool whiteWasTimeout = !clearBehaviorPenalties && wasTimeout && !whiteWins && !isDraw;
+        bool blackWasTimeout = !clearBehaviorPenalties && wasTimeout && whiteWins;
 
         // Distribute to white player
         rewardPool.distributeReward(
@@ -8896,8 +10407,8 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             isDraw,                       // isDraw
             wasCheckmate && whiteWins,    // isCheckmate (only for winner)
             moveCount,
-            wasResign && !whiteWins && !isDraw,  // wasResign (only if this player resigned)
-            wasTimeout && !whiteWins && !isDraw  // wasTimeout (only if this player timed out)
+            whiteWasResign,
+            whiteWasTimeout
         );
 
         // Distribute to black player
@@ -8908,36 +10419,101 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             isDraw,                       // isDraw
             wasCheckmate && !whiteWins && !isDraw,  // isCheckmate (only for winner)
             moveCount,
-            wasResign && whiteWins,       // wasResign (only if this player resigned)
-            wasTimeout && whiteWins       // wasTimeout (only if this player timed out)
+            blackWasResign,
+            blackWasTimeout
         );
     }
 
     /// @notice Release bonds after challenge window (no dispute)
     function _releaseBonds() internal {
         if (address(bondingManager) != address(0) && bondsLocked) {
-            bondingManager.releaseBond(gameId, whitePlayer);
-            bondingManager.releaseBond(gameId, blackPlayer);
+            if (whitePlayer != address(0)) {
+                try bondingManager.releaseBond(gameId, whitePlayer) {} catch {}
+            }
+            if (blackPlayer != address(0)) {
+                try bondingManager.releaseBond(gameId, blackPlayer) {} catch {}
+            }
+            bondsLocked = false;
+        }
+    }
+
+    function _getResolvedDisputeCheater() internal view returns (address) {
+        if (address(disputeDAO) == address(0)) {
+            return address(0);
+        }
+
+        uint256 disputeId = disputeDAO.gameToDispute(gameId);
+        if (disputeId == 0) {
+            return address(0);
+        }
+
+        (
+            ,
+            ,
+            address accusedPlayer,
+            DisputeDAO.DisputeState state,
+            ,
+            ,
+            DisputeDAO.Vote finalDecision,
+            uint256 _ignoredEscalationLevel
+        ) = disputeDAO.getDispute(disputeId);
+        _ignoredEscalationLevel;
+
+        if (state == DisputeDAO.DisputeState.Resolved && finalDecision == DisputeDAO.Vote.Cheat) {
+            return accusedPlayer;
+        }
+
+        return address(0);
+    }
+
+    function _getSettledOutcome() internal view returns (GameState) {
+        address cheater = _getResolvedDisputeCheater();
+
+        if (cheater == whitePlayer && blackPlayer != address(0)) {
+            return GameState.BlackWins;
+        }
+
+        if (cheater == blackPlayer) {
+            return GameState.WhiteWins;
+        }
+
+        return gameState;
+    }
+
+    function _allocatePrizes(uint256 totalPrize) internal {
+        GameState settledState = _getSettledOutcome();
+
+        if (settledState == GameState.WhiteWins) {
+            pendingPrize[whitePlayer] = totalPrize;
+        }
+        else if (settledState == GameState.BlackWins) {
+            pendingPrize[blackPlayer] = totalPrize;
+        }
+        else if (settledState == GameState.Draw) {
+            uint256 halfPrize = totalPrize / 2;
+            uint256 remainingPrize = totalPrize - halfPrize;
+            pendingPrize[whitePlayer] = halfPrize;
+            pendingPrize[blackPlayer] = remainingPrize;
         }
     }
 
     /// @notice Report game result to rating system
     function _reportRating() internal {
         if (address(playerRating) != address(0) && !ratingReported && blackPlayer != address(0)) {
-            ratingReported = true;
-
             // Determine result: 0 = draw, 1 = white wins, 2 = black wins
             uint8 result;
-            if (gameState == GameState.Draw) {
+            GameState settledState = _getSettledOutcome();
+            if (settledState == GameState.Draw) {
                 result = 0;
-            } else if (gameState == GameState.WhiteWins) {
+            } else if (settledState == GameState.WhiteWins) {
                 result = 1;
-            } else if (gameState == GameState.BlackWins) {
+            } else if (settledState == GameState.BlackWins) {
                 result = 2;
             } else {
                 return; // Game not finished
             }
 
+            ratingReported = true;
             try playerRating.reportGame(whitePlayer, blackPlayer, result) {} catch {
                 emit RatingReportFailed(whitePlayer, blackPlayer, result);
             }
@@ -8984,20 +10560,19 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     /// @notice Finalize game and allocate prizes (must be called before withdrawPrize)
     /// @dev Uses pull pattern to prevent locked funds if one player's address reverts
     function finalizePrizes() external nonReentrant {
-        require(!prizeClaimed, "Already finalized");
-        require(
-            gameState == GameState.WhiteWins ||
-            gameState == GameState.BlackWins ||
-            gameState == GameState.Draw,
-            "Not finished"
-        );
+        if (prizeClaimed) revert PrizeAlreadyClaimed();
+        if (
+            gameState != GameState.WhiteWins &&
+            gameState != GameState.BlackWins &&
+            gameState != GameState.Draw
+        ) revert GameNotFinished();
 
         // Register game for dispute if not already done
         _registerGameForDispute();
 
         // If dispute system is active, check that we can claim
         if (address(disputeDAO) != address(0)) {
-            require(canClaimPrize(), "Dispute in progress or challenge window open");
+            if (!canClaimPrize()) revert CannotClaimYet();
 
             // Close the challenge window in DisputeDAO
             uint256 disputeId = disputeDAO.gameToDispute(gameId);
@@ -9009,37 +10584,26 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         // Release bonds if bonding was used
         _releaseBonds();
 
-        // Report game result to rating system
+        // Keep reward calculation based on pre-update ratings.
+        _distributeRewards();
         _reportRating();
 
         prizeClaimed = true;
         uint256 totalPrize = address(this).balance;
 
-        // Allocate prizes using pull pattern (each player withdraws separately)
-        if (gameState == GameState.WhiteWins) {
-            pendingPrize[whitePlayer] = totalPrize;
-        }
-        else if (gameState == GameState.BlackWins) {
-            pendingPrize[blackPlayer] = totalPrize;
-        }
-        else if (gameState == GameState.Draw) {
-            uint256 halfPrize = totalPrize / 2;
-            uint256 remainingPrize = totalPrize - halfPrize;
-            pendingPrize[whitePlayer] = halfPrize;
-            pendingPrize[blackPlayer] = remainingPrize;
-        }
+        _allocatePrizes(totalPrize);
     }
 
     /// @notice Withdraw allocated prize (pull pattern)
     /// @dev Each player calls this to withdraw their prize after finalizePrizes()
     function withdrawPrize() external nonReentrant {
         uint256 amount = pendingPrize[msg.sender];
-        require(amount > 0, "No prize to claim");
+        if (amount == 0) revert NoPrizeToDistribute();
 
         pendingPrize[msg.sender] = 0;
 
         (bool success, ) = payable(msg.sender).call{value: amount}("");
-        require(success, "Transfer failed");
+        if (!success) revert TransferFailed();
 
         emit PrizeClaimed(msg.sender, amount);
     }
@@ -9047,30 +10611,38 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
     /// @notice Legacy function for backward compatibility - finalizes and withdraws in one call
     /// @dev Only works for winner in win scenarios, not for draws
     function claimPrize() external nonReentrant {
-        require(!prizeClaimed, "Already claimed");
-        require(
-            gameState == GameState.WhiteWins ||
-            gameState == GameState.BlackWins ||
-            gameState == GameState.Draw,
-            "Not finished"
-        );
-
-        // For draws, must use finalizePrizes() + withdrawPrize() pattern
-        require(gameState != GameState.Draw, "Use finalizePrizes() for draws");
-
-        // Verify caller is the winner
-        if (gameState == GameState.WhiteWins) {
-            require(msg.sender == whitePlayer, "Not winner");
+        if (prizeClaimed) revert PrizeAlreadyClaimed();
+        if (
+            gameState != GameState.WhiteWins &&
+            gameState != GameState.BlackWins &&
+            gameState != GameState.Draw
+        ) revert GameNotFinished();
+
+        address cheater = _getResolvedDisputeCheater();
+        bool cheatResolved = (cheater == whitePlayer || cheater == blackPlayer);
+
+        // For normal draws, must use finalizePrizes() + withdrawPrize() pattern
+        if (gameState == GameState.Draw && !cheatResolved) revert CannotClaimYet();
+
+        // Verify caller is the rightful recipient
+        address recipient;
+        if (cheater == whitePlayer && blackPlayer != address(0)) {
+            recipient = blackPlayer;
+        } else if (cheater == blackPlayer) {
+            recipient = whitePlayer;
+        } else if (gameState == GameState.WhiteWins) {
+            recipient = whitePlayer;
         } else {
-            require(msg.sender == blackPlayer, "Not winner");
+            recipient = blackPlayer;
         }
+        if (msg.sender != recipient) revert NotPrizeRecipient();
 
         // Register game for dispute if not already done
         _registerGameForDispute();
 
         // If dispute system is active, check that we can claim
         if (address(disputeDAO) != address(0)) {
-            require(canClaimPrize(), "Dispute in progress or challenge window open");
+            if (!canClaimPrize()) revert CannotClaimYet();
 
             uint256 disputeId = disputeDAO.gameToDispute(gameId);
             if (disputeId != 0) {
@@ -9081,26 +10653,21 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         // Release bonds if bonding was used
         _releaseBonds();
 
-        // Report game result to rating system
+        // Keep reward calculation based on pre-update ratings.
+        _distributeRewards();
         _reportRating();
 
         prizeClaimed = true;
         uint256 totalPrize = address(this).balance;
 
         (bool success, ) = payable(msg.sender).call{value: totalPrize}("");
-        require(success, "Transfer failed");
+        if (!success) revert TransferFailed();
         emit PrizeClaimed(msg.sender, totalPrize);
     }
 
-    function resign() external {
-        require(
-            msg.sender == whitePlayer || msg.sender == blackPlayer,
-            "Not a player"
-        );
-        require(
-            gameState == GameState.InProgress || gameState == GameState.NotStarted,
-            "Game finished"
-        );
+    function resign() external colorsAssigned {
+        if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
+        if (gameState != GameState.InProgress) revert GameNotInProgress();
 
         wasResign = true;  // Track for reward penalty
 
@@ -9115,14 +10682,13 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
         // Register for dispute system and distribute rewards
         _registerGameForDispute();
-        _distributeRewards();
 
         emit PlayerResigned(msg.sender, winner);
         emit GameStateChanged(gameState);
     }
 
     /// @notice Offer a draw to the opponent
-    function offerDraw() external {
+    function offerDraw() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress || drawOfferedBy != address(0)) revert GameNotInProgress();
         drawOfferedBy = msg.sender;
@@ -9138,7 +10704,6 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
         // Register for dispute system and distribute rewards
         _registerGameForDispute();
-        _distributeRewards();
 
         emit DrawAccepted();
         emit GameStateChanged(GameState.Draw);
@@ -9167,18 +10732,17 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     /// @notice Claim draw by threefold repetition
     /// @dev Can be called by either player when position has occurred 3+ times
-    function claimDrawByRepetition() external {
+    function claimDrawByRepetition() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
 
         // Check current position count
         bool isWhiteTurn = (currentPlayer == whitePlayer);
         bytes32 posHash = _computePositionHash(isWhiteTurn);
-        require(positionCount[posHash] >= 3, "Position not repeated 3 times");
+        if (positionCount[posHash] < 3) revert PositionNotRepeated();
 
         gameState = GameState.Draw;
         _registerGameForDispute();
-        _distributeRewards();
 
         emit DrawByRepetition(msg.sender);
         emit GameStateChanged(GameState.Draw);
@@ -9186,398 +10750,73 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
     /// @notice Claim draw by 50-move rule
     /// @dev Can be called by either player when 50 moves have passed without pawn move or capture
-    function claimDrawByFiftyMoveRule() external {
+    function claimDrawByFiftyMoveRule() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
-        require(halfMoveClock >= 100, "50 moves not reached"); // 100 half-moves = 50 full moves
+        if (halfMoveClock < 100) revert FiftyMoveRuleNotReached(); // 100 half-moves = 50 full moves
 
         gameState = GameState.Draw;
         _registerGameForDispute();
-        _distributeRewards();
 
         emit DrawByFiftyMoveRule(msg.sender);
         emit GameStateChanged(GameState.Draw);
     }
 
     /// @notice Claim victory when opponent has not moved within timeout period
-    function claimVictoryByTimeout() external {
+    function claimVictoryByTimeout() external colorsAssigned {
         if (msg.sender != whitePlayer && msg.sender != blackPlayer) revert NotAPlayer();
         if (gameState != GameState.InProgress) revert GameNotInProgress();
         if (msg.sender == currentPlayer) revert NotYourTurn();
 
         // Check if current player (opponent) has exceeded their time
         uint256 opponentLastMove = (currentPlayer == whitePlayer)
-            ? whiteLastMoveBlock
-            : blackLastMoveBlock;
-
-        if (block.number < opponentLastMove + timeoutBlocks) revert NotTimedOut();
-
-        wasTimeout = true;  // Track for reward penalty (loser timed out)
-
-        address winner = msg.sender;
-        address loser = currentPlayer;
-
-        if (msg.sender == whitePlayer) {
-            gameState = GameState.WhiteWins;
-        } else {
-            gameState = GameState.BlackWins;
-        }
-
-        // Register for dispute system and distribute rewards
-        _registerGameForDispute();
-        _distributeRewards();
-
-        emit GameTimeout(winner, loser);
-        emit GameStateChanged(gameState);
-    }
-
-    function isPawnMoveValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 piece, int8 target) private view returns (bool) {
-        // Check if pawn is moving forward
-        if (startY == endY && target == 0) {
-            if (piece == -PAWN) { // black pawn
-                if (endX == startX + 1 || (startX == ROW_BLACK_PAWNS && endX == ROW_BLACK_PAWNS_LONG_OPENING)) {
-                    return true;
-                }
-            } 
-            else { // white pawn
-                if (endX == startX - 1 || (startX == ROW_WHITE_PAWNS && endX == ROW_WHITE_PAWNS_LONG_OPENING)) {
-                    return true;
-                }
-            }
-        }
-
-        // Check if pawn is capturing diagonally
-        if (abs(int8(endY) - int8(startY)) == 1) {
-            if (piece == PAWN && endX == startX - 1 && target < 0) { // White pawn captures black piece (moving up)
-                return true;
-            }
-            else
-            if (piece == -PAWN && endX == startX + 1 && target > 0) { // Black pawn captures white piece (moving down)
-                return true;
-            }
-        }
-
-        // En passant capture
-        if (enPassantCol >= 0 && abs(int8(endY) - int8(startY)) == 1 && target == EMPTY) {
-            // White pawn captures en passant
-            if (piece == PAWN &&
-                endX == startX - 1 &&
-                startX == ROW_BLACK_PAWNS_LONG_OPENING && // White pawn must be on row 3 (adjacent to black's double move)
-                int8(endY) == enPassantCol &&
-                enPassantRow == startX) {
-                return true;
-            }
-            // Black pawn captures en passant
-            else if (piece == -PAWN &&
-                     endX == startX + 1 &&
-                     startX == ROW_WHITE_PAWNS_LONG_OPENING && // Black pawn must be on row 4 (adjacent to white's double move)
-                     int8(endY) == enPassantCol &&
-                     enPassantRow == startX) {
-                return true;
-            }
-        }
-
-        return false;
-    }
-
-    function isKnightMoveValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 piece, int8 target) private pure returns (bool) {
-        // Check if knight moves in L-shape
-        uint8 deltaX = abs(int8(endX) - int8(startX));
-        uint8 deltaY = abs(int8(endY) - int8(startY));
-        if ((deltaX == 1 && deltaY == 2) || (deltaX == 2 && deltaY == 1)) {
-            if (target * piece <= 0) { // Check if destination square is empty or occupied by opponent piece
-                return true;
-            }
-        }
-        return false;
-    }
-
-
-    function isBishopMoveValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 piece, int8 target) private view returns (bool) {
-        // Check if bishop moves diagonally
-        uint8 deltaX = abs(int8(endX) - int8(startX));
-        uint8 deltaY = abs(int8(endY) - int8(startY));
-        if (deltaX == deltaY) {
-            if (isPathClear(startX, startY, endX, endY)) {
-                if (target * piece <= 0) { // Check if destination square is empty or occupied by opponent piece
-                    return true;
-                }
-            }
-        }
-
-        return false;
-    }
-
-
-    function isRookMoveValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 piece, int8 target) private view returns (bool) {
-        // Check if rook moves horizontally or vertically
-        if (startX == endX || startY == endY) {
-            if (isPathClear(startX, startY, endX, endY)) {
-                if (target * piece <= 0) { // Check if destination square is empty or occupied by opponent piece
-                    return true;
-                }
-            }
-        }
-
-        return false;
-    }
-
-
-    function isQueenMoveValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 piece, int8 target) private view  returns (bool) {
-        // Check if queen moves diagonally, horizontally, or vertically
-        uint8 deltaX = abs(int8(endX) - int8(startX));
-        uint8 deltaY = abs(int8(endY) - int8(startY));
-        if (deltaX == deltaY || startX == endX || startY == endY) {
-            if (isPathClear(startX, startY, endX, endY)) {
-                if (target * piece <= 0) { // Check if destination square is empty or occupied by opponent piece
-                    return true;
-                }
-            }
-        }
-
-        return false;
-    }
-
-
-    function isKingMoveValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 piece, int8 target) private pure returns (bool) {
-        // Check if king moves one square in any direction
-        uint8 deltaX = abs(int8(endX) - int8(startX));
-        uint8 deltaY = abs(int8(endY) - int8(startY));
-        if (deltaX <= 1 && deltaY <= 1) {
-            if (target * piece <= 0) { // Check if destination square is empty or occupied by opponent piece
-                return true;
-            }
-        }
-
-        return false;
-    }
-
-
-    function isKingInCheck(int8 player) private view returns (bool) {
-        // Use cached king position instead of O(n²) search
-        uint8 kingX = (player == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
-        uint8 kingY = (player == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
-
-        // Check if any of the opponent's pieces can attack the king
-        for (uint8 rowPiece = 0; rowPiece < BOARD_SIZE;) {
-            for (uint8 colPiece = 0; colPiece < BOARD_SIZE;) {
-                if (player * board[rowPiece][colPiece] < 0) { // Check if piece belongs to opponent
-                    if (isValidMoveView(rowPiece, colPiece, kingX, kingY)) {
-                        return true;
-                    }
-                }
-                unchecked { ++colPiece; }
-            }
-            unchecked { ++rowPiece; }
-        }
-
-        return false;
-    }
-
-    /// @notice Check if a move would leave the current player's king in check
-    function wouldMoveLeaveKingInCheck(uint8 sX, uint8 sY, uint8 eX, uint8 eY) private view returns (bool) {
-        int8 p = board[sX][sY];
-        int8 pl = (p > 0) ? PLAYER_WHITE : PLAYER_BLACK;
-        uint8 kX = (abs(p) == uint8(KING)) ? eX : ((pl == PLAYER_WHITE) ? whiteKingRow : blackKingRow);
-        uint8 kY = (abs(p) == uint8(KING)) ? eY : ((pl == PLAYER_WHITE) ? whiteKingCol : blackKingCol);
-
-        for (uint8 r = 0; r < BOARD_SIZE;) {
-            for (uint8 c = 0; c < BOARD_SIZE;) {
-                if (r == eX && c == eY) { unchecked { ++c; } continue; }
-                int8 pc = board[r][c];
-                if (pc * pl >= 0) { unchecked { ++c; } continue; }
-                if (_canAttack(r, c, pc, kX, kY, sX, sY, eX, eY)) return true;
-                unchecked { ++c; }
-            }
-            unchecked { ++r; }
-        }
-        return false;
-    }
-
-    function _canAttack(uint8 aR, uint8 aC, int8 ap, uint8 kR, uint8 kC, uint8 fR, uint8 fC, uint8 tR, uint8 tC) private view returns (bool) {
-        uint8 a = abs(ap);
-        if (a == uint8(PAWN)) {
-            int8 d = (ap > 0) ? int8(-1) : int8(1);
-            return (int8(kR) == int8(aR) + d && abs(int8(kC) - int8(aC)) == 1);
-        }
-        if (a == uint8(KNIGHT)) {
-            uint8 dX = abs(int8(kR) - int8(aR));
-            uint8 dY = abs(int8(kC) - int8(aC));
-            return (dX == 2 && dY == 1) || (dX == 1 && dY == 2);
-        }
-        if (a == uint8(KING)) return abs(int8(kR) - int8(aR)) <= 1 && abs(int8(kC) - int8(aC)) <= 1;
-
-        int8 dR = int8(kR) - int8(aR);
-        int8 dC = int8(kC) - int8(aC);
-        uint8 adR = abs(dR); uint8 adC = abs(dC);
-        bool diag = (adR == adC && adR > 0);
-        bool str = (dR == 0 || dC == 0) && (adR > 0 || adC > 0);
-        if (a == uint8(BISHOP) && !diag) return false;
-        if (a == uint8(ROOK) && !str) return false;
-        if (a == uint8(QUEEN) && !diag && !str) return false;
-
-        int8 sR = (dR == 0) ? int8(0) : (dR > 0 ? int8(1) : int8(-1));
-        int8 sC = (dC == 0) ? int8(0) : (dC > 0 ? int8(1) : int8(-1));
-        uint8 cR = uint8(int8(aR) + sR); uint8 cC = uint8(int8(aC) + sC);
-        while (cR != kR || cC != kC) {
-            if (!(cR == fR && cC == fC)) {
-                if ((cR == tR && cC == tC) || board[cR][cC] != EMPTY) return false;
-            }
-            cR = uint8(int8(cR) + sR); cC = uint8(int8(cC) + sC);
-        }
-        return true;
-    }
-
-    function isSquareUnderAttack(int8 player, uint8 x, uint8 y) internal view returns (bool) {
-        for (uint8 rowPiece = 0; rowPiece < BOARD_SIZE;) {
-            for (uint8 colPiece = 0; colPiece < BOARD_SIZE;) {
-                //check if the opponent pieces can do a valid move to that square
-                if (currentPlayer == whitePlayer && board[rowPiece][colPiece] * player < 0 && isValidMoveView(rowPiece, colPiece, x, y)
-                || currentPlayer == blackPlayer && board[rowPiece][colPiece] * player > 0 && isValidMoveView(rowPiece,colPiece, x, y)) {
-                    return true;
-                }
-                unchecked { ++colPiece; }
-            }
-            unchecked { ++rowPiece; }
-        }
-        return false;
-    }
-
-    function minY(uint8 a, uint8 b) internal pure returns (uint8) {
-        return a < b ? a : b;
-    }
-
-    function maxY(uint8 a, uint8 b) internal pure returns (uint8) {
-        return a > b ? a : b;
-    }
-
-    function isCastlingValid(uint8 startX, uint8 startY, uint8 endX, uint8 endY, int8 player) internal view returns (bool) {
-        // Verifica se il re attraversa caselle minacciate
-        //TODO fai double check per capire se questo if è superfluo, visto che viene controllato dentro il for
-        if (isSquareUnderAttack(player, startX, startY) || isSquareUnderAttack(player, endX, endY)) {
-            return false;
-        }
-
-        // Verifica se le caselle attraversate sono libere
-        if (startY == COL_KING && (endY == COL_BISHOP || endY == COL_KNIGHT)) {
-            uint8 rookY = (endY == COL_KNIGHT) ? COL_SHORTW_LONGB_ROOK : COL_LONGW_SHORTB_ROOK;
-            for (uint8 col = minY(startY, endY); col <= maxY(startY, endY); col++) {
-                if (board[startX][col] != EMPTY || isSquareUnderAttack(player, startX, col) || isSquareUnderAttack(player, rookY, col)) {
-                    return false;
-                }
-            }
-        }
-
-        return true;
-    }
-
-    /// @notice Check if the path is clear for castling (squares between king and destination must be empty)
-    function isCastlingPathClear(uint8 row, uint8 kingCol, uint8 destCol) private view returns (bool) {
-        // Determine direction
-        uint8 minCol = kingCol < destCol ? kingCol : destCol;
-        uint8 maxCol = kingCol > destCol ? kingCol : destCol;
-
-        // Check all squares between king and destination (exclusive of king's start)
-        for (uint8 col = minCol + 1; col < maxCol; col++) {
-            if (board[row][col] != EMPTY) {
-                return false;
-            }
-        }
-
-        // For queenside castling, also check the b-file square (col 1) which rook passes through
-        if (destCol == COL_BISHOP) { // Queenside
-            if (board[row][COL_UNNAMED_KNIGHT] != EMPTY) { // b-file
-                return false;
-            }
-        }
+            ? whiteLastMoveBlock
+            : blackLastMoveBlock;
 
-        // Check destination square is empty
-        if (board[row][destCol] != EMPTY) {
-            return false;
-        }
+        if (block.number < opponentLastMove + timeoutBlocks) revert NotTimedOut();
 
-        return true;
-    }
+        wasTimeout = true;  // Track for reward penalty (loser timed out)
 
-    /// @notice Pure view validation - does NOT modify any state (used for check detection)
-    function isValidMoveView(uint8 startX, uint8 startY, uint8 endX, uint8 endY) private view returns (bool) {
-        int8 piece = board[startX][startY];
-        int8 target = board[endX][endY];
+        address winner = msg.sender;
+        address loser = currentPlayer;
 
-        // Check if the move is a castling attempt (king moves 2 squares)
-        if (abs(int8(endY) - int8(startY)) == COL_BISHOP && abs(piece) == uint8(KING)) {
-            if (piece == KING) { // White king
-                if (startX == ROW_WHITE_PIECES && startY == COL_KING && !whiteKingMoved) {
-                    // Kingside castling: king e1->g1 (col 4->6), rook h1 (col 7)
-                    if (uint8(ROOK) == abs(board[startX][COL_LONGW_SHORTB_ROOK]) && endY == COL_KNIGHT && !whiteLongRookMoved) {
-                        return isCastlingPathClear(startX, startY, endY);
-                    }
-                    // Queenside castling: king e1->c1 (col 4->2), rook a1 (col 0)
-                    if (uint8(ROOK) == abs(board[startX][COL_SHORTW_LONGB_ROOK]) && endY == COL_BISHOP && !whiteShortRookMoved) {
-                        return isCastlingPathClear(startX, startY, endY);
-                    }
-                }
-            } else { // Black king
-                if (startX == ROW_BLACK_PIECES && startY == COL_KING && !blackKingMoved) {
-                    // Kingside castling: king e8->g8 (col 4->6), rook h8 (col 7)
-                    if (uint8(ROOK) == abs(board[startX][COL_LONGW_SHORTB_ROOK]) && endY == COL_KNIGHT && !blackLongRookMoved) {
-                        return isCastlingPathClear(startX, startY, endY);
-                    }
-                    // Queenside castling: king e8->c8 (col 4->2), rook a8 (col 0)
-                    if (uint8(ROOK) == abs(board[startX][COL_SHORTW_LONGB_ROOK]) && endY == COL_BISHOP && !blackShortRookMoved) {
-                        return isCastlingPathClear(startX, startY, endY);
-                    }
-                }
-            }
-            return false;
+        if (msg.sender == whitePlayer) {
+            gameState = GameState.WhiteWins;
+        } else {
+            gameState = GameState.BlackWins;
         }
 
-        // Check if target square is empty or contains an opponent's piece
-        if (target == EMPTY || piece * target < 0) {
-            if (abs(piece) == uint8(PAWN)) {
-                return isPawnMoveValid(startX, startY, endX, endY, piece, target);
-            }
-            else if (abs(piece) == uint8(KNIGHT)) {
-                return isKnightMoveValid(startX, startY, endX, endY, piece, target);
-            }
-            else if (abs(piece) == uint8(BISHOP)) {
-                return isBishopMoveValid(startX, startY, endX, endY, piece, target);
-            }
-            else if (abs(piece) == uint8(ROOK)) {
-                return isRookMoveValid(startX, startY, endX, endY, piece, target);
-            }
-            else if (abs(piece) == uint8(QUEEN)) {
-                return isQueenMoveValid(startX, startY, endX, endY, piece, target);
-            }
-            else if (abs(piece) == uint8(KING)) {
-                return isKingMoveValid(startX, startY, endX, endY, piece, target);
-            }
-        }
+        // Register for dispute system and distribute rewards
+        _registerGameForDispute();
 
-        return false;
+        emit GameTimeout(winner, loser);
+        emit GameStateChanged(gameState);
+    }
+
+    function _getCastlingFlags() private view returns (uint8 flags) {
+        if (whiteKingMoved) flags |= 1 << 0;
+        if (whiteShortRookMoved) flags |= 1 << 1;
+        if (whiteLongRookMoved) flags |= 1 << 2;
+        if (blackKingMoved) flags |= 1 << 3;
+        if (blackLongRookMoved) flags |= 1 << 4;
+        if (blackShortRookMoved) flags |= 1 << 5;
     }
 
     /// @notice Validates move and updates rook moved flags when rook moves
     function isValidMove(uint8 startX, uint8 startY, uint8 endX, uint8 endY) private returns (bool) {
-        // First check if the move is valid using view function
-        if (!isValidMoveView(startX, startY, endX, endY)) {
+        if (!rulesEngine.isValidMoveView(board, enPassantCol, enPassantRow, _getCastlingFlags(), startX, startY, endX, endY)) {
             return false;
         }
 
         int8 piece = board[startX][startY];
-
-        // Update rook moved flags only when a rook actually moves
         if (abs(piece) == uint8(ROOK)) {
             if (startX == ROW_WHITE_PIECES && startY == COL_SHORTW_LONGB_ROOK && !whiteShortRookMoved) {
                 whiteShortRookMoved = true;
-            }
-            else if (startX == ROW_WHITE_PIECES && startY == COL_LONGW_SHORTB_ROOK && !whiteLongRookMoved) {
+            } else if (startX == ROW_WHITE_PIECES && startY == COL_LONGW_SHORTB_ROOK && !whiteLongRookMoved) {
                 whiteLongRookMoved = true;
-            }
-            else if (startX == ROW_BLACK_PIECES && startY == COL_LONGW_SHORTB_ROOK && !blackLongRookMoved) {
+            } else if (startX == ROW_BLACK_PIECES && startY == COL_LONGW_SHORTB_ROOK && !blackLongRookMoved) {
                 blackLongRookMoved = true;
-            }
-            else if (startX == ROW_BLACK_PIECES && startY == COL_SHORTW_LONGB_ROOK && !blackShortRookMoved) {
+            } else if (startX == ROW_BLACK_PIECES && startY == COL_SHORTW_LONGB_ROOK && !blackShortRookMoved) {
                 blackShortRookMoved = true;
             }
         }
@@ -9585,50 +10824,8 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         return true;
     }
 
-    function isPathClear(uint8 startX, uint8 startY, uint8 endX, uint8 endY) private view returns (bool) {
-        uint8 deltaX = endX > startX ? endX - startX : startX - endX;
-        uint8 deltaY = endY > startY ? endY - startY : startY - endY;
-        bool stepXPositive = endX > startX;
-        bool stepYPositive = endY > startY;
-
-        if (deltaX == deltaY) {
-            // Diagonal move (bishop or queen)
-            for (uint8 i = 1; i < deltaX; i++) {
-                uint8 checkX = stepXPositive ? startX + i : startX - i;
-                uint8 checkY = stepYPositive ? startY + i : startY - i;
-                if (EMPTY != board[checkX][checkY]) {
-                    return false;
-                }
-            }
-        }
-        else if (startX == endX) {
-            // Horizontal move (same row, different column)
-            for (uint8 i = 1; i < deltaY; i++) {
-                uint8 checkY = stepYPositive ? startY + i : startY - i;
-                if (EMPTY != board[startX][checkY]) {
-                    return false;
-                }
-            }
-        }
-        else if (startY == endY) {
-            // Vertical move (same column, different row)
-            for (uint8 i = 1; i < deltaX; i++) {
-                uint8 checkX = stepXPositive ? startX + i : startX - i;
-                if (EMPTY != board[checkX][startY]) {
-                    return false;
-                }
-            }
-        }
-        else {
-            // Invalid move (not diagonal, horizontal, or vertical)
-            return false;
-        }
-
-        return true;
-    }
-
     modifier onlyCurrentPlayer() {
-        require(msg.sender == currentPlayer, "Not your turn");
+        if (msg.sender != currentPlayer) revert NotYourTurn();
         _;
     }
 
@@ -9637,7 +10834,7 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         if (currentPlayer == blackPlayer){
             playerColor *= PLAYER_BLACK;
         }
-        require(board[startX][startY] * playerColor > 0, "Not your piece");
+        if (board[startX][startY] * playerColor <= 0) revert InvalidMove();
         _;
     }
 
@@ -9653,11 +10850,13 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         uint8 endX,
         uint8 endY,
         int8 promotionPiece
-    ) public onlyCurrentPlayer onlyOwnPieces(startX, startY) {
+    ) public colorsAssigned onlyCurrentPlayer onlyOwnPieces(startX, startY) {
         // Bounds checking for coordinates
-        require(startX < BOARD_SIZE && startY < BOARD_SIZE && endX < BOARD_SIZE && endY < BOARD_SIZE, "Bad coords");
+        if (startX >= BOARD_SIZE || startY >= BOARD_SIZE || endX >= BOARD_SIZE || endY >= BOARD_SIZE) {
+            revert InvalidCoordinates();
+        }
 
-        require(gameState == GameState.InProgress || gameState == GameState.NotStarted, "Bad state");
+        if (gameState != GameState.InProgress) revert GameNotInProgress();
 
         // Making a move automatically declines any pending draw offer
         if (drawOfferedBy != address(0)) {
@@ -9665,13 +10864,23 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         }
 
         // Check if the move is valid for this piece type
-        require(isValidMove(startX, startY, endX, endY), "Invalid move");
+        if (!isValidMove(startX, startY, endX, endY)) revert InvalidMove();
 
         // Check that this move doesn't leave our own king in check
-        bool leavesKingInCheck = wouldMoveLeaveKingInCheck(startX, startY, endX, endY);
+        bool leavesKingInCheck = rulesEngine.wouldMoveLeaveKingInCheck(
+            board,
+            whiteKingRow,
+            whiteKingCol,
+            blackKingRow,
+            blackKingCol,
+            startX,
+            startY,
+            endX,
+            endY
+        );
         if (gameMode == GameMode.Friendly) {
             // Friendly mode: reject illegal moves (protect player from mistakes)
-            require(!leavesKingInCheck, "Move leaves king in check");
+            if (leavesKingInCheck) revert InvalidMove();
         }
 
         // Store the piece being moved before clearing the start position
@@ -9729,13 +10938,12 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
 
             if (isWhitePawnPromoting || isBlackPawnPromoting) {
                 // Validate promotion piece (must be Queen, Rook, Bishop, or Knight)
-                require(
-                    promotionPiece == QUEEN ||
-                    promotionPiece == ROOK ||
-                    promotionPiece == BISHOP ||
-                    promotionPiece == KNIGHT,
-                    "Invalid promotion piece"
-                );
+                if (
+                    promotionPiece != QUEEN &&
+                    promotionPiece != ROOK &&
+                    promotionPiece != BISHOP &&
+                    promotionPiece != KNIGHT
+                ) revert InvalidPromotionPiece();
 
                 // Apply the correct sign based on player color
                 if (isWhitePawnPromoting) {
@@ -9800,14 +11008,13 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         } else {
             halfMoveClock++;
         }
+        plyCount++;
 
         // FIDE 75-move rule: automatic draw after 75 full moves without progress
         // This prevents unbounded game length and positionHistory growth
         if (halfMoveClock >= MAX_HALF_MOVES_WITHOUT_PROGRESS) {
             gameState = GameState.Draw;
             _registerGameForDispute();
-            _distributeRewards();
-            _reportRating(); // Reports draw based on gameState
             emit GameStateChanged(gameState);
             return; // Exit early - game over
         }
@@ -9832,11 +11039,6 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         }
     }
 
-    /// @notice Build a comment string for the move event (simplified for size)
-    function _buildMoveComment(int8, int8, uint8, uint8, bool, bool) internal pure returns (string memory) {
-        return "";
-    }
-
     /// @notice Handle move result: check/mate detection, events, and dispute registration
     function _handleMoveResult(
         uint8 startX, uint8 startY, uint8 endX, uint8 endY,
@@ -9860,9 +11062,6 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             wasCheckmate = true;
         }
 
-        // Emit legacy event
-        emit Debug((currentPlayer == whitePlayer) ? int8(1) : int8(-1), startX, startY, endX, endY, "");
-
         // Emit structured event
         emit MoveMade(currentPlayer, startX, startY, endX, endY, movingPiece, actualCaptured,
                       promotionPiece, isCheck, isMate, isCastling, isEnPassant);
@@ -9872,305 +11071,110 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             emit GameStateChanged(gameState);
             if (gameState == GameState.WhiteWins || gameState == GameState.BlackWins || gameState == GameState.Draw) {
                 _registerGameForDispute();
-                _distributeRewards();
             }
         }
     }
 
     /// @notice Detect check/checkmate state after a move
     function _detectCheckMate(uint8 endX, uint8 endY, bool leavesKingInCheck) internal view returns (bool isCheck, bool isMate, GameState newState) {
-        // In Tournament mode, illegal move = loss
-        if (gameMode == GameMode.Tournament && leavesKingInCheck) {
-            return (false, true, (currentPlayer == whitePlayer) ? GameState.BlackWins : GameState.WhiteWins);
-        }
-
-        if (isKingInCheck(PLAYER_BLACK)) {
-            isMate = isCheckmate(PLAYER_BLACK, endX, endY);
-            return (!isMate, isMate, isMate ? GameState.WhiteWins : GameState.InProgress);
-        }
-        if (isKingInCheck(PLAYER_WHITE)) {
-            isMate = isCheckmate(PLAYER_WHITE, endX, endY);
-            return (!isMate, isMate, isMate ? GameState.BlackWins : GameState.InProgress);
-        }
-
-        return (false, false, isStalemate() ? GameState.Draw : GameState.InProgress);
-    }
-
-    // Check if the given player's king can move out of check
-    function canKingMove(int8 player) internal view returns (bool) {
-        uint8 kingX = (player == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
-        uint8 kingY = (player == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
-
-        // Check all 8 adjacent squares
-        for (int8 i = -1; i <= 1; i++) {
-            for (int8 j = -1; j <= 1; j++) {
-                if (i == 0 && j == 0) continue;
-                if (isKingMoveEscape(player, kingX, kingY, i, j)) {
-                    return true;
-                }
-            }
-        }
-        return false;
-    }
-
-    // Helper: Check if moving king by (di, dj) is a valid escape
-    function isKingMoveEscape(int8 player, uint8 kingX, uint8 kingY, int8 di, int8 dj) internal view returns (bool) {
-        int8 x = int8(kingX) + di;
-        int8 y = int8(kingY) + dj;
-
-        // Check bounds
-        if (x < 0 || x >= int8(BOARD_SIZE) || y < 0 || y >= int8(BOARD_SIZE)) {
-            return false;
-        }
-
-        uint8 newX = uint8(x);
-        uint8 newY = uint8(y);
-        int8 targetPiece = board[newX][newY];
-        int8 kingPiece = board[kingX][kingY];
-
-        // Can't capture own piece
-        if (targetPiece != EMPTY && targetPiece * kingPiece > 0) {
-            return false;
-        }
-
-        // Check if the destination square is safe (not under attack)
-        return !isSquareUnderAttackAfterKingMove(player, newX, newY, kingX, kingY);
-    }
-
-    // Check if a square would be under attack after king moves there
-    function isSquareUnderAttackAfterKingMove(int8 player, uint8 targetX, uint8 targetY, uint8 fromX, uint8 fromY) internal view returns (bool) {
-        for (uint8 row = 0; row < BOARD_SIZE;) {
-            for (uint8 col = 0; col < BOARD_SIZE;) {
-                // Skip the square king is moving from and the target square
-                if ((row == fromX && col == fromY) || (row == targetX && col == targetY)) {
-                    unchecked { ++col; }
-                    continue;
-                }
-
-                int8 piece = board[row][col];
-                if (piece * player < 0) { // Opponent piece
-                    if (canPieceAttackSquare(row, col, targetX, targetY, fromX, fromY)) {
-                        return true;
-                    }
-                }
-                unchecked { ++col; }
-            }
-            unchecked { ++row; }
-        }
-        return false;
+        uint8 stateValue;
+        (isCheck, isMate, stateValue) = rulesEngine.detectCheckState(
+            board,
+            currentPlayer == whitePlayer,
+            gameMode == GameMode.Tournament,
+            leavesKingInCheck,
+            whiteKingRow,
+            whiteKingCol,
+            blackKingRow,
+            blackKingCol,
+            enPassantCol,
+            enPassantRow,
+            _getCastlingFlags(),
+            endX,
+            endY
+        );
+        newState = GameState(stateValue);
     }
 
-    // Helper function to check if a piece can attack a square, considering that the king moved
-    function canPieceAttackSquare(uint8 pieceRow, uint8 pieceCol, uint8 targetRow, uint8 targetCol, uint8 ignoreRow, uint8 ignoreCol) internal view returns (bool) {
-        int8 piece = board[pieceRow][pieceCol];
-        uint8 absPiece = abs(piece);
-
-        if (absPiece == uint8(PAWN)) {
-            int8 direction = (piece > 0) ? int8(-1) : int8(1);
-            return (int8(targetRow) == int8(pieceRow) + direction && abs(int8(targetCol) - int8(pieceCol)) == 1);
-        }
-        if (absPiece == uint8(KNIGHT)) {
-            uint8 dX = abs(int8(targetRow) - int8(pieceRow));
-            uint8 dY = abs(int8(targetCol) - int8(pieceCol));
-            return (dX == 2 && dY == 1) || (dX == 1 && dY == 2);
-        }
-        if (absPiece == uint8(KING)) {
-            return abs(int8(targetRow) - int8(pieceRow)) <= 1 && abs(int8(targetCol) - int8(pieceCol)) <= 1;
+    /// @notice White and black players; a Random draw whose seed block is mined is
+    ///         reported with its outcome even before a transaction settles it. An expired
+    ///         draw has no outcome until a player settles it and is reported in seat order
+    function getPlayers() external view returns (address, address) {
+        if (colorSeedBlock != 0) {
+            (, , bool swap) = _drawColors();
+            if (swap) return (blackPlayer, whitePlayer);
         }
-
-        // Sliding pieces (Bishop, Rook, Queen)
-        return canSlidingPieceAttack(pieceRow, pieceCol, targetRow, targetCol, ignoreRow, ignoreCol, absPiece);
+        return (whitePlayer, blackPlayer);
     }
 
-    // Helper for sliding pieces attack check
-    function canSlidingPieceAttack(uint8 pieceRow, uint8 pieceCol, uint8 targetRow, uint8 targetCol, uint8 ignoreRow, uint8 ignoreCol, uint8 absPiece) internal view returns (bool) {
-        int8 deltaRow = int8(targetRow) - int8(pieceRow);
-        int8 deltaCol = int8(targetCol) - int8(pieceCol);
-        uint8 absDeltaRow = abs(deltaRow);
-        uint8 absDeltaCol = abs(deltaCol);
-
-        bool isDiagonal = (absDeltaRow == absDeltaCol && absDeltaRow > 0);
-        bool isStraight = (deltaRow == 0 || deltaCol == 0) && (absDeltaRow > 0 || absDeltaCol > 0);
-
-        if (absPiece == uint8(BISHOP) && !isDiagonal) return false;
-        if (absPiece == uint8(ROOK) && !isStraight) return false;
-        if (absPiece == uint8(QUEEN) && !isDiagonal && !isStraight) return false;
-
-        // Check path is clear
-        int8 stepRow = (deltaRow == 0) ? int8(0) : (deltaRow > 0 ? int8(1) : int8(-1));
-        int8 stepCol = (deltaCol == 0) ? int8(0) : (deltaCol > 0 ? int8(1) : int8(-1));
-
-        uint8 checkRow = uint8(int8(pieceRow) + stepRow);
-        uint8 checkCol = uint8(int8(pieceCol) + stepCol);
+    /// @notice Setup function for custom board positions (Friendly mode only)
+    /// @dev Only callable in Friendly mode, by the creator, before game starts
+    /// @dev This allows creative chess variants but is disabled in Tournament mode
+    function debugCreative(uint8 x, uint8 y, int8 piece) external returns (string memory) {
+        if (gameMode != GameMode.Friendly) revert FriendlyOnly();
+        if (msg.sender != whitePlayer) revert OnlyWhitePlayer();
+        if (gameState != GameState.NotStarted) revert GameAlreadyStarted();
+        if (x >= BOARD_SIZE || y >= BOARD_SIZE) revert InvalidCoordinates();
 
-        while (checkRow != targetRow || checkCol != targetCol) {
-            if (!(checkRow == ignoreRow && checkCol == ignoreCol)) {
-                if (board[checkRow][checkCol] != EMPTY) {
-                    return false;
-                }
-            }
-            checkRow = uint8(int8(checkRow) + stepRow);
-            checkCol = uint8(int8(checkCol) + stepCol);
+        board[x][y] = piece;
+        // Update king position cache if placing a king
+        if (piece == KING) {
+            whiteKingRow = x;
+            whiteKingCol = y;
+        } else if (piece == -KING) {
+            blackKingRow = x;
+            blackKingCol = y;
         }
-        return true;
+        return "";
     }
 
-    // Check if the game is in stalemate
-    function isStalemate() internal view returns (bool) {
-        int8 player = (currentPlayer == whitePlayer) ? int8(PLAYER_WHITE) : int8(PLAYER_BLACK);
-
-        // Check if there are any valid moves for current player pieces
-        for (uint8 rowPiece = 0; rowPiece < BOARD_SIZE;) {
-            for (uint8 colPiece = 0; colPiece < BOARD_SIZE;) {
-                // If we find a piece belonging to the current player, then check if it can perform a move
-                if (board[rowPiece][colPiece] * player > 0 ) {
-                    for (uint8 row_target = 0; row_target < BOARD_SIZE;) {
-                        for (uint8 col_target = 0; col_target < BOARD_SIZE;) {
-                            if (board[row_target][col_target] != board[rowPiece][colPiece]
-                                && isValidMoveView(rowPiece, colPiece, row_target, col_target)) {
-                                return false;
-                            }
-                            unchecked { ++col_target; }
-                        }
-                        unchecked { ++row_target; }
-                    }
-                }
-                unchecked { ++colPiece; }
-            }
-            unchecked { ++rowPiece; }
-        }
-
-        // No any valid move for the current player
-        return true;
+    function canCancelUnjoinedGame(address caller) external view returns (bool) {
+        return (
+            caller == whitePlayer &&
+            !cancelled &&
+            blackPlayer == address(0) &&
+            gameState == GameState.NotStarted &&
+            block.timestamp >= createdAt + CANCEL_UNJOINED_TIMEOUT
+        );
     }
 
-    // Check if the given player's king is in checkmate
-    function isCheckmate(int8 player, uint8 attackerI, uint8 attackerJ) internal view returns (bool) {
-        // Check if the king can move out of check
-        if (canKingMove(player)) {
-            return false;
-        }
-
-        // Check if the attacking piece can be captured
-        if (canCaptureAttacker(player, attackerI, attackerJ)) {
-            return false;
-        }
-
-        // Check if any other piece can block the attack
-        if (canBlockAttack(attackerI, attackerJ)) {
-            return false;
+    function getCancelUnjoinedRemaining() external view returns (uint256) {
+        if (cancelled || blackPlayer != address(0) || gameState != GameState.NotStarted) {
+            return 0;
         }
 
-        // The king is in checkmate
-        return true;
-    }
-
-    // Check if the player pieces can capture the attacking piece
-    function canCaptureAttacker(int8 player, uint8 rowAttacker, uint8 colAttacker) internal view returns (bool) {
-        // Iterate over all pieces on the board
-        for (uint8 rowPiece = 0; rowPiece < BOARD_SIZE;) {
-            for (uint8 colPiece = 0; colPiece < BOARD_SIZE;) {
-                // Skip empty squares and pieces belonging to the attacker
-                if (board[rowPiece][colPiece] == EMPTY || board[rowPiece][colPiece] * player < 0 || (rowPiece == rowAttacker && colPiece == colAttacker)) {
-                    unchecked { ++colPiece; }
-                    continue;
-                }
-
-                // Check if the piece can capture the attacking piece
-                if (isValidMoveView(rowPiece, colPiece, rowAttacker, colAttacker)) {
-                    // A piece can capture the attacking piece
-                    return true;
-                }
-                unchecked { ++colPiece; }
-            }
-            unchecked { ++rowPiece; }
+        uint256 deadline = createdAt + CANCEL_UNJOINED_TIMEOUT;
+        if (block.timestamp >= deadline) {
+            return 0;
         }
 
-        // No piece can capture the attacking piece
-        return false;
+        return deadline - block.timestamp;
     }
 
-    function canBlockAttack(uint8 rowAttacker, uint8 colAttacker) internal view returns (bool) {
-        // Get the king position for the player in check
-        // The player in check is the one whose turn it will be next (after the attacking move)
-        int8 attackerPiece = board[rowAttacker][colAttacker];
-        int8 defendingPlayer = (attackerPiece > 0) ? PLAYER_BLACK : PLAYER_WHITE;
-
-        uint8 kingRow = (defendingPlayer == PLAYER_WHITE) ? whiteKingRow : blackKingRow;
-        uint8 kingCol = (defendingPlayer == PLAYER_WHITE) ? whiteKingCol : blackKingCol;
-
-        // Knights can't be blocked (they jump)
-        if (abs(attackerPiece) == uint8(KNIGHT)) {
-            return false;
-        }
-
-        // Find the squares between attacker and king that could be blocked
-        int8 deltaRow = int8(kingRow) - int8(rowAttacker);
-        int8 deltaCol = int8(kingCol) - int8(colAttacker);
-
-        // Get step direction
-        int8 stepRow = (deltaRow == 0) ? int8(0) : (deltaRow > 0 ? int8(1) : int8(-1));
-        int8 stepCol = (deltaCol == 0) ? int8(0) : (deltaCol > 0 ? int8(1) : int8(-1));
-
-        // Check each square between attacker and king
-        uint8 blockRow = uint8(int8(rowAttacker) + stepRow);
-        uint8 blockCol = uint8(int8(colAttacker) + stepCol);
-
-        while (blockRow != kingRow || blockCol != kingCol) {
-            // Check if any defending piece can move to this blocking square
-            for (uint8 pieceRow = 0; pieceRow < BOARD_SIZE;) {
-                for (uint8 pieceCol = 0; pieceCol < BOARD_SIZE;) {
-                    int8 piece = board[pieceRow][pieceCol];
+    function cancelUnjoinedGame() external nonReentrant {
+        if (msg.sender != whitePlayer) revert OnlyWhitePlayer();
+        if (cancelled) revert CancelledGame();
+        if (blackPlayer != address(0) || gameState != GameState.NotStarted) revert GameAlreadyStarted();
+        if (block.timestamp < createdAt + CANCEL_UNJOINED_TIMEOUT) revert CancelTimeoutNotReached();
 
-                    // Skip empty squares, opponent pieces, and the king (can't block with king)
-                    if (piece == EMPTY || piece * defendingPlayer <= 0 || abs(piece) == uint8(KING)) {
-                        unchecked { ++pieceCol; }
-                        continue;
-                    }
+        cancelled = true;
+        prizeClaimed = true;
+        currentPlayer = address(0);
+        drawOfferedBy = address(0);
 
-                    // Check if this piece can move to the blocking square
-                    if (isValidMoveView(pieceRow, pieceCol, blockRow, blockCol)) {
-                        return true;
-                    }
-                    unchecked { ++pieceCol; }
-                }
-                unchecked { ++pieceRow; }
+        uint256 refundAmount = address(this).balance;
+        if (refundAmount > 0) {
+            (bool success, ) = payable(whitePlayer).call{value: refundAmount}("");
+            if (!success) {
+                pendingPrize[whitePlayer] = refundAmount;
             }
-
-            blockRow = uint8(int8(blockRow) + stepRow);
-            blockCol = uint8(int8(blockCol) + stepCol);
         }
 
-        // No piece can block the attack
-        return false;
-    }
-
-    function getPlayers() external view returns (address, address) {
-        return (whitePlayer, blackPlayer);
-    }
-
-    /// @notice Setup function for custom board positions (Friendly mode only)
-    /// @dev Only callable in Friendly mode, by white player, before game starts
-    /// @dev This allows creative chess variants but is disabled in Tournament mode
-    function debugCreative(uint8 x, uint8 y, int8 piece) external returns (string memory) {
-        require(gameMode == GameMode.Friendly, "Only allowed in Friendly mode");
-        require(msg.sender == whitePlayer, "Only white player can setup board");
-        require(gameState == GameState.NotStarted, "Can only setup before game starts");
-        require(x < BOARD_SIZE && y < BOARD_SIZE, "Invalid coordinates");
-
-        board[x][y] = piece;
-        // Update king position cache if placing a king
-        if (piece == KING) {
-            whiteKingRow = x;
-            whiteKingCol = y;
-        } else if (piece == -KING) {
-            blackKingRow = x;
-            blackKingCol = y;
-        }
-        return printBoard();
+        emit GameCancelled(msg.sender, refundAmount);
     }
 
     function getGameState () external view returns (uint8) {
+        if (cancelled) return 6;
         if (gameState == GameState.NotStarted) return 1;
         if (gameState == GameState.InProgress) return 2;
         if (gameState == GameState.Draw) return 3;
@@ -10196,7 +11200,9 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
         }
 
         if (currentPlayerIsWhite) {
-            uint256 elapsed = block.number - whiteLastMoveBlock;
+            // A pending Random draw has white on the clock from its seed block
+            uint256 lastMove = colorSeedBlock != 0 ? colorSeedBlock : whiteLastMoveBlock;
+            uint256 elapsed = block.number > lastMove ? block.number - lastMove : 0;
             whiteBlocksRemaining = elapsed >= timeoutBlocks ? 0 : timeoutBlocks - elapsed;
             blackBlocksRemaining = 0;
         } else {
@@ -10205,4 +11211,4 @@ contract ChessCore is ChessBoard, ReentrancyGuard {
             whiteBlocksRemaining = 0;
         }
     }
-}
\ No newline at end of file
+}
@@ -10,6 +10,8 @@ const ChessNFT = artifacts.require("ChessNFT");
 const ChessTimelock = artifacts.require("ChessTimelock");
 const ChessGovernor = artifacts.require("ChessGovernor");
 const PlayerRating = artifacts.require("PlayerRating");
+const Multicall3 = artifacts.require("Multicall3");
+const { writeChainDeployment } = require("../scripts/deployment-manifest");
 
 module.exports = async function (deployer, network, accounts) {
   const admin = accounts[0];
@@ -169,6 +171,21 @@ module.exports = async function (deployer, network, accounts) {
   const rewardPool = await RewardPool.deployed();
   console.log(`  RewardPool deployed at: ${rewardPool.address}`);
 
+  // =========================================
+  // PHASE 6.7: Deploy Multicall3 (local chains only)
+  // =========================================
+  // Public networks use the canonical Multicall3 at 0xcA11bde05977b3631167028862bE2a173976CA11;
+  // a fresh Ganache chain has none, so the frontend's read batching needs its own.
+  let multicallAddress = config.multicall || null;
+  if (!multicallAddress) {
+    console.log("\nPHASE 6.7: Deploying Multicall3...");
+
+    await deployer.deploy(Multicall3, { from: admin });
+    const multicall = await Multicall3.deployed();
+    multicallAddress = multicall.address;
+    console.log(`  Multicall3 deployed at: ${multicallAddress}`);
+  }
+
   // =========================================
   // PHASE 7: Configure Roles & Permissions
   // =========================================
@@ -263,6 +280,7 @@ module.exports = async function (deployer, network, accounts) {
   console.log(`ChessGovernor:      ${chessGovernor.address}`);
   console.log(`PlayerRating:       ${playerRating.address}`);
   console.log(`RewardPool:         ${rewardPool.address}`);
+  console.log(`Multicall3:         ${multicallAddress}`);
   console.log("===========================================\n");
 
   // Save deployment addresses to file (for frontend/scripts)
@@ -281,7 +299,8 @@ module.exports = async function (deployer, network, accounts) {
       ChessTimelock: chessTimelock.address,
       ChessGovernor: chessGovernor.address,
       PlayerRating: playerRating.address,
-      RewardPool: rewardPool.address
+      RewardPool: rewardPool.address,
+      Multicall3: multicallAddress
     },
     config: config
   };
@@ -306,9 +325,48 @@ module.exports = async function (deployer, network, accounts) {
     path.join(deploymentsDir, `latest-${network}.json`),
     JSON.stringify(deploymentInfo, null, 2)
   );
-  console.log(`Latest deployment saved to: deployments/latest-${network}.json\n`);
+  console.log(`Latest deployment saved to: deployments/latest-${network}.json`);
+
+  // Manifest the frontend loads at runtime: addresses, deployment blocks and ABI hashes per chainId
+  const blockOf = async (artifact) => {
+    const receipt = await web3.eth.getTransactionReceipt(artifact.transactionHash);
+    return receipt ? receipt.blockNumber : null;
+  };
+  const deployedEntry = async (artifact, address = artifact.address) => ({
+    address,
+    blockNumber: await blockOf(artifact),
+    abi: artifact.abi
+  });
+
+  const chainId = await web3.eth.getChainId();
+  writeChainDeployment(web3, {
+    chainId,
+    network,
+    contracts: {
+      ChessToken: await deployedEntry(ChessToken),
+      BondingManager: await deployedEntry(BondingManager),
+      ArbitratorRegistry: await deployedEntry(ArbitratorRegistry),
+      DisputeDAO: await deployedEntry(DisputeDAO),
+      ChessMediaLibrary: await deployedEntry(ChessMediaLibrary),
+      ChessCore: await deployedEntry(ChessCore),
+      ChessFactory: await deployedEntry(ChessFactory),
+      // Created by the ChessFactory constructor
+      ChessNFT: { ...(await deployedEntry(ChessFactory, chessNFTAddress)), abi: ChessNFT.abi },
+      ChessTimelock: await deployedEntry(ChessTimelock),
+      ChessGovernor: await deployedEntry(ChessGovernor),
+      PlayerRating: await deployedEntry(PlayerRating),
+      RewardPool: await deployedEntry(RewardPool),
+      Multicall3: config.multicall
+        ? { address: multicallAddress, blockNumber: null, abi: null }
+        : await deployedEntry(Multicall3)
+    }
+  });
+  console.log(`Deployment manifest updated for chain ${chainId}: deployments/manifest.json\n`);
 };
 
+// Multicall3 is deployed at the same address on every public EVM chain
+const CANONICAL_MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
 /**
  * Get network-specific configuration
  */
@@ -325,6 +383,7 @@ function getNetworkConfig(network) {
     goerli: {
       teamWallet: process.env.TEAM_WALLET || null,
       treasury: process.env.TREASURY_WALLET || null,
+      multicall: CANONICAL_MULTICALL3,
       initialChessPrice: web3.utils.toWei("0.0001", "ether"),
     },
 
@@ -332,6 +391,7 @@ function getNetworkConfig(network) {
     sepolia: {
       teamWallet: process.env.TEAM_WALLET || null,
       treasury: process.env.TREASURY_WALLET || null,
+      multicall: CANONICAL_MULTICALL3,
       initialChessPrice: web3.utils.toWei("0.0001", "ether"),
     },
 
@@ -339,6 +399,7 @@ function getNetworkConfig(network) {
     mainnet: {
       teamWallet: process.env.TEAM_WALLET,
       treasury: process.env.TREASURY_WALLET,
+      multicall: CANONICAL_MULTICALL3,
       initialChessPrice: web3.utils.toWei("0.001", "ether"),
     },
 
@@ -346,6 +407,7 @@ function getNetworkConfig(network) {
     arbitrum: {
       teamWallet: process.env.TEAM_WALLET,
       treasury: process.env.TREASURY_WALLET,
+      multicall: CANONICAL_MULTICALL3,
       initialChessPrice: web3.utils.toWei("0.001", "ether"),
     },
 
@@ -353,6 +415,7 @@ function getNetworkConfig(network) {
     optimism: {
       teamWallet: process.env.TEAM_WALLET,
       treasury: process.env.TREASURY_WALLET,
+      multicall: CANONICAL_MULTICALL3,
       initialChessPrice: web3.utils.toWei("0.001", "ether"),
     }
   };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deployment manifest shared with the frontend (frontend/src/lib/contracts/registry.js):
+// {
+//   version: 1,
+//   chains: {
+//     "<chainId>": {
+//       chainId, network, deployedAt,
+//       contracts: { "<Name>": { address, blockNumber, abiHash } }
+//     }
+//   }
+// }
+// abiHash is keccak256 of the compact JSON ABI, so the frontend can tell when
+// it was built against other ABIs than the ones deployed.
+const MANIFEST_VERSION = 1;
+
+const defaultManifestFile = path.join(__dirname, '..', 'deployments', 'manifest.json');
+
+function abiHash(web3, abi) {
+  return abi ? web3.utils.keccak256(JSON.stringify(abi)) : null;
+}
+
+function readManifest(file = defaultManifestFile) {
+  if (!fs.existsSync(file)) {
+    return { version: MANIFEST_VERSION, chains: {} };
+  }
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported deployment manifest version ${manifest.version} in ${file}`);
+  }
+  return manifest;
+}
+
+/**
+ * Replace the entry for one chain, keeping the others.
+ * contracts: { Name: { address, blockNumber, abi } }
+ */
+function writeChainDeployment(web3, { chainId, network, contracts }, file = defaultManifestFile) {
+  const manifest = readManifest(file);
+
+  const entry = {
+    chainId: Number(chainId),
+    network,
+    deployedAt: new Date().toISOString(),
+    contracts: {}
+  };
+  for (const [name, { address, blockNumber, abi }] of Object.entries(contracts)) {
+    if (!address) continue;
+    entry.contracts[name] = {
+      address,
+      blockNumber: blockNumber ?? null,
+      abiHash: abiHash(web3, abi)
+    };
+  }
+
+  manifest.chains[entry.chainId] = entry;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+  return entry;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  abiHash,
+  readManifest,
+  writeChainDeployment
+};
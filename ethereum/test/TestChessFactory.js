@@ -40,4 +40,271 @@ contract("ChessFactory", (accounts) => {
       assert.notEqual(game, "0x0000000000000000000000000000000000000000", "Contract address should not be zero");
     });
   });
-});
\ No newline at end of file
+
+  describe("Invited opponent", () => {
+    const white = accounts[0];
+    const invited = accounts[1];
+    const stranger = accounts[2];
+    const betAmount = web3.utils.toWei("1", "ether");
+
+    let game;
+    let createTx;
+
+    beforeEach(async () => {
+      createTx = await chessFactory.createInvitedChessGame(2, 0, invited, { from: white, value: betAmount });
+      const deployedGames = await chessFactory.getDeployedChessGames();
+      game = await ChessCore.at(deployedGames[deployedGames.length - 1]);
+    });
+
+    it("should store the invited opponent and emit GameInvitation", async () => {
+      assert.equal(await game.invitedOpponent(), invited, "Invited opponent should be stored on the game");
+
+      const invitation = createTx.logs.find((log) => log.event === "GameInvitation");
+      assert.isOk(invitation, "GameInvitation event should be emitted");
+      assert.equal(invitation.args.gameAddress, game.address);
+      assert.equal(invitation.args.invitedOpponent, invited);
+    });
+
+    it("should not let anyone else join", async () => {
+      try {
+        await game.joinGameAsBlack({ from: stranger, value: betAmount });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+
+      const players = await game.getPlayers();
+      assert.equal(players[1], "0x0000000000000000000000000000000000000000", "Seat should still be free");
+    });
+
+    it("should let the invited opponent join", async () => {
+      await game.joinGameAsBlack({ from: invited, value: betAmount });
+
+      const players = await game.getPlayers();
+      assert.equal(players[1], invited, "Invited opponent should play black");
+    });
+
+    it("should reject inviting yourself or the zero address", async () => {
+      for (const opponent of [white, "0x0000000000000000000000000000000000000000"]) {
+        try {
+          await chessFactory.createInvitedChessGame(2, 0, opponent, { from: white, value: betAmount });
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert.include(error.message, "revert");
+        }
+      }
+    });
+
+    it("should keep open games joinable by anyone", async () => {
+      await chessFactory.createChessGame(2, 0, { from: white, value: betAmount });
+      const deployedGames = await chessFactory.getDeployedChessGames();
+      const openGame = await ChessCore.at(deployedGames[deployedGames.length - 1]);
+
+      assert.equal(await openGame.invitedOpponent(), "0x0000000000000000000000000000000000000000");
+      await openGame.joinGameAsBlack({ from: stranger, value: betAmount });
+      const players = await openGame.getPlayers();
+      assert.equal(players[1], stranger);
+    });
+  });
+
+  describe("Colour choice", () => {
+    const creator = accounts[0];
+    const opponent = accounts[1];
+    const betAmount = web3.utils.toWei("1", "ether");
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+    // ColorChoice: 0=White, 1=Black, 2=Random
+
+    const mineBlock = () => new Promise((resolve, reject) => {
+      web3.currentProvider.send({ jsonrpc: "2.0", method: "evm_mine", params: [], id: Date.now() }, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+
+    // A block's hash is readable once a later block is mined
+    const mineBlocksPast = async (blockNumber) => {
+      while ((await web3.eth.getBlockNumber()) <= blockNumber) {
+        await mineBlock();
+      }
+    };
+
+    const createGame = async (color, invited = ZERO_ADDRESS) => {
+      const tx = await chessFactory.createChessGameWithColor(2, 0, color, invited, { from: creator, value: betAmount });
+      const deployedGames = await chessFactory.getDeployedChessGames();
+      return { tx, game: await ChessCore.at(deployedGames[deployedGames.length - 1]) };
+    };
+
+    it("should let a creator who chose black play second", async () => {
+      const { tx, game } = await createGame(1);
+
+      const choice = tx.logs.find((log) => log.event === "GameColorChoice");
+      assert.isOk(choice, "GameColorChoice event should be emitted");
+      assert.equal(choice.args.creatorColor.toNumber(), 1);
+
+      await game.joinGame({ from: opponent, value: betAmount });
+
+      const players = await game.getPlayers();
+      assert.equal(players[0], opponent, "Joiner should play white");
+      assert.equal(players[1], creator, "Creator should play black");
+      assert.equal(await game.currentPlayer(), opponent, "White should move first");
+
+      await game.makeMove(6, 4, 4, 4, { from: opponent });
+      assert.equal(await game.currentPlayer(), creator);
+    });
+
+    it("should only allow joinGameAsBlack when the creator plays white", async () => {
+      for (const color of [1, 2]) {
+        const { game } = await createGame(color);
+        try {
+          await game.joinGameAsBlack({ from: opponent, value: betAmount });
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert.include(error.message, "revert");
+        }
+      }
+
+      const { game } = await createGame(0);
+      await game.joinGameAsBlack({ from: opponent, value: betAmount });
+      const players = await game.getPlayers();
+      assert.equal(players[1], opponent);
+    });
+
+    it("should settle a random colour from the block after the join", async () => {
+      const { game } = await createGame(2);
+      const joinTx = await game.joinGame({ from: opponent, value: betAmount });
+
+      assert.equal((await game.colorSeedBlock()).toNumber(), joinTx.receipt.blockNumber + 1);
+
+      // The seed block is the one this transaction lands in: its hash isn't known yet
+      try {
+        await game.resolveColors({ from: creator });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+
+      await mineBlocksPast(joinTx.receipt.blockNumber + 1);
+      const { 0: white, 1: black } = await game.getPlayers();
+      assert.sameMembers([white, black], [creator, opponent]);
+
+      // The loser of the draw can't move first; the winner's move settles the draw
+      try {
+        await game.makeMove(6, 4, 4, 4, { from: black });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+
+      const moveTx = await game.makeMove(6, 4, 4, 4, { from: white });
+      const assigned = moveTx.logs.find((log) => log.event === "ColorsAssigned");
+      assert.isOk(assigned, "ColorsAssigned event should be emitted");
+      assert.equal(assigned.args.whitePlayer, white);
+      assert.equal(assigned.args.blackPlayer, black);
+      assert.equal((await game.colorSeedBlock()).toNumber(), 0);
+      assert.equal(await game.currentPlayer(), black);
+    });
+
+    it("should let anyone settle a random colour with resolveColors", async () => {
+      const { game } = await createGame(2);
+      await game.joinGame({ from: opponent, value: betAmount });
+      await mineBlocksPast((await game.colorSeedBlock()).toNumber());
+
+      const { 0: white } = await game.getPlayers();
+      await game.resolveColors({ from: accounts[2] });
+
+      assert.equal((await game.colorSeedBlock()).toNumber(), 0);
+      assert.equal(await game.currentPlayer(), white);
+    });
+
+    it("should not let the loser of a random draw take white by waiting out the blockhash window", async () => {
+      const { game } = await createGame(2);
+      await game.joinGame({ from: opponent, value: betAmount });
+      const seedBlock = (await game.colorSeedBlock()).toNumber();
+
+      await mineBlocksPast(seedBlock);
+      const { 0: white, 1: black } = await game.getPlayers();
+
+      // The loser waits until the seed block hash is gone
+      await mineBlocksPast(seedBlock + 256);
+
+      try {
+        await game.makeMove(6, 4, 4, 4, { from: black });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+
+      // Only a player can settle an expired draw
+      try {
+        await game.resolveColors({ from: accounts[2] });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+
+      // Settling it leaves the loser on black, with white on the clock since the seed block
+      const settleTx = await game.resolveColors({ from: black });
+      const assigned = settleTx.logs.find((log) => log.event === "ColorsAssigned");
+      assert.equal(assigned.args.whitePlayer, white);
+      assert.equal(assigned.args.blackPlayer, black);
+      assert.equal(await game.currentPlayer(), white);
+      assert.equal((await game.whiteLastMoveBlock()).toNumber(), seedBlock);
+    });
+
+    it("should hand the first move to the opponent when the winner of a draw stalls past the window", async () => {
+      const { game } = await createGame(2);
+      await game.joinGame({ from: opponent, value: betAmount });
+      const seedBlock = (await game.colorSeedBlock()).toNumber();
+
+      await mineBlocksPast(seedBlock);
+      const { 0: white, 1: black } = await game.getPlayers();
+      await mineBlocksPast(seedBlock + 256);
+
+      await game.resolveColors({ from: white });
+      const players = await game.getPlayers();
+      assert.equal(players[0], black, "The player who let the hash expire should not keep white");
+      assert.equal(players[1], white);
+      assert.equal(await game.currentPlayer(), black);
+    });
+
+    it("should let a player claim a timeout in an abandoned random game", async () => {
+      // Finney preset: 300 blocks per move
+      await chessFactory.createChessGameWithColor(0, 0, 2, ZERO_ADDRESS, { from: creator, value: betAmount });
+      const deployedGames = await chessFactory.getDeployedChessGames();
+      const game = await ChessCore.at(deployedGames[deployedGames.length - 1]);
+      await game.joinGame({ from: opponent, value: betAmount });
+      const seedBlock = (await game.colorSeedBlock()).toNumber();
+
+      await mineBlocksPast(seedBlock);
+      const { 0: white, 1: black } = await game.getPlayers();
+
+      // White never shows up; the clock has run since the seed block
+      await mineBlocksPast(seedBlock + 299);
+      const status = await game.getTimeoutStatus();
+      assert.equal(status.whiteBlocksRemaining.toNumber(), 0);
+
+      const claimTx = await game.claimVictoryByTimeout({ from: black });
+      assert.isOk(claimTx.logs.find((log) => log.event === "ColorsAssigned"));
+      const timeout = claimTx.logs.find((log) => log.event === "GameTimeout");
+      assert.equal(timeout.args.winner, black);
+      assert.equal(timeout.args.loser, white);
+      assert.equal((await game.getGameState()).toNumber(), 5, "Black should win");
+    });
+
+    it("should combine a colour choice with an invitation", async () => {
+      const { tx, game } = await createGame(1, opponent);
+
+      assert.isOk(tx.logs.find((log) => log.event === "GameInvitation"));
+      try {
+        await game.joinGame({ from: accounts[2], value: betAmount });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+
+      await game.joinGame({ from: opponent, value: betAmount });
+      const players = await game.getPlayers();
+      assert.equal(players[0], opponent);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const ChessCore = artifacts.require("ChessCore");
+const ChessFactory = artifacts.require("ChessFactory");
+const ChessNFT = artifacts.require("ChessNFT");
+
+const JSON_PREFIX = "data:application/json;base64,";
+const SVG_PREFIX = "data:image/svg+xml;base64,";
+
+function decodeTokenURI(uri) {
+  assert.isTrue(uri.startsWith(JSON_PREFIX), "tokenURI should be base64 JSON");
+  return JSON.parse(Buffer.from(uri.slice(JSON_PREFIX.length), "base64").toString("utf8"));
+}
+
+// OpenSea metadata: name, description, image and { trait_type, value[, display_type] } attributes
+function assertMetadataSchema(metadata) {
+  assert.hasAllKeys(metadata, ["name", "description", "image", "attributes"]);
+  assert.isString(metadata.name);
+  assert.isString(metadata.description);
+  assert.isTrue(metadata.image.startsWith(SVG_PREFIX), "image should be a base64 SVG");
+  const svg = Buffer.from(metadata.image.slice(SVG_PREFIX.length), "base64").toString("utf8");
+  assert.isTrue(svg.startsWith("<svg") && svg.endsWith("</svg>"), "image should decode to an SVG document");
+
+  assert.isArray(metadata.attributes);
+  for (const attribute of metadata.attributes) {
+    assert.isString(attribute.trait_type);
+    if (attribute.display_type !== undefined) {
+      assert.equal(attribute.display_type, "number");
+      assert.isNumber(attribute.value, `${attribute.trait_type} should be numeric`);
+    } else {
+      assert.isString(attribute.value, `${attribute.trait_type} should be text`);
+    }
+  }
+}
+
+function attributeMap(metadata) {
+  return Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+}
+
+contract("ChessNFT", (accounts) => {
+  const whitePlayer = accounts[0];
+  const blackPlayer = accounts[1];
+  const betAmount = web3.utils.toWei("1", "ether");
+
+  let chessFactory;
+  let chessNFT;
+
+  before(async () => {
+    const chessCoreImpl = await ChessCore.new();
+    chessFactory = await ChessFactory.new(chessCoreImpl.address);
+    chessNFT = await ChessNFT.at(await chessFactory.addressNFT());
+  });
+
+  async function createGame(preset, mode, value) {
+    await chessFactory.createChessGame(preset, mode, { from: whitePlayer, value });
+    const deployedGames = await chessFactory.getDeployedChessGames();
+    const game = await ChessCore.at(deployedGames[deployedGames.length - 1]);
+    const tokenId = await game.gameId();
+    return { game, tokenId };
+  }
+
+  async function readMetadata(tokenId) {
+    const metadata = decodeTokenURI(await chessNFT.tokenURI(tokenId));
+    assertMetadataSchema(metadata);
+    return metadata;
+  }
+
+  it("should mint the game NFT to its creator and link it to the game", async () => {
+    const { game, tokenId } = await createGame(2, 0, betAmount);
+
+    assert.equal(await chessNFT.ownerOf(tokenId), whitePlayer);
+    assert.equal(await chessNFT.getGameAddress(tokenId), game.address);
+  });
+
+  it("should describe a game waiting for an opponent", async () => {
+    const { tokenId } = await createGame(2, 0, betAmount);
+    const metadata = await readMetadata(tokenId);
+
+    assert.equal(metadata.name, `Game #${tokenId}`);
+    assert.deepEqual(attributeMap(metadata), {
+      "White": whitePlayer.toLowerCase(),
+      "Black": "None",
+      "Result": "Not Started",
+      "Plies": 0,
+      "Game Mode": "Tournament",
+      "Time Control": "Nakamoto",
+      "Stake (ETH)": 1,
+      "Disputed": "No"
+    });
+  });
+
+  it("should follow the game as it is played and finished", async () => {
+    const { game, tokenId } = await createGame(2, 0, betAmount);
+    const initialImage = (await readMetadata(tokenId)).image;
+
+    await game.joinGameAsBlack({ from: blackPlayer, value: betAmount });
+    await game.makeMove(6, 4, 4, 4, { from: whitePlayer }); // e2->e4
+    await game.makeMove(1, 4, 3, 4, { from: blackPlayer }); // e7->e5
+
+    let metadata = await readMetadata(tokenId);
+    let attributes = attributeMap(metadata);
+    assert.equal(attributes["Black"], blackPlayer.toLowerCase());
+    assert.equal(attributes["Result"], "In Progress");
+    assert.equal(attributes["Plies"], 2);
+    assert.notEqual(metadata.image, initialImage, "The image should show the current position");
+
+    await game.resign({ from: whitePlayer });
+
+    metadata = await readMetadata(tokenId);
+    attributes = attributeMap(metadata);
+    assert.equal(attributes["Result"], "Black Wins");
+    assert.equal(attributes["Disputed"], "No", "Without a DisputeDAO no game is disputed");
+  });
+
+  it("should report the game mode, time control and a fractional stake", async () => {
+    const { tokenId } = await createGame(0, 1, web3.utils.toWei("0.05", "ether"));
+    const attributes = attributeMap(await readMetadata(tokenId));
+
+    assert.equal(attributes["Game Mode"], "Friendly");
+    assert.equal(attributes["Time Control"], "Finney");
+    assert.equal(attributes["Stake (ETH)"], 0.05);
+  });
+
+  it("should revert for a token that does not exist", async () => {
+    try {
+      await chessNFT.tokenURI(999999);
+      assert.fail("Should have reverted");
+    } catch (error) {
+      assert.include(error.message, "revert");
+    }
+  });
+});
@@ -6,6 +6,7 @@ const ChessFactory = artifacts.require("ChessFactory");
 const ChessCore = artifacts.require("ChessCore");
 const PlayerRating = artifacts.require("PlayerRating");
 const RewardPool = artifacts.require("RewardPool");
+const ChessNFT = artifacts.require("ChessNFT");
 
 // Time manipulation helper using promise
 const advanceTime = (seconds) => {
@@ -575,6 +576,21 @@ contract("Integration - ChessCore with Anti-Cheating System", (accounts) => {
       assert.equal(blackBehaviorFactor.toString(), "1000", "Cheat resolution should not fabricate a resign penalty for black");
     });
 
+    it("should mark the game NFT as disputed only once the game is challenged", async () => {
+      const chessNFT = await ChessNFT.at(await chessFactory.addressNFT());
+      const disputedAttribute = async () => {
+        const uri = await chessNFT.tokenURI(gameId);
+        const metadata = JSON.parse(Buffer.from(uri.replace("data:application/json;base64,", ""), "base64").toString("utf8"));
+        return metadata.attributes.find((attribute) => attribute.trait_type === "Disputed").value;
+      };
+
+      await chessCore.resign({ from: whitePlayer });
+      assert.equal(await disputedAttribute(), "No", "Registering a finished game is not a dispute");
+
+      await disputeDAO.challenge(gameId, blackPlayer, { from: challenger });
+      assert.equal(await disputedAttribute(), "Yes");
+    });
+
     it("should block the cheater from claiming the prize and allow the honest player to claim it", async () => {
       await chessCore.resign({ from: whitePlayer });
       await resolveCurrentDisputeAsCheat(blackPlayer, "claim-prize-cheat");
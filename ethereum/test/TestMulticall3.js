@@ -0,0 +1,74 @@
+const Multicall3 = artifacts.require("Multicall3");
+const ChessToken = artifacts.require("ChessToken");
+
+contract("Multicall3", (accounts) => {
+  const admin = accounts[0];
+  const teamWallet = accounts[1];
+  const treasury = accounts[2];
+  const user1 = accounts[3];
+
+  let multicall;
+  let chessToken;
+
+  beforeEach(async () => {
+    multicall = await Multicall3.new({ from: admin });
+    chessToken = await ChessToken.new(teamWallet, treasury, { from: admin });
+  });
+
+  describe("aggregate3", () => {
+    it("should return the results of every view call in order", async () => {
+      const calls = [
+        { target: chessToken.address, allowFailure: false, callData: chessToken.contract.methods.symbol().encodeABI() },
+        { target: chessToken.address, allowFailure: false, callData: chessToken.contract.methods.balanceOf(treasury).encodeABI() }
+      ];
+
+      const results = await multicall.aggregate3.call(calls);
+      assert.equal(results.length, 2);
+      assert.isTrue(results[0].success);
+      assert.isTrue(results[1].success);
+
+      const symbol = web3.eth.abi.decodeParameter("string", results[0].returnData);
+      const balance = web3.eth.abi.decodeParameter("uint256", results[1].returnData);
+      assert.equal(symbol, "CHESS");
+      assert.equal(balance.toString(), (await chessToken.balanceOf(treasury)).toString());
+    });
+
+    it("should report failed calls that allow failure without reverting", async () => {
+      // Minting from a non-minter reverts inside the batch
+      const amount = web3.utils.toWei("1", "ether");
+      const calls = [
+        { target: chessToken.address, allowFailure: true, callData: chessToken.contract.methods.mintPlayToEarn(user1, amount).encodeABI() },
+        { target: chessToken.address, allowFailure: true, callData: chessToken.contract.methods.name().encodeABI() }
+      ];
+
+      const results = await multicall.aggregate3.call(calls, { from: user1 });
+      assert.isFalse(results[0].success);
+      assert.isTrue(results[1].success);
+      assert.equal(web3.eth.abi.decodeParameter("string", results[1].returnData), "Chess Token");
+    });
+
+    it("should revert when a call that disallows failure fails", async () => {
+      const amount = web3.utils.toWei("1", "ether");
+      const calls = [
+        { target: chessToken.address, allowFailure: false, callData: chessToken.contract.methods.mintPlayToEarn(user1, amount).encodeABI() }
+      ];
+
+      try {
+        await multicall.aggregate3.call(calls, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert.include(error.message, "revert");
+      }
+    });
+  });
+
+  describe("Block helpers", () => {
+    it("should return the current block number and balances", async () => {
+      const blockNumber = await multicall.getBlockNumber();
+      assert.equal(blockNumber.toNumber(), await web3.eth.getBlockNumber());
+
+      const balance = await multicall.getEthBalance(admin);
+      assert.equal(balance.toString(), await web3.eth.getBalance(admin));
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import { copyFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Lite single-threaded Stockfish: small, and needs no cross-origin isolation headers
+const engineDir = path.resolve(__dirname, '../node_modules/stockfish');
+const outputDir = path.resolve(__dirname, '../static/engine');
+
+const files = [
+	['bin/stockfish-19-lite-single.js', 'stockfish.js'],
+	['bin/stockfish-19-lite-single.wasm', 'stockfish.wasm'],
+	['Copying.txt', 'COPYING.txt']
+];
+
+await mkdir(outputDir, { recursive: true });
+
+for (const [source, target] of files) {
+	await copyFile(path.join(engineDir, source), path.join(outputDir, target));
+}
@@ -14,10 +14,12 @@ const contractNames = [
 	'ChessCore',
 	'ChessFactory',
 	'ChessGovernor',
+	'ChessNFT',
 	'ChessTimelock',
 	'ChessToken',
 	'DisputeDAO',
-	'PlayerRating'
+	'PlayerRating',
+	'RewardPool'
 ];
 
 await mkdir(outputDir, { recursive: true });
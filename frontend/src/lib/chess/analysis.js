@@ -0,0 +1,172 @@
+import { Chess } from 'chess.js';
+import { createPosition, parseSquare } from './rules.js';
+import { MATE_SCORE } from './engine.js';
+import { movePromotion } from './annotations.js';
+
+// Drop in White's winning chances (-1..1) from the mover's side, as lichess grades moves
+export const CLASSIFICATIONS = [
+	{ key: 'blunder', label: 'Blunder', threshold: 0.3, color: '#ef4444' },
+	{ key: 'mistake', label: 'Mistake', threshold: 0.2, color: '#f97316' },
+	{ key: 'inaccuracy', label: 'Inaccuracy', threshold: 0.1, color: '#eab308' }
+];
+
+// Evaluations beyond this many centipawns count as decided
+const CP_CLAMP = 1000;
+
+const PROMOTION_LETTERS = { 2: 'n', 3: 'b', 4: 'r', 5: 'q' };
+
+/**
+ * White's winning chances in [-1, 1] for a centipawn score
+ */
+export function winningChances(score) {
+	const cp = Math.max(-CP_CLAMP, Math.min(CP_CLAMP, score));
+	return 2 / (1 + Math.exp(-0.00368208 * cp)) - 1;
+}
+
+// Evaluation as shown to players: +0.35, -1.20, #3, #-2
+export function formatEval({ score, mate }) {
+	if (mate !== null && mate !== undefined) {
+		return mate === 0 ? (score > 0 ? '1-0' : '0-1') : `#${mate}`;
+	}
+	return `${score >= 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+}
+
+function uciOf(move) {
+	const promotion = PROMOTION_LETTERS[movePromotion(move)] || '';
+	return `${move.from}${move.to}${promotion}`;
+}
+
+// Stockfish can't search positions without exactly one king a side, or with
+// the side that just moved still in check (possible on edited Friendly boards)
+function isSearchable(position) {
+	if (!position) return false;
+	const kings = { w: 0, b: 0 };
+	for (const row of position.board()) {
+		for (const cell of row) {
+			if (cell?.type === 'k') kings[cell.color]++;
+		}
+	}
+	if (kings.w !== 1 || kings.b !== 1) return false;
+
+	const [placement, turn] = position.fen().split(' ');
+	try {
+		const opponent = new Chess(`${placement} ${turn === 'w' ? 'b' : 'w'} - - 0 1`, { skipValidation: true });
+		return !opponent.inCheck();
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Positions of a game ready for analysis. boards: board before the first
+ * move and after every move; moves: { from, to, promotion?, isWhite }.
+ * Each entry is { fen, position } or null when the engine can't search it.
+ */
+export function gamePositions(boards, moves) {
+	return boards.map((board, index) => {
+		const previous = moves[index - 1];
+		const lastFrom = previous && parseSquare(previous.from);
+		const lastTo = previous && parseSquare(previous.to);
+		const position = createPosition(board, {
+			isWhiteTurn: previous ? !previous.isWhite : moves[0]?.isWhite !== false,
+			moveHistory: moves.slice(0, index),
+			lastMove: lastFrom && lastTo ? { from: lastFrom, to: lastTo } : null
+		});
+		return isSearchable(position) ? { fen: position.fen(), position } : null;
+	});
+}
+
+// SAN of a UCI move in a position, or the UCI string if chess.js rejects it
+function sanOf(position, uci) {
+	try {
+		const copy = new Chess(position.fen(), { skipValidation: true });
+		return copy.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] }).san;
+	} catch {
+		return uci;
+	}
+}
+
+async function evaluatePosition(engine, entry, depth) {
+	if (!entry) return null;
+	const { fen, position } = entry;
+
+	// Game over on the board: nothing to search
+	if (position.moves().length === 0) {
+		const mated = position.inCheck();
+		const whiteMated = position.turn() === 'w';
+		return {
+			fen,
+			depth: 0,
+			score: mated ? (whiteMated ? -MATE_SCORE : MATE_SCORE) : 0,
+			mate: mated ? 0 : null,
+			bestMove: null,
+			bestSan: null,
+			pv: []
+		};
+	}
+
+	const result = await engine.evaluate(fen, { depth });
+	return {
+		fen,
+		...result,
+		bestSan: result.bestMove ? sanOf(position, result.bestMove) : null
+	};
+}
+
+/**
+ * Grade the move played between two evaluated positions: { classification,
+ * loss, cpLoss, isBest }. loss is the drop in winning chances for the mover,
+ * cpLoss the centipawns given away (both 0 or more).
+ */
+export function gradeMove(move, before, after) {
+	if (!before || !after) return null;
+	const sign = move.isWhite ? 1 : -1;
+	const isBest = before.bestMove === uciOf(move);
+	const loss = Math.max(0, (winningChances(before.score) - winningChances(after.score)) * sign);
+	const clamp = score => Math.max(-CP_CLAMP, Math.min(CP_CLAMP, score));
+	const cpLoss = Math.max(0, (clamp(before.score) - clamp(after.score)) * sign);
+	const grade = isBest ? null : CLASSIFICATIONS.find(c => loss >= c.threshold);
+	return { classification: grade?.key || null, loss, cpLoss: isBest ? 0 : cpLoss, isBest };
+}
+
+/**
+ * Per-side totals of a graded game: { white, black }, each with
+ * { blunder, mistake, inaccuracy, best, moves, acpl }.
+ */
+export function summarize(moves, grades) {
+	const empty = () => ({ blunder: 0, mistake: 0, inaccuracy: 0, best: 0, moves: 0, cpLoss: 0 });
+	const sides = { white: empty(), black: empty() };
+	moves.forEach((move, index) => {
+		const grade = grades[index];
+		if (!grade) return;
+		const side = sides[move.isWhite ? 'white' : 'black'];
+		side.moves++;
+		side.cpLoss += grade.cpLoss;
+		if (grade.isBest) side.best++;
+		if (grade.classification) side[grade.classification]++;
+	});
+	for (const side of Object.values(sides)) {
+		side.acpl = side.moves ? Math.round(side.cpLoss / side.moves) : 0;
+		delete side.cpLoss;
+	}
+	return sides;
+}
+
+/**
+ * Evaluate every position of a game with `engine` (see engine.js), in order.
+ * onProgress(evaluations) fires after each position with the evaluations so
+ * far; terminating the engine stops the run. Returns one evaluation per
+ * position (null where the engine can't search) and one grade per move.
+ */
+export async function analyseGame(engine, boards, moves, { depth = 12, onProgress = null } = {}) {
+	const positions = gamePositions(boards, moves);
+	const evaluations = [];
+
+	for (const entry of positions) {
+		evaluations.push(await evaluatePosition(engine, entry, depth));
+		onProgress?.(evaluations.slice());
+	}
+
+	const grades = moves.map((move, index) => gradeMove(move, evaluations[index], evaluations[index + 1]));
+	return { evaluations, grades, summary: summarize(moves, grades) };
+}
@@ -0,0 +1,144 @@
+// Animated SVG (SMIL) export of a game replay.
+//
+// Board and pieces are drawn the way ChessMediaLibrary.sol draws the NFT
+// image: 50px squares on a 400px board, unicode glyphs filled white or black.
+// Every position is a frame group shown in turn by a discrete visibility
+// animation, so the file plays in any browser without script.
+
+const SQUARE = 50;
+const BOARD = SQUARE * 8;
+const CAPTION = 32;
+const HEIGHT = BOARD + CAPTION * 2;
+
+// Same colours and glyphs as ChessMediaLibrary
+const DARK_SQUARE = '#808080';
+const LIGHT_SQUARE = '#D8D8D8';
+const GLYPHS = { 1: '&#9817;', 2: '&#9816;', 3: '&#9815;', 4: '&#9814;', 5: '&#9813;', 6: '&#9812;' };
+const PIECE_FONT = 'arial unicode ms,Helvetica,Arial,sans-serif';
+
+const HIGHLIGHT = '#f6f669';
+const CAPTION_FONT = 'Helvetica,Arial,sans-serif';
+
+// How many frame delays the final position stays up before looping
+const FINAL_HOLD = 3;
+
+const RESULT_LABELS = {
+	'1-0': 'White wins',
+	'0-1': 'Black wins',
+	'1/2-1/2': 'Draw'
+};
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+function boardSquares() {
+	let squares = `<rect x='0' y='0' width='${BOARD}' height='${BOARD}' fill='${DARK_SQUARE}'/>`;
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			if ((row + col) % 2 === 0) {
+				squares += `<rect x='${col * SQUARE}' y='${row * SQUARE}' width='${SQUARE}' height='${SQUARE}' fill='${LIGHT_SQUARE}'/>`;
+			}
+		}
+	}
+	return squares;
+}
+
+function pieces(board, flipped) {
+	let white = `<g fill='#fff' stroke='#fff' font-family='${PIECE_FONT}' font-size='40'>`;
+	let black = `<g fill='#000' stroke='#000' font-family='${PIECE_FONT}' font-size='40'>`;
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			const piece = board[row][col];
+			if (!piece) continue;
+			const x = (flipped ? 7 - col : col) * SQUARE + SQUARE / 2;
+			const y = (flipped ? 7 - row : row) * SQUARE + SQUARE / 2;
+			const glyph = `<text x='${x}' y='${y}' text-anchor='middle' dy='.3em' stroke-width='1'>${GLYPHS[Math.abs(piece)]}</text>`;
+			if (piece > 0) white += glyph;
+			else black += glyph;
+		}
+	}
+	return `${white}</g>${black}</g>`;
+}
+
+function highlight(move, flipped) {
+	if (!move) return '';
+	return [move.from, move.to].map(({ row, col }) => {
+		const x = (flipped ? 7 - col : col) * SQUARE;
+		const y = (flipped ? 7 - row : row) * SQUARE;
+		return `<rect x='${x}' y='${y}' width='${SQUARE}' height='${SQUARE}' fill='${HIGHLIGHT}' fill-opacity='0.55'/>`;
+	}).join('');
+}
+
+function caption(y, left, right = '') {
+	return `<text x='10' y='${y}' dy='.35em'>${escapeXml(left)}</text>` +
+		(right ? `<text x='${BOARD - 10}' y='${y}' dy='.35em' text-anchor='end'>${escapeXml(right)}</text>` : '');
+}
+
+function moveLabel(move) {
+	if (!move) return 'Start';
+	return `${move.moveNumber}.${move.isWhite ? '' : '..'} ${move.notation}`;
+}
+
+/**
+ * Render a replay as an animated SVG document.
+ *
+ * positions: board after each ply, starting with the initial board
+ * (positions.length === moves.length + 1).
+ * moves: the replay's move list ({ moveNumber, isWhite, notation }).
+ * lastMoves: { from, to } contract coordinates per move, or null, for the
+ * highlight.
+ * Options: frameDelay in ms, orientation 'white' | 'black', white/black
+ * player captions and a PGN result tag shown on the final frame.
+ */
+export function buildAnimatedSvg(positions, moves, lastMoves, {
+	frameDelay = 1500,
+	orientation = 'white',
+	white = 'White',
+	black = 'Black',
+	result = '*'
+} = {}) {
+	const flipped = orientation === 'black';
+	const frameCount = positions.length;
+	const durations = positions.map((_, i) => (i === frameCount - 1 ? frameDelay * FINAL_HOLD : frameDelay));
+	const total = durations.reduce((sum, d) => sum + d, 0);
+	const resultLabel = RESULT_LABELS[result];
+
+	// Player at the bottom of the board, as on screen
+	const bottom = flipped ? `♚ ${black}` : `♔ ${white}`;
+	const top = flipped ? `♔ ${white}` : `♚ ${black}`;
+
+	let start = 0;
+	const frames = positions.map((board, i) => {
+		const begin = start / total;
+		const end = (start + durations[i]) / total;
+		start += durations[i];
+
+		const isLast = i === frameCount - 1;
+		const label = isLast && resultLabel ? `${moveLabel(moves[i - 1])} · ${resultLabel} (${result})` : moveLabel(moves[i - 1]);
+		// Shown from begin to end of every cycle; without SMIL only the final position is visible
+		const animation = `<animate attributeName='visibility' calcMode='discrete' values='hidden;visible;hidden' ` +
+			`keyTimes='0;${begin.toFixed(6)};${end.toFixed(6)}' dur='${total}ms' repeatCount='indefinite'/>`;
+
+		return `<g visibility='${isLast ? 'visible' : 'hidden'}'>${animation}` +
+			`<g transform='translate(0 ${CAPTION})'>${highlight(lastMoves[i - 1], flipped)}${pieces(board, flipped)}</g>` +
+			`<g font-family='${CAPTION_FONT}' font-size='14' fill='#e5e5e5'>${caption(HEIGHT - CAPTION / 2, '', label)}</g>` +
+			'</g>';
+	});
+
+	return `<?xml version='1.0' encoding='UTF-8'?>\n` +
+		`<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 ${BOARD} ${HEIGHT}' width='${BOARD}' height='${HEIGHT}'>` +
+		`<rect width='${BOARD}' height='${HEIGHT}' fill='#1a1a2e'/>` +
+		`<g transform='translate(0 ${CAPTION})'>${boardSquares()}</g>` +
+		`<g font-family='${CAPTION_FONT}' font-size='14' fill='#e5e5e5'>` +
+		caption(CAPTION / 2, top) +
+		caption(HEIGHT - CAPTION / 2, bottom) +
+		'</g>' +
+		frames.join('') +
+		'</svg>\n';
+}
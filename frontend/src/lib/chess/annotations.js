@@ -0,0 +1,192 @@
+// Annotation tree for GameReplay: the game's moves as the main line, plus
+// variations branched from any ply, each move carrying a comment, NAGs and
+// board shapes (arrows and circles).
+//
+// Main-line nodes are keyed by ply (m0, m1, ...) so saved annotations stay
+// attached while an on-chain game keeps growing; variation nodes are v0, v1, ...
+// children[0] of a node is the line that continues it, the rest are variations.
+
+export const ROOT = 'root';
+
+// Move assessment glyphs (NAGs $1-$6); a move carries at most one
+export const MOVE_NAGS = [
+	{ nag: 1, symbol: '!', name: 'Good move' },
+	{ nag: 2, symbol: '?', name: 'Mistake' },
+	{ nag: 3, symbol: '!!', name: 'Brilliant move' },
+	{ nag: 4, symbol: '??', name: 'Blunder' },
+	{ nag: 5, symbol: '!?', name: 'Interesting move' },
+	{ nag: 6, symbol: '?!', name: 'Dubious move' }
+];
+
+// Shape colours, with the letter used by [%csl] / [%cal] PGN commands
+export const SHAPE_COLORS = {
+	green: { letter: 'G', fill: '#15781b' },
+	red: { letter: 'R', fill: '#882020' },
+	blue: { letter: 'B', fill: '#003088' },
+	yellow: { letter: 'Y', fill: '#e68f00' }
+};
+
+const STORAGE_PREFIX = 'chess-annotations-';
+const STORAGE_VERSION = 1;
+
+function createNode(id, parent, move) {
+	return { id, parent, move, children: [], comment: '', nags: [], shapes: [] };
+}
+
+// Promotion piece of a move; older history entries only carry it inside the notation (e.g. e8=Q)
+export function movePromotion(move) {
+	if (move.promotion) return Math.abs(move.promotion);
+	const match = move.notation?.match(/=([QRBN])/);
+	return match ? { Q: 5, R: 4, B: 3, N: 2 }[match[1]] : 0;
+}
+
+function sameMove(a, b) {
+	return a.from === b.from && a.to === b.to && movePromotion(a) === movePromotion(b);
+}
+
+function isAnnotated(node) {
+	return Boolean(node.comment) || node.nags.length > 0 || node.shapes.length > 0;
+}
+
+/**
+ * Tree holding `moves` ({ from, to, promotion?, notation, isWhite, moveNumber })
+ * as its main line and nothing else.
+ */
+export function createAnnotationTree(moves) {
+	const nodes = { [ROOT]: createNode(ROOT, null, null) };
+	let parent = ROOT;
+	moves.forEach((move, index) => {
+		const id = `m${index}`;
+		nodes[id] = createNode(id, parent, move);
+		nodes[parent].children.push(id);
+		parent = id;
+	});
+	return { nodes, nextVariation: 0 };
+}
+
+// Node ids from the first move up to `id`
+export function pathTo(tree, id) {
+	const path = [];
+	for (let node = tree.nodes[id]; node && node.id !== ROOT; node = tree.nodes[node.parent]) {
+		path.unshift(node.id);
+	}
+	return path;
+}
+
+// Whether `id` lies on the line reached by always following children[0]
+export function isMainLine(tree, id) {
+	return pathTo(tree, id).every(nodeId => {
+		const node = tree.nodes[nodeId];
+		return tree.nodes[node.parent].children[0] === nodeId;
+	});
+}
+
+/**
+ * Play `move` after `parentId`. A move already in the tree is reused, so
+ * replaying a known line just navigates it. Returns the node id.
+ */
+export function addMove(tree, parentId, move) {
+	const parent = tree.nodes[parentId];
+	const existing = parent.children.find(id => sameMove(tree.nodes[id].move, move));
+	if (existing) return existing;
+
+	const id = `v${tree.nextVariation++}`;
+	tree.nodes[id] = createNode(id, parentId, move);
+	parent.children.push(id);
+	return id;
+}
+
+/**
+ * Delete a variation move and everything after it. Main-line moves come from
+ * the game itself and can't be deleted. Returns the parent id.
+ */
+export function removeVariation(tree, id) {
+	const node = tree.nodes[id];
+	if (!node || !id.startsWith('v')) return null;
+
+	const parent = tree.nodes[node.parent];
+	parent.children = parent.children.filter(child => child !== id);
+	const stack = [id];
+	while (stack.length > 0) {
+		const current = stack.pop();
+		stack.push(...tree.nodes[current].children);
+		delete tree.nodes[current];
+	}
+	return node.parent;
+}
+
+// Set or clear a move's assessment glyph
+export function toggleNag(tree, id, nag) {
+	const node = tree.nodes[id];
+	node.nags = node.nags.includes(nag) ? [] : [nag];
+}
+
+/**
+ * Add a shape ({ from, to, color }; from === to is a circle) to a node, or
+ * remove it when the same squares are drawn again in the same colour.
+ */
+export function toggleShape(tree, id, shape) {
+	const node = tree.nodes[id];
+	const index = node.shapes.findIndex(s => s.from === shape.from && s.to === shape.to);
+	if (index < 0) {
+		node.shapes = [...node.shapes, shape];
+	} else if (node.shapes[index].color === shape.color) {
+		node.shapes = node.shapes.filter((_, i) => i !== index);
+	} else {
+		node.shapes = node.shapes.map((s, i) => (i === index ? shape : s));
+	}
+}
+
+/**
+ * Annotations saved for a game, rebuilt on top of its current move list.
+ * Missing or unreadable data gives a plain tree of `moves`.
+ */
+export function loadAnnotations(key, moves) {
+	const tree = createAnnotationTree(moves);
+	if (typeof localStorage === 'undefined' || !key) return tree;
+
+	let saved;
+	try {
+		saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key.toLowerCase()) || 'null');
+	} catch {
+		saved = null;
+	}
+	if (!saved || saved.version !== STORAGE_VERSION) return tree;
+
+	// A saved variation may since have been played on chain, then it maps onto the main line
+	const ids = {};
+	const resolve = id => ids[id] ?? id;
+	for (const variation of saved.variations || []) {
+		const parentId = resolve(variation.parent);
+		if (!tree.nodes[parentId]) continue;
+		// Saved ids ascend, so the new node takes the saved id again
+		tree.nextVariation = Math.max(tree.nextVariation, Number(variation.id.slice(1)));
+		ids[variation.id] = addMove(tree, parentId, variation.move);
+	}
+
+	for (const [savedId, { comment = '', nags = [], shapes = [] }] of Object.entries(saved.annotations || {})) {
+		const node = tree.nodes[resolve(savedId)];
+		if (node) Object.assign(node, { comment, nags, shapes });
+	}
+	return tree;
+}
+
+// Save a game's variations and annotations; an unannotated tree clears the entry
+export function saveAnnotations(key, tree) {
+	if (typeof localStorage === 'undefined' || !key) return;
+
+	const variations = Object.values(tree.nodes)
+		.filter(node => node.id.startsWith('v'))
+		.sort((a, b) => Number(a.id.slice(1)) - Number(b.id.slice(1)))
+		.map(({ id, parent, move }) => ({ id, parent, move }));
+	const annotations = Object.fromEntries(Object.values(tree.nodes)
+		.filter(isAnnotated)
+		.map(({ id, comment, nags, shapes }) => [id, { comment, nags, shapes }]));
+
+	const storageKey = STORAGE_PREFIX + key.toLowerCase();
+	if (variations.length === 0 && Object.keys(annotations).length === 0) {
+		localStorage.removeItem(storageKey);
+	} else {
+		localStorage.setItem(storageKey, JSON.stringify({ version: STORAGE_VERSION, variations, annotations }));
+	}
+}
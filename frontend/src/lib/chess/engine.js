@@ -0,0 +1,137 @@
+import { assets } from '$app/paths';
+
+// Stockfish (lite, single-threaded WASM) copied into static/ by
+// scripts/copy-engine.mjs: it runs in its own Web Worker and loads
+// stockfish.wasm next to itself, so analysis needs no network
+const ENGINE_URL = `${assets}/engine/stockfish.js`;
+
+// Centipawn value standing in for a forced mate; mates nearer the board score higher
+export const MATE_SCORE = 100000;
+
+/**
+ * Parse the output of one search into a White-relative evaluation:
+ * { depth, score, mate, bestMove, pv }. score is in centipawns (mates as
+ * ±(MATE_SCORE - moves)); mate is the signed number of moves to mate, or null.
+ * Moves are UCI strings (e2e4, e7e8q); bestMove is null when there is none.
+ */
+export function parseSearch(lines, fen) {
+	const whiteToMove = fen.split(' ')[1] !== 'b';
+	let info = null;
+	for (const line of lines) {
+		if (line.startsWith('info ') && line.includes(' score ') && !/ multipv [2-9]/.test(line)) {
+			info = line;
+		}
+	}
+	const bestLine = lines.find(line => line.startsWith('bestmove'));
+	const bestMove = bestLine?.split(/\s+/)[1];
+
+	let score = 0;
+	let mate = null;
+	let depth = 0;
+	let pv = [];
+	if (info) {
+		const tokens = info.split(/\s+/);
+		depth = Number(tokens[tokens.indexOf('depth') + 1]) || 0;
+		const scoreIndex = tokens.indexOf('score');
+		const value = Number(tokens[scoreIndex + 2]);
+		if (tokens[scoreIndex + 1] === 'mate') {
+			// "mate 0": the side to move has been mated
+			mate = value;
+			score = value > 0 ? MATE_SCORE - value : -MATE_SCORE - value;
+		} else {
+			score = value;
+		}
+		const pvIndex = tokens.indexOf('pv');
+		if (pvIndex >= 0) pv = tokens.slice(pvIndex + 1);
+	}
+
+	// UCI scores are for the side to move
+	if (!whiteToMove) {
+		score = -score;
+		if (mate !== null) mate = -mate;
+	}
+
+	return {
+		depth,
+		score,
+		mate,
+		bestMove: bestMove && bestMove !== '(none)' ? bestMove : null,
+		pv
+	};
+}
+
+/**
+ * Start a UCI engine in a Web Worker. Searches run one at a time, in the
+ * order requested; terminate() stops the worker and rejects what is pending.
+ */
+export function createEngine(createWorker = () => new Worker(ENGINE_URL)) {
+	const worker = createWorker();
+	let pending = null; // { done(line), lines, resolve, reject }
+	let failure = null;
+	let queue = Promise.resolve();
+
+	function fail(error) {
+		failure = failure || error;
+		if (pending) {
+			pending.reject(failure);
+			pending = null;
+		}
+	}
+
+	worker.onmessage = (event) => {
+		if (!pending) return;
+		for (const line of String(event.data).split('\n')) {
+			pending.lines.push(line);
+			if (pending.done(line)) {
+				const { lines, resolve } = pending;
+				pending = null;
+				resolve(lines);
+				return;
+			}
+		}
+	};
+	worker.onerror = (event) => {
+		event.preventDefault?.();
+		fail(new Error(`Engine failed: ${event.message || 'could not load'}`));
+	};
+
+	// Send commands and collect output up to the line `done` accepts
+	function request(commands, done) {
+		if (failure) return Promise.reject(failure);
+		return new Promise((resolve, reject) => {
+			pending = { done, lines: [], resolve, reject };
+			for (const command of commands) worker.postMessage(command);
+		});
+	}
+
+	function enqueue(task) {
+		const run = queue.then(task);
+		queue = run.catch(() => {});
+		return run;
+	}
+
+	// Handshake first; a failure surfaces on the first search
+	enqueue(() => request(['uci'], line => line === 'uciok')
+		.then(() => request(['ucinewgame', 'isready'], line => line === 'readyok')))
+		.catch(() => {});
+
+	return {
+		/**
+		 * Evaluate a FEN to `depth` plies, see parseSearch for the result
+		 */
+		evaluate(fen, { depth = 12 } = {}) {
+			return enqueue(async () => {
+				const lines = await request(
+					[`position fen ${fen}`, `go depth ${depth}`],
+					line => line.startsWith('bestmove')
+				);
+				return parseSearch(lines, fen);
+			});
+		},
+
+		terminate() {
+			fail(new Error('Engine stopped'));
+			worker.terminate();
+		}
+	};
+}
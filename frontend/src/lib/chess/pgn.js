@@ -0,0 +1,255 @@
+import { Chess } from 'chess.js';
+import { createPosition, squareName, fenToBoard, INITIAL_BOARD } from './rules.js';
+import { ROOT, SHAPE_COLORS, createAnnotationTree } from './annotations.js';
+
+const PIECE_LETTERS = { 2: 'N', 3: 'B', 4: 'R', 5: 'Q', 6: 'K' };
+const LETTER_VALUES = { n: 2, b: 3, r: 4, q: 5 };
+
+const KNIGHT_STEPS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_STEPS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+// Geometric reachability (ignores pins) - enough to disambiguate SAN
+function canReach(board, from, to) {
+	const type = Math.abs(board[from.row][from.col]);
+	const dr = to.row - from.row;
+	const dc = to.col - from.col;
+
+	if (type === 2) return KNIGHT_STEPS.some(([r, c]) => r === dr && c === dc);
+	if (type === 6) return KING_STEPS.some(([r, c]) => r === dr && c === dc);
+
+	const straight = dr === 0 || dc === 0;
+	const diagonal = Math.abs(dr) === Math.abs(dc);
+	if ((type === 4 && !straight) || (type === 3 && !diagonal) || (type === 5 && !straight && !diagonal)) {
+		return false;
+	}
+	if (type < 3 || type > 5) return false;
+
+	const stepR = Math.sign(dr);
+	const stepC = Math.sign(dc);
+	for (let r = from.row + stepR, c = from.col + stepC; r !== to.row || c !== to.col; r += stepR, c += stepC) {
+		if (board[r][c] !== 0) return false;
+	}
+	return true;
+}
+
+// SAN built straight from the board, used when chess.js can't load the position
+// (edited Friendly boards, Tournament moves that leave the king in check)
+function manualSan(board, from, to, promotion) {
+	const piece = board[from.row][from.col];
+	const type = Math.abs(piece);
+	const target = squareName(to.row, to.col);
+
+	if (type === 6 && Math.abs(to.col - from.col) === 2) {
+		return to.col === 6 ? 'O-O' : 'O-O-O';
+	}
+
+	if (type === 1) {
+		const isCapture = from.col !== to.col;
+		const promo = promotion ? '=' + PIECE_LETTERS[Math.abs(promotion)] : '';
+		return (isCapture ? squareName(from.row, from.col)[0] + 'x' : '') + target + promo;
+	}
+
+	const rivals = [];
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			if ((row === from.row && col === from.col) || board[row][col] !== piece) continue;
+			if (canReach(board, { row, col }, to)) rivals.push({ row, col });
+		}
+	}
+
+	const fromSquare = squareName(from.row, from.col);
+	let disambiguation = '';
+	if (rivals.length > 0) {
+		if (!rivals.some(r => r.col === from.col)) disambiguation = fromSquare[0];
+		else if (!rivals.some(r => r.row === from.row)) disambiguation = fromSquare[1];
+		else disambiguation = fromSquare;
+	}
+
+	const isCapture = board[to.row][to.col] !== 0;
+	return PIECE_LETTERS[type] + disambiguation + (isCapture ? 'x' : '') + target;
+}
+
+/**
+ * Standard Algebraic Notation for a move played from `board`.
+ * Check/mate suffixes come from the contract's MoveMade flags, which are
+ * authoritative even in positions chess.js would reject.
+ */
+export function moveToSan(board, from, to, { promotion = 0, isCheck = false, isMate = false, moveHistory = [], lastMove = null } = {}) {
+	const piece = board[from.row]?.[from.col];
+	if (!piece) return squareName(to.row, to.col);
+
+	let san = null;
+	const position = createPosition(board, { isWhiteTurn: piece > 0, moveHistory, lastMove });
+	if (position) {
+		try {
+			const move = position.move({
+				from: squareName(from.row, from.col),
+				to: squareName(to.row, to.col),
+				promotion: promotion ? PIECE_LETTERS[Math.abs(promotion)].toLowerCase() : undefined
+			});
+			san = move.san.replace(/[+#]$/, '');
+		} catch {
+			san = null;
+		}
+	}
+
+	if (!san) san = manualSan(board, from, to, promotion);
+	return san + (isMate ? '#' : isCheck ? '+' : '');
+}
+
+// Game result tag from a GAME_STATES value
+export function resultTag(state) {
+	if (state === 3) return '1/2-1/2';
+	if (state === 4) return '1-0';
+	if (state === 5) return '0-1';
+	return '*';
+}
+
+function formatDuration(seconds) {
+	const total = Math.max(0, Math.round(seconds));
+	const h = Math.floor(total / 3600);
+	const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+	const s = String(total % 60).padStart(2, '0');
+	return `${h}:${m}:${s}`;
+}
+
+function escapeTag(value) {
+	return String(value ?? '?').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Comment text can't contain the closing brace
+function commentToken(parts) {
+	return `{${parts.join(' ').replace(/\}/g, ')')}}`;
+}
+
+// [%csl] circles and [%cal] arrows, as drawn by the board annotations
+function shapeCommands(shapes) {
+	const encode = ({ from, to, color }) => (SHAPE_COLORS[color]?.letter || 'G') + from + (from === to ? '' : to);
+	const circles = shapes.filter(s => s.from === s.to).map(encode);
+	const arrows = shapes.filter(s => s.from !== s.to).map(encode);
+	return [
+		...(circles.length ? [`[%csl ${circles.join(',')}]`] : []),
+		...(arrows.length ? [`[%cal ${arrows.join(',')}]`] : [])
+	];
+}
+
+// Movetext of the line starting at `id`, with its variations in parentheses.
+// extraComments(node) adds comment parts for a move (e.g. main-line clocks).
+function lineTokens(tree, id, extraComments) {
+	const tokens = [];
+	// A black move needs its "N..." number at the start of a line and after a comment or variation
+	let numbered = true;
+
+	for (let node = tree.nodes[id]; node; node = tree.nodes[node.children[0]]) {
+		const { move } = node;
+		if (move.isWhite) {
+			tokens.push(`${move.moveNumber}.`);
+		} else if (numbered) {
+			tokens.push(`${move.moveNumber}...`);
+		}
+		tokens.push(move.notation, ...node.nags.map(nag => `$${nag}`));
+
+		const comment = [...extraComments(node), ...shapeCommands(node.shapes), ...(node.comment ? [node.comment.trim()] : [])];
+		if (comment.length) tokens.push(commentToken(comment));
+		numbered = comment.length > 0 || !move.isWhite;
+
+		// Alternatives to this move follow it, before the line continues
+		const siblings = tree.nodes[node.parent].children;
+		if (siblings[0] === node.id) {
+			for (const variation of siblings.slice(1)) {
+				const inner = lineTokens(tree, variation, () => []);
+				inner[0] = `(${inner[0]}`;
+				inner[inner.length - 1] += ')';
+				tokens.push(...inner);
+				numbered = true;
+			}
+		}
+	}
+	return tokens;
+}
+
+/**
+ * Serialize a game to PGN.
+ * headers: ordered tag pairs (Seven Tag Roster first).
+ * moves: { notation, isWhite, moveNumber, blockNumber?, timestamp? } - when a
+ * block timestamp is present the move gets an %emt comment with the time
+ * spent since the previous move (or startTimestamp) plus its block number
+ * and UTC time.
+ * annotations: optional tree from annotations.js whose main line is `moves`;
+ * its variations, comments, NAGs and shapes are written out too.
+ */
+export function buildPgn(headers, moves, { startTimestamp = null, annotations = null } = {}) {
+	const tags = Object.entries(headers)
+		.filter(([, value]) => value !== undefined && value !== null)
+		.map(([key, value]) => `[${key} "${escapeTag(value)}"]`);
+
+	// Block time comments by main-line move
+	const clocks = new Map();
+	let previousTimestamp = startTimestamp;
+	moves.forEach((move, index) => {
+		if (!move.timestamp) return;
+		const parts = [];
+		if (previousTimestamp) parts.push(`[%emt ${formatDuration(move.timestamp - previousTimestamp)}]`);
+		parts.push(`block ${move.blockNumber} at ${new Date(move.timestamp * 1000).toISOString().replace('.000', '')}`);
+		clocks.set(`m${index}`, parts);
+		previousTimestamp = move.timestamp;
+	});
+
+	const tree = annotations || createAnnotationTree(moves);
+	const root = tree.nodes[ROOT];
+	const tokens = [];
+	if (root.comment || root.shapes.length) {
+		tokens.push(commentToken([...shapeCommands(root.shapes), ...(root.comment ? [root.comment.trim()] : [])]));
+	}
+	if (root.children.length) {
+		tokens.push(...lineTokens(tree, root.children[0], node => clocks.get(node.id) || []));
+	}
+	tokens.push(headers.Result || '*');
+
+	// Wrap movetext at 80 columns as the PGN spec recommends
+	const lines = [];
+	let line = '';
+	for (const token of tokens) {
+		if (line && line.length + token.length + 1 > 80) {
+			lines.push(line);
+			line = token;
+		} else {
+			line = line ? `${line} ${token}` : token;
+		}
+	}
+	if (line) lines.push(line);
+
+	return `${tags.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse a PGN file into the move shape used by the game store and GameReplay.
+ * Returns { headers, startBoard, moves } or throws on invalid PGN.
+ */
+export function parsePgn(text) {
+	const chess = new Chess();
+	chess.loadPgn(text);
+
+	const history = chess.history({ verbose: true });
+	const startFen = history[0]?.before || chess.fen();
+	const startBoard = fenToBoard(startFen) || INITIAL_BOARD.map(row => [...row]);
+	const firstMoveNumber = Number(startFen.split(/\s+/)[5]) || 1;
+	const blackStarts = startFen.split(/\s+/)[1] === 'b';
+
+	const moves = history.map((move, index) => {
+		const ply = index + (blackStarts ? 1 : 0);
+		return {
+			moveNumber: firstMoveNumber + Math.floor(ply / 2),
+			isWhite: move.color === 'w',
+			notation: move.san,
+			from: move.from,
+			to: move.to,
+			promotion: move.promotion ? LETTER_VALUES[move.promotion] : 0,
+			isCheck: move.san.includes('+'),
+			isMate: move.san.includes('#')
+		};
+	});
+
+	return { headers: chess.getHeaders(), startBoard, moves };
+}
+
@@ -0,0 +1,256 @@
+import { Chess } from 'chess.js';
+
+// Board encoding used by ChessCore: board[row][col], row 0 = rank 8,
+// positive values are white pieces, negative values are black pieces.
+const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+const FEN_PIECES = { 1: 'p', 2: 'n', 3: 'b', 4: 'r', 5: 'q', 6: 'k' };
+
+// Standard starting position in contract encoding
+export const INITIAL_BOARD = [
+	[-4, -2, -3, -5, -6, -3, -2, -4],
+	[-1, -1, -1, -1, -1, -1, -1, -1],
+	[0, 0, 0, 0, 0, 0, 0, 0],
+	[0, 0, 0, 0, 0, 0, 0, 0],
+	[0, 0, 0, 0, 0, 0, 0, 0],
+	[0, 0, 0, 0, 0, 0, 0, 0],
+	[1, 1, 1, 1, 1, 1, 1, 1],
+	[4, 2, 3, 5, 6, 3, 2, 4]
+];
+
+// Home squares that decide castling rights (same flags ChessBoard.sol tracks)
+const CASTLING_SQUARES = {
+	K: { king: 'e1', rook: 'h1', kingValue: 6, rookValue: 4 },
+	Q: { king: 'e1', rook: 'a1', kingValue: 6, rookValue: 4 },
+	k: { king: 'e8', rook: 'h8', kingValue: -6, rookValue: -4 },
+	q: { king: 'e8', rook: 'a8', kingValue: -6, rookValue: -4 }
+};
+
+// Convert contract coordinates to a square name (e.g. 6,4 -> e2)
+export function squareName(row, col) {
+	return FILES[col] + (8 - row);
+}
+
+// Convert a square name back to contract coordinates
+export function parseSquare(square) {
+	if (!square || square.length < 2) return null;
+	const col = FILES.indexOf(square[0]);
+	const row = 8 - parseInt(square[1]);
+	if (col < 0 || isNaN(row) || row < 0 || row > 7) return null;
+	return { row, col };
+}
+
+function pieceAt(board, square) {
+	const coords = parseSquare(square);
+	return coords ? board[coords.row][coords.col] : 0;
+}
+
+// Castling rights: king and rook still on their home squares and neither
+// square has been touched by any move so far.
+export function deriveCastlingRights(board, moveHistory = []) {
+	const touched = new Set();
+	for (const move of moveHistory) {
+		if (move?.from) touched.add(move.from);
+		if (move?.to) touched.add(move.to);
+	}
+
+	let rights = '';
+	for (const [flag, { king, rook, kingValue, rookValue }] of Object.entries(CASTLING_SQUARES)) {
+		if (pieceAt(board, king) !== kingValue || pieceAt(board, rook) !== rookValue) continue;
+		if (touched.has(king) || touched.has(rook)) continue;
+		rights += flag;
+	}
+	return rights || '-';
+}
+
+// En passant target: only right after a pawn double step
+export function deriveEnPassantSquare(board, lastMove) {
+	if (!lastMove?.from || !lastMove?.to) return '-';
+	const { from, to } = lastMove;
+	if (from.col !== to.col || Math.abs(from.row - to.row) !== 2) return '-';
+	if (Math.abs(board[to.row]?.[to.col]) !== 1) return '-';
+	return squareName((from.row + to.row) / 2, from.col);
+}
+
+export function boardToFen(board, { isWhiteTurn = true, castling = '-', enPassant = '-', halfMoveClock = 0, fullMoveNumber = 1 } = {}) {
+	const rows = board.map(row => {
+		let fenRow = '';
+		let empty = 0;
+		for (const cell of row) {
+			if (cell === 0) {
+				empty++;
+				continue;
+			}
+			if (empty) {
+				fenRow += empty;
+				empty = 0;
+			}
+			const symbol = FEN_PIECES[Math.abs(cell)];
+			fenRow += cell > 0 ? symbol.toUpperCase() : symbol;
+		}
+		return empty ? fenRow + empty : fenRow;
+	});
+
+	return `${rows.join('/')} ${isWhiteTurn ? 'w' : 'b'} ${castling} ${enPassant} ${halfMoveClock} ${fullMoveNumber}`;
+}
+
+// Parse the piece placement of a FEN string into contract encoding
+export function fenToBoard(fen) {
+	const placement = fen?.trim().split(/\s+/)[0];
+	const rows = placement?.split('/');
+	if (!rows || rows.length !== 8) return null;
+
+	const values = { p: 1, n: 2, b: 3, r: 4, q: 5, k: 6 };
+	const board = [];
+	for (const fenRow of rows) {
+		const row = [];
+		for (const char of fenRow) {
+			if (/[1-8]/.test(char)) {
+				row.push(...Array(Number(char)).fill(0));
+			} else {
+				const value = values[char.toLowerCase()];
+				if (!value) return null;
+				row.push(char === char.toUpperCase() ? value : -value);
+			}
+		}
+		if (row.length !== 8) return null;
+		board.push(row);
+	}
+	return board;
+}
+
+/**
+ * Apply a move to a board copy, handling castling, en passant and promotion
+ * the same way ChessCore does. from/to are { row, col }; promotion is the
+ * absolute piece value (0 for none).
+ */
+export function applyMove(board, from, to, promotion = 0) {
+	const next = board.map(row => [...row]);
+	const piece = next[from.row][from.col];
+	if (!piece) return next;
+
+	const isPawn = Math.abs(piece) === 1;
+
+	// En passant: pawn moves diagonally onto an empty square
+	if (isPawn && from.col !== to.col && next[to.row][to.col] === 0) {
+		next[from.row][to.col] = 0;
+	}
+
+	next[to.row][to.col] = piece;
+	next[from.row][from.col] = 0;
+
+	// Castling: king moves two files, rook jumps over it
+	if (Math.abs(piece) === 6 && Math.abs(to.col - from.col) === 2) {
+		const rookFrom = to.col === 6 ? 7 : 0;
+		const rookTo = to.col === 6 ? 5 : 3;
+		next[from.row][rookTo] = next[from.row][rookFrom];
+		next[from.row][rookFrom] = 0;
+	}
+
+	if (isPawn && (to.row === 0 || to.row === 7)) {
+		const value = Math.abs(promotion) || 5;
+		next[to.row][to.col] = piece > 0 ? value : -value;
+	}
+
+	return next;
+}
+
+// Halfmoves since the last capture or pawn move, read from the SAN of each move
+export function deriveHalfMoveClock(moveHistory = []) {
+	let clock = 0;
+	for (const move of moveHistory) {
+		const notation = move?.notation || '';
+		clock = /^[a-h]/.test(notation) || notation.includes('x') ? 0 : clock + 1;
+	}
+	return clock;
+}
+
+/**
+ * Build a chess.js position from the on-chain board.
+ * Castling rights and the halfmove clock come from the move history and the
+ * en passant target from the last move, so the generated move set matches
+ * ChessRulesEngine.
+ * Returns null when the position can't be represented (e.g. a Friendly
+ * game edited into a board without kings).
+ */
+export function createPosition(board, { isWhiteTurn = true, moveHistory = [], lastMove = null } = {}) {
+	if (!board || board.length !== 8) return null;
+
+	const fen = boardToFen(board, {
+		isWhiteTurn,
+		castling: deriveCastlingRights(board, moveHistory),
+		enPassant: deriveEnPassantSquare(board, lastMove),
+		halfMoveClock: deriveHalfMoveClock(moveHistory),
+		fullMoveNumber: Math.floor(moveHistory.length / 2) + 1
+	});
+
+	try {
+		return new Chess(fen, { skipValidation: true });
+	} catch {
+		return null;
+	}
+}
+
+// Legal destinations for the piece on (row, col), promotions collapsed to one square
+export function getLegalMoves(position, row, col) {
+	if (!position) return [];
+	const moves = position.moves({ square: squareName(row, col), verbose: true });
+	const seen = new Set();
+	const result = [];
+	for (const move of moves) {
+		if (seen.has(move.to)) continue;
+		seen.add(move.to);
+		const to = parseSquare(move.to);
+		result.push({ ...to, isCapture: Boolean(move.captured), isPromotion: Boolean(move.promotion) });
+	}
+	return result;
+}
+
+// Square of the side-to-move king when it is in check, otherwise null
+export function getCheckedKing(position) {
+	if (!position || !position.inCheck()) return null;
+	const color = position.turn();
+	const board = position.board();
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			const cell = board[row][col];
+			if (cell && cell.type === 'k' && cell.color === color) {
+				return { row, col };
+			}
+		}
+	}
+	return null;
+}
+
+// True when moving (from -> to) would expose the mover's own king.
+// Used to explain InvalidMove reverts that are only about king safety.
+export function wouldLeaveKingInCheck(board, from, to) {
+	const piece = board[from.row]?.[from.col];
+	if (!piece) return false;
+
+	const next = applyMove(board, from, to);
+	const isWhite = piece > 0;
+	const kingValue = isWhite ? 6 : -6;
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			if (next[row][col] !== kingValue) continue;
+			const position = createPosition(next, { isWhiteTurn: !isWhite });
+			return Boolean(position?.isAttacked(squareName(row, col), isWhite ? 'b' : 'w'));
+		}
+	}
+	return false;
+}
+
+// Squares where two boards differ: [{ row, col, square, expected, actual }]
+export function diffBoards(actual, expected) {
+	const differences = [];
+	for (let row = 0; row < 8; row++) {
+		for (let col = 0; col < 8; col++) {
+			const actualValue = actual?.[row]?.[col] ?? 0;
+			const expectedValue = expected?.[row]?.[col] ?? 0;
+			if (actualValue !== expectedValue) {
+				differences.push({ row, col, square: squareName(row, col), expected: expectedValue, actual: actualValue });
+			}
+		}
+	}
+	return differences;
+}
@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+import { loadContractAbi } from './loadAbi.js';
+import { batched } from './multicall.js';
+import { subscribeToLogs } from './subscription.js';
+
+/**
+ * Satellite contract discovery.
+ *
+ * ChessFactory is the one address the app has to be told; the contracts around
+ * it are read from the factory itself, so a governance update through
+ * setBondingManager & co. reaches the UI without a new deployment manifest.
+ * A zero address means the factory runs without that contract.
+ */
+
+// Factory setters whose events mean the satellites have to be read again
+const UPDATE_EVENTS = ['BondingManagerUpdated', 'DisputeDAOUpdated', 'PlayerRatingUpdated', 'RewardPoolUpdated'];
+
+function nonZero(address) {
+	return address && address !== ethers.constants.AddressZero ? address : null;
+}
+
+/**
+ * Read the satellites of a factory. Returns { ChessNFT, BondingManager,
+ * DisputeDAO, PlayerRating, RewardPool, ChessToken, ArbitratorRegistry },
+ * null for any the factory does not have.
+ */
+export async function readSatellites(provider, factoryAddress) {
+	const [factoryAbi, bondingAbi, disputeAbi] = await Promise.all([
+		loadContractAbi('ChessFactory'),
+		loadContractAbi('BondingManager'),
+		loadContractAbi('DisputeDAO')
+	]);
+	const factory = batched(new ethers.Contract(factoryAddress, factoryAbi, provider));
+
+	const [nft, bondingManager, disputeDAO, playerRating, rewardPool] = (await Promise.all([
+		factory.addressNFT(),
+		factory.bondingManager(),
+		factory.disputeDAO(),
+		factory.playerRating(),
+		factory.rewardPool()
+	])).map(nonZero);
+
+	// Token and arbitrator registry are fixed in the satellites' constructors
+	const bonding = bondingManager && batched(new ethers.Contract(bondingManager, bondingAbi, provider));
+	const dao = disputeDAO && batched(new ethers.Contract(disputeDAO, disputeAbi, provider));
+	const [tokenFromBonding, tokenFromDao, arbitratorRegistry] = await Promise.all([
+		bonding ? bonding.chessToken() : null,
+		dao ? dao.chessToken() : null,
+		dao ? dao.arbitratorRegistry() : null
+	]);
+
+	return {
+		ChessNFT: nft,
+		BondingManager: bondingManager,
+		DisputeDAO: disputeDAO,
+		PlayerRating: playerRating,
+		RewardPool: rewardPool,
+		ChessToken: nonZero(tokenFromBonding) || nonZero(tokenFromDao),
+		ArbitratorRegistry: nonZero(arbitratorRegistry)
+	};
+}
+
+/**
+ * Read the satellites now and again whenever the factory emits one of the
+ * *Updated events. onChange(addresses) receives every successful read.
+ * Returns { stop }.
+ */
+export function watchSatellites(provider, factoryAddress, onChange) {
+	let stopped = false;
+	let subscription = null;
+	// Reads run one after another so the last event's read is the one kept
+	let reading = Promise.resolve();
+
+	function refresh() {
+		reading = reading.then(async () => {
+			try {
+				const addresses = await readSatellites(provider, factoryAddress);
+				if (!stopped) onChange(addresses);
+			} catch (err) {
+				console.warn(`Could not read the contracts of factory ${factoryAddress}:`, err);
+			}
+		});
+		return reading;
+	}
+
+	(async () => {
+		try {
+			const [factoryAbi, blockNumber] = await Promise.all([
+				loadContractAbi('ChessFactory'),
+				provider.getBlockNumber()
+			]);
+			if (stopped) return;
+
+			// Only the events after this read matter; it already reflects older ones
+			const factory = new ethers.Contract(factoryAddress, factoryAbi, provider);
+			const handlers = Object.fromEntries(UPDATE_EVENTS.map(name => [name, () => refresh()]));
+			subscription = subscribeToLogs(factory, handlers, { fromBlock: blockNumber + 1 });
+		} catch (err) {
+			console.warn(`Could not follow factory ${factoryAddress}:`, err);
+		}
+		await refresh();
+	})();
+
+	return {
+		stop() {
+			stopped = true;
+			subscription?.stop();
+		}
+	};
+}
@@ -0,0 +1,249 @@
+import { ethers } from 'ethers';
+import { CONTRACT_NAMES, loadContractAbi } from './loadAbi.js';
+
+// Human-readable messages for custom errors across all contracts.
+// Anything not listed falls back to the error name split into words.
+const ERROR_MESSAGES = {
+	// ChessCore
+	AlreadyInitialized: 'Game is already initialized',
+	AlreadyWhitePlayer: "You can't join your own game",
+	BlackPlayerTaken: 'Someone already joined this game',
+	CancelTimeoutNotReached: "The game can't be cancelled yet",
+	CancelledGame: 'This game has been cancelled',
+	CannotClaimYet: 'Prize cannot be claimed yet',
+	CannotResign: 'You cannot resign right now',
+	ColorNotAvailable: 'Black is not open in this game - join it with Join instead',
+	ColorsNotAssigned: 'Colours are still being drawn - try again in a block',
+	FiftyMoveRuleNotReached: 'The 50-move rule has not been reached yet',
+	FriendlyOnly: 'Only allowed in Friendly games',
+	GameAlreadyStarted: 'Game has already started',
+	GameNotFinished: 'Game is not finished yet',
+	GameNotInProgress: 'Game is no longer in progress (it may have ended or timed out)',
+	GameNotStarted: 'Game has not started yet',
+	InvalidCoordinates: 'Invalid square coordinates',
+	InvalidMove: 'Illegal move',
+	InvalidPromotionPiece: 'Invalid promotion piece',
+	NoDrawOffer: 'There is no draw offer to respond to',
+	NoPrizeToDistribute: 'No prize to withdraw',
+	NotAPlayer: 'You are not a player in this game',
+	NotInvited: 'This game is reserved for an invited opponent',
+	NotPrizeRecipient: 'You are not entitled to this prize',
+	NotTimedOut: 'Your opponent has not timed out yet',
+	NotYourTurn: 'Not your turn',
+	OnlyWhitePlayer: 'Only the white player can do this',
+	PositionNotRepeated: 'Position has not been repeated three times',
+	PrizeAlreadyClaimed: 'Prize already claimed',
+	TransferFailed: 'ETH transfer failed',
+	WrongBetAmount: 'Wrong stake amount',
+
+	// OpenZeppelin (BondingManager, DisputeDAO, ArbitratorRegistry, ChessToken, PlayerRating)
+	AccessControlUnauthorizedAccount: 'Your account is not authorized for this action',
+	EnforcedPause: 'The contract is paused',
+	ExpectedPause: 'The contract is not paused',
+	ReentrancyGuardReentrantCall: 'Transaction rejected (reentrant call)',
+	ERC20InsufficientBalance: 'Insufficient CHESS balance',
+	ERC20InsufficientAllowance: 'Insufficient CHESS allowance - approve CHESS first',
+	SafeERC20FailedOperation: 'Token transfer failed',
+	FailedCall: 'Underlying call failed',
+
+	// Governance
+	GovernorAlreadyCastVote: 'You have already voted on this proposal',
+	GovernorInsufficientProposerVotes: 'Not enough voting power to create a proposal',
+	GovernorNonexistentProposal: 'Proposal does not exist',
+	GovernorNotQueuedProposal: 'Proposal has not been queued',
+	GovernorUnexpectedProposalState: 'Proposal is not in the right state for this action',
+	GovernorInvalidVoteType: 'Invalid vote type',
+	GovernorInvalidProposalLength: 'Proposal targets, values and calldatas must have the same length',
+	TimelockUnexpectedOperationState: 'Timelock operation is not ready',
+	TimelockInsufficientDelay: 'Timelock delay is too short'
+};
+
+// Solidity Panic(uint256) codes
+const PANIC_MESSAGES = {
+	0x01: 'assertion failed',
+	0x11: 'arithmetic overflow',
+	0x12: 'division by zero',
+	0x21: 'invalid enum value',
+	0x32: 'array index out of bounds'
+};
+
+const HEX_DATA = /^0x[0-9a-fA-F]*$/;
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Typed error thrown by stores for failed contract interactions.
+ * kind: 'revert' | 'panic' | 'rejected' | 'funds' | 'network' | 'unknown'
+ * errorName/args are set when the revert matched a custom error fragment.
+ */
+export class ContractError extends Error {
+	constructor(message, { kind = 'unknown', errorName = null, args = [], cause = null } = {}) {
+		super(message);
+		this.name = 'ContractError';
+		this.kind = kind;
+		this.errorName = errorName;
+		this.args = args;
+		this.cause = cause;
+		// Keep the provider code so existing `err.code` checks keep working
+		this.code = cause?.code;
+	}
+}
+
+function humanize(errorName) {
+	const words = errorName.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Walk the nested error shapes produced by ethers, MetaMask and Ganache
+// looking for raw revert data (a selector plus ABI-encoded arguments).
+export function extractRevertData(error, depth = 0) {
+	if (!error || depth > 5) return null;
+
+	if (typeof error === 'string') {
+		if (HEX_DATA.test(error) && error.length >= 10) return error;
+		try {
+			return extractRevertData(JSON.parse(error), depth + 1);
+		} catch {
+			return null;
+		}
+	}
+
+	if (typeof error !== 'object') return null;
+
+	for (const key of ['data', 'error', 'originalError', 'body']) {
+		const found = extractRevertData(error[key], depth + 1);
+		if (found) return found;
+	}
+
+	// Ganache keys revert data by transaction hash: { data: { [txHash]: { return } } }
+	if (typeof error.return === 'string') return extractRevertData(error.return, depth + 1);
+	for (const value of Object.values(error)) {
+		if (value && typeof value === 'object' && typeof value.return === 'string') {
+			return extractRevertData(value.return, depth + 1);
+		}
+	}
+
+	return null;
+}
+
+// One Interface holding the error fragments of every known contract
+let errorInterfacePromise = null;
+
+function loadErrorInterface() {
+	if (!errorInterfacePromise) {
+		errorInterfacePromise = Promise.allSettled(CONTRACT_NAMES.map(loadContractAbi))
+			.then((results) => {
+				const fragments = new Map();
+				for (const result of results) {
+					if (result.status !== 'fulfilled') continue;
+					for (const item of result.value) {
+						if (item.type !== 'error') continue;
+						const signature = `${item.name}(${item.inputs.map(input => input.type).join(',')})`;
+						fragments.set(signature, item);
+					}
+				}
+				return new ethers.utils.Interface([...fragments.values()]);
+			})
+			.catch((error) => {
+				errorInterfacePromise = null;
+				throw error;
+			});
+	}
+	return errorInterfacePromise;
+}
+
+function decodeRevertData(data, iface) {
+	const selector = data.slice(0, 10);
+
+	if (selector === ERROR_STRING_SELECTOR) {
+		const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10));
+		return new ContractError(reason, { kind: 'revert', args: [reason] });
+	}
+
+	if (selector === PANIC_SELECTOR) {
+		const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10));
+		const description = PANIC_MESSAGES[code.toNumber()] || `code 0x${code.toNumber().toString(16)}`;
+		return new ContractError(`Contract error: ${description}`, { kind: 'panic', args: [code] });
+	}
+
+	try {
+		const fragment = iface.getError(selector);
+		const args = iface.decodeErrorResult(fragment, data);
+		return new ContractError(ERROR_MESSAGES[fragment.name] || humanize(fragment.name), {
+			kind: 'revert',
+			errorName: fragment.name,
+			args
+		});
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Decode revert data from a failed call against a single contract ABI.
+ * Synchronous variant for callers that already hold the ABI.
+ */
+export function decodeContractError(error, abi) {
+	const data = extractRevertData(error);
+	if (!data || !abi) return null;
+
+	const decoded = decodeRevertData(data, new ethers.utils.Interface(abi));
+	if (decoded) decoded.cause = error;
+	return decoded;
+}
+
+/**
+ * Turn anything thrown by ethers / the wallet into a ContractError with a
+ * message fit for the UI. Custom errors are decoded against every ABI that
+ * loadContractAbi knows about.
+ */
+export async function toContractError(error) {
+	if (error instanceof ContractError) return error;
+
+	const message = error?.reason || error?.message || String(error);
+	const code = error?.code;
+
+	if (code === 'ACTION_REJECTED' || code === 4001 || error?.error?.code === 4001 ||
+		/user rejected|user denied/i.test(message)) {
+		return new ContractError('Transaction cancelled', { kind: 'rejected', cause: error });
+	}
+
+	if (code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(message)) {
+		return new ContractError('Insufficient ETH balance', { kind: 'funds', cause: error });
+	}
+
+	const data = extractRevertData(error);
+	if (data) {
+		try {
+			const decoded = decodeRevertData(data, await loadErrorInterface());
+			if (decoded) {
+				decoded.cause = error;
+				decoded.code = code;
+				return decoded;
+			}
+		} catch (abiError) {
+			console.warn('Could not load ABIs for error decoding:', abiError);
+		}
+	}
+
+	if (code === 'CALL_EXCEPTION' || code === 'UNPREDICTABLE_GAS_LIMIT' || /revert/i.test(message)) {
+		// Reverts without data: require() strings are stripped at compile time
+		return new ContractError('Transaction reverted by the contract', { kind: 'revert', cause: error });
+	}
+
+	if (code === 'NETWORK_ERROR' || code === 'SERVER_ERROR' || code === 'TIMEOUT') {
+		return new ContractError('Network error - please check your connection and try again', { kind: 'network', cause: error });
+	}
+
+	const short = message.length > 100 ? message.substring(0, 100) + '...' : message;
+	return new ContractError(short || 'Transaction failed', { kind: 'unknown', cause: error });
+}
+
+// Run a contract interaction and rethrow any failure as a ContractError
+export async function withContractErrors(fn) {
+	try {
+		return await fn();
+	} catch (error) {
+		throw await toContractError(error);
+	}
+}
@@ -4,12 +4,16 @@ const abiLoaders = {
 	ChessCore: () => import('./abi/ChessCore.json'),
 	ChessFactory: () => import('./abi/ChessFactory.json'),
 	ChessGovernor: () => import('./abi/ChessGovernor.json'),
+	ChessNFT: () => import('./abi/ChessNFT.json'),
 	ChessTimelock: () => import('./abi/ChessTimelock.json'),
 	ChessToken: () => import('./abi/ChessToken.json'),
 	DisputeDAO: () => import('./abi/DisputeDAO.json'),
-	PlayerRating: () => import('./abi/PlayerRating.json')
+	PlayerRating: () => import('./abi/PlayerRating.json'),
+	RewardPool: () => import('./abi/RewardPool.json')
 };
 
+export const CONTRACT_NAMES = Object.keys(abiLoaders);
+
 const abiCache = new Map();
 
 export async function loadContractAbi(name) {
@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+import { loadDeployments, getContractAddress } from './registry.js';
+
+// Multicall3 is deployed at the same address on every public EVM chain;
+// local chains get one from the migration, listed in the deployment manifest.
+const CANONICAL_MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Chains where the canonical deployment can be assumed
+const PUBLIC_CHAIN_IDS = [84532, 8453];
+
+const MULTICALL3_ABI = [
+	'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+// Calls per aggregate3 request; keeps each eth_call well under node gas caps
+const MAX_BATCH_SIZE = 100;
+
+export function getMulticallAddress(chainId) {
+	return getContractAddress(chainId, 'Multicall3') ||
+		(PUBLIC_CHAIN_IDS.includes(Number(chainId)) ? CANONICAL_MULTICALL3 : null);
+}
+
+// Per-provider batching state: calls queued during the current tick
+const batchers = new WeakMap();
+
+function getBatcher(provider) {
+	let batcher = batchers.get(provider);
+	if (!batcher) {
+		batcher = { queue: [], scheduled: false, address: undefined };
+		batchers.set(provider, batcher);
+	}
+	return batcher;
+}
+
+// Resolve (once per provider) the multicall address, or null when the chain has none
+async function resolveMulticall(provider, batcher) {
+	if (batcher.address === undefined) {
+		batcher.address = (async () => {
+			const [{ chainId }] = await Promise.all([provider.getNetwork(), loadDeployments()]);
+			const address = getMulticallAddress(chainId);
+			if (!address) return null;
+			const code = await provider.getCode(address);
+			return code && code !== '0x' ? address : null;
+		})().catch(() => null);
+	}
+	return batcher.address;
+}
+
+// Shape decoded results like ethers.Contract does: single output unwrapped
+function unwrap(fragment, result) {
+	return fragment.outputs.length === 1 ? result[0] : result;
+}
+
+async function callDirect(call) {
+	const { contract, fragment, args } = call;
+	return contract.callStatic[fragment.format()](...args);
+}
+
+async function flush(provider, batcher) {
+	const calls = batcher.queue;
+	batcher.queue = [];
+	batcher.scheduled = false;
+
+	const address = await resolveMulticall(provider, batcher);
+	if (!address || calls.length === 1) {
+		for (const call of calls) {
+			callDirect(call).then(call.resolve, call.reject);
+		}
+		return;
+	}
+
+	for (let i = 0; i < calls.length; i += MAX_BATCH_SIZE) {
+		const chunk = calls.slice(i, i + MAX_BATCH_SIZE);
+		try {
+			const data = multicallInterface.encodeFunctionData('aggregate3', [
+				chunk.map(call => ({
+					target: call.contract.address,
+					allowFailure: true,
+					callData: call.contract.interface.encodeFunctionData(call.fragment, call.args)
+				}))
+			]);
+			const raw = await provider.call({ to: address, data });
+			const [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+
+			chunk.forEach((call, index) => {
+				const { success, returnData } = results[index];
+				if (!success) {
+					// Same shape as an ethers CALL_EXCEPTION so toContractError can decode it
+					const error = new Error(`call revert exception (method="${call.fragment.format()}")`);
+					error.code = ethers.errors.CALL_EXCEPTION;
+					error.data = returnData;
+					call.reject(error);
+					return;
+				}
+				try {
+					call.resolve(unwrap(call.fragment, call.contract.interface.decodeFunctionResult(call.fragment, returnData)));
+				} catch (err) {
+					call.reject(err);
+				}
+			});
+		} catch (err) {
+			// The aggregate call itself failed (RPC limits, bad deployment): retry one by one
+			console.warn('Multicall batch failed, falling back to individual calls:', err);
+			for (const call of chunk) {
+				callDirect(call).then(call.resolve, call.reject);
+			}
+		}
+	}
+}
+
+function enqueue(contract, fragment, args) {
+	const provider = contract.provider;
+	const batcher = getBatcher(provider);
+
+	return new Promise((resolve, reject) => {
+		batcher.queue.push({ contract, fragment, args, resolve, reject });
+		if (!batcher.scheduled) {
+			batcher.scheduled = true;
+			// Collect every call issued in the same tick (e.g. one Promise.all)
+			setTimeout(() => flush(provider, batcher), 0);
+		}
+	});
+}
+
+/**
+ * Wrap an ethers.Contract so its view/pure methods are queued and sent as
+ * Multicall3 aggregate3 batches together with every other batched read issued
+ * in the same tick. Falls back to plain eth_calls when the chain has no
+ * multicall deployment. Write methods, overloaded names and calls with
+ * overrides go straight to the underlying contract.
+ */
+export function batched(contract) {
+	if (!contract.provider) return contract;
+
+	const names = Object.values(contract.interface.functions).map(fragment => fragment.name);
+	const reader = Object.create(contract);
+
+	for (const fragment of Object.values(contract.interface.functions)) {
+		const overloaded = names.filter(name => name === fragment.name).length > 1;
+		if (!fragment.constant || overloaded) continue;
+
+		const direct = contract[fragment.name];
+		// ethers defines contract methods read-only, so shadow them on the wrapper
+		Object.defineProperty(reader, fragment.name, {
+			value: (...args) => args.length === fragment.inputs.length
+				? enqueue(contract, fragment, args)
+				: direct(...args),
+			enumerable: true
+		});
+	}
+
+	return reader;
+}
@@ -0,0 +1,164 @@
+import { writable, derived } from 'svelte/store';
+import { browser } from '$app/environment';
+import { assets } from '$app/paths';
+import { ethers } from 'ethers';
+import { CONTRACT_NAMES, loadContractAbi } from './loadAbi.js';
+
+/**
+ * Contract registry.
+ *
+ * Addresses come from a deployment manifest fetched at runtime
+ * (static/deployments.json, written by the migration or the deploy-app), so
+ * one build can be pinned to IPFS and pointed at new deployments by replacing
+ * a single file. Every store resolves its contracts here.
+ *
+ * Only ChessFactory has to come from the manifest: the contracts around it are
+ * read from the factory on-chain (see discovery.js) and, once known, take
+ * precedence over the manifest's addresses.
+ *
+ * @typedef {Object} ContractDeployment
+ * @property {string} address
+ * @property {number|null} blockNumber Block the contract was deployed in
+ * @property {string|null} abiHash keccak256 of the JSON ABI it was deployed with (see abiHash)
+ *
+ * @typedef {Object} ChainDeployment
+ * @property {number} chainId
+ * @property {string} network Truffle network or deploy-app target it came from
+ * @property {string} deployedAt ISO timestamp
+ * @property {Object<string, ContractDeployment>} contracts Keyed by contract name
+ *
+ * @typedef {Object} DeploymentManifest
+ * @property {number} version
+ * @property {Object<string, ChainDeployment>} chains Keyed by chainId
+ */
+
+export const MANIFEST_VERSION = 1;
+
+const MANIFEST_URL = import.meta.env.VITE_DEPLOYMENTS_URL || `${assets}/deployments.json`;
+
+const EMPTY_MANIFEST = { version: MANIFEST_VERSION, chains: {} };
+
+/** @type {DeploymentManifest} */
+let manifest = EMPTY_MANIFEST;
+let loading = null;
+
+// The manifest once fetched (null until then)
+export const deployments = writable(null);
+
+// chainId -> { factory, contracts: { Name: address|null } } read from the factory
+let discovered = {};
+const discoveredContracts = writable(discovered);
+
+// Changes whenever an address may have: derive from this to follow the registry
+export const contractRegistry = derived([deployments, discoveredContracts], ([$deployments, $discovered]) => ({
+	deployments: $deployments,
+	discovered: $discovered
+}));
+
+/**
+ * Fetch the manifest once. A missing or malformed file leaves the app with no
+ * deployments rather than failing to start.
+ * @returns {Promise<DeploymentManifest>}
+ */
+export function loadDeployments() {
+	if (!browser) return Promise.resolve(manifest);
+	if (!loading) {
+		loading = (async () => {
+			try {
+				const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+				if (!response.ok) throw new Error(`HTTP ${response.status}`);
+				const data = await response.json();
+				if (data?.version !== MANIFEST_VERSION || typeof data.chains !== 'object') {
+					throw new Error(`unsupported manifest version ${data?.version}`);
+				}
+				manifest = data;
+			} catch (err) {
+				console.warn(`No deployments loaded from ${MANIFEST_URL}:`, err.message);
+			}
+			deployments.set(manifest);
+			warnAbiMismatches().catch(() => {});
+			return manifest;
+		})();
+	}
+	return loading;
+}
+
+/**
+ * @returns {ChainDeployment|null}
+ */
+export function getChainDeployment(chainId) {
+	return (chainId && manifest.chains[chainId]) || null;
+}
+
+function getDiscovered(chainId) {
+	const found = chainId && discovered[chainId];
+	// Only valid for the factory the manifest currently lists
+	return found && found.factory === getChainDeployment(chainId)?.contracts.ChessFactory?.address ? found : null;
+}
+
+export function getContractAddress(chainId, name) {
+	const found = getDiscovered(chainId);
+	if (found && name in found.contracts) return found.contracts[name];
+	return getChainDeployment(chainId)?.contracts[name]?.address || null;
+}
+
+// Null when the contract was replaced since the manifest was written
+export function getDeploymentBlock(chainId, name) {
+	const deployment = getChainDeployment(chainId)?.contracts[name];
+	if (!deployment || deployment.address.toLowerCase() !== getContractAddress(chainId, name)?.toLowerCase()) return null;
+	return deployment.blockNumber ?? null;
+}
+
+/**
+ * Record the satellites read from the factory of chainId (see discovery.js).
+ * addresses: { Name: address|null }
+ */
+export function setDiscoveredContracts(chainId, factory, addresses) {
+	discovered = { ...discovered, [chainId]: { factory, contracts: addresses } };
+	discoveredContracts.set(discovered);
+}
+
+// Every address resolved for chainId, as one comparable string
+export function contractsSignature(chainId) {
+	const names = new Set([
+		...Object.keys(getChainDeployment(chainId)?.contracts || {}),
+		...Object.keys(getDiscovered(chainId)?.contracts || {})
+	]);
+	return [...names].sort().map(name => `${name}=${getContractAddress(chainId, name)}`).join(',');
+}
+
+// Chains with a ChessFactory, in manifest order
+export function getDeployedChainIds() {
+	return Object.keys(manifest.chains)
+		.filter(chainId => getContractAddress(chainId, 'ChessFactory'))
+		.map(Number);
+}
+
+// Same hash the migration and deploy-app record: keccak256 of the compact JSON ABI
+export function abiHash(abi) {
+	return ethers.utils.id(JSON.stringify(abi));
+}
+
+/**
+ * Names of contracts on chainId whose bundled ABI differs from the one they
+ * were deployed with, i.e. the frontend needs a rebuild against the new ABIs.
+ */
+export async function findAbiMismatches(chainId) {
+	const contracts = getChainDeployment(chainId)?.contracts || {};
+	const names = Object.keys(contracts).filter(name => contracts[name].abiHash && CONTRACT_NAMES.includes(name));
+	const checks = await Promise.all(names.map(async (name) => {
+		const abi = await loadContractAbi(name);
+		return abiHash(abi) === contracts[name].abiHash ? null : name;
+	}));
+	return checks.filter(Boolean);
+}
+
+// The frontend was built against other ABIs than some deployment uses
+async function warnAbiMismatches() {
+	for (const chainId of Object.keys(manifest.chains)) {
+		const names = await findAbiMismatches(chainId);
+		if (names.length > 0) {
+			console.warn(`Bundled ABIs differ from the ones deployed on chain ${chainId} (${names.join(', ')}): rebuild the frontend`);
+		}
+	}
+}
@@ -0,0 +1,173 @@
+import { browser } from '$app/environment';
+import { ethers } from 'ethers';
+
+// eth_getLogs takes a list of addresses, but ethers v5 only formats a single one
+async function getLogs(provider, filter, fromBlock, toBlock) {
+	if (!Array.isArray(filter.address)) {
+		return provider.getLogs({ ...filter, fromBlock, toBlock });
+	}
+	const logs = await provider.send('eth_getLogs', [{
+		...filter,
+		fromBlock: ethers.utils.hexValue(fromBlock),
+		toBlock: ethers.utils.hexValue(toBlock)
+	}]);
+	return logs.map(log => provider.formatter.filterLog(log));
+}
+
+/**
+ * Fetch logs for a block range, halving the range whenever the node refuses
+ * it (public RPCs cap the number of blocks or results per eth_getLogs call).
+ * filter.address may be a list of contracts.
+ */
+export async function getLogsInRange(provider, filter, fromBlock, toBlock) {
+	try {
+		return await getLogs(provider, filter, fromBlock, toBlock);
+	} catch (err) {
+		if (fromBlock >= toBlock) throw err;
+		const middle = Math.floor((fromBlock + toBlock) / 2);
+		const first = await getLogsInRange(provider, filter, fromBlock, middle);
+		const second = await getLogsInRange(provider, filter, middle + 1, toBlock);
+		return first.concat(second);
+	}
+}
+
+function logKey(log) {
+	return `${log.transactionHash}:${log.logIndex}`;
+}
+
+/**
+ * Follow the events of one contract without losing any.
+ *
+ * Rather than one ethers filter per event, every new block header triggers a
+ * single eth_getLogs from the last processed log, so whatever was missed while
+ * the tab slept or the wallet provider was down is replayed on the next header.
+ * Catch-up also runs when the tab becomes visible, the browser comes back
+ * online or the wallet reconnects. Logs are delivered in chain order and at
+ * most once, de-duplicated by transactionHash + logIndex.
+ *
+ * handlers maps event names to (args, log) callbacks. fromBlock is the first
+ * block to scan; seen lists logs ({ transactionHash, logIndex }) the caller
+ * already applied, e.g. the history it loaded. onCaughtUp({ delivered,
+ * fromBlock, toBlock }) runs after every scan that succeeded.
+ */
+export function subscribeToLogs(contract, handlers, { fromBlock, seen = [], onCaughtUp = null } = {}) {
+	const provider = contract.provider;
+	const iface = contract.interface;
+	const filter = {
+		address: contract.address,
+		topics: [Object.keys(handlers).map(name => iface.getEventTopic(name))]
+	};
+
+	// Position of the last delivered log; the next scan starts at its block
+	let cursor = { blockNumber: fromBlock, logIndex: -1 };
+	// Delivered log keys -> block, pruned once the cursor moves past the block
+	const delivered = new Map();
+	for (const log of seen) {
+		if (log.transactionHash) delivered.set(logKey(log), log.blockNumber ?? fromBlock);
+	}
+
+	let stopped = false;
+	let running = null;
+	let rerun = false;
+
+	function isBehindCursor(log) {
+		return log.blockNumber < cursor.blockNumber ||
+			(log.blockNumber === cursor.blockNumber && log.logIndex <= cursor.logIndex);
+	}
+
+	async function scan() {
+		const latest = await provider.getBlockNumber();
+		const from = cursor.blockNumber;
+		if (stopped || latest < from) return;
+
+		const logs = await getLogsInRange(provider, filter, from, latest);
+		logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+		let count = 0;
+		for (const log of logs) {
+			if (stopped) return;
+			const key = logKey(log);
+			if (log.removed || delivered.has(key) || isBehindCursor(log)) continue;
+
+			let parsed;
+			try {
+				parsed = iface.parseLog(log);
+			} catch {
+				continue;
+			}
+
+			delivered.set(key, log.blockNumber);
+			cursor = { blockNumber: log.blockNumber, logIndex: log.logIndex };
+			count++;
+			try {
+				handlers[parsed.name]?.(parsed.args, log);
+			} catch (err) {
+				console.warn(`Handler for ${parsed.name} failed:`, err);
+			}
+		}
+
+		// Everything up to latest has been seen: later scans can start there
+		if (latest > cursor.blockNumber) {
+			cursor = { blockNumber: latest, logIndex: -1 };
+		}
+		for (const [key, blockNumber] of delivered) {
+			if (blockNumber < cursor.blockNumber) delivered.delete(key);
+		}
+
+		if (!stopped && onCaughtUp) onCaughtUp({ delivered: count, fromBlock: from, toBlock: latest });
+	}
+
+	// One scan at a time; triggers that arrive meanwhile queue a single rerun
+	function catchUp() {
+		if (stopped) return Promise.resolve();
+		if (running) {
+			rerun = true;
+			return running;
+		}
+
+		running = (async () => {
+			do {
+				rerun = false;
+				try {
+					await scan();
+				} catch (err) {
+					// The cursor has not moved, so the next trigger retries the same range
+					console.warn('Event catch-up failed:', err);
+				}
+			} while (rerun && !stopped);
+		})().finally(() => {
+			running = null;
+		});
+		return running;
+	}
+
+	const onBlock = () => catchUp();
+	const onVisible = () => {
+		if (document.visibilityState === 'visible') catchUp();
+	};
+
+	// EIP-1193 provider behind a Web3Provider (absent for plain JSON-RPC)
+	const walletProvider = provider.provider;
+
+	provider.on('block', onBlock);
+	walletProvider?.on?.('connect', onBlock);
+	if (browser) {
+		document.addEventListener('visibilitychange', onVisible);
+		window.addEventListener('online', onBlock);
+	}
+
+	return {
+		// Scan now instead of waiting for the next block header
+		catchUp,
+
+		stop() {
+			stopped = true;
+			provider.off('block', onBlock);
+			walletProvider?.removeListener?.('connect', onBlock);
+			if (browser) {
+				document.removeEventListener('visibilitychange', onVisible);
+				window.removeEventListener('online', onBlock);
+			}
+		}
+	};
+}
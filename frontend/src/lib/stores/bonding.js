@@ -1,23 +1,10 @@
 import { writable, derived, get } from 'svelte/store';
-import { wallet } from './wallet.js';
+import { wallet, onContractsChange, signerOrProvider, requireSigner } from './wallet.js';
 import { ethers } from 'ethers';
 import { loadContractAbi } from '../contracts/loadAbi.js';
-
-// BondingManager contract addresses per network
-const BONDING_MANAGER_ADDRESSES = {
-	1337: import.meta.env.VITE_BONDING_MANAGER_LOCAL || '',
-	5777: import.meta.env.VITE_BONDING_MANAGER_LOCAL || '',
-	84532: import.meta.env.VITE_BONDING_MANAGER_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_BONDING_MANAGER_BASE || ''
-};
-
-// ChessToken contract addresses per network
-const CHESS_TOKEN_ADDRESSES = {
-	1337: import.meta.env.VITE_CHESS_TOKEN_LOCAL || '',
-	5777: import.meta.env.VITE_CHESS_TOKEN_LOCAL || '',
-	84532: import.meta.env.VITE_CHESS_TOKEN_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_CHESS_TOKEN_BASE || ''
-};
+import { contractRegistry, getContractAddress } from '../contracts/registry.js';
+import { batched } from '../contracts/multicall.js';
+import { toContractError, withContractErrors } from '../contracts/errors.js';
 
 const getBondingManagerAbi = () => loadContractAbi('BondingManager');
 const getChessTokenAbi = () => loadContractAbi('ChessToken');
@@ -45,9 +32,12 @@ function createBondingStore() {
 		minBondEthValue: '0',
 		// System paused status
 		isPaused: false
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchBondData();
+	}));
 
-	return {
+	const store = {
 		subscribe,
 
 		/**
@@ -55,10 +45,10 @@ function createBondingStore() {
 		 */
 		async fetchBondData() {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return;
+			if (!$wallet.account || !$wallet.chainId) return;
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 
 			if (!bondingAddress || !tokenAddress) {
 				update(s => ({ ...s, error: 'Bonding not available on this network' }));
@@ -72,16 +62,16 @@ function createBondingStore() {
 					getBondingManagerAbi(),
 					getChessTokenAbi()
 				]);
-				const bondingManager = new ethers.Contract(
+				const bondingManager = batched(new ethers.Contract(
 					bondingAddress,
 					bondingManagerAbi,
-					$wallet.signer
-				);
-				const chessToken = new ethers.Contract(
+					signerOrProvider($wallet)
+				));
+				const chessToken = batched(new ethers.Contract(
 					tokenAddress,
 					chessTokenAbi,
-					$wallet.signer
-				);
+					signerOrProvider($wallet)
+				));
 
 				// Fetch all data in parallel
 				const [
@@ -126,7 +116,8 @@ function createBondingStore() {
 
 			} catch (err) {
 				console.error('Error fetching bond data:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
@@ -135,18 +126,18 @@ function createBondingStore() {
 		 */
 		async calculateRequiredBond(betAmountEth) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return null;
+			if (!$wallet.provider || !$wallet.chainId) return null;
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
 			if (!bondingAddress) return null;
 
 			try {
 				const bondingManagerAbi = await getBondingManagerAbi();
-				const bondingManager = new ethers.Contract(
+				const bondingManager = batched(new ethers.Contract(
 					bondingAddress,
 					bondingManagerAbi,
-					$wallet.signer
-				);
+					signerOrProvider($wallet)
+				));
 
 				const betWei = ethers.utils.parseEther(betAmountEth.toString());
 				const required = await bondingManager.calculateRequiredBond(betWei);
@@ -166,18 +157,18 @@ function createBondingStore() {
 		 */
 		async hasSufficientBond(betAmountEth) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return false;
+			if (!$wallet.account || !$wallet.chainId) return false;
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
 			if (!bondingAddress) return true; // No bonding on this network
 
 			try {
 				const bondingManagerAbi = await getBondingManagerAbi();
-				const bondingManager = new ethers.Contract(
+				const bondingManager = batched(new ethers.Contract(
 					bondingAddress,
 					bondingManagerAbi,
-					$wallet.signer
-				);
+					signerOrProvider($wallet)
+				));
 
 				const betWei = ethers.utils.parseEther(betAmountEth.toString());
 				return await bondingManager.hasSufficientBond($wallet.account, betWei);
@@ -191,13 +182,13 @@ function createBondingStore() {
 		 * Approve CHESS token spending (approves max for convenience)
 		 */
 		async approveChess(amount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 
 			if (!bondingAddress || !tokenAddress) {
 				throw new Error('Bonding not available on this network');
@@ -223,11 +214,13 @@ function createBondingStore() {
 			const maxAmount = ethers.constants.MaxUint256;
 			console.log('Sending approval transaction for MaxUint256...');
 
-			const tx = await chessToken.approve(bondingAddress, maxAmount);
-			console.log('Transaction submitted:', tx.hash);
+			await withContractErrors(async () => {
+				const tx = await chessToken.approve(bondingAddress, maxAmount);
+				console.log('Transaction submitted:', tx.hash);
 
-			const receipt = await tx.wait();
-			console.log('Transaction confirmed in block:', receipt.blockNumber);
+				const receipt = await tx.wait();
+				console.log('Transaction confirmed in block:', receipt.blockNumber);
+			});
 
 			// Verify the approval actually worked
 			const newAllowance = await chessToken.allowance($wallet.account, bondingAddress);
@@ -245,13 +238,13 @@ function createBondingStore() {
 		 * Deposit bond (CHESS and/or ETH)
 		 */
 		async depositBond(chessAmount, ethAmount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 			if (!bondingAddress) {
 				throw new Error('Bonding not available on this network');
 			}
@@ -298,11 +291,13 @@ function createBondingStore() {
 			);
 
 			console.log('Sending deposit transaction...');
-			const tx = await bondingManager.depositBond(chessWei, { value: ethWei });
-			console.log('Transaction submitted:', tx.hash);
+			await withContractErrors(async () => {
+				const tx = await bondingManager.depositBond(chessWei, { value: ethWei });
+				console.log('Transaction submitted:', tx.hash);
 
-			await tx.wait();
-			console.log('Deposit confirmed!');
+				await tx.wait();
+				console.log('Deposit confirmed!');
+			});
 
 			// Refresh data
 			await this.fetchBondData();
@@ -312,12 +307,12 @@ function createBondingStore() {
 		 * Withdraw CHESS from bond
 		 */
 		async withdrawChess(amount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
 			if (!bondingAddress) {
 				throw new Error('Bonding not available on this network');
 			}
@@ -330,8 +325,10 @@ function createBondingStore() {
 			);
 
 			const amountWei = ethers.utils.parseEther(amount.toString());
-			const tx = await bondingManager.withdrawChess(amountWei);
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await bondingManager.withdrawChess(amountWei);
+				await tx.wait();
+			});
 
 			// Refresh data
 			await this.fetchBondData();
@@ -341,12 +338,12 @@ function createBondingStore() {
 		 * Withdraw ETH from bond
 		 */
 		async withdrawEth(amount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const bondingAddress = BONDING_MANAGER_ADDRESSES[$wallet.chainId];
+			const bondingAddress = getContractAddress($wallet.chainId, 'BondingManager');
 			if (!bondingAddress) {
 				throw new Error('Bonding not available on this network');
 			}
@@ -359,8 +356,10 @@ function createBondingStore() {
 			);
 
 			const amountWei = ethers.utils.parseEther(amount.toString());
-			const tx = await bondingManager.withdrawEth(amountWei);
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await bondingManager.withdrawEth(amountWei);
+				await tx.wait();
+			});
 
 			// Refresh data
 			await this.fetchBondData();
@@ -370,12 +369,12 @@ function createBondingStore() {
 		 * Mint test CHESS tokens (admin only - for testnet)
 		 */
 		async mintTestTokens(amount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 			if (!tokenAddress) {
 				throw new Error('ChessToken not available on this network');
 			}
@@ -388,8 +387,10 @@ function createBondingStore() {
 			);
 
 			const amountWei = ethers.utils.parseEther(amount.toString());
-			const tx = await chessToken.mintTreasury($wallet.account, amountWei);
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await chessToken.mintTreasury($wallet.account, amountWei);
+				await tx.wait();
+			});
 
 			// Refresh data
 			await this.fetchBondData();
@@ -418,26 +419,25 @@ function createBondingStore() {
 			});
 		}
 	};
+
+	return store;
 }
 
 export const bonding = createBondingStore();
 
 // Derived store for bonding manager address
-export const bondingManagerAddress = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return null;
-	return BONDING_MANAGER_ADDRESSES[$wallet.chainId] || null;
+export const bondingManagerAddress = derived([wallet, contractRegistry], ([$wallet]) => {
+	return getContractAddress($wallet.chainId, 'BondingManager');
 });
 
 // Derived store for CHESS token address
-export const chessTokenAddress = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return null;
-	return CHESS_TOKEN_ADDRESSES[$wallet.chainId] || null;
+export const chessTokenAddress = derived([wallet, contractRegistry], ([$wallet]) => {
+	return getContractAddress($wallet.chainId, 'ChessToken');
 });
 
 // Derived store to check if bonding is available on current network
-export const bondingAvailable = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return false;
-	return !!BONDING_MANAGER_ADDRESSES[$wallet.chainId];
+export const bondingAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'BondingManager');
 });
 
 // Helper to format CHESS amount with symbol
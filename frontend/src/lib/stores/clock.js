@@ -0,0 +1,252 @@
+import { writable, get } from 'svelte/store';
+import { browser } from '$app/environment';
+import { ethers } from 'ethers';
+import { wallet, onNetworkChange, NETWORKS } from './wallet.js';
+import { loadContractAbi } from '../contracts/loadAbi.js';
+import { batched } from '../contracts/multicall.js';
+import { notifyLowTime } from './notifications.js';
+import { playSound } from './audio.js';
+
+/**
+ * Wall-clock view of the on-chain move timeout.
+ *
+ * ChessCore counts the timeout in blocks (getTimeoutStatus). This store turns
+ * the blocks left into seconds using the average block time measured on the
+ * connected chain, ticks down locally every second and re-syncs with the
+ * contract on every new block header.
+ */
+
+// Blocks sampled to measure the average block time
+const SAMPLE_BLOCKS = 100;
+const MIN_SAMPLE_BLOCKS = 10;
+const DEFAULT_BLOCK_TIME = 12;
+const TICK_MS = 1000;
+
+// Warning thresholds the player can pick from, in seconds
+export const LOW_TIME_OPTIONS = [
+	{ seconds: 86400, label: '1d' },
+	{ seconds: 3600, label: '1h' },
+	{ seconds: 600, label: '10m' },
+	{ seconds: 60, label: '1m' }
+];
+
+export const clockSettings = writable({
+	lowTimeThresholds: [3600, 600, 60]
+});
+
+if (browser) {
+	try {
+		const saved = localStorage.getItem('chess-clock-settings');
+		if (saved) {
+			clockSettings.set(JSON.parse(saved));
+		}
+	} catch (e) {
+		console.warn('Could not load clock settings:', e);
+	}
+
+	clockSettings.subscribe(value => {
+		try {
+			localStorage.setItem('chess-clock-settings', JSON.stringify(value));
+		} catch (e) {
+			console.warn('Could not save clock settings:', e);
+		}
+	});
+}
+
+// Turn a low-time warning on or off
+export function toggleLowTimeThreshold(seconds) {
+	clockSettings.update(s => {
+		const thresholds = s.lowTimeThresholds.includes(seconds)
+			? s.lowTimeThresholds.filter(t => t !== seconds)
+			: [...s.lowTimeThresholds, seconds];
+		return { ...s, lowTimeThresholds: thresholds.sort((a, b) => b - a) };
+	});
+}
+
+// Measured average block time per chain, shared by every game on that chain
+const blockTimes = new Map();
+
+/**
+ * Average seconds per block over the last SAMPLE_BLOCKS blocks. Falls back to
+ * the network's nominal block time when the chain is too short to measure or
+ * the sample is unusable.
+ */
+export async function getAverageBlockTime(provider, chainId) {
+	const key = chainId ?? 'unknown';
+	if (!blockTimes.has(key)) {
+		const fallback = NETWORKS[chainId]?.blockTime || DEFAULT_BLOCK_TIME;
+		blockTimes.set(key, (async () => {
+			const latest = await provider.getBlock('latest');
+			const span = Math.min(SAMPLE_BLOCKS, latest.number);
+			if (span < MIN_SAMPLE_BLOCKS) return fallback;
+
+			const oldest = await provider.getBlock(latest.number - span);
+			const average = (latest.timestamp - oldest.timestamp) / span;
+			return average > 0 ? average : fallback;
+		})().catch((err) => {
+			console.warn('Could not measure block time:', err);
+			blockTimes.delete(key);
+			return fallback;
+		}));
+	}
+	return blockTimes.get(key);
+}
+
+// 6d 23h / 2h 05m / 4:32
+export function formatClock(seconds) {
+	if (seconds === null || seconds === undefined) return '--:--';
+	const total = Math.max(0, Math.floor(seconds));
+	const d = Math.floor(total / 86400);
+	const h = Math.floor((total % 86400) / 3600);
+	const m = Math.floor((total % 3600) / 60);
+	const s = total % 60;
+
+	if (d > 0) return `${d}d ${h}h`;
+	if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+	return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function createClockStore() {
+	const idle = {
+		address: null,
+		active: false,
+		currentPlayerIsWhite: true,
+		blocksRemaining: null,
+		secondsRemaining: null,
+		timeoutBlocks: null,
+		timeoutSeconds: null,
+		blockTime: null,
+		blockNumber: null
+	};
+	// The block listener is bound to the old provider; the page tracks again once the game reloads
+	const { subscribe, set, update } = writable(idle, () => onNetworkChange(() => stop()));
+
+	let game = null;
+	let provider = null;
+	let blockListener = null;
+	let ticker = null;
+	let deadline = null; // ms timestamp when the side to move runs out
+	let playerRole = 'spectator';
+	let firedThresholds = new Set();
+	let syncId = 0;
+
+	function stop() {
+		if (provider && blockListener) provider.off('block', blockListener);
+		if (ticker) clearInterval(ticker);
+		game = null;
+		provider = null;
+		blockListener = null;
+		ticker = null;
+		deadline = null;
+		firedThresholds = new Set();
+		set(idle);
+	}
+
+	// Fire each enabled threshold once per turn, only for the player on the move
+	function checkLowTime(state) {
+		const myTurn = (playerRole === 'white' && state.currentPlayerIsWhite) ||
+			(playerRole === 'black' && !state.currentPlayerIsWhite);
+		if (!myTurn || state.secondsRemaining === null || state.secondsRemaining <= 0) return;
+
+		const { lowTimeThresholds } = get(clockSettings);
+		const crossed = lowTimeThresholds.filter(t => state.secondsRemaining <= t && !firedThresholds.has(t));
+		if (crossed.length === 0) return;
+
+		// Opening a game that is already low only warns once
+		crossed.forEach(t => firedThresholds.add(t));
+		notifyLowTime(formatClock(state.secondsRemaining));
+		playSound('lowTime');
+	}
+
+	function tick() {
+		if (deadline === null) return;
+		update(s => {
+			const next = { ...s, secondsRemaining: Math.max(0, (deadline - Date.now()) / 1000) };
+			checkLowTime(next);
+			return next;
+		});
+	}
+
+	async function sync(blockNumber) {
+		if (!game) return;
+		const id = ++syncId;
+
+		try {
+			const [status, block, blockTime] = await Promise.all([
+				game.getTimeoutStatus(),
+				provider.getBlock(blockNumber ?? 'latest'),
+				getAverageBlockTime(provider, get(wallet).chainId)
+			]);
+			// A newer header (or stop()) superseded this sync
+			if (id !== syncId || !game || !block) return;
+
+			const currentPlayerIsWhite = status.currentPlayerIsWhite;
+			const blocksRemaining = Number(currentPlayerIsWhite ? status.whiteBlocksRemaining : status.blackBlocksRemaining);
+			const previous = get({ subscribe });
+
+			// A move hands the clock to the other side: re-arm the warnings
+			if (previous.currentPlayerIsWhite !== currentPlayerIsWhite ||
+				(previous.blocksRemaining !== null && blocksRemaining > previous.blocksRemaining)) {
+				firedThresholds = new Set();
+			}
+
+			// Part of the current block interval has already gone by since the header was mined
+			const now = Date.now();
+			const sinceBlock = Math.min(Math.max(0, now - block.timestamp * 1000), blockTime * 1000);
+			deadline = blocksRemaining > 0 ? now - sinceBlock + blocksRemaining * blockTime * 1000 : now;
+
+			update(s => ({
+				...s,
+				active: true,
+				currentPlayerIsWhite,
+				blocksRemaining,
+				blockTime,
+				blockNumber: block.number,
+				timeoutSeconds: s.timeoutBlocks ? s.timeoutBlocks * blockTime : null
+			}));
+			tick();
+		} catch (err) {
+			console.warn('Clock sync failed:', err);
+		}
+	}
+
+	return {
+		subscribe,
+
+		/**
+		 * Follow the timeout of a game. timeoutBlocks is the per-move allowance;
+		 * playerRole ('white' | 'black' | 'spectator') decides who gets the
+		 * low-time warnings.
+		 */
+		async track(address, { timeoutBlocks, playerRole: role = 'spectator' } = {}) {
+			const $wallet = get(wallet);
+			playerRole = role;
+			if (get({ subscribe }).address === address && game) return;
+
+			stop();
+			if (!$wallet.provider || !address) return;
+
+			set({ ...idle, address, timeoutBlocks });
+			const chessCoreAbi = await loadContractAbi('ChessCore');
+			// Another track() or stop() ran while the ABI was loading
+			if (get({ subscribe }).address !== address || game) return;
+
+			provider = $wallet.provider;
+			game = batched(new ethers.Contract(address, chessCoreAbi, provider));
+
+			blockListener = (blockNumber) => sync(blockNumber);
+			provider.on('block', blockListener);
+			ticker = setInterval(tick, TICK_MS);
+			await sync();
+		},
+
+		// Re-read the contract now (e.g. right after our own move is mined)
+		resync() {
+			return sync();
+		},
+
+		stop
+	};
+}
+
+export const clock = createClockStore();
@@ -1,29 +1,10 @@
 import { writable, derived, get } from 'svelte/store';
-import { wallet } from './wallet.js';
+import { wallet, onContractsChange, signerOrProvider, requireSigner } from './wallet.js';
 import { ethers } from 'ethers';
 import { loadContractAbi } from '../contracts/loadAbi.js';
-
-// Contract addresses per network
-const DISPUTE_DAO_ADDRESSES = {
-	1337: import.meta.env.VITE_DISPUTE_DAO_LOCAL || '',
-	5777: import.meta.env.VITE_DISPUTE_DAO_LOCAL || '',
-	84532: import.meta.env.VITE_DISPUTE_DAO_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_DISPUTE_DAO_BASE || ''
-};
-
-const ARBITRATOR_REGISTRY_ADDRESSES = {
-	1337: import.meta.env.VITE_ARBITRATOR_REGISTRY_LOCAL || '',
-	5777: import.meta.env.VITE_ARBITRATOR_REGISTRY_LOCAL || '',
-	84532: import.meta.env.VITE_ARBITRATOR_REGISTRY_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_ARBITRATOR_REGISTRY_BASE || ''
-};
-
-const CHESS_TOKEN_ADDRESSES = {
-	1337: import.meta.env.VITE_CHESS_TOKEN_LOCAL || '',
-	5777: import.meta.env.VITE_CHESS_TOKEN_LOCAL || '',
-	84532: import.meta.env.VITE_CHESS_TOKEN_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_CHESS_TOKEN_BASE || ''
-};
+import { contractRegistry, getContractAddress } from '../contracts/registry.js';
+import { batched } from '../contracts/multicall.js';
+import { toContractError } from '../contracts/errors.js';
 
 const getDisputeDaoAbi = () => loadContractAbi('DisputeDAO');
 const getArbitratorRegistryAbi = () => loadContractAbi('ArbitratorRegistry');
@@ -63,9 +44,12 @@ function createDisputeStore() {
 		supermajority: 0,
 		// User's active challenges count
 		activeChallenges: 0
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchParams();
+	}));
 
-	return {
+	const store = {
 		subscribe,
 
 		/**
@@ -73,14 +57,14 @@ function createDisputeStore() {
 		 */
 		async fetchParams() {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return;
+			if (!$wallet.provider || !$wallet.chainId) return;
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) return;
 
 			try {
 				const disputeDaoAbi = await getDisputeDaoAbi();
-				const dao = new ethers.Contract(daoAddress, disputeDaoAbi, $wallet.signer);
+				const dao = batched(new ethers.Contract(daoAddress, disputeDaoAbi, signerOrProvider($wallet)));
 
 				const [
 					challengeWindow,
@@ -97,7 +81,7 @@ function createDisputeStore() {
 					dao.challengeDeposit(),
 					dao.quorum(),
 					dao.supermajority(),
-					dao.activeChallenges($wallet.account)
+					$wallet.account ? dao.activeChallenges($wallet.account) : ethers.constants.Zero
 				]);
 
 				update(s => ({
@@ -120,14 +104,14 @@ function createDisputeStore() {
 		 */
 		async getDisputeByGame(gameId) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId || !gameId) return null;
+			if (!$wallet.provider || !$wallet.chainId || !gameId) return null;
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) return null;
 
 			try {
 				const disputeDaoAbi = await getDisputeDaoAbi();
-				const dao = new ethers.Contract(daoAddress, disputeDaoAbi, $wallet.signer);
+				const dao = batched(new ethers.Contract(daoAddress, disputeDaoAbi, signerOrProvider($wallet)));
 				const [disputeId, challengeWindowOpen, challengeWindowRemaining] = await Promise.all([
 					dao.gameToDispute(gameId),
 					dao.isChallengeWindowOpen(gameId).catch(() => false),
@@ -152,9 +136,9 @@ function createDisputeStore() {
 		 */
 		async getDispute(disputeId, context = {}) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return null;
+			if (!$wallet.provider || !$wallet.chainId) return null;
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) return null;
 
 			update(s => ({ ...s, loading: true, error: null }));
@@ -164,10 +148,10 @@ function createDisputeStore() {
 					getDisputeDaoAbi(),
 					getArbitratorRegistryAbi()
 				]);
-				const dao = new ethers.Contract(daoAddress, disputeDaoAbi, $wallet.signer);
-				const registryAddress = ARBITRATOR_REGISTRY_ADDRESSES[$wallet.chainId];
+				const dao = batched(new ethers.Contract(daoAddress, disputeDaoAbi, signerOrProvider($wallet)));
+				const registryAddress = getContractAddress($wallet.chainId, 'ArbitratorRegistry');
 				const registry = registryAddress
-					? new ethers.Contract(registryAddress, arbitratorRegistryAbi, $wallet.signer)
+					? batched(new ethers.Contract(registryAddress, arbitratorRegistryAbi, signerOrProvider($wallet)))
 					: null;
 
 				const [disputeData, arbitrators, effectiveQuorum, voteStatus, arbitratorInfo] = await Promise.all([
@@ -226,7 +210,8 @@ function createDisputeStore() {
 				return dispute;
 			} catch (err) {
 				console.error('Error getting dispute:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 				return null;
 			}
 		},
@@ -235,13 +220,13 @@ function createDisputeStore() {
 		 * Challenge a game
 		 */
 		async challenge(gameId, accusedPlayer) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 			if (!daoAddress || !tokenAddress) {
 				throw new Error('Dispute system not available on this network');
 			}
@@ -273,8 +258,9 @@ function createDisputeStore() {
 				return true;
 			} catch (err) {
 				console.error('Error challenging game:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -282,12 +268,12 @@ function createDisputeStore() {
 		 * Commit a vote (must store salt locally!)
 		 */
 		async commitVote(disputeId, vote, salt) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) {
 				throw new Error('Dispute system not available');
 			}
@@ -311,8 +297,9 @@ function createDisputeStore() {
 				return commitHash;
 			} catch (err) {
 				console.error('Error committing vote:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -320,12 +307,12 @@ function createDisputeStore() {
 		 * Reveal a previously committed vote
 		 */
 		async revealVote(disputeId, vote, salt) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) {
 				throw new Error('Dispute system not available');
 			}
@@ -343,8 +330,9 @@ function createDisputeStore() {
 				return true;
 			} catch (err) {
 				console.error('Error revealing vote:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -352,12 +340,12 @@ function createDisputeStore() {
 		 * Resolve dispute after reveal period
 		 */
 		async resolveDispute(disputeId) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) {
 				throw new Error('Dispute system not available');
 			}
@@ -375,8 +363,9 @@ function createDisputeStore() {
 				return true;
 			} catch (err) {
 				console.error('Error resolving dispute:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -384,12 +373,12 @@ function createDisputeStore() {
 		 * Close an expired challenge window
 		 */
 		async closeChallengeWindow(gameId) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) {
 				throw new Error('Dispute system not available');
 			}
@@ -406,8 +395,9 @@ function createDisputeStore() {
 				return true;
 			} catch (err) {
 				console.error('Error closing challenge window:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -416,14 +406,14 @@ function createDisputeStore() {
 		 */
 		async getVoteStatus(disputeId, arbitrator) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return null;
+			if (!$wallet.provider || !$wallet.chainId) return null;
 
-			const daoAddress = DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+			const daoAddress = getContractAddress($wallet.chainId, 'DisputeDAO');
 			if (!daoAddress) return null;
 
 			try {
 				const disputeDaoAbi = await getDisputeDaoAbi();
-				const dao = new ethers.Contract(daoAddress, disputeDaoAbi, $wallet.signer);
+				const dao = batched(new ethers.Contract(daoAddress, disputeDaoAbi, signerOrProvider($wallet)));
 				const status = await dao.getVoteStatus(disputeId, arbitrator);
 
 				return {
@@ -462,6 +452,8 @@ function createDisputeStore() {
 			});
 		}
 	};
+
+	return store;
 }
 
 // Arbitrator store
@@ -484,9 +476,12 @@ function createArbitratorStore() {
 		tier1Min: '1000',
 		tier2Min: '5000',
 		tier3Min: '20000'
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchData();
+	}));
 
-	return {
+	const store = {
 		subscribe,
 
 		/**
@@ -494,20 +489,20 @@ function createArbitratorStore() {
 		 */
 		async fetchData() {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return;
+			if (!$wallet.account || !$wallet.chainId) return;
 
-			const registryAddress = ARBITRATOR_REGISTRY_ADDRESSES[$wallet.chainId];
+			const registryAddress = getContractAddress($wallet.chainId, 'ArbitratorRegistry');
 			if (!registryAddress) return;
 
 			update(s => ({ ...s, loading: true, error: null }));
 
 			try {
 				const arbitratorRegistryAbi = await getArbitratorRegistryAbi();
-				const registry = new ethers.Contract(
+				const registry = batched(new ethers.Contract(
 					registryAddress,
 					arbitratorRegistryAbi,
-					$wallet.signer
-				);
+					signerOrProvider($wallet)
+				));
 
 				const [info, tierCounts, totalStaked, totalArbitrators] = await Promise.all([
 					registry.getArbitratorInfo($wallet.account),
@@ -538,7 +533,8 @@ function createArbitratorStore() {
 				});
 			} catch (err) {
 				console.error('Error fetching arbitrator data:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
@@ -546,13 +542,13 @@ function createArbitratorStore() {
 		 * Stake CHESS to become arbitrator
 		 */
 		async stake(amount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const registryAddress = ARBITRATOR_REGISTRY_ADDRESSES[$wallet.chainId];
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const registryAddress = getContractAddress($wallet.chainId, 'ArbitratorRegistry');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 			if (!registryAddress || !tokenAddress) {
 				throw new Error('Arbitrator registry not available');
 			}
@@ -591,8 +587,9 @@ function createArbitratorStore() {
 				return true;
 			} catch (err) {
 				console.error('Error staking:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -600,12 +597,12 @@ function createArbitratorStore() {
 		 * Unstake CHESS
 		 */
 		async unstake(amount) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const registryAddress = ARBITRATOR_REGISTRY_ADDRESSES[$wallet.chainId];
+			const registryAddress = getContractAddress($wallet.chainId, 'ArbitratorRegistry');
 			if (!registryAddress) {
 				throw new Error('Arbitrator registry not available');
 			}
@@ -631,8 +628,9 @@ function createArbitratorStore() {
 				return true;
 			} catch (err) {
 				console.error('Error unstaking:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -658,20 +656,20 @@ function createArbitratorStore() {
 			});
 		}
 	};
+
+	return store;
 }
 
 export const dispute = createDisputeStore();
 export const arbitrator = createArbitratorStore();
 
 // Derived stores for availability
-export const disputeAvailable = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return false;
-	return !!DISPUTE_DAO_ADDRESSES[$wallet.chainId];
+export const disputeAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'DisputeDAO');
 });
 
-export const arbitratorAvailable = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return false;
-	return !!ARBITRATOR_REGISTRY_ADDRESSES[$wallet.chainId];
+export const arbitratorAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'ArbitratorRegistry');
 });
 
 // Helper to format time remaining
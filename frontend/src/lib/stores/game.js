@@ -1,7 +1,15 @@
 import { writable, derived, get } from 'svelte/store';
-import { wallet, contractAddress } from './wallet.js';
+import { wallet, onNetworkChange, onContractsChange, contractAddress, NETWORKS, signerOrProvider, requireSigner } from './wallet.js';
 import { ethers } from 'ethers';
 import { loadContractAbi } from '../contracts/loadAbi.js';
+import { batched } from '../contracts/multicall.js';
+import { subscribeToLogs, getLogsInRange } from '../contracts/subscription.js';
+import { getDeploymentBlock } from '../contracts/registry.js';
+import { gameIndex } from './gameIndex.js';
+import { clock } from './clock.js';
+import { decodeContractError, toContractError, withContractErrors } from '../contracts/errors.js';
+import { wouldLeaveKingInCheck, squareName, parseSquare, applyMove, diffBoards, INITIAL_BOARD } from '../chess/rules.js';
+import { moveToSan, buildPgn, resultTag } from '../chess/pgn.js';
 
 // Game states mapping
 export const GAME_STATES = {
@@ -16,83 +24,164 @@ export const GAME_STATES = {
 const getChessFactoryAbi = () => loadContractAbi('ChessFactory');
 const getChessCoreAbi = () => loadContractAbi('ChessCore');
 
+// Claims a player can make to end a game by rule, keyed by the ChessCore function
+export const CLAIM_METHODS = {
+	timeout: 'claimVictoryByTimeout',
+	repetition: 'claimDrawByRepetition',
+	fiftyMove: 'claimDrawByFiftyMoveRule'
+};
+
+async function sendClaim(gameAddress, kind) {
+	const $wallet = await requireSigner();
+	if (!$wallet.signer) {
+		throw new Error('Wallet not connected');
+	}
+
+	const chessCoreAbi = await getChessCoreAbi();
+	const game = new ethers.Contract(gameAddress, chessCoreAbi, $wallet.signer);
+	await withContractErrors(async () => {
+		const tx = await game[CLAIM_METHODS[kind]]();
+		await tx.wait();
+	});
+}
+
+// blockhash() only reaches back this many blocks; a Random colour draw left
+// unsettled that long expires and the first player to settle it plays black
+const BLOCKHASH_WINDOW = 256;
+
+// Draw-rule thresholds enforced by ChessCore, in half-moves / occurrences
+export const DRAW_RULES = {
+	fiftyMoveHalfMoves: 100, // claimable
+	seventyFiveMoveHalfMoves: 150, // automatic draw
+	repetitions: 3 // claimable
+};
+
+/**
+ * Draw-rule counters from getDrawRuleStatus() and whether the connected player
+ * could claim either draw right now. maxRepetitions is the most any position
+ * has occurred, but the claim needs the current one repeated, so a repetition
+ * claim is confirmed with a dry run. game must be connected to the signer.
+ */
+async function readDrawRules(game, isPlayer) {
+	const status = await game.getDrawRuleStatus().catch(() => null);
+	if (!status) return null;
+
+	const halfMoves = Number(status.halfMoves);
+	const maxRepetitions = Number(status.maxRepetitions);
+	const canClaimRepetition = isPlayer && maxRepetitions >= DRAW_RULES.repetitions &&
+		await game.callStatic.claimDrawByRepetition().then(() => true, () => false);
+
+	return {
+		halfMoves,
+		maxRepetitions,
+		canClaimFiftyMove: isPlayer && halfMoves >= DRAW_RULES.fiftyMoveHalfMoves,
+		canClaimRepetition
+	};
+}
+
+// Which claims the connected player could make right now on an in-progress game
+async function findClaims(game, isWhite) {
+	const [timeoutStatus, drawRules] = await Promise.all([
+		game.getTimeoutStatus().catch(() => null),
+		readDrawRules(game, true)
+	]);
+
+	const claims = [];
+	if (timeoutStatus && timeoutStatus.currentPlayerIsWhite !== isWhite) {
+		const remaining = isWhite ? timeoutStatus.blackBlocksRemaining : timeoutStatus.whiteBlocksRemaining;
+		if (Number(remaining) === 0) claims.push('timeout');
+	}
+	if (drawRules?.canClaimRepetition) claims.push('repetition');
+	if (drawRules?.canClaimFiftyMove) claims.push('fiftyMove');
+	return claims;
+}
+
 // Games list store
 function createGamesStore() {
 	const { subscribe, set, update } = writable({
 		games: [],
+		invitations: [],
+		claimable: [],
 		loading: false,
 		error: null
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchGames();
+	}));
+
+	// Check every in-progress game of the connected player for rule claims
+	async function fetchClaimable(games, account) {
+		const $wallet = get(wallet);
+		const mine = games.filter(game => game.state === 2 && account &&
+			(game.whitePlayer?.toLowerCase() === account || game.blackPlayer?.toLowerCase() === account));
+		if (mine.length === 0) return [];
+
+		const chessCoreAbi = await getChessCoreAbi();
+		const results = await Promise.all(mine.map(async (game) => {
+			const signerGame = batched(new ethers.Contract(game.address, chessCoreAbi, $wallet.signer));
+			const isWhite = game.whitePlayer.toLowerCase() === account;
+			try {
+				const claims = await findClaims(signerGame, isWhite);
+				return claims.length > 0
+					? { ...game, claims, opponent: isWhite ? game.blackPlayer : game.whitePlayer }
+					: null;
+			} catch (err) {
+				console.warn(`Could not check claims for ${game.address}:`, err);
+				return null;
+			}
+		}));
+		return results.filter(Boolean);
+	}
 
-	return {
+	const store = {
 		subscribe,
 
 		async fetchGames() {
 			const $wallet = get(wallet);
 			const $contractAddress = get(contractAddress);
 
-			if (!$wallet.signer || !$contractAddress) return;
+			if (!$wallet.provider || !$contractAddress) return;
 
 			update(s => ({ ...s, loading: true, error: null }));
 
 			try {
-				const [factoryAbi, chessCoreAbi] = await Promise.all([
-					getChessFactoryAbi(),
-					getChessCoreAbi()
-				]);
-				const factory = new ethers.Contract(
-					$contractAddress,
-					factoryAbi,
-					$wallet.signer
+				// Served from the local event index; only new blocks hit the RPC
+				const indexed = await gameIndex.sync();
+				const account = $wallet.account?.toLowerCase();
+
+				const games = indexed.map(game => ({
+					...game,
+					invitedOpponent: game.invitedOpponent || null,
+					isMyTurn: game.state === 2 && game.currentPlayer?.toLowerCase() === account,
+					stateInfo: GAME_STATES[game.state] || GAME_STATES[1],
+					betting: ethers.utils.formatEther(game.betting)
+				}));
+
+				// Open games whose GameInvitation named the connected account
+				const invitations = games.filter(game =>
+					game.state === 1 && account && game.invitedOpponent?.toLowerCase() === account
 				);
 
-				const gameAddresses = await factory.getDeployedChessGames();
-				const games = [];
-
-				for (const addr of gameAddresses) {
-					try {
-						const game = new ethers.Contract(addr, chessCoreAbi, $wallet.signer);
-
-						const [players, currentPlayer, state, betting, svgData] = await Promise.all([
-							game.getPlayers(),
-							game.currentPlayer(),
-							game.getGameState(),
-							game.betting(),
-							game.printChessBoardLayoutSVG().catch(() => null)
-						]);
-
-						let image = '';
-						if (svgData) {
-							try {
-								const json = JSON.parse(atob(svgData.split(',')[1]));
-								image = json.image;
-							} catch {}
-						}
+				set({ games, invitations, claimable: get({ subscribe }).claimable, loading: false, error: null });
 
-						games.push({
-							address: addr,
-							whitePlayer: players[0],
-							blackPlayer: players[1],
-							currentPlayer,
-							isMyTurn: currentPlayer?.toLowerCase?.() === $wallet.account?.toLowerCase(),
-							state: Number(state),
-							stateInfo: GAME_STATES[Number(state)] || GAME_STATES[1],
-							betting: ethers.utils.formatEther(betting),
-							image
-						});
-					} catch (err) {
-						console.error(`Error loading game ${addr}:`, err);
-					}
-				}
-
-				set({ games, loading: false, error: null });
+				// Slower per-game checks: fill in once the list is already on screen
+				const claimable = await fetchClaimable(games, account);
+				update(s => ({ ...s, claimable }));
 			} catch (err) {
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
-		async createGame(betAmount, timeoutPreset = 2, gameMode = 0) {
-			const $wallet = get(wallet);
+		// Claim a timeout win or a rule draw from the games list, then refresh it
+		async claim(gameAddress, kind) {
+			await sendClaim(gameAddress, kind);
+			update(s => ({ ...s, claimable: s.claimable.filter(game => game.address !== gameAddress) }));
+			await this.fetchGames();
+		},
+
+		async createGame(betAmount, timeoutPreset = 2, gameMode = 0, invitedOpponent = null, creatorColor = 0) {
+			const $wallet = await requireSigner();
 			const $contractAddress = get(contractAddress);
 
 			if (!$wallet.signer || !$contractAddress) {
@@ -108,38 +197,99 @@ function createGamesStore() {
 
 			// TimeoutPreset: 0=Finney (~1h), 1=Buterin (~7h), 2=Nakamoto (~7d)
 			// GameMode: 0=Tournament (strict), 1=Friendly (relaxed)
-			const tx = await factory.createChessGame(timeoutPreset, gameMode, {
-				value: ethers.utils.parseEther(betAmount.toString())
+			// invitedOpponent: only this address may join (null = open game)
+			// creatorColor: 0=White, 1=Black, 2=Random (drawn when someone joins)
+			const receipt = await withContractErrors(async () => {
+				const overrides = { value: ethers.utils.parseEther(betAmount.toString()) };
+				let tx;
+				if (creatorColor !== 0) {
+					tx = await factory.createChessGameWithColor(timeoutPreset, gameMode, creatorColor,
+						invitedOpponent || ethers.constants.AddressZero, overrides);
+				} else if (invitedOpponent) {
+					tx = await factory.createInvitedChessGame(timeoutPreset, gameMode, invitedOpponent, overrides);
+				} else {
+					tx = await factory.createChessGame(timeoutPreset, gameMode, overrides);
+				}
+				return tx.wait();
+			});
+
+			// Return the new game's address so callers can continue setting it up
+			const created = receipt.events?.find(e => e.event === 'GameCreated');
+			return created?.args?.gameAddress || null;
+		},
+
+		// Lay out a custom position on a Friendly game that hasn't started yet.
+		// Sends one debugCreative call per square that differs from the current board,
+		// then reads getBoardState() back and returns the squares that still don't match.
+		// onProgress receives { sent, confirmed, total }.
+		async setupPosition(gameAddress, targetBoard, onProgress = () => {}) {
+			const $wallet = await requireSigner();
+			if (!$wallet.signer) {
+				throw new Error('Wallet not connected');
+			}
+
+			const chessCoreAbi = await getChessCoreAbi();
+			const game = new ethers.Contract(gameAddress, chessCoreAbi, $wallet.signer);
+
+			const readBoard = async () => (await game.getBoardState()).map(row => row.map(cell => Number(cell)));
+			const changes = diffBoards(await readBoard(), targetBoard);
+			const progress = { sent: 0, confirmed: 0, total: changes.length };
+			onProgress({ ...progress });
+
+			await withContractErrors(async () => {
+				// Submit every call first so the wallet can queue them, then wait for all receipts
+				const pending = [];
+				for (const change of changes) {
+					const tx = await game.debugCreative(change.row, change.col, change.expected);
+					progress.sent++;
+					onProgress({ ...progress });
+					pending.push(tx.wait().then(() => {
+						progress.confirmed++;
+						onProgress({ ...progress });
+					}));
+				}
+				await Promise.all(pending);
 			});
 
-			await tx.wait();
+			return diffBoards(await readBoard(), targetBoard);
+		},
+
+		clear() {
+			set({ games: [], invitations: [], claimable: [], loading: false, error: null });
 		}
 	};
+
+	return store;
 }
 
 export const games = createGamesStore();
 
-// Piece symbols for algebraic notation
-const PIECE_SYMBOLS = {
-	1: '', // pawn - no symbol
-	2: 'N', // knight
-	3: 'B', // bishop
-	4: 'R', // rook
-	5: 'Q', // queen
-	6: 'K', // king
-	'-1': '',
-	'-2': 'N',
-	'-3': 'B',
-	'-4': 'R',
-	'-5': 'Q',
-	'-6': 'K'
-};
-
 // Convert coordinates to algebraic notation
 function toAlgebraic(col, row) {
-	const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
-	const ranks = ['8', '7', '6', '5', '4', '3', '2', '1'];
-	return files[col] + ranks[row];
+	return squareName(row, col);
+}
+
+// Build a move-history entry with proper SAN from the board before the move
+function buildMoveEntry(board, history, { fromRow, fromCol, toRow, toCol, piece, promotionPiece, isCheck, isMate }) {
+	const from = { row: fromRow, col: fromCol };
+	const to = { row: toRow, col: toCol };
+	const isPawn = Math.abs(piece) === 1;
+	const promotion = isPawn && (toRow === 0 || toRow === 7) ? Math.abs(promotionPiece) || 5 : 0;
+	const previous = history[history.length - 1];
+	const lastMove = previous ? { from: parseSquare(previous.from), to: parseSquare(previous.to) } : null;
+
+	const move = {
+		moveNumber: Math.floor(history.length / 2) + 1,
+		isWhite: piece > 0,
+		notation: moveToSan(board, from, to, { promotion, isCheck, isMate, moveHistory: history, lastMove }),
+		from: toAlgebraic(fromCol, fromRow),
+		to: toAlgebraic(toCol, toRow),
+		promotion,
+		isCheck,
+		isMate
+	};
+
+	return { move, board: applyMove(board, from, to, promotion) };
 }
 
 // Active game store
@@ -149,44 +299,40 @@ function createActiveGameStore() {
 		loading: false,
 		error: null,
 		data: null
-	});
+	}, () => onNetworkChange(() => {
+		// Same address, different chain: read it again (or fail to) from scratch
+		const { address } = get({ subscribe });
+		if (address) store.load(address);
+	}));
 
 	let currentGameContract = null;
-	let moveMadeListener = null;
-	let gameStateListener = null;
-	let drawOfferedListener = null;
-	let drawDeclinedListener = null;
-	let drawAcceptedListener = null;
+	let subscription = null;
+	// Our own move is mined but the page has not reloaded yet
+	let moveInFlight = false;
+
+	// Live timeout detection: the clock re-reads getTimeoutStatus on every block
+	clock.subscribe(c => {
+		const s = get({ subscribe });
+		if (!s.data || !c.active || c.address !== s.address || s.data.playerRole === 'spectator') return;
+
+		const opponentToMove = s.data.colorDraw?.expired || c.currentPlayerIsWhite !== (s.data.playerRole === 'white');
+		const canClaimTimeout = s.data.stateInfo.isActive && opponentToMove && c.blocksRemaining === 0;
+		if (canClaimTimeout !== s.data.canClaimTimeout) {
+			update(state => state.data ? { ...state, data: { ...state.data, canClaimTimeout } } : state);
+		}
+	});
 
 	// Cleanup event listeners
 	function cleanupListeners() {
-		if (currentGameContract) {
-			if (moveMadeListener) {
-				currentGameContract.off('MoveMade', moveMadeListener);
-				moveMadeListener = null;
-			}
-			if (gameStateListener) {
-				currentGameContract.off('GameStateChanged', gameStateListener);
-				gameStateListener = null;
-			}
-			if (drawOfferedListener) {
-				currentGameContract.off('DrawOffered', drawOfferedListener);
-				drawOfferedListener = null;
-			}
-			if (drawDeclinedListener) {
-				currentGameContract.off('DrawOfferDeclined', drawDeclinedListener);
-				drawDeclinedListener = null;
-			}
-			if (drawAcceptedListener) {
-				currentGameContract.off('DrawAccepted', drawAcceptedListener);
-				drawAcceptedListener = null;
-			}
-			currentGameContract = null;
+		if (subscription) {
+			subscription.stop();
+			subscription = null;
 		}
+		currentGameContract = null;
 	}
 
 	// Handle incoming move from blockchain event
-	function handleMoveMade(player, fromRow, fromCol, toRow, toCol, piece, capturedPiece, promotionPiece, isCheck, isMate, isCastling, isEnPassant) {
+	function handleMoveMade({ player, fromRow, fromCol, toRow, toCol, piece, promotionPiece, isCheck, isMate }, log) {
 		update(s => {
 			// Skip if no data or listeners were cleared (account switched)
 			if (!s.data || !currentGameContract) return s;
@@ -197,68 +343,22 @@ function createActiveGameStore() {
 			// Skip if this is our own move (we already updated optimistically)
 			if (isMyMove) return s;
 
-			// Create new board with the move applied
-			const newBoard = s.data.board.map(row => [...row]);
-			const pieceValue = Number(piece);
-			const promoValue = Number(promotionPiece);
-
-			// Only use promotionPiece if it's an actual pawn promotion
-			// (pawn reaching the last rank). Otherwise use the actual piece.
-			const isPawn = Math.abs(pieceValue) === 1;
-			const isPromotion = isPawn && (Number(toRow) === 0 || Number(toRow) === 7);
-			const finalPiece = isPromotion ? promoValue : pieceValue;
-
-			// Apply move
-			newBoard[Number(toRow)][Number(toCol)] = finalPiece;
-			newBoard[Number(fromRow)][Number(fromCol)] = 0;
-
-			// Handle en passant capture
-			if (isEnPassant) {
-				const captureRow = pieceValue > 0 ? Number(toRow) + 1 : Number(toRow) - 1;
-				newBoard[captureRow][Number(toCol)] = 0;
-			}
-
-			// Handle castling rook movement
-			if (isCastling) {
-				const row = Number(fromRow);
-				if (Number(toCol) === 6) { // Kingside
-					newBoard[row][5] = newBoard[row][7];
-					newBoard[row][7] = 0;
-				} else if (Number(toCol) === 2) { // Queenside
-					newBoard[row][3] = newBoard[row][0];
-					newBoard[row][0] = 0;
-				}
-			}
+			// Counters live on chain; fetch them once this update has been applied
+			setTimeout(refreshDrawRules, 0);
 
-			// Build notation
-			const pieceSymbols = { 1: '', 2: 'N', 3: 'B', 4: 'R', 5: 'Q', 6: 'K' };
-			const symbol = pieceSymbols[Math.abs(pieceValue)] || '';
-			const fromSquare = toAlgebraic(Number(fromCol), Number(fromRow));
-			const toSquare = toAlgebraic(Number(toCol), Number(toRow));
-
-			let notation = symbol + toSquare;
-			if (Number(capturedPiece) !== 0) {
-				notation = symbol + (symbol === '' ? fromSquare[0] : '') + 'x' + toSquare;
-			}
-			if (isCastling) {
-				notation = Number(toCol) === 6 ? 'O-O' : 'O-O-O';
-			}
-			if (isCheck) notation += '+';
-			if (isMate) notation += '#';
+			const pieceValue = Number(piece);
 
-			// Check for duplicate - if move with same from/to already exists, skip
-			const isDuplicate = s.data.moveHistory.some(m =>
-				m.from === fromSquare && m.to === toSquare
-			);
-			if (isDuplicate) return s;
-
-			const newMove = {
-				moveNumber: Math.floor(s.data.moveHistory.length / 2) + 1,
-				isWhite: pieceValue > 0,
-				notation,
-				from: fromSquare,
-				to: toSquare
-			};
+			// SAN needs the board before the move, so build the entry first
+			const { move: newMove, board: newBoard } = buildMoveEntry(s.data.board, s.data.moveHistory, {
+				fromRow: Number(fromRow),
+				fromCol: Number(fromCol),
+				toRow: Number(toRow),
+				toCol: Number(toCol),
+				piece: pieceValue,
+				promotionPiece: Number(promotionPiece),
+				isCheck,
+				isMate
+			});
 
 			// Store animation data for the ChessBoard component
 			const animatingMove = {
@@ -288,16 +388,22 @@ function createActiveGameStore() {
 					board: newBoard,
 					currentPlayer: $wallet.account, // Now it's our turn
 					isMyTurn: true,
-					moveHistory: [...s.data.moveHistory, newMove],
+					moveHistory: [...s.data.moveHistory, {
+						...newMove,
+						blockNumber: log.blockNumber,
+						transactionHash: log.transactionHash,
+						logIndex: log.logIndex
+					}],
 					animatingMove
 				}
 			};
 		});
 	}
 
-	// Handle game state changes
+	// Handle game state changes. The event carries ChessCore.GameState
+	// (NotStarted=0 ... BlackWins=4); GAME_STATES follows getGameState() (1-6).
 	function handleGameStateChanged(newState) {
-		const stateNum = Number(newState);
+		const stateNum = Number(newState) + 1;
 		update(s => {
 			if (!s.data || !currentGameContract) return s;
 			return {
@@ -312,6 +418,79 @@ function createActiveGameStore() {
 		});
 	}
 
+	// Compare the contract's ply count with the local history after a catch-up.
+	// A mismatch means events were lost (or our own move was played from another
+	// tab), so start over from a full load.
+	async function checkSync(address) {
+		const game = currentGameContract;
+		if (!game || moveInFlight) return;
+
+		const plyCount = await game.plyCount().catch(() => null);
+		const s = get({ subscribe });
+		if (plyCount === null || !s.data || s.loading || moveInFlight || currentGameContract !== game) return;
+		if (s.data.historyUnavailable) return;
+
+		if (Number(plyCount) !== s.data.moveHistory.length) {
+			console.warn(`Move history out of sync (${s.data.moveHistory.length} local, ${plyCount} on chain), reloading`);
+			await store.load(address);
+		}
+	}
+
+	// Re-read the draw-rule counters (after every move, ours or the opponent's)
+	async function refreshDrawRules() {
+		const game = currentGameContract;
+		const s = get({ subscribe });
+		if (!game || !s.data) return;
+
+		const drawRules = await readDrawRules(game, s.data.playerRole !== 'spectator');
+		update(state => state.data && currentGameContract === game
+			? { ...state, data: { ...state.data, drawRules } }
+			: state);
+	}
+
+	// A draw was claimed by rule: the game is over
+	function handleDrawClaimed(rule, claimant) {
+		update(s => {
+			if (!s.data || !currentGameContract) return s;
+			return {
+				...s,
+				data: {
+					...s.data,
+					state: 3,
+					stateInfo: GAME_STATES[3],
+					drawOfferedBy: null,
+					drawClaim: { rule, claimant },
+					drawRules: s.data.drawRules
+						? { ...s.data.drawRules, canClaimRepetition: false, canClaimFiftyMove: false }
+						: null
+				}
+			};
+		});
+	}
+
+	// Random colour draw settled: seats may have swapped, white moves first
+	function handleColorsAssigned(whitePlayer, blackPlayer) {
+		update(s => {
+			if (!s.data || !currentGameContract) return s;
+			const account = get(wallet).account?.toLowerCase();
+			const playerRole =
+				whitePlayer.toLowerCase() === account ? 'white' :
+				blackPlayer.toLowerCase() === account ? 'black' : 'spectator';
+			return {
+				...s,
+				data: {
+					...s.data,
+					whitePlayer,
+					blackPlayer,
+					currentPlayer: whitePlayer,
+					playerRole,
+					isMyTurn: playerRole === 'white',
+					colorDraw: null
+				}
+			};
+		});
+	}
+
 	// Handle draw offer events
 	function handleDrawOffered(player) {
 		update(s => {
@@ -339,20 +518,20 @@ function createActiveGameStore() {
 		});
 	}
 
-	return {
+	const store = {
 		subscribe,
 
 		async load(address) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer) return;
+			if (!$wallet.provider) return;
 
 			update(s => ({ ...s, address, loading: true, error: null }));
 
 			try {
 				const chessCoreAbi = await getChessCoreAbi();
-				const game = new ethers.Contract(address, chessCoreAbi, $wallet.signer);
+				const game = batched(new ethers.Contract(address, chessCoreAbi, signerOrProvider($wallet)));
 
-				const [players, currentPlayer, state, betting, boardState, timeoutStatus, drawOfferStatus, timeoutBlocks, gameMode, gameId, canCancelUnjoinedGame, cancelUnjoinedRemaining] = await Promise.all([
+				const [players, currentPlayer, state, betting, boardState, timeoutStatus, drawOfferStatus, timeoutBlocks, gameMode, gameId, canCancelUnjoinedGame, cancelUnjoinedRemaining, invitedOpponent, creatorColor, colorSeedBlock, blockNumber] = await Promise.all([
 					game.getPlayers(),
 					game.currentPlayer(),
 					game.getGameState(),
@@ -364,62 +543,85 @@ function createActiveGameStore() {
 					game.gameMode().catch(() => 0), // Default to Tournament if not available
 					game.gameId().catch(() => 0),
 					game.canCancelUnjoinedGame($wallet.account || ethers.constants.AddressZero).catch(() => false),
-					game.getCancelUnjoinedRemaining().catch(() => 0)
+					game.getCancelUnjoinedRemaining().catch(() => 0),
+					game.invitedOpponent().catch(() => ethers.constants.AddressZero),
+					game.creatorColor().catch(() => 0), // Older games: creator always white
+					game.colorSeedBlock().catch(() => 0),
+					$wallet.provider.getBlockNumber()
 				]);
 
 				// Convert board state from contract format
 				const board = boardState.map(row => row.map(cell => Number(cell)));
 
-				// Fetch move history from MoveMade events (has isCheck/isMate flags)
+				// Fetch move history from MoveMade events (has isCheck/isMate flags),
+				// scanning only from the game's creation (or the factory's deployment)
+				// in ranges a capped public RPC accepts
 				let moveHistory = [];
+				let historyUnavailable = false;
 				try {
-					const filter = game.filters.MoveMade();
-					const events = await game.queryFilter(filter, 0, 'latest');
-
-					moveHistory = events.map((event, index) => {
-						const { player, fromRow, fromCol, toRow, toCol, piece, capturedPiece, isCheck, isMate, isCastling } = event.args;
-						const pieceValue = Number(piece);
-						const isWhite = pieceValue > 0;
-						const from = toAlgebraic(Number(fromCol), Number(fromRow));
-						const to = toAlgebraic(Number(toCol), Number(toRow));
-
-						// Get piece symbol
-						const pieceSymbols = { 1: '', 2: 'N', 3: 'B', 4: 'R', 5: 'Q', 6: 'K' };
-						const symbol = pieceSymbols[Math.abs(pieceValue)] || '';
-
-						// Build notation
-						let notation = symbol + to;
-						if (Number(capturedPiece) !== 0) {
-							notation = symbol + (symbol === '' ? from[0] : '') + 'x' + to;
-						}
-						if (isCastling) {
-							notation = Number(toCol) === 6 ? 'O-O' : 'O-O-O';
-						}
-						if (isCheck) notation += '+';
-						if (isMate) notation += '#';
-
-						return {
-							moveNumber: Math.floor(index / 2) + 1,
-							isWhite,
-							notation,
-							from,
-							to,
+					const indexed = get(gameIndex).games.find(g => g.address.toLowerCase() === address.toLowerCase());
+					const fromBlock = indexed?.createdBlock ?? getDeploymentBlock($wallet.chainId, 'ChessFactory') ?? 0;
+					const logs = await getLogsInRange($wallet.provider, game.filters.MoveMade(), fromBlock, blockNumber);
+
+					// Replay from the starting position so every SAN sees the board it was played on
+					let replayBoard = INITIAL_BOARD.map(row => [...row]);
+					for (const log of logs) {
+						const { fromRow, fromCol, toRow, toCol, piece, promotionPiece, isCheck, isMate } = game.interface.parseLog(log).args;
+						const { move, board: nextBoard } = buildMoveEntry(replayBoard, moveHistory, {
+							fromRow: Number(fromRow),
+							fromCol: Number(fromCol),
+							toRow: Number(toRow),
+							toCol: Number(toCol),
+							piece: Number(piece),
+							promotionPiece: Number(promotionPiece),
 							isCheck,
-							isMate,
-							blockNumber: event.blockNumber,
-							transactionHash: event.transactionHash
-						};
-					});
+							isMate
+						});
+						moveHistory.push({
+							...move,
+							blockNumber: log.blockNumber,
+							transactionHash: log.transactionHash,
+							logIndex: log.logIndex
+						});
+						replayBoard = nextBoard;
+					}
 				} catch (eventErr) {
 					console.warn('Could not fetch move history:', eventErr);
+					moveHistory = [];
+					historyUnavailable = true;
 				}
 
 				const stateNum = Number(state);
+				const account = $wallet.account?.toLowerCase() ?? ''; // '' when watching read-only
+				const colorChoice = Number(creatorColor);
+
+				// Until someone joins the creator sits in the white seat whatever they chose
+				const creator = stateNum === 1 ? players[0] : null;
+				let whitePlayer = players[0];
+				let blackPlayer = players[1];
+				if (creator && colorChoice === 1) {
+					whitePlayer = ethers.constants.AddressZero;
+					blackPlayer = creator;
+				}
+
+				// Random colours are drawn from the hash of the block after the join.
+				// getPlayers() already reports the outcome once that block is mined; the
+				// first move (or resolveColors) settles it on chain. Once the hash has
+				// expired there is no outcome until a player settles it.
+				const seedBlock = Number(colorSeedBlock);
+				const colorDraw = seedBlock > 0 ? {
+					seedBlock,
+					ready: blockNumber > seedBlock,
+					expired: blockNumber - seedBlock >= BLOCKHASH_WINDOW
+				} : null;
+
 				const playerRole =
-					players[0].toLowerCase() === $wallet.account.toLowerCase() ? 'white' :
-					players[1].toLowerCase() === $wallet.account.toLowerCase() ? 'black' : 'spectator';
+					whitePlayer.toLowerCase() === account ? 'white' :
+					blackPlayer.toLowerCase() === account ? 'black' : 'spectator';
 
-				const isMyTurn = currentPlayer.toLowerCase() === $wallet.account.toLowerCase();
+				const isMyTurn = colorDraw
+					? colorDraw.ready && !colorDraw.expired && whitePlayer.toLowerCase() === account
+					: currentPlayer.toLowerCase() === account;
 
 				// Parse timeout status
 				let timeout = null;
@@ -432,6 +634,18 @@ function createActiveGameStore() {
 					};
 				}
 
+				const drawRules = stateNum === 2
+					? await readDrawRules(game, playerRole !== 'spectator')
+					: null;
+
+				// The opponent is on the move and has no blocks left. White's clock runs from
+				// the seed block of a Random draw, and either player can claim against an
+				// expired draw: the claim settles it with the claimant on black.
+				const canClaimTimeout = stateNum === 2 && timeout !== null &&
+					playerRole !== 'spectator' &&
+					(colorDraw?.expired || timeout.currentPlayerIsWhite !== (playerRole === 'white')) &&
+					(timeout.currentPlayerIsWhite ? timeout.whiteBlocksRemaining : timeout.blackBlocksRemaining) === 0;
+
 				// Parse draw offer status (returns just the address now)
 				let drawOfferedBy = null;
 				if (drawOfferStatus && drawOfferStatus !== '0x0000000000000000000000000000000000000000') {
@@ -444,9 +658,12 @@ function createActiveGameStore() {
 					error: null,
 					data: {
 						gameId: Number(gameId),
-						whitePlayer: players[0],
-						blackPlayer: players[1],
-						currentPlayer,
+						whitePlayer,
+						blackPlayer,
+						currentPlayer: colorDraw ? whitePlayer : currentPlayer,
+						creator,
+						creatorColor: colorChoice, // 0=White, 1=Black, 2=Random
+						colorDraw,
 						state: stateNum,
 						stateInfo: GAME_STATES[stateNum] || GAME_STATES[1],
 						betting: ethers.utils.formatEther(betting),
@@ -454,36 +671,48 @@ function createActiveGameStore() {
 						playerRole,
 						isMyTurn,
 						moveHistory,
+						// History couldn't be read: the ply count check must not reload on every move
+						historyUnavailable,
 						timeout,
+						canClaimTimeout,
+						drawRules, // { halfMoves, maxRepetitions, canClaimRepetition, canClaimFiftyMove }
+						drawClaim: null,
 						drawOfferedBy,
 						gameMode: Number(gameMode), // 0=Tournament, 1=Friendly
 						canCancelUnjoinedGame: Boolean(canCancelUnjoinedGame),
-						cancelUnjoinedRemaining: Number(cancelUnjoinedRemaining)
+						cancelUnjoinedRemaining: Number(cancelUnjoinedRemaining),
+						// address(0) = open to anyone; otherwise only this address can join
+						invitedOpponent: invitedOpponent === ethers.constants.AddressZero ? null : invitedOpponent
 					}
 				});
 
-				// Setup real-time event listeners for opponent moves
+				// Follow the game from the block this snapshot was read at; moves already
+				// in the history are skipped, anything missed later is replayed
 				cleanupListeners();
 				currentGameContract = game;
-
-				// Listen for MoveMade events
-				moveMadeListener = handleMoveMade;
-				game.on('MoveMade', moveMadeListener);
-
-				// Listen for GameStateChanged events
-				gameStateListener = handleGameStateChanged;
-				game.on('GameStateChanged', gameStateListener);
-
-				// Listen for draw offer events
-				drawOfferedListener = handleDrawOffered;
-				drawDeclinedListener = handleDrawDeclined;
-				drawAcceptedListener = handleGameStateChanged;
-				game.on('DrawOffered', drawOfferedListener);
-				game.on('DrawOfferDeclined', drawDeclinedListener);
-				game.on('DrawAccepted', drawAcceptedListener);
+				moveInFlight = false;
+				subscription = subscribeToLogs(game, {
+					MoveMade: handleMoveMade,
+					GameStateChanged: ({ newState }) => handleGameStateChanged(newState),
+					DrawOffered: ({ player }) => handleDrawOffered(player),
+					// Accepting is followed by GameStateChanged(Draw); both just clear the offer here
+					DrawOfferDeclined: ({ player }) => handleDrawDeclined(player),
+					DrawAccepted: () => handleDrawDeclined(null),
+					ColorsAssigned: ({ whitePlayer, blackPlayer }) => handleColorsAssigned(whitePlayer, blackPlayer),
+					DrawByRepetition: ({ claimant }) => handleDrawClaimed('repetition', claimant),
+					DrawByFiftyMoveRule: ({ claimant }) => handleDrawClaimed('fiftyMove', claimant)
+				}, {
+					fromBlock: blockNumber,
+					seen: moveHistory,
+					// Verify after anything arrived or after a gap (tab asleep, reconnect)
+					onCaughtUp: ({ delivered, fromBlock, toBlock }) => {
+						if (delivered > 0 || toBlock - fromBlock > 1) checkSync(address);
+					}
+				});
 
 			} catch (err) {
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
@@ -522,10 +751,48 @@ function createActiveGameStore() {
 			}
 		},
 
-		async makeMove(fromRow, fromCol, toRow, toCol, promotionPiece = 0) {
+		// Dry-run the move with callStatic so reverts surface before the wallet prompt.
+		// Returns { ok: true } or { ok: false, reason, error } with a decoded reason.
+		async simulateMove(fromRow, fromCol, toRow, toCol, promotionPiece = 0) {
 			const $wallet = get(wallet);
 			const $state = get({ subscribe });
 
+			if (!$wallet.signer || !$state.address) {
+				return { ok: false, reason: 'No game loaded', error: null };
+			}
+
+			const chessCoreAbi = await getChessCoreAbi();
+			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
+
+			try {
+				if (promotionPiece !== 0) {
+					await game.callStatic.makeMoveWithPromotion(fromRow, fromCol, toRow, toCol, promotionPiece);
+				} else {
+					await game.callStatic.makeMove(fromRow, fromCol, toRow, toCol);
+				}
+				return { ok: true };
+			} catch (err) {
+				// Reverts without data (stripped require strings) still mean the move fails
+				const decoded = decodeContractError(err, chessCoreAbi) || await toContractError(err);
+				if (decoded.kind === 'network' || decoded.kind === 'unknown') {
+					// Not a contract revert (RPC hiccup, etc.) - let the real transaction decide
+					console.warn('Move simulation inconclusive:', err);
+					return { ok: true };
+				}
+
+				let reason = decoded.message;
+				if (decoded.errorName === 'InvalidMove' && $state.data?.board &&
+					wouldLeaveKingInCheck($state.data.board, { row: fromRow, col: fromCol }, { row: toRow, col: toCol })) {
+					reason = 'Illegal move - your king would be in check';
+				}
+				return { ok: false, reason, error: decoded };
+			}
+		},
+
+		async makeMove(fromRow, fromCol, toRow, toCol, promotionPiece = 0) {
+			const $wallet = await requireSigner();
+			const $state = get({ subscribe });
+
 			if (!$wallet.signer || !$state.address) {
 				throw new Error('No game loaded');
 			}
@@ -571,6 +838,7 @@ function createActiveGameStore() {
 				});
 			}
 
+			moveInFlight = true;
 			try {
 				const chessCoreAbi = await getChessCoreAbi();
 				const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
@@ -581,10 +849,12 @@ function createActiveGameStore() {
 					tx = await game.makeMove(fromRow, fromCol, toRow, toCol);
 				}
 				await tx.wait();
+				refreshDrawRules();
 			} catch (err) {
 				// Revert optimistic update on error
+				moveInFlight = false;
 				await this.load($state.address);
-				throw err;
+				throw await toContractError(err);
 			}
 		},
 
@@ -609,7 +879,7 @@ function createActiveGameStore() {
 		},
 
 		async joinGame() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address || !$state.data) {
@@ -618,14 +888,33 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.joinGameAsBlack({
-				value: ethers.utils.parseEther($state.data.betting.toString())
+			await withContractErrors(async () => {
+				const tx = await game.joinGame({
+					value: ethers.utils.parseEther($state.data.betting.toString())
+				});
+				await tx.wait();
+			});
+		},
+
+		// Settle a pending random colour draw
+		async resolveColors() {
+			const $wallet = await requireSigner();
+			const $state = get({ subscribe });
+
+			if (!$wallet.signer || !$state.address) {
+				throw new Error('No game loaded');
+			}
+
+			const chessCoreAbi = await getChessCoreAbi();
+			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
+			await withContractErrors(async () => {
+				const tx = await game.resolveColors();
+				await tx.wait();
 			});
-			await tx.wait();
 		},
 
 		async cancelUnjoinedGame() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -634,12 +923,38 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.cancelUnjoinedGame();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.cancelUnjoinedGame();
+				await tx.wait();
+			});
+		},
+
+		async claimVictoryByTimeout() {
+			const $state = get({ subscribe });
+			if (!$state.address) {
+				throw new Error('No game loaded');
+			}
+			await sendClaim($state.address, 'timeout');
+		},
+
+		async claimDrawByRepetition() {
+			const $state = get({ subscribe });
+			if (!$state.address) {
+				throw new Error('No game loaded');
+			}
+			await sendClaim($state.address, 'repetition');
+		},
+
+		async claimDrawByFiftyMoveRule() {
+			const $state = get({ subscribe });
+			if (!$state.address) {
+				throw new Error('No game loaded');
+			}
+			await sendClaim($state.address, 'fiftyMove');
 		},
 
 		async resign() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -648,12 +963,14 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.resign();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.resign();
+				await tx.wait();
+			});
 		},
 
 		async offerDraw() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -662,8 +979,10 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.offerDraw();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.offerDraw();
+				await tx.wait();
+			});
 
 			// Optimistically update local state
 			update(s => ({
@@ -673,7 +992,7 @@ function createActiveGameStore() {
 		},
 
 		async acceptDraw() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -682,12 +1001,14 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.acceptDraw();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.acceptDraw();
+				await tx.wait();
+			});
 		},
 
 		async declineDraw() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -696,8 +1017,10 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.declineDraw();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.declineDraw();
+				await tx.wait();
+			});
 
 			// Optimistically update local state
 			update(s => ({
@@ -707,7 +1030,7 @@ function createActiveGameStore() {
 		},
 
 		async cancelDrawOffer() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -716,8 +1039,10 @@ function createActiveGameStore() {
 
 			const chessCoreAbi = await getChessCoreAbi();
 			const game = new ethers.Contract($state.address, chessCoreAbi, $wallet.signer);
-			const tx = await game.cancelDrawOffer();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.cancelDrawOffer();
+				await tx.wait();
+			});
 
 			// Optimistically update local state
 			update(s => ({
@@ -727,7 +1052,7 @@ function createActiveGameStore() {
 		},
 
 		async claimPrize() {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			const $state = get({ subscribe });
 
 			if (!$wallet.signer || !$state.address) {
@@ -741,21 +1066,79 @@ function createActiveGameStore() {
 				const finalizeTx = await game.finalizePrizes();
 				await finalizeTx.wait();
 			} catch (err) {
-				const message = err?.message || '';
-				if (!message.includes('Already finalized')) {
-					throw err;
+				const error = await toContractError(err);
+				if (error.errorName !== 'PrizeAlreadyClaimed') {
+					throw error;
 				}
 			}
 
-			const tx = await game.withdrawPrize();
-			await tx.wait();
+			await withContractErrors(async () => {
+				const tx = await game.withdrawPrize();
+				await tx.wait();
+			});
+		},
+
+		// Export the loaded game as PGN, with block timestamps as move comments.
+		// annotations: optional variation tree (see chess/annotations.js) over the game's moves
+		async exportPgn({ annotations = null } = {}) {
+			const $wallet = get(wallet);
+			const $state = get({ subscribe });
+
+			if (!$state.data) {
+				throw new Error('No game loaded');
+			}
+
+			const { data } = $state;
+			const moves = data.moveHistory.map(move => ({ ...move }));
+
+			// Fetch each distinct block once for its timestamp
+			const timestamps = new Map();
+			if ($wallet.provider) {
+				for (const move of moves) {
+					if (!move.blockNumber) continue;
+					if (!timestamps.has(move.blockNumber)) {
+						const block = await $wallet.provider.getBlock(move.blockNumber).catch(() => null);
+						timestamps.set(move.blockNumber, block?.timestamp || null);
+					}
+					move.timestamp = timestamps.get(move.blockNumber);
+				}
+			}
+
+			const firstTimestamp = moves.find(m => m.timestamp)?.timestamp;
+			const date = firstTimestamp
+				? new Date(firstTimestamp * 1000).toISOString().slice(0, 10).replace(/-/g, '.')
+				: '????.??.??';
+			const network = NETWORKS[$wallet.chainId];
+			const site = network?.explorer
+				? `${network.explorer}/address/${$state.address}`
+				: network?.name || `chain ${$wallet.chainId ?? '?'}`;
+			const seated = (player) => player && player !== ethers.constants.AddressZero ? player : '?';
+
+			const headers = {
+				Event: `MyChess.onchain ${data.gameMode === 1 ? 'Friendly' : 'Tournament'} game`,
+				Site: site,
+				Date: date,
+				Round: '-',
+				White: seated(data.whitePlayer),
+				Black: seated(data.blackPlayer),
+				Result: resultTag(data.state),
+				GameId: data.gameId,
+				GameAddress: $state.address,
+				ChainId: $wallet.chainId ?? undefined,
+				PlyCount: moves.length
+			};
+
+			return buildPgn(headers, moves, { annotations });
 		},
 
 		clear() {
 			cleanupListeners();
+			moveInFlight = false;
 			set({ address: null, loading: false, error: null, data: null });
 		}
 	};
+
+	return store;
 }
 
 export const activeGame = createActiveGameStore();
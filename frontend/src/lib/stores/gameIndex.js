@@ -0,0 +1,313 @@
+import { writable, get } from 'svelte/store';
+import { wallet, contractAddress } from './wallet.js';
+import { ethers } from 'ethers';
+import { loadContractAbi } from '../contracts/loadAbi.js';
+import { getDeploymentBlock } from '../contracts/registry.js';
+import { getLogsInRange } from '../contracts/subscription.js';
+
+/**
+ * Local index of every game created by the factory.
+ *
+ * Built from ChessFactory.GameCreated/GameInvitation/GameColorChoice plus the
+ * per-game GameStarted, ColorsAssigned, GameStateChanged, GameCancelled and MoveMade events, persisted in IndexedDB per chainId
+ * and factory, and caught up incrementally from the last indexed block.
+ * Factory events are read first; game events are then read only from the
+ * games that can still change, a batch of addresses per request.
+ * The lobby, profile and leaderboard all read from this one cache instead of
+ * calling every game contract on each visit.
+ */
+
+const DB_NAME = 'mychess-index';
+const DB_VERSION = 1;
+const STORE_NAME = 'indexes';
+// Bump when the indexed game shape changes so stale caches are rebuilt
+const INDEX_VERSION = 5;
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+const FACTORY_EVENTS = ['GameCreated', 'GameInvitation', 'GameColorChoice'];
+const GAME_EVENTS = ['GameStarted', 'ColorsAssigned', 'GameStateChanged', 'GameCancelled', 'MoveMade'];
+// Game contracts per eth_getLogs call
+const GAME_LOG_BATCH = 100;
+
+const getChessFactoryAbi = () => loadContractAbi('ChessFactory');
+const getChessCoreAbi = () => loadContractAbi('ChessCore');
+
+function indexKey(chainId, factory) {
+	return `${chainId}:${factory.toLowerCase()}`;
+}
+
+function openDb() {
+	if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+	return new Promise((resolve) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+		};
+		request.onsuccess = () => resolve(request.result);
+		// Private browsing or blocked storage: fall back to an in-memory index
+		request.onerror = () => resolve(null);
+	});
+}
+
+async function readRecord(key) {
+	const db = await openDb();
+	if (!db) return null;
+
+	return new Promise((resolve) => {
+		const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+		request.onsuccess = () => resolve(request.result || null);
+		request.onerror = () => resolve(null);
+	});
+}
+
+async function writeRecord(record) {
+	const db = await openDb();
+	if (!db) return;
+
+	await new Promise((resolve) => {
+		const tx = db.transaction(STORE_NAME, 'readwrite');
+		tx.objectStore(STORE_NAME).put(record);
+		tx.oncomplete = resolve;
+		tx.onerror = () => {
+			console.warn('Could not persist game index:', tx.error);
+			resolve();
+		};
+	});
+}
+
+async function deleteRecord(key) {
+	const db = await openDb();
+	if (!db) return;
+
+	await new Promise((resolve) => {
+		const tx = db.transaction(STORE_NAME, 'readwrite');
+		tx.objectStore(STORE_NAME).delete(key);
+		tx.oncomplete = resolve;
+		tx.onerror = resolve;
+	});
+}
+
+// Apply one decoded log to the indexed games (logs must arrive in chain order)
+function applyLog(games, factory, log, parsed) {
+	const address = log.address.toLowerCase();
+
+	if (parsed.name === 'GameCreated') {
+		if (address !== factory) return;
+		const gameAddress = parsed.args.gameAddress;
+		games[gameAddress.toLowerCase()] = {
+			address: gameAddress,
+			gameId: parsed.args.gameId.toNumber(),
+			// Until someone joins the creator holds the white seat whatever colour they chose
+			whitePlayer: parsed.args.whitePlayer,
+			blackPlayer: ZERO_ADDRESS,
+			creator: parsed.args.whitePlayer,
+			creatorColor: 0, // 0=White, 1=Black, 2=Random
+			currentPlayer: ZERO_ADDRESS,
+			invitedOpponent: null,
+			betting: parsed.args.betAmount.toString(),
+			timeoutPreset: Number(parsed.args.timeoutPreset),
+			gameMode: Number(parsed.args.gameMode),
+			state: 1,
+			plyCount: 0,
+			createdBlock: log.blockNumber,
+			createdAt: null,
+			updatedBlock: log.blockNumber
+		};
+		return;
+	}
+
+	if (parsed.name === 'GameInvitation') {
+		const game = address === factory && games[parsed.args.gameAddress.toLowerCase()];
+		if (game) game.invitedOpponent = parsed.args.invitedOpponent;
+		return;
+	}
+
+	if (parsed.name === 'GameColorChoice') {
+		const game = address === factory && games[parsed.args.gameAddress.toLowerCase()];
+		if (game) game.creatorColor = Number(parsed.args.creatorColor);
+		return;
+	}
+
+	const game = games[address];
+	if (!game) return;
+
+	if (parsed.name === 'GameStarted') {
+		game.whitePlayer = parsed.args.whitePlayer;
+		game.blackPlayer = parsed.args.blackPlayer;
+		game.currentPlayer = parsed.args.whitePlayer;
+	} else if (parsed.name === 'ColorsAssigned') {
+		// Random colour draw settled: seats may have swapped before the first move
+		game.whitePlayer = parsed.args.whitePlayer;
+		game.blackPlayer = parsed.args.blackPlayer;
+		game.currentPlayer = parsed.args.whitePlayer;
+	} else if (parsed.name === 'GameStateChanged') {
+		// ChessCore.GameState starts at NotStarted=0; indexed states follow getGameState() (1-6)
+		game.state = Number(parsed.args.newState) + 1;
+	} else if (parsed.name === 'GameCancelled') {
+		// cancelUnjoinedGame emits no GameStateChanged; getGameState() reports it as 6
+		game.state = 6;
+	} else if (parsed.name === 'MoveMade') {
+		const mover = parsed.args.player.toLowerCase();
+		game.plyCount++;
+		game.currentPlayer = mover === game.whitePlayer.toLowerCase() ? game.blackPlayer : game.whitePlayer;
+	}
+	game.updatedBlock = log.blockNumber;
+}
+
+function sortedGames(record) {
+	return Object.values(record.games).sort((a, b) => a.gameId - b.gameId);
+}
+
+function createGameIndexStore() {
+	const { subscribe, set, update } = writable({
+		key: null,
+		games: [],
+		lastBlock: null,
+		syncing: false,
+		error: null
+	});
+
+	// One in-flight sync per index so concurrent callers share the same work
+	const pendingSyncs = new Map();
+
+	async function catchUp(key, chainId, factory, provider) {
+		const [factoryAbi, chessCoreAbi] = await Promise.all([
+			getChessFactoryAbi(),
+			getChessCoreAbi()
+		]);
+		const iface = new ethers.utils.Interface([
+			...factoryAbi.filter(item => item.type === 'event' && FACTORY_EVENTS.includes(item.name)),
+			...chessCoreAbi.filter(item => item.type === 'event' && GAME_EVENTS.includes(item.name))
+		]);
+		const topicsFor = (names) => [names.map(name => iface.getEventTopic(name))];
+
+		const latest = await provider.getBlockNumber();
+
+		// Start over when the cache predates the current shape or the chain was
+		// reset underneath it (a restarted Ganache reuses the factory address)
+		let record = await readRecord(key);
+		if (!record || record.version !== INDEX_VERSION || record.lastBlock > latest) {
+			// Nothing to find before the factory was deployed
+			const deployedAt = getDeploymentBlock(chainId, 'ChessFactory') ?? 0;
+			record = { key, version: INDEX_VERSION, chainId, factory, lastBlock: deployedAt - 1, games: {} };
+		}
+		if (record.lastBlock >= 0) {
+			update(s => ({ ...s, key, games: sortedGames(record), lastBlock: record.lastBlock }));
+		}
+
+		const fromBlock = record.lastBlock + 1;
+		if (fromBlock > latest) return record;
+
+		const factoryAddress = factory.toLowerCase();
+		const applyLogs = (logs) => {
+			logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+			for (const log of logs) {
+				let parsed;
+				try {
+					parsed = iface.parseLog(log);
+				} catch {
+					continue;
+				}
+				applyLog(record.games, factoryAddress, log, parsed);
+			}
+		};
+
+		// Games created in the range first, so game events can be filtered by address
+		applyLogs(await getLogsInRange(
+			provider,
+			{ address: factory, topics: topicsFor(FACTORY_EVENTS) },
+			fromBlock,
+			latest
+		));
+
+		// Finished and cancelled games emit nothing more
+		const openGames = Object.values(record.games)
+			.filter(game => game.state <= 2)
+			.map(game => game.address);
+		const gameLogs = [];
+		for (let i = 0; i < openGames.length; i += GAME_LOG_BATCH) {
+			gameLogs.push(...await getLogsInRange(
+				provider,
+				{ address: openGames.slice(i, i + GAME_LOG_BATCH), topics: topicsFor(GAME_EVENTS) },
+				fromBlock,
+				latest
+			));
+		}
+		applyLogs(gameLogs);
+
+		// Creation time for new games, one block lookup per distinct block
+		const missing = Object.values(record.games).filter(g => g.createdAt === null);
+		const blocks = [...new Set(missing.map(g => g.createdBlock))];
+		const timestamps = new Map(await Promise.all(
+			blocks.map(async (blockNumber) => {
+				const block = await provider.getBlock(blockNumber);
+				return [blockNumber, block?.timestamp ?? null];
+			})
+		));
+		for (const game of missing) {
+			game.createdAt = timestamps.get(game.createdBlock) ?? null;
+		}
+
+		record.lastBlock = latest;
+		await writeRecord(record);
+		return record;
+	}
+
+	/**
+	 * Bring the index for the connected chain up to date and return its games
+	 * ordered by gameId. Addresses keep their checksum casing; betting is wei.
+	 */
+	async function sync() {
+		const $wallet = get(wallet);
+		const $contractAddress = get(contractAddress);
+
+		if (!$wallet.provider || !$wallet.chainId || !$contractAddress) return [];
+
+		const key = indexKey($wallet.chainId, $contractAddress);
+		if (get({ subscribe }).key !== key) {
+			set({ key, games: [], lastBlock: null, syncing: false, error: null });
+		}
+
+		if (!pendingSyncs.has(key)) {
+			update(s => ({ ...s, syncing: true, error: null }));
+
+			const pending = catchUp(key, $wallet.chainId, $contractAddress, $wallet.provider)
+				.then((record) => {
+					const games = sortedGames(record);
+					update(s => s.key === key
+						? { ...s, games, lastBlock: record.lastBlock, syncing: false, error: null }
+						: s);
+					return games;
+				})
+				.catch((err) => {
+					update(s => s.key === key ? { ...s, syncing: false, error: err.message } : s);
+					throw err;
+				})
+				.finally(() => pendingSyncs.delete(key));
+
+			pendingSyncs.set(key, pending);
+		}
+
+		return pendingSyncs.get(key);
+	}
+
+	return {
+		subscribe,
+		sync,
+
+		// Drop the cached index for the connected chain and rebuild it from scratch
+		async rebuild() {
+			const $wallet = get(wallet);
+			const $contractAddress = get(contractAddress);
+			if (!$wallet.chainId || !$contractAddress) return [];
+
+			await deleteRecord(indexKey($wallet.chainId, $contractAddress));
+			set({ key: null, games: [], lastBlock: null, syncing: false, error: null });
+			return sync();
+		}
+	};
+}
+
+export const gameIndex = createGameIndexStore();
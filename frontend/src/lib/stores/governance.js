@@ -1,29 +1,10 @@
 import { writable, derived, get } from 'svelte/store';
-import { wallet } from './wallet.js';
+import { wallet, onContractsChange, signerOrProvider, requireSigner } from './wallet.js';
 import { ethers } from 'ethers';
 import { loadContractAbi } from '../contracts/loadAbi.js';
-
-// Contract addresses per network
-const GOVERNOR_ADDRESSES = {
-	1337: import.meta.env.VITE_CHESS_GOVERNOR_LOCAL || '',
-	5777: import.meta.env.VITE_CHESS_GOVERNOR_LOCAL || '',
-	84532: import.meta.env.VITE_CHESS_GOVERNOR_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_CHESS_GOVERNOR_BASE || ''
-};
-
-const TIMELOCK_ADDRESSES = {
-	1337: import.meta.env.VITE_CHESS_TIMELOCK_LOCAL || '',
-	5777: import.meta.env.VITE_CHESS_TIMELOCK_LOCAL || '',
-	84532: import.meta.env.VITE_CHESS_TIMELOCK_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_CHESS_TIMELOCK_BASE || ''
-};
-
-const CHESS_TOKEN_ADDRESSES = {
-	1337: import.meta.env.VITE_CHESS_TOKEN_LOCAL || '',
-	5777: import.meta.env.VITE_CHESS_TOKEN_LOCAL || '',
-	84532: import.meta.env.VITE_CHESS_TOKEN_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_CHESS_TOKEN_BASE || ''
-};
+import { contractRegistry, getContractAddress } from '../contracts/registry.js';
+import { batched } from '../contracts/multicall.js';
+import { toContractError } from '../contracts/errors.js';
 
 const getChessGovernorAbi = () => loadContractAbi('ChessGovernor');
 const getChessTimelockAbi = () => loadContractAbi('ChessTimelock');
@@ -65,9 +46,12 @@ function createGovernanceStore() {
 		delegates: '',
 		// Proposals list
 		proposals: []
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchParams();
+	}));
 
-	return {
+	const store = {
 		subscribe,
 
 		/**
@@ -75,11 +59,11 @@ function createGovernanceStore() {
 		 */
 		async fetchParams() {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return;
+			if (!$wallet.provider || !$wallet.chainId) return;
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
-			const timelockAddress = TIMELOCK_ADDRESSES[$wallet.chainId];
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
+			const timelockAddress = getContractAddress($wallet.chainId, 'ChessTimelock');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 
 			if (!governorAddress || !timelockAddress || !tokenAddress) return;
 
@@ -91,9 +75,9 @@ function createGovernanceStore() {
 					getChessTimelockAbi(),
 					getChessTokenAbi()
 				]);
-				const governor = new ethers.Contract(governorAddress, chessGovernorAbi, $wallet.signer);
-				const timelock = new ethers.Contract(timelockAddress, chessTimelockAbi, $wallet.signer);
-				const token = new ethers.Contract(tokenAddress, chessTokenAbi, $wallet.signer);
+				const governor = batched(new ethers.Contract(governorAddress, chessGovernorAbi, signerOrProvider($wallet)));
+				const timelock = batched(new ethers.Contract(timelockAddress, chessTimelockAbi, signerOrProvider($wallet)));
+				const token = batched(new ethers.Contract(tokenAddress, chessTokenAbi, signerOrProvider($wallet)));
 
 				const [
 					votingDelay,
@@ -133,7 +117,8 @@ function createGovernanceStore() {
 				}));
 			} catch (err) {
 				console.error('Error fetching governance params:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
@@ -141,12 +126,12 @@ function createGovernanceStore() {
 		 * Delegate voting power to an address
 		 */
 		async delegate(delegatee) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const tokenAddress = CHESS_TOKEN_ADDRESSES[$wallet.chainId];
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
 			if (!tokenAddress) throw new Error('Token not available');
 
 			update(s => ({ ...s, loading: true, error: null }));
@@ -161,8 +146,9 @@ function createGovernanceStore() {
 				return true;
 			} catch (err) {
 				console.error('Error delegating:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -182,12 +168,12 @@ function createGovernanceStore() {
 		 * @param description Human-readable description
 		 */
 		async propose(targets, values, calldatas, description) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) throw new Error('Governor not available');
 
 			update(s => ({ ...s, loading: true, error: null }));
@@ -206,8 +192,9 @@ function createGovernanceStore() {
 				return proposalId?.toString();
 			} catch (err) {
 				console.error('Error creating proposal:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -216,14 +203,14 @@ function createGovernanceStore() {
 		 */
 		async getProposalState(proposalId) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return null;
+			if (!$wallet.provider || !$wallet.chainId) return null;
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) return null;
 
 			try {
 				const chessGovernorAbi = await getChessGovernorAbi();
-				const governor = new ethers.Contract(governorAddress, chessGovernorAbi, $wallet.signer);
+				const governor = batched(new ethers.Contract(governorAddress, chessGovernorAbi, signerOrProvider($wallet)));
 				return await governor.state(proposalId);
 			} catch (err) {
 				console.error('Error getting proposal state:', err);
@@ -237,12 +224,12 @@ function createGovernanceStore() {
 		 * @param support 0=Against, 1=For, 2=Abstain
 		 */
 		async castVote(proposalId, support) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) throw new Error('Governor not available');
 
 			update(s => ({ ...s, loading: true, error: null }));
@@ -257,8 +244,9 @@ function createGovernanceStore() {
 				return true;
 			} catch (err) {
 				console.error('Error casting vote:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -266,12 +254,12 @@ function createGovernanceStore() {
 		 * Queue a successful proposal
 		 */
 		async queue(targets, values, calldatas, descriptionHash) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) throw new Error('Governor not available');
 
 			update(s => ({ ...s, loading: true, error: null }));
@@ -286,8 +274,9 @@ function createGovernanceStore() {
 				return true;
 			} catch (err) {
 				console.error('Error queuing proposal:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -295,12 +284,12 @@ function createGovernanceStore() {
 		 * Execute a queued proposal
 		 */
 		async execute(targets, values, calldatas, descriptionHash) {
-			const $wallet = get(wallet);
+			const $wallet = await requireSigner();
 			if (!$wallet.signer || !$wallet.chainId) {
 				throw new Error('Wallet not connected');
 			}
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) throw new Error('Governor not available');
 
 			update(s => ({ ...s, loading: true, error: null }));
@@ -315,8 +304,9 @@ function createGovernanceStore() {
 				return true;
 			} catch (err) {
 				console.error('Error executing proposal:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
-				throw err;
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				throw error;
 			}
 		},
 
@@ -325,14 +315,14 @@ function createGovernanceStore() {
 		 */
 		async getProposalVotes(proposalId) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return null;
+			if (!$wallet.provider || !$wallet.chainId) return null;
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) return null;
 
 			try {
 				const chessGovernorAbi = await getChessGovernorAbi();
-				const governor = new ethers.Contract(governorAddress, chessGovernorAbi, $wallet.signer);
+				const governor = batched(new ethers.Contract(governorAddress, chessGovernorAbi, signerOrProvider($wallet)));
 				const votes = await governor.proposalVotes(proposalId);
 
 				return {
@@ -351,14 +341,14 @@ function createGovernanceStore() {
 		 */
 		async hasVoted(proposalId) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return false;
+			if (!$wallet.provider || !$wallet.chainId) return false;
 
-			const governorAddress = GOVERNOR_ADDRESSES[$wallet.chainId];
+			const governorAddress = getContractAddress($wallet.chainId, 'ChessGovernor');
 			if (!governorAddress) return false;
 
 			try {
 				const chessGovernorAbi = await getChessGovernorAbi();
-				const governor = new ethers.Contract(governorAddress, chessGovernorAbi, $wallet.signer);
+				const governor = batched(new ethers.Contract(governorAddress, chessGovernorAbi, signerOrProvider($wallet)));
 				return await governor.hasVoted(proposalId, $wallet.account);
 			} catch (err) {
 				console.error('Error checking vote:', err);
@@ -384,14 +374,15 @@ function createGovernanceStore() {
 			});
 		}
 	};
+
+	return store;
 }
 
 export const governance = createGovernanceStore();
 
 // Derived stores
-export const governanceAvailable = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return false;
-	return !!GOVERNOR_ADDRESSES[$wallet.chainId];
+export const governanceAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'ChessGovernor');
 });
 
 // Helper functions
@@ -1,10 +1,7 @@
 import { writable, get } from 'svelte/store';
-import { wallet, contractAddress } from './wallet.js';
+import { wallet, onContractsChange, contractAddress } from './wallet.js';
 import { ethers } from 'ethers';
-import { loadContractAbi } from '../contracts/loadAbi.js';
-
-const getChessFactoryAbi = () => loadContractAbi('ChessFactory');
-const getChessCoreAbi = () => loadContractAbi('ChessCore');
+import { gameIndex } from './gameIndex.js';
 
 // Leaderboard store
 function createLeaderboardStore() {
@@ -13,31 +10,24 @@ function createLeaderboardStore() {
 		loading: false,
 		error: null,
 		lastUpdated: null
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchLeaderboard();
+	}));
 
-	return {
+	const store = {
 		subscribe,
 
 		async fetchLeaderboard() {
 			const $wallet = get(wallet);
 			const $contractAddress = get(contractAddress);
 
-			if (!$wallet.signer || !$contractAddress) return;
+			if (!$wallet.provider || !$contractAddress) return;
 
 			update(s => ({ ...s, loading: true, error: null }));
 
 			try {
-				const [factoryAbi, chessCoreAbi] = await Promise.all([
-					getChessFactoryAbi(),
-					getChessCoreAbi()
-				]);
-				const factory = new ethers.Contract(
-					$contractAddress,
-					factoryAbi,
-					$wallet.signer
-				);
-
-				const gameAddresses = await factory.getDeployedChessGames();
+				const indexedGames = await gameIndex.sync();
 
 				// Stats per player: { address: { wins: 0, losses: 0, draws: 0, totalBet: 0 }}
 				const playerStats = new Map();
@@ -59,76 +49,50 @@ function createLeaderboardStore() {
 					return playerStats.get(key);
 				};
 
-				// Fetch all game states in parallel (batches of 10)
-				const batchSize = 10;
-				for (let i = 0; i < gameAddresses.length; i += batchSize) {
-					const batch = gameAddresses.slice(i, i + batchSize);
-
-					const results = await Promise.all(
-						batch.map(async (addr) => {
-							try {
-								const game = new ethers.Contract(addr, chessCoreAbi, $wallet.provider);
-								const [players, state, betting] = await Promise.all([
-									game.getPlayers(),
-									game.getGameState(),
-									game.betting()
-								]);
-								return { players, state: Number(state), betting };
-							} catch {
-								return null;
-							}
-						})
-					);
-
-					// Process results
-					for (const result of results) {
-						if (!result) continue;
-
-						const { players, state, betting } = result;
-						const whitePlayer = players[0];
-						const blackPlayer = players[1];
-
-						// Skip games that haven't started, are still in progress, or were cancelled
-						if (state < 3 || state > 5) continue;
-
-						const white = ensurePlayer(whitePlayer);
-						const black = ensurePlayer(blackPlayer);
-
-						// Update stats based on game state
-						// State 3 = Draw, 4 = WhiteWins, 5 = BlackWins
-						if (state === 3) { // Draw
-							if (white) {
-								white.draws++;
-								white.gamesPlayed++;
-								white.totalBet = white.totalBet.add(betting);
-							}
-							if (black) {
-								black.draws++;
-								black.gamesPlayed++;
-								black.totalBet = black.totalBet.add(betting);
-							}
-						} else if (state === 4) { // White wins
-							if (white) {
-								white.wins++;
-								white.gamesPlayed++;
-								white.totalBet = white.totalBet.add(betting);
-							}
-							if (black) {
-								black.losses++;
-								black.gamesPlayed++;
-								black.totalBet = black.totalBet.add(betting);
-							}
-						} else if (state === 5) { // Black wins
-							if (white) {
-								white.losses++;
-								white.gamesPlayed++;
-								white.totalBet = white.totalBet.add(betting);
-							}
-							if (black) {
-								black.wins++;
-								black.gamesPlayed++;
-								black.totalBet = black.totalBet.add(betting);
-							}
+				for (const game of indexedGames) {
+					const { whitePlayer, blackPlayer, state } = game;
+					const betting = ethers.BigNumber.from(game.betting);
+
+					// Skip games that haven't started, are still in progress, or were cancelled
+					if (state < 3 || state > 5) continue;
+
+					const white = ensurePlayer(whitePlayer);
+					const black = ensurePlayer(blackPlayer);
+
+					// Update stats based on game state
+					// State 3 = Draw, 4 = WhiteWins, 5 = BlackWins
+					if (state === 3) { // Draw
+						if (white) {
+							white.draws++;
+							white.gamesPlayed++;
+							white.totalBet = white.totalBet.add(betting);
+						}
+						if (black) {
+							black.draws++;
+							black.gamesPlayed++;
+							black.totalBet = black.totalBet.add(betting);
+						}
+					} else if (state === 4) { // White wins
+						if (white) {
+							white.wins++;
+							white.gamesPlayed++;
+							white.totalBet = white.totalBet.add(betting);
+						}
+						if (black) {
+							black.losses++;
+							black.gamesPlayed++;
+							black.totalBet = black.totalBet.add(betting);
+						}
+					} else if (state === 5) { // Black wins
+						if (white) {
+							white.losses++;
+							white.gamesPlayed++;
+							white.totalBet = white.totalBet.add(betting);
+						}
+						if (black) {
+							black.wins++;
+							black.gamesPlayed++;
+							black.totalBet = black.totalBet.add(betting);
 						}
 					}
 				}
@@ -166,6 +130,8 @@ function createLeaderboardStore() {
 			set({ players: [], loading: false, error: null, lastUpdated: null });
 		}
 	};
+
+	return store;
 }
 
 export const leaderboard = createLeaderboardStore();
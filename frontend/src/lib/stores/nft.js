@@ -0,0 +1,228 @@
+import { writable, derived, get } from 'svelte/store';
+import { wallet, onContractsChange, requireSigner } from './wallet.js';
+import { ethers } from 'ethers';
+import { loadContractAbi } from '../contracts/loadAbi.js';
+import { contractRegistry, getContractAddress, getDeploymentBlock } from '../contracts/registry.js';
+import { batched } from '../contracts/multicall.js';
+import { getLogsInRange } from '../contracts/subscription.js';
+import { toContractError, withContractErrors } from '../contracts/errors.js';
+
+const getChessNFTAbi = () => loadContractAbi('ChessNFT');
+
+const JSON_DATA_PREFIX = 'data:application/json;base64,';
+
+function decodeBase64(data) {
+	const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+	return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Decode a tokenURI of the form data:application/json;base64,... into
+ * { name, description, image, attributes }. image stays a data: URI, ready
+ * for an <img src>.
+ */
+export function decodeTokenURI(uri) {
+	if (!uri?.startsWith(JSON_DATA_PREFIX)) {
+		throw new Error('Unsupported token URI');
+	}
+	const metadata = JSON.parse(decodeBase64(uri.slice(JSON_DATA_PREFIX.length)));
+	return {
+		name: metadata.name || '',
+		description: metadata.description || '',
+		image: metadata.image || null,
+		attributes: Array.isArray(metadata.attributes) ? metadata.attributes : []
+	};
+}
+
+// Traits holding player addresses: shown, but too many distinct values to filter by
+const ADDRESS_TRAITS = ['White', 'Black'];
+
+/**
+ * Filterable attributes across tokens: { text: { trait: [values] }, numeric: [traits] }
+ */
+export function attributeFilters(tokens) {
+	const text = {};
+	const numeric = new Set();
+	for (const token of tokens) {
+		for (const { trait_type: trait, value, display_type: displayType } of token.attributes) {
+			if (displayType === 'number') {
+				numeric.add(trait);
+			} else if (!ADDRESS_TRAITS.includes(trait)) {
+				text[trait] = text[trait] || new Set();
+				text[trait].add(String(value));
+			}
+		}
+	}
+	return {
+		text: Object.fromEntries(Object.entries(text).map(([trait, values]) => [trait, [...values].sort()])),
+		numeric: [...numeric]
+	};
+}
+
+/**
+ * Whether a token has every selected text value and at least every minimum.
+ * selected: { trait: value }, minimums: { trait: number }; empty entries match all.
+ */
+export function matchesAttributes(token, selected, minimums) {
+	const values = Object.fromEntries(token.attributes.map(a => [a.trait_type, a.value]));
+	return Object.entries(selected).every(([trait, value]) => !value || String(values[trait]) === value)
+		&& Object.entries(minimums).every(([trait, min]) => min === '' || min === null || Number(values[trait]) >= Number(min));
+}
+
+/**
+ * Token ids the account holds according to the Transfer events in range:
+ * every transfer to the account adds a token, every transfer away removes it.
+ */
+async function findOwnedTokenIds(provider, nft, account, fromBlock, toBlock) {
+	const transferTopic = nft.interface.getEventTopic('Transfer');
+	const accountTopic = ethers.utils.hexZeroPad(account, 32);
+
+	const [received, sent] = await Promise.all([
+		getLogsInRange(provider, { address: nft.address, topics: [transferTopic, null, accountTopic] }, fromBlock, toBlock),
+		getLogsInRange(provider, { address: nft.address, topics: [transferTopic, accountTopic] }, fromBlock, toBlock)
+	]);
+
+	const logs = received.concat(sent);
+	logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+	const owned = new Set();
+	for (const log of logs) {
+		const { args } = nft.interface.parseLog(log);
+		const tokenId = args.tokenId.toString();
+		if (args.to.toLowerCase() === account.toLowerCase()) {
+			owned.add(tokenId);
+		} else {
+			owned.delete(tokenId);
+		}
+	}
+	return [...owned];
+}
+
+// NFT collection store
+function createNFTStore() {
+	const { subscribe, update } = writable({
+		loading: false,
+		error: null,
+		// Game NFTs owned by the connected account, newest first
+		tokens: []
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchOwnedTokens();
+	}));
+
+	const store = {
+		subscribe,
+
+		/**
+		 * Enumerate the connected account's game NFTs and decode their metadata
+		 */
+		async fetchOwnedTokens() {
+			const $wallet = get(wallet);
+			if (!$wallet.account || !$wallet.provider || !$wallet.chainId) return;
+
+			const nftAddress = getContractAddress($wallet.chainId, 'ChessNFT');
+			if (!nftAddress) {
+				update(s => ({ ...s, error: 'Game NFTs not available on this network' }));
+				return;
+			}
+
+			update(s => ({ ...s, loading: true, error: null }));
+
+			try {
+				const chessNFTAbi = await getChessNFTAbi();
+				const nft = new ethers.Contract(nftAddress, chessNFTAbi, $wallet.provider);
+				const reader = batched(nft);
+
+				const latest = await $wallet.provider.getBlockNumber();
+				// The NFT contract is deployed by the factory, in the same block
+				const deployedAt = getDeploymentBlock($wallet.chainId, 'ChessNFT')
+					?? getDeploymentBlock($wallet.chainId, 'ChessFactory')
+					?? 0;
+				const candidates = await findOwnedTokenIds($wallet.provider, nft, $wallet.account, deployedAt, latest);
+
+				const account = $wallet.account.toLowerCase();
+				const tokens = await Promise.all(candidates.map(async (tokenId) => {
+					// A transfer after `latest` may already have moved it
+					const owner = await reader.ownerOf(tokenId);
+					if (owner.toLowerCase() !== account) return null;
+
+					const [gameAddress, uri] = await Promise.all([
+						reader.getGameAddress(tokenId),
+						reader.tokenURI(tokenId)
+					]);
+
+					let metadata;
+					let metadataError = null;
+					try {
+						metadata = decodeTokenURI(uri);
+					} catch (err) {
+						console.warn(`Could not decode metadata of token ${tokenId}:`, err);
+						metadata = { name: '', description: '', image: null, attributes: [] };
+						metadataError = 'Unreadable metadata';
+					}
+
+					return { tokenId, gameAddress, ...metadata, metadataError };
+				}));
+
+				update(s => ({
+					...s,
+					loading: false,
+					tokens: tokens.filter(Boolean).sort((a, b) => Number(b.tokenId) - Number(a.tokenId))
+				}));
+			} catch (err) {
+				console.error('Error fetching game NFTs:', err);
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+			}
+		},
+
+		/**
+		 * Transfer one of the connected account's game NFTs
+		 */
+		async transfer(tokenId, to) {
+			if (!ethers.utils.isAddress(to)) {
+				throw new Error('Not a valid address');
+			}
+
+			const $wallet = await requireSigner();
+			if (!$wallet.signer || !$wallet.chainId) {
+				throw new Error('Wallet not connected');
+			}
+			if (to.toLowerCase() === $wallet.account.toLowerCase()) {
+				throw new Error('You already own this NFT');
+			}
+
+			const nftAddress = getContractAddress($wallet.chainId, 'ChessNFT');
+			if (!nftAddress) {
+				throw new Error('Game NFTs not available on this network');
+			}
+
+			const chessNFTAbi = await getChessNFTAbi();
+			const nft = new ethers.Contract(nftAddress, chessNFTAbi, $wallet.signer);
+
+			await withContractErrors(async () => {
+				// safeTransferFrom is overloaded; contract wallets must accept ERC-721s
+				const tx = await nft['safeTransferFrom(address,address,uint256)']($wallet.account, to, tokenId);
+				await tx.wait();
+			});
+
+			update(s => ({ ...s, tokens: s.tokens.filter(t => t.tokenId !== tokenId) }));
+		},
+
+		/**
+		 * Reset the store
+		 */
+		clear() {
+			update(s => ({ ...s, loading: false, error: null, tokens: [] }));
+		}
+	};
+
+	return store;
+}
+
+export const nfts = createNFTStore();
+
+// Derived store to check if game NFTs are available on current network
+export const nftAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'ChessNFT');
+});
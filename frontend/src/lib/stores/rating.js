@@ -1,15 +1,10 @@
 import { writable, derived, get } from 'svelte/store';
-import { wallet } from './wallet.js';
+import { wallet, onContractsChange, signerOrProvider } from './wallet.js';
 import { ethers } from 'ethers';
 import { loadContractAbi } from '../contracts/loadAbi.js';
-
-// Contract addresses per network
-const RATING_ADDRESSES = {
-	1337: import.meta.env.VITE_PLAYER_RATING_LOCAL || '',
-	5777: import.meta.env.VITE_PLAYER_RATING_LOCAL || '',
-	84532: import.meta.env.VITE_PLAYER_RATING_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_PLAYER_RATING_BASE || ''
-};
+import { contractRegistry, getContractAddress } from '../contracts/registry.js';
+import { batched } from '../contracts/multicall.js';
+import { toContractError } from '../contracts/errors.js';
 
 const getPlayerRatingAbi = () => loadContractAbi('PlayerRating');
 
@@ -30,9 +25,12 @@ function createRatingStore() {
 		// Leaderboard
 		topPlayers: [],
 		totalPlayers: 0
-	});
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchPlayerStats();
+	}));
 
-	return {
+	const store = {
 		subscribe,
 
 		/**
@@ -40,18 +38,19 @@ function createRatingStore() {
 		 */
 		async fetchPlayerStats(playerAddress = null) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return;
+			if (!$wallet.provider || !$wallet.chainId) return;
 
-			const ratingAddress = RATING_ADDRESSES[$wallet.chainId];
+			const ratingAddress = getContractAddress($wallet.chainId, 'PlayerRating');
 			if (!ratingAddress) return;
 
 			const address = playerAddress || $wallet.account;
+			if (!address) return;
 
 			update(s => ({ ...s, loading: true, error: null }));
 
 			try {
 				const playerRatingAbi = await getPlayerRatingAbi();
-				const contract = new ethers.Contract(ratingAddress, playerRatingAbi, $wallet.signer);
+				const contract = batched(new ethers.Contract(ratingAddress, playerRatingAbi, signerOrProvider($wallet)));
 
 				const [stats, winRate, provisional] = await Promise.all([
 					contract.getPlayerStats(address),
@@ -73,7 +72,8 @@ function createRatingStore() {
 				}));
 			} catch (err) {
 				console.error('Error fetching player stats:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
@@ -82,14 +82,14 @@ function createRatingStore() {
 		 */
 		async getPlayerStats(playerAddress) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return null;
+			if (!$wallet.provider || !$wallet.chainId) return null;
 
-			const ratingAddress = RATING_ADDRESSES[$wallet.chainId];
+			const ratingAddress = getContractAddress($wallet.chainId, 'PlayerRating');
 			if (!ratingAddress) return null;
 
 			try {
 				const playerRatingAbi = await getPlayerRatingAbi();
-				const contract = new ethers.Contract(ratingAddress, playerRatingAbi, $wallet.signer);
+				const contract = batched(new ethers.Contract(ratingAddress, playerRatingAbi, signerOrProvider($wallet)));
 
 				const [stats, winRate, provisional] = await Promise.all([
 					contract.getPlayerStats(playerAddress),
@@ -118,16 +118,16 @@ function createRatingStore() {
 		 */
 		async fetchLeaderboard(offset = 0, limit = 20) {
 			const $wallet = get(wallet);
-			if (!$wallet.signer || !$wallet.chainId) return;
+			if (!$wallet.provider || !$wallet.chainId) return;
 
-			const ratingAddress = RATING_ADDRESSES[$wallet.chainId];
+			const ratingAddress = getContractAddress($wallet.chainId, 'PlayerRating');
 			if (!ratingAddress) return;
 
 			update(s => ({ ...s, loading: true, error: null }));
 
 			try {
 				const playerRatingAbi = await getPlayerRatingAbi();
-				const contract = new ethers.Contract(ratingAddress, playerRatingAbi, $wallet.signer);
+				const contract = batched(new ethers.Contract(ratingAddress, playerRatingAbi, signerOrProvider($wallet)));
 
 				const [totalPlayers, topPlayersData] = await Promise.all([
 					contract.getRankedPlayerCount(),
@@ -154,7 +154,8 @@ function createRatingStore() {
 				}));
 			} catch (err) {
 				console.error('Error fetching leaderboard:', err);
-				update(s => ({ ...s, loading: false, error: err.message }));
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
 			}
 		},
 
@@ -178,14 +179,15 @@ function createRatingStore() {
 			});
 		}
 	};
+
+	return store;
 }
 
 export const rating = createRatingStore();
 
 // Derived store to check if rating is available
-export const ratingAvailable = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return false;
-	return !!RATING_ADDRESSES[$wallet.chainId];
+export const ratingAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'PlayerRating');
 });
 
 // Helper function to get rating tier/title
@@ -0,0 +1,338 @@
+import { writable, derived, get } from 'svelte/store';
+import { wallet, onContractsChange, signerOrProvider, requireSigner } from './wallet.js';
+import { ethers } from 'ethers';
+import { loadContractAbi } from '../contracts/loadAbi.js';
+import { contractRegistry, getContractAddress, getDeploymentBlock } from '../contracts/registry.js';
+import { batched } from '../contracts/multicall.js';
+import { getLogsInRange } from '../contracts/subscription.js';
+import { toContractError, withContractErrors } from '../contracts/errors.js';
+
+const getRewardPoolAbi = () => loadContractAbi('RewardPool');
+const getChessTokenAbi = () => loadContractAbi('ChessToken');
+
+// How far back to look for PoolLow when the deployment block is unknown
+const POOL_WARNING_WINDOW = 50000;
+const MAX_POOL_WARNINGS = 5;
+
+// Thresholds RewardPool emits PoolLow at
+function isFaucetLow(faucetBalance, faucetAmount) {
+	return faucetBalance.lt(faucetAmount.mul(100));
+}
+
+function isRewardLow(rewardBalance, rewardCapacity) {
+	return rewardCapacity.gt(0) && rewardBalance.lt(rewardCapacity.div(10));
+}
+
+// Factors are returned on a 1000 scale
+function formatFactor(factor) {
+	return (factor.toNumber() / 1000).toFixed(2);
+}
+
+// Rewards state store
+function createRewardsStore() {
+	const { subscribe, update } = writable({
+		loading: false,
+		error: null,
+		// Faucet
+		faucetAmount: '0',
+		hasClaimedFaucet: false,
+		chessBalance: '0',
+		canClaimFaucet: false,
+		// Anti-farming limits
+		dailyGameLimit: 0,
+		remainingDailyGames: 0,
+		opponentCooldown: 0,
+		// Behavior over the recent games
+		totalGames: 0,
+		resignRate: 0,
+		timeoutRate: 0,
+		// Multipliers applied to the base reward
+		poolFactor: '0',
+		ratingFactor: '0',
+		behaviorFactor: '0',
+		// Pool health
+		faucetBalance: '0',
+		rewardBalance: '0',
+		rewardCapacity: '0',
+		poolFactorPercent: 0,
+		faucetLow: false,
+		rewardLow: false,
+		poolWarnings: [],
+		// Expected rewards for the shortest game that counts, and the thresholds used
+		estimates: null
+	}, () => onContractsChange(() => {
+		store.clear();
+		store.fetchData();
+	}));
+
+	const store = {
+		subscribe,
+
+		/**
+		 * Fetch pool status and the connected player's reward standing
+		 */
+		async fetchData() {
+			const $wallet = get(wallet);
+			if (!$wallet.account || !$wallet.chainId) return;
+
+			const rewardPoolAddress = getContractAddress($wallet.chainId, 'RewardPool');
+			const tokenAddress = getContractAddress($wallet.chainId, 'ChessToken');
+
+			if (!rewardPoolAddress || !tokenAddress) {
+				update(s => ({ ...s, error: 'Rewards not available on this network' }));
+				return;
+			}
+
+			update(s => ({ ...s, loading: true, error: null }));
+
+			try {
+				const [rewardPoolAbi, chessTokenAbi] = await Promise.all([
+					getRewardPoolAbi(),
+					getChessTokenAbi()
+				]);
+				const rewardPool = batched(new ethers.Contract(
+					rewardPoolAddress,
+					rewardPoolAbi,
+					signerOrProvider($wallet)
+				));
+				const chessToken = batched(new ethers.Contract(
+					tokenAddress,
+					chessTokenAbi,
+					signerOrProvider($wallet)
+				));
+
+				const [
+					faucetAmount,
+					hasClaimedFaucet,
+					chessBalance,
+					dailyGameLimit,
+					remainingDailyGames,
+					opponentCooldown,
+					behavior,
+					factors,
+					poolStatus,
+					estimates
+				] = await Promise.all([
+					rewardPool.FAUCET_AMOUNT(),
+					rewardPool.hasClaimedFaucet($wallet.account),
+					chessToken.balanceOf($wallet.account),
+					rewardPool.DAILY_GAME_LIMIT(),
+					rewardPool.getRemainingDailyGames($wallet.account),
+					rewardPool.OPPONENT_COOLDOWN(),
+					rewardPool.getBehaviorStats($wallet.account),
+					rewardPool.getPlayerFactors($wallet.account),
+					rewardPool.getPoolStatus(),
+					estimateOutcomes(rewardPool, $wallet.account)
+				]);
+
+				update(s => ({
+					...s,
+					loading: false,
+					error: null,
+					faucetAmount: ethers.utils.formatEther(faucetAmount),
+					hasClaimedFaucet,
+					chessBalance: ethers.utils.formatEther(chessBalance),
+					// Mirrors the checks in claimFaucet()
+					canClaimFaucet: !hasClaimedFaucet && chessBalance.isZero() && poolStatus.faucetBalance.gte(faucetAmount),
+					dailyGameLimit: dailyGameLimit.toNumber(),
+					remainingDailyGames: remainingDailyGames.toNumber(),
+					opponentCooldown: opponentCooldown.toNumber(),
+					totalGames: behavior.totalGames.toNumber(),
+					resignRate: behavior.resignRate.toNumber(),
+					timeoutRate: behavior.timeoutRate.toNumber(),
+					poolFactor: formatFactor(factors.poolFactor),
+					ratingFactor: formatFactor(factors.ratingFactor),
+					behaviorFactor: formatFactor(factors.behaviorFactor),
+					faucetBalance: ethers.utils.formatEther(poolStatus.faucetBalance),
+					rewardBalance: ethers.utils.formatEther(poolStatus.rewardBalance),
+					rewardCapacity: ethers.utils.formatEther(poolStatus.rewardCapacity),
+					poolFactorPercent: poolStatus.poolFactorPercent.toNumber(),
+					faucetLow: isFaucetLow(poolStatus.faucetBalance, faucetAmount),
+					rewardLow: isRewardLow(poolStatus.rewardBalance, poolStatus.rewardCapacity),
+					estimates
+				}));
+			} catch (err) {
+				console.error('Error fetching rewards data:', err);
+				const error = await toContractError(err);
+				update(s => ({ ...s, loading: false, error: error.message }));
+				return;
+			}
+
+			// Event history is a nice-to-have: a node refusing the range leaves the rest in place
+			try {
+				const poolWarnings = await fetchPoolWarnings($wallet, rewardPoolAddress);
+				update(s => ({ ...s, poolWarnings }));
+			} catch (err) {
+				console.warn('Could not load reward pool warnings:', err);
+			}
+		},
+
+		/**
+		 * What the connected player would earn from a game against opponent,
+		 * and whether such a game counts at all. Returns null when the network
+		 * has no reward pool.
+		 */
+		async estimateAgainst(opponent) {
+			const $wallet = get(wallet);
+			if (!$wallet.account || !$wallet.chainId || !opponent) return null;
+
+			const rewardPoolAddress = getContractAddress($wallet.chainId, 'RewardPool');
+			if (!rewardPoolAddress) return null;
+
+			const rewardPoolAbi = await getRewardPoolAbi();
+			const rewardPool = batched(new ethers.Contract(
+				rewardPoolAddress,
+				rewardPoolAbi,
+				signerOrProvider($wallet)
+			));
+
+			const [canEarn, lastGame, cooldown, remainingDailyGames, poolStatus, estimates] = await Promise.all([
+				rewardPool.canEarnFromOpponent($wallet.account, opponent),
+				rewardPool.lastOpponentGame($wallet.account, opponent),
+				rewardPool.OPPONENT_COOLDOWN(),
+				rewardPool.getRemainingDailyGames($wallet.account),
+				rewardPool.getPoolStatus(),
+				estimateOutcomes(rewardPool, $wallet.account)
+			]);
+
+			const reasons = [];
+			if (remainingDailyGames.isZero()) {
+				reasons.push('Daily limit of rewarded games reached');
+			}
+			if (!canEarn) {
+				const until = new Date((lastGame.toNumber() + cooldown.toNumber()) * 1000);
+				reasons.push(`Already rewarded against this opponent; eligible again ${until.toLocaleDateString()}`);
+			}
+			if (poolStatus.rewardBalance.isZero()) {
+				reasons.push('Reward pool is empty');
+			}
+
+			return {
+				eligible: reasons.length === 0,
+				reasons,
+				remainingDailyGames: remainingDailyGames.toNumber(),
+				estimates
+			};
+		},
+
+		/**
+		 * Claim the one-time CHESS faucet
+		 */
+		async claimFaucet() {
+			const $wallet = await requireSigner();
+			if (!$wallet.signer || !$wallet.chainId) {
+				throw new Error('Wallet not connected');
+			}
+
+			const rewardPoolAddress = getContractAddress($wallet.chainId, 'RewardPool');
+			if (!rewardPoolAddress) {
+				throw new Error('Rewards not available on this network');
+			}
+
+			const rewardPoolAbi = await getRewardPoolAbi();
+			const rewardPool = new ethers.Contract(
+				rewardPoolAddress,
+				rewardPoolAbi,
+				$wallet.signer
+			);
+
+			await withContractErrors(async () => {
+				const tx = await rewardPool.claimFaucet();
+				await tx.wait();
+			});
+
+			// Refresh data
+			await this.fetchData();
+		},
+
+		/**
+		 * Reset the store
+		 */
+		clear() {
+			update(s => ({
+				...s,
+				loading: false,
+				error: null,
+				hasClaimedFaucet: false,
+				chessBalance: '0',
+				canClaimFaucet: false,
+				remainingDailyGames: 0,
+				totalGames: 0,
+				resignRate: 0,
+				timeoutRate: 0,
+				poolWarnings: [],
+				estimates: null
+			}));
+		}
+	};
+
+	return store;
+}
+
+// Rewards for each outcome of a game just long enough to count, plus the best case
+async function estimateOutcomes(rewardPool, player) {
+	// RewardPool's thresholds count moves per side; estimateReward() takes the game's plies
+	const [minMoves, longGameMoves] = await Promise.all([
+		rewardPool.MIN_MOVES_FOR_REWARD(),
+		rewardPool.LONG_GAME_THRESHOLD()
+	]);
+	const minPlies = minMoves.mul(2);
+	const [win, draw, loss, best] = await Promise.all([
+		rewardPool.estimateReward(player, true, false, false, minPlies),
+		rewardPool.estimateReward(player, false, true, false, minPlies),
+		rewardPool.estimateReward(player, false, false, false, minPlies),
+		rewardPool.estimateReward(player, true, false, true, longGameMoves.mul(2))
+	]);
+	return {
+		minMoves: minMoves.toNumber(),
+		longGameMoves: longGameMoves.toNumber(),
+		win: ethers.utils.formatEther(win),
+		draw: ethers.utils.formatEther(draw),
+		loss: ethers.utils.formatEther(loss),
+		best: ethers.utils.formatEther(best)
+	};
+}
+
+// Most recent PoolLow events, newest first
+async function fetchPoolWarnings($wallet, rewardPoolAddress) {
+	const provider = $wallet.provider;
+	const rewardPoolAbi = await getRewardPoolAbi();
+	const iface = new ethers.utils.Interface(rewardPoolAbi);
+
+	const latest = await provider.getBlockNumber();
+	const deployedAt = getDeploymentBlock($wallet.chainId, 'RewardPool');
+	const fromBlock = Math.max(deployedAt ?? latest - POOL_WARNING_WINDOW, 0);
+
+	const logs = await getLogsInRange(
+		provider,
+		{ address: rewardPoolAddress, topics: [iface.getEventTopic('PoolLow')] },
+		fromBlock,
+		latest
+	);
+
+	return logs
+		.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+		.slice(0, MAX_POOL_WARNINGS)
+		.map(log => {
+			const { args } = iface.parseLog(log);
+			return {
+				poolType: args.poolType,
+				remaining: ethers.utils.formatEther(args.remaining),
+				threshold: ethers.utils.formatEther(args.threshold),
+				blockNumber: log.blockNumber,
+				transactionHash: log.transactionHash
+			};
+		});
+}
+
+export const rewards = createRewardsStore();
+
+// Derived store for reward pool address
+export const rewardPoolAddress = derived([wallet, contractRegistry], ([$wallet]) => {
+	return getContractAddress($wallet.chainId, 'RewardPool');
+});
+
+// Derived store to check if rewards are available on current network
+export const rewardsAvailable = derived([wallet, contractRegistry], ([$wallet]) => {
+	return !!getContractAddress($wallet.chainId, 'RewardPool') && !!getContractAddress($wallet.chainId, 'ChessToken');
+});
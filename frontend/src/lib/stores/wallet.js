@@ -1,92 +1,175 @@
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
+import { browser } from '$app/environment';
 import { ethers } from 'ethers';
+import { loadDeployments, deployments, contractRegistry, getContractAddress, getDeployedChainIds, setDiscoveredContracts, contractsSignature } from '../contracts/registry.js';
+import { watchSatellites } from '../contracts/discovery.js';
+import { discoverInjectedWallets, watchConnectors, registerConnector, createRpcConnector } from '../wallet/connectors.js';
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
 
 // Supported networks
+// blockTime: expected seconds per block, used until the clock has measured the chain
+// rpcUrl: public endpoint used to read the chain when no wallet is connected, and
+// the endpoint offered to the wallet when it has to add the chain
 export const NETWORKS = {
-	1337: { name: 'Ganache', explorer: '' },
-	5777: { name: 'Ganache', explorer: '' },
-	84532: { name: 'Base Sepolia', explorer: 'https://sepolia.basescan.org' },
-	8453: { name: 'Base', explorer: 'https://basescan.org' }
+	1337: { name: 'Ganache', explorer: '', blockTime: 12, nativeCurrency: ETH, rpcUrl: import.meta.env.VITE_RPC_URL_LOCAL || 'http://127.0.0.1:8545' },
+	5777: { name: 'Ganache', explorer: '', blockTime: 12, nativeCurrency: ETH, rpcUrl: import.meta.env.VITE_RPC_URL_LOCAL || 'http://127.0.0.1:7545' },
+	84532: { name: 'Base Sepolia', explorer: 'https://sepolia.basescan.org', blockTime: 2, nativeCurrency: ETH, rpcUrl: import.meta.env.VITE_RPC_URL_BASE_SEPOLIA || 'https://sepolia.base.org' },
+	8453: { name: 'Base', explorer: 'https://basescan.org', blockTime: 2, nativeCurrency: ETH, rpcUrl: import.meta.env.VITE_RPC_URL_BASE || 'https://mainnet.base.org' }
 };
 
-// Contract addresses per network
-const CONTRACT_ADDRESSES = {
-	1337: import.meta.env.VITE_CONTRACT_ADDRESS_LOCAL || '',
-	5777: import.meta.env.VITE_CONTRACT_ADDRESS_LOCAL || '',
-	84532: import.meta.env.VITE_CONTRACT_ADDRESS_BASE_SEPOLIA || '',
-	8453: import.meta.env.VITE_CONTRACT_ADDRESS_BASE || ''
-};
+// wallet_addEthereumChain parameters for an entry of NETWORKS
+function addChainParams(chainId) {
+	const network = NETWORKS[chainId];
+	return {
+		chainId: ethers.utils.hexValue(Number(chainId)),
+		chainName: network.name,
+		nativeCurrency: network.nativeCurrency,
+		rpcUrls: [network.rpcUrl],
+		// Wallets reject empty explorer URLs
+		...(network.explorer ? { blockExplorerUrls: [network.explorer] } : {})
+	};
+}
 
-// Wallet state
-function createWalletStore() {
-	const { subscribe, set, update } = writable({
+// Chain shown to visitors without a wallet: the configured one, otherwise the
+// first network in the deployment manifest
+function readOnlyChainId() {
+	return Number(import.meta.env.VITE_READ_ONLY_CHAIN_ID) ||
+		getDeployedChainIds().find(chainId => NETWORKS[chainId]) ||
+		null;
+}
+
+// One JSON-RPC provider per chain, shared by every read-only session
+const readProviders = new Map();
+
+function getReadProvider(chainId) {
+	const network = NETWORKS[chainId];
+	if (!network?.rpcUrl) return null;
+	if (!readProviders.has(chainId)) {
+		// Static: the chain id is known, so skip eth_chainId on every request
+		readProviders.set(chainId, new ethers.providers.StaticJsonRpcProvider(network.rpcUrl, {
+			chainId: Number(chainId),
+			name: network.name
+		}));
+	}
+	return readProviders.get(chainId);
+}
+
+// Disconnected state: reads go through the public RPC, writes need a wallet
+function readOnlyState() {
+	const chainId = browser ? readOnlyChainId() : null;
+	const provider = chainId ? getReadProvider(chainId) : null;
+	return {
 		connected: false,
 		connecting: false,
+		choosingWallet: false,
+		readOnly: Boolean(provider),
+		walletId: null,
+		walletName: null,
 		account: null,
-		chainId: null,
+		chainId: provider ? chainId : null,
 		balance: null,
-		provider: null,
+		provider,
 		signer: null,
 		error: null
-	});
+	};
+}
+
+// Wallets the user can pick from (EIP-6963 announcements and registered connectors)
+export const availableWallets = writable([]);
+
+const WALLET_STORAGE_KEY = 'chess-wallet';
+
+function rememberedWalletId() {
+	try {
+		return localStorage.getItem(WALLET_STORAGE_KEY);
+	} catch {
+		return null;
+	}
+}
+
+function rememberWallet(id) {
+	try {
+		if (id) {
+			localStorage.setItem(WALLET_STORAGE_KEY, id);
+		} else {
+			localStorage.removeItem(WALLET_STORAGE_KEY);
+		}
+	} catch (e) {
+		console.warn('Could not save wallet choice:', e);
+	}
+}
 
+// Wallet state
+function createWalletStore() {
+	const { subscribe, set, update } = writable(readOnlyState());
+
+	let connector = null; // the wallet in use
 	let accountsChangedHandler = null;
 	let chainChangedHandler = null;
+	let resolveChoice = null; // settles the promise of an open wallet picker
+	const restoreAttempted = new Set();
+
+	// Read accounts, chain and balance from the connector's provider.
+	// Returns false when the wallet exposes no account.
+	async function readSession(target) {
+		const provider = new ethers.providers.Web3Provider(target.provider);
+		const accounts = await provider.listAccounts();
+
+		if (accounts.length === 0) return false;
+
+		const signer = provider.getSigner();
+		const account = await signer.getAddress();
+		const network = await provider.getNetwork();
+		const balance = await provider.getBalance(account);
+
+		set({
+			connected: true,
+			connecting: false,
+			choosingWallet: false,
+			readOnly: false,
+			walletId: target.id,
+			walletName: target.name,
+			account,
+			chainId: network.chainId,
+			balance: ethers.utils.formatEther(balance),
+			provider,
+			signer,
+			error: null
+		});
+		return true;
+	}
 
 	async function refreshWalletState() {
-		if (typeof window === 'undefined' || !window.ethereum) return;
+		if (!connector) return;
 
 		try {
-			const provider = new ethers.providers.Web3Provider(window.ethereum);
-			const accounts = await provider.listAccounts();
-
-			if (accounts.length === 0) {
+			if (!await readSession(connector)) {
 				// User disconnected all accounts
-				set({
-					connected: false,
-					connecting: false,
-					account: null,
-					chainId: null,
-					balance: null,
-					provider: null,
-					signer: null,
-					error: null
-				});
-				return;
+				set(readOnlyState());
 			}
-
-			const signer = provider.getSigner();
-			const account = await signer.getAddress();
-			const network = await provider.getNetwork();
-			const balance = await provider.getBalance(account);
-
-			set({
-				connected: true,
-				connecting: false,
-				account,
-				chainId: network.chainId,
-				balance: ethers.utils.formatEther(balance),
-				provider,
-				signer,
-				error: null
-			});
 		} catch (err) {
 			console.error('Error refreshing wallet state:', err);
 		}
 	}
 
-	function setupListeners() {
-		if (typeof window === 'undefined' || !window.ethereum) return;
-
-		// Clean up existing listeners
+	function removeListeners() {
+		if (!connector) return;
 		if (accountsChangedHandler) {
-			window.ethereum.removeListener('accountsChanged', accountsChangedHandler);
+			connector.provider.removeListener?.('accountsChanged', accountsChangedHandler);
+			accountsChangedHandler = null;
 		}
 		if (chainChangedHandler) {
-			window.ethereum.removeListener('chainChanged', chainChangedHandler);
+			connector.provider.removeListener?.('chainChanged', chainChangedHandler);
+			chainChangedHandler = null;
 		}
+	}
+
+	// Follow account/chain changes of the wallet in use (and only that one)
+	function useConnector(next) {
+		removeListeners();
+		connector = next;
 
-		// Set up new listeners
 		accountsChangedHandler = (accounts) => {
 			console.log('Accounts changed:', accounts);
 			refreshWalletState();
@@ -97,43 +180,97 @@ function createWalletStore() {
 			refreshWalletState();
 		};
 
-		window.ethereum.on('accountsChanged', accountsChangedHandler);
-		window.ethereum.on('chainChanged', chainChangedHandler);
+		connector.provider.on?.('accountsChanged', accountsChangedHandler);
+		connector.provider.on?.('chainChanged', chainChangedHandler);
+	}
+
+	// Ask the user which wallet to use; resolves with its id, or null if cancelled
+	function chooseWallet() {
+		resolveChoice?.(null);
+		update(s => ({ ...s, choosingWallet: true, error: null }));
+		return new Promise(resolve => {
+			resolveChoice = (id) => {
+				resolveChoice = null;
+				update(s => ({ ...s, choosingWallet: false }));
+				resolve(id);
+			};
+		});
+	}
+
+	// Reconnect silently to the remembered wallet once it has announced itself.
+	// eth_accounts never prompts: it only returns accounts already authorised.
+	async function restore(wallets) {
+		const id = rememberedWalletId();
+		const target = wallets.find(w => w.id === id);
+		if (!target || restoreAttempted.has(id) || get({ subscribe }).connected) return;
+		restoreAttempted.add(id);
+
+		try {
+			if (await readSession(target)) useConnector(target);
+		} catch (err) {
+			console.warn('Could not restore wallet session:', err);
+		}
+	}
+
+	if (browser) {
+		if (import.meta.env.VITE_DEV_WALLET_RPC) {
+			registerConnector(createRpcConnector({ url: import.meta.env.VITE_DEV_WALLET_RPC }));
+		}
+		watchConnectors((wallets) => {
+			availableWallets.set(wallets);
+			restore(wallets);
+		});
+		discoverInjectedWallets();
+
+		// Without a configured chain the read-only view waits for the manifest
+		// to know where the app is deployed
+		loadDeployments().then(() => {
+			update(s => s.chainId || s.connecting || s.choosingWallet ? s : readOnlyState());
+		});
 	}
 
 	return {
 		subscribe,
 
-		async connect() {
-			if (typeof window === 'undefined' || !window.ethereum) {
-				update(s => ({ ...s, error: 'Please install MetaMask' }));
+		/**
+		 * Connect a wallet by connector id. Without an id the remembered wallet
+		 * (or the only one installed) is used, otherwise the picker opens and
+		 * this resolves once the user has chosen or cancelled.
+		 */
+		async connect(walletId = null) {
+			const wallets = get(availableWallets);
+			if (wallets.length === 0) {
+				update(s => ({ ...s, error: 'No wallet found - install a browser wallet such as MetaMask' }));
 				return;
 			}
 
-			update(s => ({ ...s, connecting: true, error: null }));
+			let id = walletId;
+			if (!id) {
+				const remembered = rememberedWalletId();
+				id = wallets.length === 1 ? wallets[0].id
+					: wallets.some(w => w.id === remembered) ? remembered
+					: await chooseWallet();
+				if (!id) return;
+			}
 
-			try {
-				const provider = new ethers.providers.Web3Provider(window.ethereum);
-				await provider.send('eth_requestAccounts', []);
+			// The list may have changed while the picker was open
+			const target = get(availableWallets).find(w => w.id === id);
+			if (!target) {
+				update(s => ({ ...s, error: 'That wallet is no longer available' }));
+				return;
+			}
 
-				const signer = provider.getSigner();
-				const account = await signer.getAddress();
-				const network = await provider.getNetwork();
-				const balance = await provider.getBalance(account);
+			update(s => ({ ...s, connecting: true, error: null }));
 
-				set({
-					connected: true,
-					connecting: false,
-					account,
-					chainId: network.chainId,
-					balance: ethers.utils.formatEther(balance),
-					provider,
-					signer,
-					error: null
-				});
+			try {
+				await target.provider.request({ method: 'eth_requestAccounts' });
+				if (!await readSession(target)) {
+					throw new Error('The wallet did not share an account');
+				}
 
+				rememberWallet(target.id);
 				// Setup listeners for account/chain changes
-				setupListeners();
+				useConnector(target);
 
 			} catch (err) {
 				update(s => ({
@@ -144,35 +281,61 @@ function createWalletStore() {
 			}
 		},
 
+		// Answer an open wallet picker (null cancels)
+		selectWallet(walletId) {
+			resolveChoice?.(walletId);
+		},
+
 		disconnect() {
-			// Clean up listeners
-			if (typeof window !== 'undefined' && window.ethereum) {
-				if (accountsChangedHandler) {
-					window.ethereum.removeListener('accountsChanged', accountsChangedHandler);
-					accountsChangedHandler = null;
-				}
-				if (chainChangedHandler) {
-					window.ethereum.removeListener('chainChanged', chainChangedHandler);
-					chainChangedHandler = null;
-				}
-			}
+			// Clean up listeners and forget the wallet so it is not restored on reload
+			removeListeners();
+			connector = null;
+			rememberWallet(null);
 
-			set({
-				connected: false,
-				connecting: false,
-				account: null,
-				chainId: null,
-				balance: null,
-				provider: null,
-				signer: null,
-				error: null
-			});
+			set(readOnlyState());
 		},
 
 		clearError() {
 			update(s => ({ ...s, error: null }));
 		},
 
+		/**
+		 * Move to another entry of NETWORKS. A connected wallet is asked to
+		 * switch, adding the chain first when it does not know it yet; without a
+		 * wallet the read-only view follows the chosen chain.
+		 */
+		async switchNetwork(chainId) {
+			const target = Number(chainId);
+			if (!NETWORKS[target]) {
+				update(s => ({ ...s, error: `Unsupported network (${chainId})` }));
+				return;
+			}
+
+			if (!connector) {
+				update(s => ({ ...s, readOnly: true, chainId: target, provider: getReadProvider(target) }));
+				return;
+			}
+
+			const hexChainId = ethers.utils.hexValue(target);
+			try {
+				try {
+					await connector.provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+				} catch (err) {
+					// 4902: unknown chain (MetaMask mobile nests the code in originalError)
+					const code = err.code ?? err.data?.originalError?.code;
+					if (code !== 4902) throw err;
+					await connector.provider.request({ method: 'wallet_addEthereumChain', params: [addChainParams(target)] });
+				}
+			} catch (err) {
+				const rejected = err.code === 4001 || err.code === 'ACTION_REJECTED';
+				update(s => ({ ...s, error: rejected ? 'Network switch cancelled' : (err.message || 'Could not switch network') }));
+				return;
+			}
+
+			// chainChanged normally follows; read the session anyway for wallets that stay silent
+			await refreshWalletState();
+		},
+
 		// Refresh balance only
 		async refreshBalance() {
 			update(s => {
@@ -202,16 +365,90 @@ export const isSupported = derived(wallet, $wallet => {
 	return !!NETWORKS[$wallet.chainId];
 });
 
-export const contractAddress = derived(wallet, $wallet => {
-	if (!$wallet.chainId) return null;
-	return CONTRACT_ADDRESSES[$wallet.chainId] || null;
+// ChessFactory on the active chain
+export const contractAddress = derived([wallet, deployments], ([$wallet]) => {
+	return getContractAddress($wallet.chainId, 'ChessFactory');
 });
 
+// NETWORKS as a list for network pickers; deployed marks chains the app has contracts on
+export const networkOptions = derived(deployments, () => Object.entries(NETWORKS).map(([chainId, network]) => ({
+	...network,
+	chainId: Number(chainId),
+	deployed: Boolean(getContractAddress(chainId, 'ChessFactory'))
+})));
+
 export const explorer = derived(wallet, $wallet => {
 	if (!$wallet.chainId) return null;
 	return NETWORKS[$wallet.chainId]?.explorer || null;
 });
 
+/**
+ * Call fn(chainId) whenever the active chain changes: the wallet switched
+ * network, a wallet connected on another chain than the read-only one, or the
+ * read-only view moved. Stores use it to drop data read from the old chain.
+ * Returns the unsubscribe function.
+ */
+export function onNetworkChange(fn) {
+	let current = get(wallet).chainId;
+	return wallet.subscribe($wallet => {
+		if ($wallet.chainId === current) return;
+		current = $wallet.chainId;
+		fn(current);
+	});
+}
+
+/**
+ * Call fn() whenever the contracts a store reads may have moved: the chain
+ * changed, the deployment manifest arrived, or the factory pointed at another
+ * satellite. Returns the unsubscribe function.
+ */
+export function onContractsChange(fn) {
+	let first = true;
+	return derived([wallet, contractRegistry], ([$wallet]) => `${$wallet.chainId}|${contractsSignature($wallet.chainId)}`)
+		.subscribe(() => {
+			if (first) {
+				first = false;
+				return;
+			}
+			fn();
+		});
+}
+
+// Satellites follow the factory of the active chain (see contracts/discovery.js)
+if (browser) {
+	let watched = null;
+	derived([wallet, contractAddress], ([$wallet, factory]) => ({ provider: $wallet.provider, chainId: $wallet.chainId, factory }))
+		.subscribe(({ provider, chainId, factory }) => {
+			if (watched && watched.provider === provider && watched.factory === factory) return;
+			watched?.watcher.stop();
+			watched = provider && factory
+				? {
+					provider,
+					factory,
+					watcher: watchSatellites(provider, factory, (addresses) => setDiscoveredContracts(chainId, factory, addresses))
+				}
+				: null;
+		});
+}
+
+// Contracts read through the wallet when there is one, the public RPC otherwise
+export function signerOrProvider($wallet) {
+	return $wallet.signer || $wallet.provider;
+}
+
+// Ask for a wallet connection before a write. Resolves with the wallet state
+// once a signer is available; throws if the user does not connect.
+export async function requireSigner() {
+	if (!get(wallet).signer) {
+		await wallet.connect();
+	}
+	const $wallet = get(wallet);
+	if (!$wallet.signer) {
+		throw new Error($wallet.error || 'Connect your wallet to continue');
+	}
+	return $wallet;
+}
+
 // Utility
 export function truncateAddress(address) {
 	if (!address) return '';
@@ -0,0 +1,127 @@
+import { browser } from '$app/environment';
+
+/**
+ * Wallet connectors.
+ *
+ * A connector pairs an EIP-1193 provider with what the wallet picker shows:
+ * { id, type, name, icon, provider }. Browser extensions are discovered
+ * through EIP-6963, so several wallets can be installed side by side; the
+ * legacy window.ethereum is only offered when nothing announces itself.
+ * Anything else (a local node, a mock provider in tests) plugs in through
+ * registerConnector().
+ */
+
+const connectors = new Map(); // id -> connector
+const watchers = new Set();
+let discovering = false;
+
+// Connectors the picker should offer, in registration order
+export function getConnectors() {
+	const list = [...connectors.values()];
+	const announced = list.some(connector => connector.type === 'eip6963');
+	return announced ? list.filter(connector => connector.type !== 'legacy') : list;
+}
+
+function notify() {
+	const list = getConnectors();
+	watchers.forEach(fn => fn(list));
+}
+
+/**
+ * Add (or replace, by id) a connector. Returns a function that removes it.
+ */
+export function registerConnector(connector) {
+	connectors.set(connector.id, connector);
+	notify();
+	return () => {
+		if (connectors.get(connector.id) !== connector) return;
+		connectors.delete(connector.id);
+		notify();
+	};
+}
+
+// Call fn with the connector list now and on every change
+export function watchConnectors(fn) {
+	watchers.add(fn);
+	fn(getConnectors());
+	return () => watchers.delete(fn);
+}
+
+/**
+ * Start EIP-6963 discovery: listen for announcements and ask every injected
+ * wallet to announce itself. Wallets keyed by rdns, which (unlike the uuid)
+ * stays the same across page loads and can be remembered.
+ */
+export function discoverInjectedWallets() {
+	if (!browser || discovering) return;
+	discovering = true;
+
+	window.addEventListener('eip6963:announceProvider', (event) => {
+		const { info, provider } = event.detail || {};
+		if (!info?.uuid || !provider) return;
+		registerConnector({
+			id: info.rdns || info.uuid,
+			type: 'eip6963',
+			name: info.name,
+			icon: info.icon,
+			provider
+		});
+	});
+	window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+	if (window.ethereum) {
+		registerConnector({
+			id: 'injected',
+			type: 'legacy',
+			name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser wallet',
+			icon: null,
+			provider: window.ethereum
+		});
+	}
+}
+
+/**
+ * EIP-1193 provider backed by a plain JSON-RPC endpoint whose accounts are
+ * unlocked (Ganache, Hardhat, Anvil). Lets the app run against a local node
+ * without an extension, and doubles as a template for mock connectors.
+ */
+export function createRpcConnector({ url, id = 'local-rpc', name = 'Local node' }) {
+	let nextId = 1;
+	const listeners = new Map();
+
+	const provider = {
+		async request({ method, params = [] }) {
+			// Node accounts need no permission prompt
+			const rpcMethod = method === 'eth_requestAccounts' ? 'eth_accounts' : method;
+			const response = await fetch(url, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method: rpcMethod, params })
+			});
+			const body = await response.json();
+			if (body.error) {
+				const error = new Error(body.error.message);
+				error.code = body.error.code;
+				error.data = body.error.data;
+				throw error;
+			}
+			return body.result;
+		},
+
+		on(event, fn) {
+			if (!listeners.has(event)) listeners.set(event, new Set());
+			listeners.get(event).add(fn);
+		},
+
+		removeListener(event, fn) {
+			listeners.get(event)?.delete(fn);
+		},
+
+		// For tests: simulate accountsChanged / chainChanged
+		emit(event, ...args) {
+			listeners.get(event)?.forEach(fn => fn(...args));
+		}
+	};
+
+	return { id, type: 'rpc', name, icon: null, provider };
+}
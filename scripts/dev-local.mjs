@@ -186,11 +186,11 @@ async function migrateContracts() {
   );
 }
 
-async function writeFrontendEnv() {
-  console.log("Writing frontend local env");
-  await runCommand(nodeCmd, [path.join(rootDir, "scripts", "write-frontend-local-env.mjs")], {
+async function writeFrontendDeployments() {
+  console.log("Writing frontend deployment manifest");
+  await runCommand(nodeCmd, [path.join(rootDir, "scripts", "write-frontend-deployments.mjs")], {
     cwd: rootDir,
-    label: "env"
+    label: "deployments"
   });
 }
 
@@ -230,14 +230,14 @@ process.on("SIGTERM", () => shutdown(0));
 try {
   const startedGanache = await startGanacheIfNeeded();
   await migrateContracts();
-  await writeFrontendEnv();
+  await writeFrontendDeployments();
   await startFrontend();
 
   console.log("");
   console.log("Local environment ready");
   console.log(`- RPC: http://${host}:${rpcPort}${startedGanache ? "" : " (reused)"}`);
   console.log(`- Frontend: http://${host}:${webPort}`);
-  console.log(`- Frontend env: frontend/.env.local`);
+  console.log(`- Deployments: frontend/static/deployments.json`);
   console.log("");
   console.log("Press Ctrl+C to stop the frontend" + (startedGanache ? " and Ganache." : "."));
 
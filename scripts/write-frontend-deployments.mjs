@@ -0,0 +1,47 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, "..");
+
+// Any manifest works as input: the migration's, or a deployments.json downloaded from deploy-app
+const manifestFile =
+  process.env.DEPLOYMENTS_FILE ||
+  path.join(rootDir, "ethereum", "deployments", "manifest.json");
+const outputFile =
+  process.env.FRONTEND_DEPLOYMENTS_FILE ||
+  path.join(rootDir, "frontend", "static", "deployments.json");
+
+const MANIFEST_VERSION = 1;
+
+function readManifest(file) {
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION || typeof manifest.chains !== "object") {
+    throw new Error(`Unsupported deployment manifest in ${file}`);
+  }
+  return manifest;
+}
+
+if (!fs.existsSync(manifestFile)) {
+  console.error(`Missing deployment manifest: ${manifestFile}`);
+  console.error("Run the local migration first so the frontend can receive contract addresses.");
+  process.exit(1);
+}
+
+const source = readManifest(manifestFile);
+// Chains already in the frontend manifest (e.g. Base Sepolia) are kept unless the source redeploys them
+const target = fs.existsSync(outputFile)
+  ? readManifest(outputFile)
+  : { version: MANIFEST_VERSION, chains: {} };
+
+for (const [chainId, deployment] of Object.entries(source.chains)) {
+  target.chains[chainId] = deployment;
+  const count = Object.keys(deployment.contracts || {}).length;
+  console.log(`  chain ${chainId} (${deployment.network}): ${count} contracts`);
+}
+
+fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+fs.writeFileSync(outputFile, `${JSON.stringify(target, null, 2)}\n`, "utf8");
+console.log(`Wrote frontend deployments to ${path.relative(rootDir, outputFile)}`);